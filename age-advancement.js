@@ -3,7 +3,8 @@
  * Handles progression through game ages, unlocking new buildings, units and technologies.
  */
 
-import { config } from "../config.js";
+// config.js is a classic script; its settings are on the global it defines
+const config = window.CONFIG;
 
 /**
  * AgeSystem manages player advancement through game ages
@@ -31,7 +32,7 @@ export class AgeSystem {
           "The beginning of civilization. Focus on gathering resources and basic shelter.",
         icon: "age_stone",
         unlocks: {
-          buildings: ["towncenter", "house", "granary", "woodcamp", "quarry"],
+          buildings: ["town_center", "house", "granary", "woodcamp", "quarry"],
           units: ["villager", "scout"],
           technologies: [
             "basic_tools",
@@ -49,7 +50,7 @@ export class AgeSystem {
           "The dawn of metallurgy. Militaries form and walls protect settlements.",
         icon: "age_bronze",
         requirements: {
-          buildings: ["towncenter"],
+          buildings: ["town_center"],
           resources: {
             food: 500,
             wood: 300,
@@ -62,8 +63,8 @@ export class AgeSystem {
             "barracks",
             "wall",
             "gate",
-            "marketplace",
-            "blacksmith",
+            "market",
+            "forge",
             "tower",
           ],
           units: ["swordsman", "spearman", "slinger"],
@@ -83,7 +84,7 @@ export class AgeSystem {
           "Advanced metallurgy and engineering. Warfare becomes more sophisticated.",
         icon: "age_iron",
         requirements: {
-          buildings: ["towncenter", "barracks", "blacksmith"],
+          buildings: ["town_center", "barracks", "forge"],
           resources: {
             food: 800,
             wood: 500,
@@ -117,7 +118,7 @@ export class AgeSystem {
           "The height of classical civilization. Advanced military units and wonders.",
         icon: "age_imperial",
         requirements: {
-          buildings: ["towncenter", "temple", "marketplace"],
+          buildings: ["town_center", "temple", "market"],
           resources: {
             food: 1200,
             wood: 800,
@@ -158,7 +159,7 @@ export class AgeSystem {
           "The pinnacle of civilization. Legendary units and ultimate wonders.",
         icon: "age_eternal",
         requirements: {
-          buildings: ["towncenter", "capitol", "university", "wondersite"],
+          buildings: ["town_center", "capitol", "university", "wondersite"],
           resources: {
             food: 2000,
             wood: 1500,
@@ -241,14 +242,16 @@ export class AgeSystem {
 
   /**
    * Initialize the age system
+   * @param {Object} options - Age options
+   * @param {number} options.startingAge - Age every player starts in
    */
-  init() {
+  init(options = {}) {
     console.log("Age advancement system initialized");
 
     // Set all players to starting age
-    for (let i = 0; i < config.MAX_PLAYERS; i++) {
-      this.playerAges[i] = 0; // Stone Age
-      this.ageProgress[i] = {
+    for (const player of this.game.players || []) {
+      this.playerAges[player.id] = 0; // Stone Age
+      this.ageProgress[player.id] = {
         currentlyAdvancing: false,
         targetAge: 0,
         progress: 0,
@@ -256,6 +259,14 @@ export class AgeSystem {
         requiredTime: 0,
       };
     }
+
+    // Later starting ages come with the bonuses and unlocks of the ages
+    // skipped
+    if (options.startingAge > 0) {
+      for (const player of this.game.players || []) {
+        this.setPlayerAge(player.id, options.startingAge);
+      }
+    }
   }
 
   /**
@@ -264,10 +275,11 @@ export class AgeSystem {
    */
   update(deltaTime) {
     // Update advancement progress for each player
-    for (let playerId = 0; playerId < config.MAX_PLAYERS; playerId++) {
+    for (const player of this.game.players || []) {
+      const playerId = player.id;
       const progress = this.ageProgress[playerId];
 
-      if (progress.currentlyAdvancing) {
+      if (progress && progress.currentlyAdvancing) {
         // Calculate elapsed time
         const elapsedTime = this.game.gameTime - progress.startTime;
 
@@ -387,7 +399,9 @@ export class AgeSystem {
       );
     }
 
-    this.game.resourceManager.addResources(playerId, refundResources);
+    this.game
+      .getSystem("resourceManager")
+      .addResources(refundResources, playerId);
 
     // Reset advancement progress
     this.ageProgress[playerId] = {
@@ -449,17 +463,13 @@ export class AgeSystem {
       });
     }
 
-    // Notify other systems
-    this.game.entityManager.updateEntityAppearance(playerId, newAge);
-
     // Add alert
-    if (this.game.alertSystem) {
-      this.game.alertSystem.addAlert({
-        type: "age_advancement",
-        playerId: playerId,
-        message: `Player ${playerId} has reached the ${ageData.name}!`,
-        priority: "high",
-      });
+    const alertSystem = this.game.getSystem("alertSystem");
+    if (alertSystem) {
+      alertSystem.addAlert(
+        `Player ${playerId} has reached the ${ageData.name}!`,
+        "info"
+      );
     }
   }
 
@@ -478,12 +488,12 @@ export class AgeSystem {
 
     // Check required buildings
     if (ageData.requirements.buildings) {
+      const entityManager = this.game.getSystem("entityManager");
+
       for (const buildingType of ageData.requirements.buildings) {
-        const hasBuilding = this.game.entityManager.hasEntityOfType(
-          playerId,
-          "building",
-          buildingType
-        );
+        const hasBuilding = entityManager
+          .getEntitiesByTypeAndOwner(buildingType, playerId)
+          .some((building) => building.constructed);
 
         if (!hasBuilding) {
           return false;
@@ -501,10 +511,9 @@ export class AgeSystem {
           age
         );
 
-        const playerAmount = this.game.resourceManager.getResource(
-          playerId,
-          resource
-        );
+        const playerAmount = this.game
+          .getSystem("resourceManager")
+          .getResource(resource, playerId);
 
         if (playerAmount < requiredAmount) {
           return false;
@@ -585,26 +594,10 @@ export class AgeSystem {
   deductAgeResources(playerId, age) {
     const resources = this.getAgeRequirementResources(playerId, age);
 
-    // Check if player has enough resources
-    for (const resource in resources) {
-      if (
-        this.game.resourceManager.getResource(playerId, resource) <
-        resources[resource]
-      ) {
-        return false;
-      }
-    }
-
-    // Deduct resources
-    for (const resource in resources) {
-      this.game.resourceManager.deductResource(
-        playerId,
-        resource,
-        resources[resource]
-      );
-    }
-
-    return true;
+    // Deducts nothing unless the player can afford all of it
+    return this.game
+      .getSystem("resourceManager")
+      .deductResources(resources, playerId);
   }
 
   /**
@@ -648,6 +641,7 @@ export class AgeSystem {
     }
 
     // Apply and store each bonus
+    const entityManager = this.game.getSystem("entityManager");
     for (const bonusType in bonuses) {
       const bonusValue = bonuses[bonusType];
       this.game.players[playerId].ageBonuses[bonusType] =
@@ -660,19 +654,29 @@ export class AgeSystem {
           break;
 
         case "unitHP":
-          this.game.entityManager.updateUnitsHP(playerId, bonusValue);
+          entityManager.scaleOwnerStats(
+            playerId,
+            false,
+            ["maxHp", "hp"],
+            bonusValue
+          );
           break;
 
         case "buildingHP":
-          this.game.entityManager.updateBuildingsHP(playerId, bonusValue);
+          entityManager.scaleOwnerStats(
+            playerId,
+            true,
+            ["maxHp", "hp"],
+            bonusValue
+          );
           break;
 
         case "unitAttack":
-          this.game.entityManager.updateUnitsAttack(playerId, bonusValue);
+          entityManager.scaleOwnerStats(playerId, false, ["ar"], bonusValue);
           break;
 
         case "unitSpeed":
-          this.game.entityManager.updateUnitsSpeed(playerId, bonusValue);
+          entityManager.scaleOwnerStats(playerId, false, ["speed"], bonusValue);
           break;
 
         case "researchSpeed":
@@ -719,7 +723,11 @@ export class AgeSystem {
     // Add civilization-specific units and buildings
     const playerCiv = this.game.players[playerId].civilization;
 
-    if (playerCiv && config.CIVILIZATION_UNITS[playerCiv]) {
+    if (
+      playerCiv &&
+      config.CIVILIZATION_UNITS &&
+      config.CIVILIZATION_UNITS[playerCiv]
+    ) {
       config.CIVILIZATION_UNITS[playerCiv].forEach((unit) => {
         if (unit.age <= age) {
           availableUnits.add(unit.id);
@@ -727,7 +735,11 @@ export class AgeSystem {
       });
     }
 
-    if (playerCiv && config.CIVILIZATION_BUILDINGS[playerCiv]) {
+    if (
+      playerCiv &&
+      config.CIVILIZATION_BUILDINGS &&
+      config.CIVILIZATION_BUILDINGS[playerCiv]
+    ) {
       config.CIVILIZATION_BUILDINGS[playerCiv].forEach((building) => {
         if (building.age <= age) {
           availableBuildings.add(building.id);
@@ -987,4 +999,24 @@ export class AgeSystem {
   isAtMaxAge(playerId) {
     return this.playerAges[playerId] >= Object.keys(this.ages).length - 1;
   }
+
+  /**
+   * Serialize age state for saving
+   * @returns {Object} Serialized data
+   */
+  serialize() {
+    return {
+      playerAges: { ...this.playerAges },
+      ageProgress: JSON.parse(JSON.stringify(this.ageProgress)),
+    };
+  }
+
+  /**
+   * Deserialize data to restore age state
+   * @param {Object} data - Serialized data
+   */
+  deserialize(data) {
+    this.playerAges = { ...data.playerAges };
+    this.ageProgress = JSON.parse(JSON.stringify(data.ageProgress));
+  }
 }
@@ -5,8 +5,6 @@
  * These are used by the AIPlayer class to customize AI styles.
  */
 
-import { Utils } from "../core/utils.js";
-
 export class AIBehaviors {
   /**
    * Create a repository of AI behaviors
@@ -670,8 +668,8 @@ export class AIBehaviors {
 
     // Queue basic economic buildings
     if (ai.state.phase === "early") {
-      ai.queueBuilding("mill", { priority: 3 });
-      ai.queueBuilding("lumberCamp", { priority: 3 });
+      ai.queueBuilding("granary", { priority: 3 });
+      ai.queueBuilding("lumber_mill", { priority: 3 });
     }
 
     // Schedule market for mid game
@@ -700,19 +698,19 @@ export class AIBehaviors {
 
     // Queue extra economic buildings
     if (ai.state.phase === "early") {
-      ai.queueBuilding("mill", { priority: 3 });
-      ai.queueBuilding("lumberCamp", { priority: 3 });
+      ai.queueBuilding("granary", { priority: 3 });
+      ai.queueBuilding("lumber_mill", { priority: 3 });
     }
 
     // Queue additional town centers in mid game
     if (ai.state.phase === "mid") {
       const townCenters = ai.game.entityManager.getEntitiesByTypeAndOwner(
-        "townCenter",
+        "town_center",
         ai.playerId
       );
 
       if (townCenters.length < 2) {
-        ai.queueBuilding("townCenter", { priority: 3 });
+        ai.queueBuilding("town_center", { priority: 3 });
       }
     }
 
@@ -745,19 +743,19 @@ export class AIBehaviors {
 
     // Queue basic economy buildings with lower priority
     if (ai.state.phase === "early") {
-      ai.queueBuilding("mill", { priority: 2 });
-      ai.queueBuilding("lumberCamp", { priority: 2 });
+      ai.queueBuilding("granary", { priority: 2 });
+      ai.queueBuilding("lumber_mill", { priority: 2 });
     }
 
     // Earlier blacksmith
     if (
       ai.state.phase === "mid" &&
       !ai.game.entityManager.getEntitiesByTypeAndOwner(
-        "blacksmith",
+        "forge",
         ai.playerId
       ).length
     ) {
-      ai.queueBuilding("blacksmith", { priority: 3 });
+      ai.queueBuilding("forge", { priority: 3 });
     }
 
     // Lower villager ratio to focus on military
@@ -780,8 +778,8 @@ export class AIBehaviors {
 
     // Queue basic economy buildings
     if (ai.state.phase === "early") {
-      ai.queueBuilding("mill", { priority: 3 });
-      ai.queueBuilding("lumberCamp", { priority: 3 });
+      ai.queueBuilding("granary", { priority: 3 });
+      ai.queueBuilding("lumber_mill", { priority: 3 });
     }
 
     // Queue defensive structures
@@ -844,7 +842,7 @@ export class AIBehaviors {
         ai.playerId
       );
       if (barracks.length > 0 && !barracks[0].isTraining) {
-        ai.game.entityManager.executeCommand("train", [barracks[0].id], {
+        ai.issueCommand("train", [barracks[0].id], {
           unitType: "spearman",
         });
       }
@@ -973,7 +971,7 @@ export class AIBehaviors {
       ai.queueBuilding("barracks", { priority: 2 });
     } else if (ai.state.phase === "mid") {
       ai.queueBuilding("market", { priority: 3 });
-      ai.queueBuilding("blacksmith", { priority: 3 });
+      ai.queueBuilding("forge", { priority: 3 });
     } else if (ai.state.phase === "late") {
       ai.queueBuilding("university", { priority: 3 });
     }
@@ -1015,13 +1013,13 @@ export class AIBehaviors {
         ai.queueBuilding("house", { priority: 3 });
       }
       if (ai.getVillagerCount() >= 10) {
-        ai.queueBuilding("lumberCamp", { priority: 3 });
+        ai.queueBuilding("lumber_mill", { priority: 3 });
       }
       if (ai.getVillagerCount() >= 12) {
         ai.queueBuilding("barracks", { priority: 2 });
       }
       if (ai.getVillagerCount() >= 14) {
-        ai.queueBuilding("mill", { priority: 3 });
+        ai.queueBuilding("granary", { priority: 3 });
       }
       if (ai.getVillagerCount() >= 20) {
         // Consider age advancement
@@ -1050,11 +1048,11 @@ export class AIBehaviors {
       }
       if (
         !ai.game.entityManager.getEntitiesByTypeAndOwner(
-          "blacksmith",
+          "forge",
           ai.playerId
         ).length
       ) {
-        ai.queueBuilding("blacksmith", { priority: 2 });
+        ai.queueBuilding("forge", { priority: 2 });
       }
 
       // Consider researching important technologies
@@ -1087,10 +1085,10 @@ export class AIBehaviors {
         ai.queueBuilding("house", { priority: 3 });
       }
       if (ai.getVillagerCount() >= 10) {
-        ai.queueBuilding("lumberCamp", { priority: 3 });
+        ai.queueBuilding("lumber_mill", { priority: 3 });
       }
       if (ai.getVillagerCount() >= 14) {
-        ai.queueBuilding("mill", { priority: 3 });
+        ai.queueBuilding("granary", { priority: 3 });
       }
       if (ai.getVillagerCount() >= 16) {
         ai.queueBuilding("barracks", { priority: 2 }); // Only one military building
@@ -1120,11 +1118,11 @@ export class AIBehaviors {
       }
       if (
         !ai.game.entityManager.getEntitiesByTypeAndOwner(
-          "blacksmith",
+          "forge",
           ai.playerId
         ).length
       ) {
-        ai.queueBuilding("blacksmith", { priority: 3 });
+        ai.queueBuilding("forge", { priority: 3 });
       }
 
       // Minimal military investment
@@ -1171,13 +1169,13 @@ export class AIBehaviors {
         ai.queueBuilding("house", { priority: 3 });
       }
       if (ai.getVillagerCount() >= 8) {
-        ai.queueBuilding("lumberCamp", { priority: 3 });
+        ai.queueBuilding("lumber_mill", { priority: 3 });
       }
       if (ai.getVillagerCount() >= 9) {
         ai.queueBuilding("barracks", { priority: 3 }); // Earlier barracks with higher priority
       }
       if (ai.getVillagerCount() >= 11) {
-        ai.queueBuilding("mill", { priority: 2 });
+        ai.queueBuilding("granary", { priority: 2 });
       }
       if (ai.getVillagerCount() >= 12) {
         // Train military units immediately
@@ -1186,7 +1184,7 @@ export class AIBehaviors {
           ai.playerId
         );
         if (barracks.length > 0 && !barracks[0].isTraining) {
-          ai.game.entityManager.executeCommand("train", [barracks[0].id], {
+          ai.issueCommand("train", [barracks[0].id], {
             unitType: "spearman",
           });
         }
@@ -1220,11 +1218,11 @@ export class AIBehaviors {
       }
       if (
         !ai.game.entityManager.getEntitiesByTypeAndOwner(
-          "blacksmith",
+          "forge",
           ai.playerId
         ).length
       ) {
-        ai.queueBuilding("blacksmith", { priority: 3 });
+        ai.queueBuilding("forge", { priority: 3 });
       }
 
       // Research military techs
@@ -1265,10 +1263,10 @@ export class AIBehaviors {
         ai.queueBuilding("house", { priority: 3 });
       }
       if (ai.getVillagerCount() >= 9) {
-        ai.queueBuilding("lumberCamp", { priority: 3 });
+        ai.queueBuilding("lumber_mill", { priority: 3 });
       }
       if (ai.getVillagerCount() >= 11) {
-        ai.queueBuilding("mill", { priority: 3 });
+        ai.queueBuilding("granary", { priority: 3 });
       }
       if (ai.getVillagerCount() >= 15) {
         ai.queueBuilding("house", { priority: 3 });
@@ -1299,27 +1297,27 @@ export class AIBehaviors {
       // Second town center for boom
       if (
         ai.game.entityManager.getEntitiesByTypeAndOwner(
-          "townCenter",
+          "town_center",
           ai.playerId
         ).length < 2
       ) {
-        ai.queueBuilding("townCenter", { priority: 3 });
+        ai.queueBuilding("town_center", { priority: 3 });
       }
 
       // Additional resource buildings
       if (
-        ai.game.entityManager.getEntitiesByTypeAndOwner("mill", ai.playerId)
+        ai.game.entityManager.getEntitiesByTypeAndOwner("granary", ai.playerId)
           .length < 2
       ) {
-        ai.queueBuilding("mill", { priority: 3 });
+        ai.queueBuilding("granary", { priority: 3 });
       }
       if (
         ai.game.entityManager.getEntitiesByTypeAndOwner(
-          "lumberCamp",
+          "lumber_mill",
           ai.playerId
         ).length < 2
       ) {
-        ai.queueBuilding("lumberCamp", { priority: 3 });
+        ai.queueBuilding("lumber_mill", { priority: 3 });
       }
 
       // Minimal military
@@ -1393,11 +1391,11 @@ export class AIBehaviors {
     if (
       ai.state.phase === "mid" &&
       !ai.game.entityManager.getEntitiesByTypeAndOwner(
-        "blacksmith",
+        "forge",
         ai.playerId
       ).length
     ) {
-      ai.queueBuilding("blacksmith", { priority: 3 });
+      ai.queueBuilding("forge", { priority: 3 });
     }
   }
 
@@ -1527,11 +1525,11 @@ export class AIBehaviors {
     if (
       ai.state.phase === "mid" &&
       !ai.game.entityManager.getEntitiesByTypeAndOwner(
-        "blacksmith",
+        "forge",
         ai.playerId
       ).length
     ) {
-      ai.queueBuilding("blacksmith", { priority: 3 });
+      ai.queueBuilding("forge", { priority: 3 });
     }
   }
 
@@ -1576,11 +1574,11 @@ export class AIBehaviors {
     if (
       ai.state.phase === "mid" &&
       !ai.game.entityManager.getEntitiesByTypeAndOwner(
-        "blacksmith",
+        "forge",
         ai.playerId
       ).length
     ) {
-      ai.queueBuilding("blacksmith", { priority: 3 });
+      ai.queueBuilding("forge", { priority: 3 });
     }
   }
 
@@ -1626,11 +1624,11 @@ export class AIBehaviors {
     if (
       ai.state.phase === "mid" &&
       !ai.game.entityManager.getEntitiesByTypeAndOwner(
-        "blacksmith",
+        "forge",
         ai.playerId
       ).length
     ) {
-      ai.queueBuilding("blacksmith", { priority: 3 });
+      ai.queueBuilding("forge", { priority: 3 });
     }
   }
 
@@ -6,8 +6,8 @@
  * and other AI decision making.
  */
 
-import { config } from "../config.js";
-import { Utils } from "../core/utils.js";
+// config.js is a classic script; its settings are on the global it defines
+const config = window.CONFIG;
 
 export class AIPlayer {
   /**
@@ -20,10 +20,11 @@ export class AIPlayer {
     this.game = game;
     this.playerId = playerId;
     this.difficulty = difficulty;
-    this.player = game.players[playerId];
+    this.player = this.createPlayerView(game.players[playerId]);
 
     // AI parameters (adjusted based on difficulty)
     this.params = this.setDifficultyParams(difficulty);
+    this.difficultySettings = this.getDifficultySettings(difficulty);
 
     // AI state
     this.state = {
@@ -31,6 +32,8 @@ export class AIPlayer {
       lastPhaseCheck: 0,
       militaryFocus: false,
       underAttack: false,
+      townBells: [], // Town centers whose bell we rang, by building ID
+      ghosts: {}, // Enemy buildings as last seen through our fog, by entity ID
       lastAttackTime: 0,
       economyFocus: true,
       expandingTerritory: false,
@@ -67,6 +70,7 @@ export class AIPlayer {
       defensiveUpdate: null,
       diplomacyUpdate: null,
     };
+    this.schedules = [];
 
     // Personality traits
     this.personality = this.generatePersonality();
@@ -102,6 +106,9 @@ export class AIPlayer {
       defensiveRadius: 15, // Distance for defensive buildings from base
       expansionRadius: 25, // Distance for expansions from base
 
+      // Sightings of enemy buildings older than this get scouted again (ms)
+      intelStaleTime: 120000,
+
       // Combat parameters
       retreatHealthThreshold: 0.3, // Health percentage to retreat
       groupSizeThreshold: 5, // Minimum group size for attacks
@@ -258,7 +265,7 @@ export class AIPlayer {
     });
 
     // Boost 1-2 unit types to create a specialization
-    const specializations = Utils.randInt(1, 2);
+    const specializations = Utils.randomInt(1, 2);
     for (let i = 0; i < specializations; i++) {
       const unitType = Utils.randomChoice(unitTypes);
       preferences[unitType] += Utils.randFloat(0.5, 1.0);
@@ -325,6 +332,9 @@ export class AIPlayer {
   initialize() {
     console.log(`Initializing AI player ${this.playerId} (${this.difficulty})`);
 
+    // Map knowledge granted by the difficulty level
+    this.applyDifficultyVision();
+
     // Analyze starting position and resources
     this.analyzeStartingPosition();
 
@@ -344,7 +354,7 @@ export class AIPlayer {
   analyzeStartingPosition() {
     // Find town center (or similar starting building)
     const townCenters = this.game.entityManager.getEntitiesByTypeAndOwner(
-      "townCenter",
+      "town_center",
       this.playerId
     );
 
@@ -389,12 +399,12 @@ export class AIPlayer {
     const base = this.state.baseLocation;
     const scanRadius = config.AI_INITIAL_SCAN_RADIUS || 500;
 
-    // Find resources within radius
+    // Find resources within radius that we have explored
     const resources = this.game.entityManager.getEntitiesInCircle(
       base.x,
       base.y,
       scanRadius,
-      (entity) => entity.type === "resource"
+      (entity) => entity.type === "resource" && this.canSee(entity)
     );
 
     // Group by resource type
@@ -436,12 +446,12 @@ export class AIPlayer {
     if (!this.state.baseLocation) return;
 
     const base = this.state.baseLocation;
-    const scanRadius = config.AI_BUILDING_SCAN_RADIUS || 300;
+    const scanRadius = config.AI_BUILDING_SCAN_RADIUS || 12; // Tiles
 
     // Scan in expanding circles
     this.state.buildLocations = [];
 
-    for (let radius = 50; radius <= scanRadius; radius += 50) {
+    for (let radius = 4; radius <= scanRadius; radius += 2) {
       // Get points in a circle around base
       const points = this.getPointsInCircle(base.x, base.y, radius, 8);
 
@@ -484,7 +494,7 @@ export class AIPlayer {
    */
   isSuitableBuildLocation(x, y) {
     // Check if location is on walkable terrain
-    if (!this.game.map.isWalkable(x, y)) {
+    if (!this.game.map.isPassable(Math.floor(x), Math.floor(y))) {
       return false;
     }
 
@@ -492,7 +502,7 @@ export class AIPlayer {
     const nearbyEntities = this.game.entityManager.getEntitiesInCircle(
       x,
       y,
-      this.params.buildingSpacing * 32,
+      this.params.buildingSpacing,
       (entity) => entity.type === "building" || entity.type === "resource"
     );
 
@@ -505,48 +515,83 @@ export class AIPlayer {
 
   /**
    * Set up update intervals for AI systems
+   * Intervals run on game time rather than wall-clock timers, so the AI keeps
+   * pace with the simulation at any speed (including headless runs)
    */
   setupUpdateIntervals() {
-    // Main AI update loop
-    this.timers.globalUpdate = setInterval(() => {
-      this.update();
-    }, this.params.updateInterval);
-
-    // Economy management
-    this.timers.economyUpdate = setInterval(() => {
-      this.updateEconomy();
-    }, this.params.economyInterval);
-
-    // Military management
-    this.timers.militaryUpdate = setInterval(() => {
-      this.updateMilitary();
-    }, this.params.militaryInterval);
-
-    // Building management
-    this.timers.buildingUpdate = setInterval(() => {
-      this.updateBuildings();
-    }, this.params.buildingInterval);
-
-    // Research management
-    this.timers.researchUpdate = setInterval(() => {
-      this.updateResearch();
-    }, this.params.researchInterval);
-
-    // Scouting management
-    this.timers.scoutingUpdate = setInterval(() => {
-      this.updateScouting();
-    }, this.params.scoutingInterval);
-
-    // Defensive management
-    this.timers.defensiveUpdate = setInterval(() => {
-      this.updateDefenses();
-    }, this.params.defensiveInterval);
+    this.schedules = [
+      // Main AI update loop
+      {
+        timer: "globalUpdate",
+        interval: this.params.updateInterval,
+        run: () => this.update(),
+      },
+      // Economy management
+      {
+        timer: "economyUpdate",
+        interval: this.params.economyInterval,
+        run: () => this.updateEconomy(),
+      },
+      // Military management
+      {
+        timer: "militaryUpdate",
+        interval: this.params.militaryInterval,
+        run: () => this.updateMilitary(),
+      },
+      // Building management
+      {
+        timer: "buildingUpdate",
+        interval: this.params.buildingInterval,
+        run: () => this.updateBuildings(),
+      },
+      // Research management
+      {
+        timer: "researchUpdate",
+        interval: this.params.researchInterval,
+        run: () => this.updateResearch(),
+      },
+      // Scouting management
+      {
+        timer: "scoutingUpdate",
+        interval: this.params.scoutingInterval,
+        run: () => this.updateScouting(),
+      },
+      // Defensive management
+      {
+        timer: "defensiveUpdate",
+        interval: this.params.defensiveInterval,
+        run: () => this.updateDefenses(),
+      },
+    ];
 
     // Diplomacy management (if applicable)
     if (this.params.diplomacyInterval) {
-      this.timers.diplomacyUpdate = setInterval(() => {
-        this.updateDiplomacy();
-      }, this.params.diplomacyInterval);
+      this.schedules.push({
+        timer: "diplomacyUpdate",
+        interval: this.params.diplomacyInterval,
+        run: () => this.updateDiplomacy(),
+      });
+    }
+
+    // Timers hold the game time each update is next due
+    for (const schedule of this.schedules) {
+      this.timers[schedule.timer] = this.game.gameTime + schedule.interval;
+    }
+  }
+
+  /**
+   * Run any AI updates that are due
+   * Called every simulation tick by the AI system
+   */
+  runScheduledUpdates() {
+    const now = this.game.gameTime;
+
+    for (const schedule of this.schedules) {
+      const dueTime = this.timers[schedule.timer];
+      if (dueTime !== null && now >= dueTime) {
+        this.timers[schedule.timer] = now + schedule.interval;
+        schedule.run();
+      }
     }
   }
 
@@ -593,6 +638,11 @@ export class AIPlayer {
         this.handleAgeAdvance(data);
       }
     });
+
+    // Listen for the water freezing and thawing
+    this.game.events.on("seasonChanged", (data) => {
+      this.handleSeasonChanged(data);
+    });
   }
 
   /**
@@ -708,7 +758,7 @@ export class AIPlayer {
     if (!unit || !resource) return;
 
     // Issue gather command
-    this.game.entityManager.executeCommand("gather", [unit.id], {
+    this.issueCommand("gather", [unit.id], {
       resourceId: resource.id,
     });
   }
@@ -737,7 +787,7 @@ export class AIPlayer {
     // Plan basic resource buildings
     if (villagerCount >= 6) {
       // Queue resource drop-off buildings
-      this.queueBuilding("lumberCamp");
+      this.queueBuilding("lumber_mill");
 
       // Queue additional houses if needed
       if (currentPopulation + 4 >= maxPopulation) {
@@ -754,13 +804,19 @@ export class AIPlayer {
    */
   queueBuilding(buildingType, options = {}) {
     // Check if we can afford the building
-    const buildingConfig = config.BUILDINGS[buildingType];
+    const buildingConfig = config.STATS.BUILDINGS[buildingType.toUpperCase()];
 
     if (!buildingConfig) {
       console.warn(`AI tried to queue unknown building: ${buildingType}`);
       return false;
     }
 
+    // The checks that queue buildings run again before it's placed; one
+    // waiting per type is enough
+    if (this.state.buildQueue.some((task) => task.type === buildingType)) {
+      return false;
+    }
+
     // Default priority is medium (2)
     const priority = options.priority || 2;
 
@@ -843,18 +899,18 @@ export class AIPlayer {
 
     // Command unit to move to each point in sequence
     for (const point of scoutPoints) {
-      this.game.entityManager.executeCommand("move", [unit.id], {
+      this.issueCommand("move", [unit.id], {
         x: point.x,
         y: point.y,
-        queueMove: true,
+        queued: true,
       });
     }
 
     // Finally return to base
-    this.game.entityManager.executeCommand("move", [unit.id], {
+    this.issueCommand("move", [unit.id], {
       x: baseX,
       y: baseY,
-      queueMove: true,
+      queued: true,
     });
   }
 
@@ -862,6 +918,9 @@ export class AIPlayer {
    * Main AI update function
    */
   update() {
+    // Refresh what we know about the enemy from our fog
+    this.updatePerception();
+
     // Check for phase transitions
     this.checkPhaseTransition();
 
@@ -1008,7 +1067,7 @@ export class AIPlayer {
       const x = base.x + Math.cos(angle) * distance;
       const y = base.y + Math.sin(angle) * distance;
 
-      this.queueBuilding("watchtower", {
+      this.queueBuilding("tower", {
         location: { x, y },
         priority: 2,
       });
@@ -1106,13 +1165,20 @@ export class AIPlayer {
 
     if (availableVillagers.length === 0) return;
 
-    // Process highest priority building first
-    const buildingTask = this.state.buildQueue[0];
-
-    // Check if we can afford it
-    const buildingConfig = config.BUILDINGS[buildingTask.type];
+    // Process the highest priority building we can afford, so one short
+    // of a resource doesn't hold up the rest
+    const resourceManager = this.game.getSystem("resourceManager");
+    const buildingTask = this.state.buildQueue.find((task) =>
+      this.player.resources.canAfford(
+        resourceManager.getBuildingCost(
+          task.type,
+          this.player.age,
+          this.getOwnerKey()
+        )
+      )
+    );
 
-    if (!this.player.resources.canAfford(buildingConfig.cost)) {
+    if (!buildingTask) {
       return;
     }
 
@@ -1140,19 +1206,16 @@ export class AIPlayer {
     buildingTask.assignedWorkers = assignedVillagers.map((v) => v.id);
     buildingTask.status = "in_progress";
 
-    // Command villagers to build
-    this.game.entityManager.executeCommand(
-      "build",
-      assignedVillagers.map((v) => v.id),
-      {
-        buildingType: buildingTask.type,
-        x: buildLocation.x,
-        y: buildLocation.y,
-      }
-    );
+    // Lay the foundation and send the villagers to build it
+    this.issueCommand("placeBuilding", [], {
+      buildingType: buildingTask.type,
+      x: buildLocation.x,
+      y: buildLocation.y,
+      builderIds: assignedVillagers.map((v) => v.id),
+    });
 
     // Remove from queue
-    this.state.buildQueue.shift();
+    this.state.buildQueue.splice(this.state.buildQueue.indexOf(buildingTask), 1);
   }
 
   /**
@@ -1162,9 +1225,14 @@ export class AIPlayer {
     if (this.state.unitQueue.length === 0) return;
 
     // Find military buildings that can train units
-    const militaryBuildings = this.game.entityManager
+    const entityManager = this.game.entityManager;
+    const militaryBuildings = entityManager
       .getEntitiesByOwner(this.playerId)
-      .filter((entity) => entity.type === "building" && entity.canTrainUnits);
+      .filter(
+        (entity) =>
+          entity.type === "building" &&
+          entityManager.getTrainableUnits(entity).length > 0
+      );
 
     if (militaryBuildings.length === 0) return;
 
@@ -1172,16 +1240,19 @@ export class AIPlayer {
     const unitTask = this.state.unitQueue[0];
 
     // Check if we can afford it
-    const unitConfig = config.UNITS[unitTask.type];
+    const cost = this.game
+      .getSystem("resourceManager")
+      .getUnitCost(unitTask.type, this.player.age, this.getOwnerKey());
 
-    if (!this.player.resources.canAfford(unitConfig.cost)) {
+    if (!this.player.resources.canAfford(cost)) {
       return;
     }
 
     // Find a building that can train this unit
     const building = militaryBuildings.find(
       (b) =>
-        b.trainsUnits && b.trainsUnits.includes(unitTask.type) && !b.isTraining
+        entityManager.getTrainableUnits(b).includes(unitTask.type) &&
+        b.productionQueue.length === 0
     );
 
     if (!building) {
@@ -1189,7 +1260,7 @@ export class AIPlayer {
     }
 
     // Train the unit
-    this.game.entityManager.executeCommand("train", [building.id], {
+    this.issueCommand("train", [building.id], {
       unitType: unitTask.type,
     });
 
@@ -1218,14 +1289,13 @@ export class AIPlayer {
    * Organize military units into tactical groups
    */
   organizeTacticalGroups() {
-    // Get all military units
+    // Get all military units not already in a group
     const militaryUnits = this.game.entityManager
       .getEntitiesByOwner(this.playerId)
       .filter(
         (entity) =>
-          entity.type === "unit" &&
-          entity.unitType !== "villager" &&
-          entity.unitType !== "scout"
+          this.isLandSoldier(entity) &&
+          !this.isUnitInTacticalGroup(entity.id)
       );
 
     if (militaryUnits.length < this.params.groupSizeThreshold) {
@@ -1268,9 +1338,10 @@ export class AIPlayer {
       if (groupUnits.length >= this.params.groupSizeThreshold) {
         // Create the tactical group
         const group = {
-          id: `group_${Date.now()}`,
+          id: `group_${this.game.tick}_${newGroups.length}`,
           units: groupUnits.map((u) => u.id),
           state: "forming", // forming, assembled, moving, attacking, retreating
+          formedAt: this.game.gameTime,
           target: null,
           assemblyPoint: this.getAssemblyPoint(),
           formation: this.chooseFormation(),
@@ -1364,7 +1435,7 @@ export class AIPlayer {
 
     // Count units at assembly point
     let unitsAtAssembly = 0;
-    const assemblyRange = 100; // Distance considered "at assembly point"
+    const assemblyRange = 3; // Distance considered "at assembly point" (tiles)
 
     for (const unit of groupUnits) {
       const distance = Utils.distance(
@@ -1379,8 +1450,12 @@ export class AIPlayer {
       }
     }
 
-    // If most units have assembled, transition to assembled state
-    if (unitsAtAssembly >= groupUnits.length * 0.7) {
+    // If most units have assembled, transition to assembled state; after a
+    // minute, stragglers that can't get there don't hold the rest up
+    if (
+      unitsAtAssembly >= groupUnits.length * 0.7 ||
+      this.game.gameTime - group.formedAt > 60000
+    ) {
       group.state = "assembled";
 
       // Apply formation
@@ -1437,7 +1512,7 @@ export class AIPlayer {
 
     // Count units at target location
     let unitsAtTarget = 0;
-    const targetRange = 150; // Distance considered "at target"
+    const targetRange = 4; // Distance considered "at target" (tiles)
 
     for (const unit of groupUnits) {
       const distance = Utils.distance(
@@ -1447,7 +1522,8 @@ export class AIPlayer {
         group.target.y
       );
 
-      if (distance <= targetRange) {
+      // Units that stopped short got as close as the ground lets them
+      if (distance <= targetRange || unit.state === "idle") {
         unitsAtTarget++;
       }
     }
@@ -1458,10 +1534,12 @@ export class AIPlayer {
       const enemies = this.game.entityManager.getEntitiesInCircle(
         group.target.x,
         group.target.y,
-        200,
+        6, // Tiles
         (entity) =>
-          entity.owner !== this.playerId &&
-          (entity.type === "unit" || entity.type === "building")
+          this.isEnemy(entity) &&
+          (entity.type === "unit" || entity.type === "building") &&
+          !entity.naval &&
+          this.canSee(entity)
       );
 
       if (enemies.length > 0) {
@@ -1520,15 +1598,24 @@ export class AIPlayer {
       return;
     }
 
-    // Check if group needs to retreat
-    const groupUnits = this.getGroupUnits(group);
+    // Save wounded veterans before they are lost with their ranks
+    const groupUnits = this.pullBackVeterans(group);
+    if (groupUnits.length === 0) {
+      this.disbandTacticalGroup(group);
+      return;
+    }
+
+    // Check if group needs to retreat, weighting veterans' health more
     let averageHealth = 0;
+    let totalWeight = 0;
 
     for (const unit of groupUnits) {
-      averageHealth += unit.hp / unit.maxHP;
+      const weight = 1 + (unit.veterancy || 0);
+      averageHealth += (unit.hp / unit.maxHp) * weight;
+      totalWeight += weight;
     }
 
-    averageHealth /= groupUnits.length;
+    averageHealth /= totalWeight;
 
     if (averageHealth < this.params.retreatHealthThreshold) {
       // Group is too damaged, retreat
@@ -1538,6 +1625,41 @@ export class AIPlayer {
     }
   }
 
+  /**
+   * Send badly wounded veterans in an attacking group home on their own,
+   * dropping them from the group
+   * @param {Object} group - The tactical group
+   * @returns {Array<Entity>} Units still in the group
+   */
+  pullBackVeterans(group) {
+    const groupUnits = this.getGroupUnits(group);
+
+    // Higher ranks are worth pulling out sooner
+    const wounded = groupUnits.filter(
+      (unit) =>
+        unit.veterancy > 0 &&
+        unit.hp / unit.maxHp <
+          this.params.retreatHealthThreshold * (1 + unit.veterancy * 0.25)
+    );
+    if (wounded.length === 0) return groupUnits;
+
+    const retreat = this.getRetreatLocation();
+    this.issueCommand(
+      "move",
+      wounded.map((u) => u.id),
+      {
+        x: retreat.x,
+        y: retreat.y,
+      }
+    );
+
+    group.units = group.units.filter(
+      (id) => !wounded.some((unit) => unit.id === id)
+    );
+
+    return groupUnits.filter((unit) => !wounded.includes(unit));
+  }
+
   /**
    * Update a retreating tactical group
    * @param {Object} group - The tactical group
@@ -1583,6 +1705,24 @@ export class AIPlayer {
     }
   }
 
+  /**
+   * Queue an order for some of the AI's entities. It goes through the command
+   * queue like a player's orders, so replays and multiplayer see it too, and
+   * is marked as the AI's so it isn't counted as a player action.
+   * @param {string} type - Command type
+   * @param {Array<string>} entityIds - IDs of the entities to order
+   * @param {Object} params - Command fields, such as x and y or targetId
+   */
+  issueCommand(type, entityIds, params = {}) {
+    this.game.entityManager.queueCommand({
+      ...params,
+      type: type,
+      entityIds: entityIds,
+      playerId: this.playerId,
+      source: "ai",
+    });
+  }
+
   /**
    * Command a tactical group to assemble at the assembly point
    * @param {Object} group - The tactical group
@@ -1591,7 +1731,7 @@ export class AIPlayer {
     const groupUnits = this.getGroupUnits(group);
 
     // Command units to move to assembly point
-    this.game.entityManager.executeCommand(
+    this.issueCommand(
       "move",
       groupUnits.map((u) => u.id),
       {
@@ -1611,7 +1751,7 @@ export class AIPlayer {
     const groupUnits = this.getGroupUnits(group);
 
     // Command units to move to target
-    this.game.entityManager.executeCommand(
+    this.issueCommand(
       "move",
       groupUnits.map((u) => u.id),
       {
@@ -1633,7 +1773,7 @@ export class AIPlayer {
 
     // If target is an entity, use attack command
     if (group.target.entityId) {
-      this.game.entityManager.executeCommand(
+      this.issueCommand(
         "attack",
         groupUnits.map((u) => u.id),
         {
@@ -1642,7 +1782,7 @@ export class AIPlayer {
       );
     } else {
       // Otherwise use attack-move command
-      this.game.entityManager.executeCommand(
+      this.issueCommand(
         "attackMove",
         groupUnits.map((u) => u.id),
         {
@@ -1663,8 +1803,8 @@ export class AIPlayer {
     const groupUnits = this.getGroupUnits(group);
 
     // Set formation
-    this.game.entityManager.executeCommand(
-      "setFormation",
+    this.issueCommand(
+      "formation",
       groupUnits.map((u) => u.id),
       {
         formation: group.formation,
@@ -1681,14 +1821,22 @@ export class AIPlayer {
       return { x: this.game.map.width / 2, y: this.game.map.height / 2 };
     }
 
-    // Get a point near the base, but not too close
+    // Get a point near the base, but not too close (in tiles)
     const base = this.state.baseLocation;
     const angle = Utils.randFloat(0, Math.PI * 2);
-    const distance = Utils.randFloat(200, 300);
+    const distance = Utils.randFloat(4, 6);
 
     return {
-      x: base.x + Math.cos(angle) * distance,
-      y: base.y + Math.sin(angle) * distance,
+      x: Utils.clamp(
+        base.x + Math.cos(angle) * distance,
+        0,
+        this.game.map.width - 1
+      ),
+      y: Utils.clamp(
+        base.y + Math.sin(angle) * distance,
+        0,
+        this.game.map.height - 1
+      ),
     };
   }
 
@@ -1738,28 +1886,29 @@ export class AIPlayer {
       return this.getLatestAttackLocation();
     }
 
+    // While the ice holds, go for what it puts within reach
+    if (this.isWinterOffensive()) {
+      const target = this.findWinterTarget(group);
+      if (target) return target;
+    }
+
     // Check if we should be aggressive
-    if (Utils.randFloat(0, 1) < this.personality.aggressiveness) {
-      // Find enemy buildings to attack
-      const enemyBuildings = this.game.entityManager
-        .getAllEntities()
-        .filter(
-          (entity) =>
-            entity.owner !== this.playerId && entity.type === "building"
-        );
+    if (Utils.randFloat(0, 1) < this.getAggressiveness()) {
+      // Find enemy buildings to attack, as far as our scouting knows
+      const enemyBuildings = this.getKnownEnemyBuildings();
 
       if (enemyBuildings.length > 0) {
         // Sort by priority and distance
         const sortedBuildings = enemyBuildings.sort((a, b) => {
           // Prioritize economic buildings
           const aIsEconomic =
-            a.buildingType === "townCenter" ||
-            a.buildingType === "mill" ||
-            a.buildingType === "lumberCamp";
+            a.buildingType === "town_center" ||
+            a.buildingType === "granary" ||
+            a.buildingType === "lumber_mill";
           const bIsEconomic =
-            b.buildingType === "townCenter" ||
-            b.buildingType === "mill" ||
-            b.buildingType === "lumberCamp";
+            b.buildingType === "town_center" ||
+            b.buildingType === "granary" ||
+            b.buildingType === "lumber_mill";
 
           if (aIsEconomic && !bIsEconomic) return -1;
           if (!aIsEconomic && bIsEconomic) return 1;
@@ -1811,14 +1960,16 @@ export class AIPlayer {
       groupUnits.reduce((sum, u) => sum + u.y, 0) / groupUnits.length;
 
     // Look for enemies within range
-    const searchRadius = 300;
+    const searchRadius = 8; // Tiles
     const enemies = this.game.entityManager.getEntitiesInCircle(
       centerX,
       centerY,
       searchRadius,
       (entity) =>
-        entity.owner !== this.playerId &&
-        (entity.type === "unit" || entity.type === "building")
+        this.isEnemy(entity) &&
+        (entity.type === "unit" || entity.type === "building") &&
+        !entity.naval &&
+        this.canSee(entity)
     );
 
     if (enemies.length === 0) return null;
@@ -1852,8 +2003,8 @@ export class AIPlayer {
 
       const angle = Utils.randFloat(0, Math.PI * 2);
       const distance = Utils.randFloat(
-        this.params.expansionRadius * 32,
-        this.params.expansionRadius * 64
+        this.params.expansionRadius,
+        this.params.expansionRadius * 2
       );
 
       const targetX = baseX + Math.cos(angle) * distance;
@@ -1861,8 +2012,8 @@ export class AIPlayer {
 
       // Clamp to map boundaries
       return {
-        x: Utils.clamp(targetX, 0, this.game.map.width),
-        y: Utils.clamp(targetY, 0, this.game.map.height),
+        x: Utils.clamp(targetX, 0, this.game.map.width - 1),
+        y: Utils.clamp(targetY, 0, this.game.map.height - 1),
       };
     }
 
@@ -1895,7 +2046,7 @@ export class AIPlayer {
     // Check if we have a recent attack
     if (
       !this.state.lastAttackPosition ||
-      Date.now() - this.state.lastAttackTime > 60000
+      this.game.gameTime - this.state.lastAttackTime > 60000
     ) {
       return null;
     }
@@ -1918,6 +2069,9 @@ export class AIPlayer {
 
     // Check if we need more drop-off buildings
     this.checkDropOffBuildings();
+
+    // Docks and fishing boats on water maps
+    this.checkNavalEconomy();
   }
 
   /**
@@ -1963,12 +2117,12 @@ export class AIPlayer {
     ) {
       // Find a town center
       const townCenters = this.game.entityManager.getEntitiesByTypeAndOwner(
-        "townCenter",
+        "town_center",
         this.playerId
       );
 
       if (townCenters.length > 0 && !townCenters[0].isTraining) {
-        this.game.entityManager.executeCommand("train", [townCenters[0].id], {
+        this.issueCommand("train", [townCenters[0].id], {
           unitType: "villager",
         });
       }
@@ -2094,8 +2248,8 @@ export class AIPlayer {
 
     // Check what each villager is gathering
     for (const villager of villagers) {
-      if (villager.gathering && villager.gatheringType) {
-        const resourceType = villager.gatheringType;
+      const resourceType = this.getGatheringType(villager);
+      if (resourceType) {
 
         if (this.state.resourceGatherers[resourceType]) {
           this.state.resourceGatherers[resourceType].push(villager.id);
@@ -2210,6 +2364,9 @@ export class AIPlayer {
     // Sort by weight (higher weight = more important)
     targetsAndWeights.sort((a, b) => b.weight - a.weight);
 
+    // Nothing else we know of to gather
+    if (targetsAndWeights.length === 0) return;
+
     // Reassign gatherers
     for (let i = 0; i < gatherers.length; i++) {
       const target = targetsAndWeights[i % targetsAndWeights.length];
@@ -2244,6 +2401,18 @@ export class AIPlayer {
     }
   }
 
+  /**
+   * Get the resource a villager is gathering
+   * @param {Entity} villager - Villager
+   * @returns {string|null} Resource type, or null if not gathering
+   */
+  getGatheringType(villager) {
+    const job = villager.currentJob;
+    return job && job.type === "gather" && job.target
+      ? job.target.resourceType
+      : null;
+  }
+
   /**
    * Get idle villagers (not gathering or building)
    * @returns {Array<Entity>} Idle villagers
@@ -2264,20 +2433,16 @@ export class AIPlayer {
    * Check if we need to expand to new resource locations
    */
   checkResourceExpansion() {
-    const currentPhase = this.state.phase;
-
-    // In mid and late game, look for more resources
-    if (currentPhase === "mid" || currentPhase === "late") {
-      // Check if we're low on any critical resource type
-      const resourceTypes = ["food", "wood", "gold", "stone", "iron"];
+    // Look for more resources whenever we know few of a type; the ones
+    // around the base only show up once our fog there has cleared
+    const resourceTypes = ["food", "wood", "gold", "stone", "iron"];
 
-      for (const type of resourceTypes) {
-        const availableResources = this.state.resourceLocations[type];
+    for (const type of resourceTypes) {
+      const availableResources = this.state.resourceLocations[type];
 
-        // If we have few resources of this type, look for more
-        if (availableResources.length < 2) {
-          this.scanForNewResources(type);
-        }
+      // If we have few resources of this type, look for more
+      if (availableResources.length < 2) {
+        this.scanForNewResources(type);
       }
     }
   }
@@ -2298,7 +2463,9 @@ export class AIPlayer {
       base.y,
       scanRadius,
       (entity) =>
-        entity.type === "resource" && entity.resourceType === resourceType
+        entity.type === "resource" &&
+        entity.resourceType === resourceType &&
+        this.canSee(entity)
     );
 
     // Filter out resources we already know about
@@ -2354,17 +2521,16 @@ export class AIPlayer {
 
     switch (resourceType) {
       case "food":
-        buildingType = "mill";
+        buildingType = "granary";
         break;
       case "wood":
-        buildingType = "lumberCamp";
+        buildingType = "lumber_mill";
         break;
       case "gold":
-      case "stone":
-      case "iron":
-        buildingType = "miningCamp";
+        buildingType = "market";
         break;
       default:
+        // Stone and iron go back to the town center
         return;
     }
 
@@ -2413,7 +2579,9 @@ export class AIPlayer {
       "villager",
       this.playerId
     );
-    const gatheringVillagers = villagers.filter((v) => v.gathering);
+    const gatheringVillagers = villagers.filter((v) =>
+      this.getGatheringType(v)
+    );
 
     if (gatheringVillagers.length < 5) return;
 
@@ -2426,7 +2594,7 @@ export class AIPlayer {
 
       // Get gatherers of this type
       const gatherers = gatheringVillagers.filter(
-        (v) => v.gatheringType === type
+        (v) => this.getGatheringType(v) === type
       );
 
       if (gatherers.length < 3) continue; // Not enough gatherers to bother
@@ -2453,7 +2621,7 @@ export class AIPlayer {
       if (dropOffNeeds[type]) {
         // Find a central location for the gatherers
         const gatherers = gatheringVillagers.filter(
-          (v) => v.gatheringType === type
+          (v) => this.getGatheringType(v) === type
         );
         const centerX =
           gatherers.reduce((sum, v) => sum + v.x, 0) / gatherers.length;
@@ -2465,17 +2633,16 @@ export class AIPlayer {
 
         switch (type) {
           case "food":
-            buildingType = "mill";
+            buildingType = "granary";
             break;
           case "wood":
-            buildingType = "lumberCamp";
+            buildingType = "lumber_mill";
             break;
           case "gold":
-          case "stone":
-          case "iron":
-            buildingType = "miningCamp";
+            buildingType = "market";
             break;
           default:
+            // Stone and iron go back to the town center
             continue;
         }
 
@@ -2504,18 +2671,15 @@ export class AIPlayer {
    * @returns {Object|null} Location coordinates
    */
   findBuildingLocationNear(buildingType, x, y) {
-    const buildingConfig = config.BUILDINGS[buildingType];
+    const buildingConfig = config.STATS.BUILDINGS[buildingType.toUpperCase()];
     if (!buildingConfig) return null;
 
-    const width = buildingConfig.width;
-    const height = buildingConfig.height;
-
-    // Try concentric circles outward
-    for (let radius = 64; radius <= 256; radius += 64) {
+    // Try concentric circles outward (in tiles)
+    for (let radius = 2; radius <= 8; radius += 2) {
       const points = this.getPointsInCircle(x, y, radius, 8);
 
       for (const point of points) {
-        if (this.game.map.canPlaceBuilding(point.x, point.y, width, height)) {
+        if (this.canPlaceBuilding(buildingType, point)) {
           return point;
         }
       }
@@ -2539,6 +2703,143 @@ export class AIPlayer {
 
     // Check if we need to research military upgrades
     this.checkMilitaryResearch();
+
+    // Warships and transports on water maps
+    this.checkNavalMilitary();
+  }
+
+  /**
+   * Build a dock and fishing boats when the map has reachable fish
+   */
+  checkNavalEconomy() {
+    const naval = this.game.getSystem("naval");
+    if (!naval || !this.state.baseLocation || !this.game.map.hasWater()) {
+      return;
+    }
+
+    const owner = this.getOwnerKey();
+    const docks = naval.getDocks(owner, false);
+
+    if (docks.length === 0) {
+      const builders = this.getIdleVillagers().slice(0, 2);
+      if (builders.length === 0) return;
+
+      const site = naval.findDockSite(
+        this.state.baseLocation.x,
+        this.state.baseLocation.y
+      );
+      if (site) {
+        this.game.entityManager.buildDock(
+          site.x,
+          site.y,
+          builders,
+          this.playerId
+        );
+      }
+      return;
+    }
+
+    const dock = docks.find(
+      (building) => building.constructed && building.productionQueue.length === 0
+    );
+    if (!dock) return;
+
+    // Only fish if there is fish the dock can reach
+    const boats = naval.getShips(owner, "fishing_boat");
+    if (boats.length > 0 && !boats.some((boat) => naval.fishing[boat.id])) {
+      return;
+    }
+
+    // Economic AIs run more boats
+    const maxBoats = Math.round(2 + this.personality.economyFocus * 3);
+    if (boats.length < maxBoats) {
+      this.game.entityManager.trainShip(dock.id, "fishing_boat", this.playerId);
+    }
+  }
+
+  /**
+   * Match enemy warships, and ferry an army across when the enemy can't be
+   * reached on foot
+   */
+  checkNavalMilitary() {
+    const naval = this.game.getSystem("naval");
+    if (!naval || !this.state.baseLocation || !this.game.map.hasWater()) {
+      return;
+    }
+
+    const owner = this.getOwnerKey();
+    const dock = naval
+      .getDocks(owner)
+      .find((building) => building.productionQueue.length === 0);
+
+    // Keep pace with the biggest enemy fleet
+    const warships = naval.getShips(owner, "warship");
+    const enemyWarships = this.game.entityManager
+      .getAllEntities()
+      .filter(
+        (entity) =>
+          entity.active &&
+          entity.unitType === "warship" &&
+          this.isEnemy(entity) &&
+          this.canSee(entity)
+      );
+    if (dock && warships.length < enemyWarships.length) {
+      this.game.entityManager.trainShip(dock.id, "warship", this.playerId);
+      return;
+    }
+
+    // Only ferry troops when the enemy base is across water
+    const enemyBase = this.getKnownEnemyBuildings().find(
+      (ghost) => ghost.buildingType === "town_center"
+    );
+    if (!enemyBase) return;
+
+    const base = this.state.baseLocation;
+    const landPath = this.game.map.findPath(
+      Math.floor(base.x),
+      Math.floor(base.y),
+      Math.floor(enemyBase.x),
+      Math.floor(enemyBase.y)
+    );
+    if (landPath) return;
+
+    const transports = naval.getShips(owner, "transport");
+    if (transports.length === 0) {
+      if (dock) {
+        this.game.entityManager.trainShip(dock.id, "transport", this.playerId);
+      }
+      return;
+    }
+
+    const transport = transports.find((ship) => ship.state === "idle");
+    if (!transport) return;
+
+    const cargo = naval.cargo[transport.id] || [];
+    if (cargo.length >= naval.getCapacity(transport)) {
+      this.game.entityManager.unloadTransport(
+        [transport],
+        enemyBase.x,
+        enemyBase.y
+      );
+      return;
+    }
+
+    const passengers = this.game.entityManager
+      .getEntitiesByOwner(owner)
+      .filter(
+        (entity) =>
+          entity.active &&
+          entity.type === "unit" &&
+          !entity.naval &&
+          !entity.transportId &&
+          entity.unitType !== "villager" &&
+          entity.state === "idle" &&
+          !this.isUnitInTacticalGroup(entity.id)
+      )
+      .slice(0, naval.getCapacity(transport) - cargo.length);
+    if (passengers.length > 0) {
+      this.game.entityManager.loadTransport(passengers, transport);
+    }
   }
 
   /**
@@ -2595,13 +2896,15 @@ export class AIPlayer {
      */
   trainMilitaryUnits() {
     // Find military buildings
-    const militaryBuildings = this.game.entityManager
+    const entityManager = this.game.entityManager;
+    const militaryBuildings = entityManager
       .getEntitiesByOwner(this.playerId)
       .filter(
         (entity) =>
           entity.type === "building" &&
-          entity.canTrainUnits &&
-          !entity.isTraining
+          entity.buildingType !== "town_center" &&
+          entityManager.getTrainableUnits(entity).length > 0 &&
+          entity.productionQueue.length === 0
       );
 
     if (militaryBuildings.length === 0) return;
@@ -2618,9 +2921,7 @@ export class AIPlayer {
       .getEntitiesByOwner(this.playerId)
       .filter(
         (entity) =>
-          entity.type === "unit" &&
-          entity.unitType !== "villager" &&
-          entity.unitType !== "scout"
+          this.isLandSoldier(entity)
       );
 
     // Determine if we need more military
@@ -2663,22 +2964,14 @@ export class AIPlayer {
     // Decide what units to train
     const unitOptions = [];
 
-    // Get trainable units from each building
+    // Get the units each building can train for our civilization and age
     for (const building of militaryBuildings) {
-      if (building.trainsUnits) {
-        for (const unitType of building.trainsUnits) {
-          // Check if unit is available in current age
-          const unitConfig = config.UNITS[unitType];
-
-          if (unitConfig && unitConfig.requiredAge <= this.player.age) {
-            unitOptions.push({
-              type: unitType,
-              building: building,
-              preference:
-                this.personality.preferredMilitaryUnits[unitType] || 1.0,
-            });
-          }
-        }
+      for (const unitType of entityManager.getTrainableUnits(building)) {
+        unitOptions.push({
+          type: unitType,
+          building: building,
+          preference: this.personality.preferredMilitaryUnits[unitType] || 1.0,
+        });
       }
     }
 
@@ -2700,11 +2993,13 @@ export class AIPlayer {
     const chosen = unitOptions[chosenIndex];
 
     // Check if we can afford it
-    const unitConfig = config.UNITS[chosen.type];
+    const cost = this.game
+      .getSystem("resourceManager")
+      .getUnitCost(chosen.type, this.player.age, this.getOwnerKey());
 
-    if (this.player.resources.canAfford(unitConfig.cost)) {
+    if (this.player.resources.canAfford(cost)) {
       // Train the unit
-      this.game.entityManager.executeCommand("train", [chosen.building.id], {
+      this.issueCommand("train", [chosen.building.id], {
         unitType: chosen.type,
       });
     }
@@ -2730,9 +3025,7 @@ export class AIPlayer {
       .getEntitiesByOwner(this.playerId)
       .filter(
         (entity) =>
-          entity.type === "unit" &&
-          entity.unitType !== "villager" &&
-          entity.unitType !== "scout" &&
+          this.isLandSoldier(entity) &&
           !this.isUnitInTacticalGroup(entity.id)
       );
 
@@ -2783,6 +3076,7 @@ export class AIPlayer {
 
       // Reset group state to forming so units will gather at the assembly point
       targetGroup.state = "forming";
+      targetGroup.formedAt = this.game.gameTime;
       this.commandGroupToAssemble(targetGroup);
     }
   }
@@ -2858,13 +3152,9 @@ export class AIPlayer {
     // Research the first one
     const chosenTech = availableTechs[0];
 
-    this.game.entityManager.executeCommand(
-      "research",
-      [chosenTech.building.id],
-      {
-        technologyId: chosenTech.id,
-      }
-    );
+    this.issueCommand("research", [chosenTech.building.id], {
+      technologyId: chosenTech.id,
+    });
   }
 
   /**
@@ -2933,15 +3223,11 @@ export class AIPlayer {
   checkBasicBuildings() {
     // Check for basic resource buildings
     const lumberCamps = this.game.entityManager.getEntitiesByTypeAndOwner(
-      "lumberCamp",
+      "lumber_mill",
       this.playerId
     );
     const mills = this.game.entityManager.getEntitiesByTypeAndOwner(
-      "mill",
-      this.playerId
-    );
-    const miningCamps = this.game.entityManager.getEntitiesByTypeAndOwner(
-      "miningCamp",
+      "granary",
       this.playerId
     );
 
@@ -2950,21 +3236,12 @@ export class AIPlayer {
       lumberCamps.length === 0 &&
       this.state.resourceLocations.wood.length > 0
     ) {
-      this.queueBuilding("lumberCamp", { priority: 3 });
+      this.queueBuilding("lumber_mill", { priority: 3 });
     }
 
     // Check if we have food resources
     if (mills.length === 0 && this.state.resourceLocations.food.length > 0) {
-      this.queueBuilding("mill", { priority: 3 });
-    }
-
-    // Check if we have gold or stone resources
-    if (
-      miningCamps.length === 0 &&
-      (this.state.resourceLocations.gold.length > 0 ||
-        this.state.resourceLocations.stone.length > 0)
-    ) {
-      this.queueBuilding("miningCamp", { priority: 3 });
+      this.queueBuilding("granary", { priority: 3 });
     }
   }
 
@@ -3011,11 +3288,11 @@ export class AIPlayer {
 
     // Check for blacksmith
     const blacksmith = this.game.entityManager.getEntitiesByTypeAndOwner(
-      "blacksmith",
+      "forge",
       this.playerId
     );
     if (blacksmith.length === 0) {
-      this.queueBuilding("blacksmith", { priority: 2 });
+      this.queueBuilding("forge", { priority: 2 });
     }
   }
 
@@ -3047,7 +3324,7 @@ export class AIPlayer {
       Utils.randFloat(0, 1) < this.personality.riskTaking
     ) {
       // Only occasionally check for wonders
-      if (Math.random() < 0.1) {
+      if (this.game.random.next() < 0.1) {
         this.planWonder();
       }
     }
@@ -3058,7 +3335,7 @@ export class AIPlayer {
    */
   checkDefensiveBuildings() {
     // Skip if we've recently checked
-    const now = Date.now();
+    const now = this.game.gameTime;
     if (this.lastDefensiveCheck && now - this.lastDefensiveCheck < 60000) {
       return;
     }
@@ -3069,7 +3346,7 @@ export class AIPlayer {
     if (this.state.underAttack || this.state.phase !== "early") {
       // Check for watchtowers
       const watchtowers = this.game.entityManager.getEntitiesByTypeAndOwner(
-        "watchtower",
+        "tower",
         this.playerId
       );
 
@@ -3155,7 +3432,7 @@ export class AIPlayer {
 
       // Check if location is valid
       if (this.isSuitableBuildLocation(x, y)) {
-        this.queueBuilding("watchtower", {
+        this.queueBuilding("tower", {
           location: { x, y },
           priority: this.state.underAttack ? 3 : 2,
         });
@@ -3182,7 +3459,7 @@ export class AIPlayer {
     if (this.state.phase === "early") return;
 
     const townCenters = this.game.entityManager.getEntitiesByTypeAndOwner(
-      "townCenter",
+      "town_center",
       this.playerId
     );
 
@@ -3219,7 +3496,7 @@ export class AIPlayer {
       const expansionLocation = this.findExpansionLocation();
 
       if (expansionLocation) {
-        this.queueBuilding("townCenter", {
+        this.queueBuilding("town_center", {
           location: expansionLocation,
           priority: 3,
         });
@@ -3289,7 +3566,7 @@ export class AIPlayer {
       x,
       y,
       searchRadius,
-      (entity) => entity.type === "resource"
+      (entity) => entity.type === "resource" && this.canSee(entity)
     );
 
     // Score based on resource types and amounts
@@ -3322,12 +3599,9 @@ export class AIPlayer {
       score += resourceValue * distanceFactor * (resource.amount / 1000);
     }
 
-    // Subtract score for nearby enemy buildings
-    const enemyBuildings = this.game.entityManager.getEntitiesInCircle(
-      x,
-      y,
-      searchRadius * 1.5,
-      (entity) => entity.type === "building" && entity.owner !== this.playerId
+    // Subtract score for enemy buildings we know are nearby
+    const enemyBuildings = this.getKnownEnemyBuildings().filter(
+      (ghost) => Utils.distance(x, y, ghost.x, ghost.y) <= searchRadius * 1.5
     );
 
     for (const building of enemyBuildings) {
@@ -3367,12 +3641,12 @@ export class AIPlayer {
 
     // Buildings per resource type
     this.checkResourceBuildingType(
-      "mill",
+      "granary",
       "food",
       Math.ceil(1 + villagerFactor)
     );
     this.checkResourceBuildingType(
-      "lumberCamp",
+      "lumber_mill",
       "wood",
       Math.ceil(1 + villagerFactor)
     );
@@ -3445,19 +3719,19 @@ export class AIPlayer {
    */
   checkAgeAdvancement() {
     const currentAge = this.player.age;
-    const maxAge = config.AGE_NAMES.length - 1;
+    const maxAge = config.AGES.NAMES.length - 1;
 
     // If already at max age, nothing to do
     if (currentAge >= maxAge) return;
 
     // Check if we meet requirements for next age
     const nextAge = currentAge + 1;
-    const ageReqs = config.AGE_REQUIREMENTS[nextAge];
+    const ageReqs = config.AGES.REQUIREMENTS[nextAge];
 
     if (!ageReqs) return;
 
     // Check resource requirements
-    if (!this.player.resources.canAfford(ageReqs.resources)) {
+    if (!this.player.resources.canAfford(ageReqs)) {
       return;
     }
 
@@ -3535,13 +3809,9 @@ export class AIPlayer {
     // Research the highest scoring tech
     const chosenTech = availableTechs[0];
 
-    this.game.entityManager.executeCommand(
-      "research",
-      [chosenTech.building.id],
-      {
-        technologyId: chosenTech.id,
-      }
-    );
+    this.issueCommand("research", [chosenTech.building.id], {
+      technologyId: chosenTech.id,
+    });
   }
 
   /**
@@ -3635,7 +3905,7 @@ export class AIPlayer {
    */
   updateScouting() {
     // Only scout periodically
-    const now = Date.now();
+    const now = this.game.gameTime;
     if (this.lastScoutUpdate && now - this.lastScoutUpdate < 30000) {
       return;
     }
@@ -3712,7 +3982,7 @@ export class AIPlayer {
 
       if (targetPoint) {
         // Command scout party to move
-        this.game.entityManager.executeCommand(
+        this.issueCommand(
           "move",
           scoutParty.map((u) => u.id),
           {
@@ -3729,9 +3999,17 @@ export class AIPlayer {
    * @returns {Object} Target coordinates
    */
   getStrategicScoutingPoint() {
-    // Check for key resources first
+    // Look again at enemy buildings we haven't seen in a while
+    const stale = this.getStaleGhosts()[0];
+    if (stale) {
+      stale.scoutedAt = this.game.gameTime;
+      return { x: stale.x, y: stale.y };
+    }
+
+    // Check for key resources we know of
     const goldResources = this.game.map.resources.filter(
-      (r) => r.resourceType === "gold" && r.amount > 0
+      (r) =>
+        r.resourceType === "gold" && r.amount > 0 && this.isExplored(r.x, r.y)
     );
 
     if (goldResources.length > 0) {
@@ -3740,7 +4018,7 @@ export class AIPlayer {
     }
 
     // Check for unexplored areas if fog of war is enabled
-    if (this.game.map.fogOfWar) {
+    if (this.game.getSystem("fogOfWar")) {
       // Prefer areas not yet explored
       const mapWidth = this.game.map.width;
       const mapHeight = this.game.map.height;
@@ -3750,7 +4028,7 @@ export class AIPlayer {
         const x = Utils.randFloat(0, mapWidth);
         const y = Utils.randFloat(0, mapHeight);
 
-        if (!this.game.map.fogOfWar.isExplored(x, y, this.playerId)) {
+        if (!this.isExplored(x, y)) {
           return { x, y };
         }
       }
@@ -3768,10 +4046,11 @@ export class AIPlayer {
    */
   updateDefenses() {
     // Check if still under attack
-    const now = Date.now();
+    const now = this.game.gameTime;
     if (this.state.underAttack && now - this.state.lastAttackTime > 60000) {
       // No attacks in the last minute, clear attack state
       this.state.underAttack = false;
+      this.releaseTownBells();
     }
 
     // Update defensive posture
@@ -3794,9 +4073,7 @@ export class AIPlayer {
         .getEntitiesByOwner(this.playerId)
         .filter(
           (entity) =>
-            entity.type === "unit" &&
-            entity.unitType !== "villager" &&
-            entity.unitType !== "scout" &&
+            this.isLandSoldier(entity) &&
             entity.state !== "defending"
         );
 
@@ -3805,7 +4082,7 @@ export class AIPlayer {
         // Move to attack location
         if (this.state.lastAttackPosition) {
           // Command units to attack-move to position
-          this.game.entityManager.executeCommand(
+          this.issueCommand(
             "attackMove",
             militaryUnits.map((u) => u.id),
             {
@@ -3911,23 +4188,345 @@ export class AIPlayer {
    * Update diplomacy with other players
    */
   updateDiplomacy() {
-    // This would handle trade, alliances, etc.
-    // For now, just handle resource trading if market exists
+    const diplomacy = this.game.getSystem("diplomacy");
+    if (diplomacy && !diplomacy.lockTeams) {
+      this.answerProposals(diplomacy);
+      this.considerAlliances(diplomacy);
+    }
+
+    // Handle resource trading if market exists
     this.handleResourceTrading();
   }
 
+  /**
+   * Get the difficulty settings that govern cheating (map reveal, see all)
+   * @param {string} difficulty - Difficulty level
+   * @returns {Object} Settings from AIDifficulty, or none if it isn't loaded
+   */
+  getDifficultySettings(difficulty) {
+    if (typeof window === "undefined" || typeof window.AIDifficulty !== "function") {
+      return {};
+    }
+    return new window.AIDifficulty().getSettings(difficulty);
+  }
+
+  /**
+   * Check whether this AI may ignore the fog of war
+   * @returns {boolean} True only on difficulties that enable "see all"
+   */
+  canSeeAll() {
+    return !!this.difficultySettings.seeAll;
+  }
+
+  /**
+   * Give the AI the map layout up front on difficulties that reveal it.
+   * Tiles become explored, not visible, so enemies still need scouting.
+   */
+  applyDifficultyVision() {
+    const fogOfWar = this.game.getSystem("fogOfWar");
+    if (fogOfWar && this.difficultySettings.revealMap) {
+      fogOfWar.exploreMap(this.getOwnerKey());
+    }
+  }
+
+  /**
+   * Get the owner key used for this AI's entities and fog layer
+   * @returns {string|null} Owner key
+   */
+  getOwnerKey() {
+    return this.game.getOwnerKey(this.playerId);
+  }
+
+  /**
+   * Wrap the engine's player record with the stockpile, age and population
+   * the AI reads, each taken from the system that keeps it
+   * @param {Object} player - Player {id, civilization, ...}
+   * @returns {Object} Player view
+   */
+  createPlayerView(player) {
+    const game = this.game;
+    const owner = game.getOwnerKey(this.playerId);
+    const playerId = this.playerId;
+
+    return {
+      ...player,
+
+      get resources() {
+        const resourceManager = game.getSystem("resourceManager");
+        const rates = resourceManager.rates[owner] || {
+          income: {},
+          expense: {},
+        };
+
+        return {
+          getResource: (type) => resourceManager.getResource(type, owner),
+          getResourceRate: (type) =>
+            (rates.income[type] || 0) - (rates.expense[type] || 0),
+          canAfford: (cost) => resourceManager.canAffordResources(cost, owner),
+        };
+      },
+
+      get age() {
+        const ageSystem = game.getSystem("ageSystem");
+        return ageSystem ? ageSystem.getPlayerAge(playerId) : 0;
+      },
+
+      // Living units
+      getCurrentPopulation() {
+        return game.entityManager
+          .getEntitiesByOwner(owner)
+          .filter((entity) => entity instanceof Unit).length;
+      },
+
+      // Population room given by finished buildings
+      getMaxPopulation() {
+        const room = game.entityManager
+          .getEntitiesByOwner(owner)
+          .filter((entity) => entity.constructed)
+          .reduce((total, entity) => total + (entity.populationSupport || 0), 0);
+
+        return Math.min(room, config.MAX_POPULATION || 200);
+      },
+
+      hasBuildingType(buildingType) {
+        return game.entityManager
+          .getEntitiesByTypeAndOwner(buildingType, owner)
+          .some((building) => building.constructed);
+      },
+
+      startAgeAdvancement() {
+        const ageSystem = game.getSystem("ageSystem");
+        if (ageSystem) ageSystem.startAdvancingAge(playerId);
+      },
+    };
+  }
+
+  /**
+   * Check whether this AI has explored a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if explored (or there's no fog)
+   */
+  isExplored(x, y) {
+    const fogOfWar = this.game.getSystem("fogOfWar");
+    const owner = this.getOwnerKey();
+    if (this.canSeeAll() || !fogOfWar || !fogOfWar.visibility[owner]) {
+      return true;
+    }
+
+    return fogOfWar.isExplored(Math.floor(x), Math.floor(y), owner);
+  }
+
+  /**
+   * Check whether this AI can perceive an entity through its own fog
+   * @param {Entity} entity - Entity to look at
+   * @returns {boolean} True if the entity is ours or in sight
+   */
+  canSee(entity) {
+    if (!entity) return false;
+    if (this.canSeeAll()) return true;
+
+    const owner = this.getOwnerKey();
+    if (entity.owner === owner || entity.owner === this.playerId) return true;
+
+    const fogOfWar = this.game.getSystem("fogOfWar");
+    if (!fogOfWar || !fogOfWar.visibility[owner]) return true;
+
+    // Resources don't move, so having explored their spot is enough
+    if (entity.type === "resource") return this.isExplored(entity.x, entity.y);
+
+    return fogOfWar.canSee(owner, entity);
+  }
+
+  /**
+   * Remember enemy buildings in sight as ghosts, and forget ghosts whose
+   * spot is in sight again with the building gone
+   */
+  updatePerception() {
+    const now = this.game.gameTime;
+    const ghosts = this.state.ghosts;
+
+    for (const building of this.game.entityManager.getEntitiesByType("building")) {
+      if (!building.active || !this.isEnemy(building) || !this.canSee(building)) {
+        continue;
+      }
+
+      ghosts[building.id] = {
+        id: building.id,
+        x: building.x,
+        y: building.y,
+        buildingType: building.buildingType,
+        owner: building.owner,
+        lastSeen: now,
+        scoutedAt: null,
+      };
+    }
+
+    const fogOfWar = this.game.getSystem("fogOfWar");
+    const owner = this.getOwnerKey();
+    for (const id in ghosts) {
+      const ghost = ghosts[id];
+      if (ghost.lastSeen === now) continue;
+
+      const inSight =
+        this.canSeeAll() ||
+        !fogOfWar ||
+        fogOfWar.isVisible(Math.floor(ghost.x), Math.floor(ghost.y), owner);
+      if (inSight) delete ghosts[id];
+    }
+  }
+
+  /**
+   * Get the enemy buildings this AI knows about, as last seen
+   * @returns {Array<Object>} Ghosts {id, x, y, buildingType, owner, lastSeen}
+   */
+  getKnownEnemyBuildings() {
+    return Object.values(this.state.ghosts).filter((ghost) =>
+      this.isEnemy(ghost)
+    );
+  }
+
+  /**
+   * Get known enemy buildings not seen for a while and not being scouted,
+   * oldest first
+   * @returns {Array<Object>} Stale ghosts
+   */
+  getStaleGhosts() {
+    const now = this.game.gameTime;
+    const staleTime = this.params.intelStaleTime;
+
+    return this.getKnownEnemyBuildings()
+      .filter(
+        (ghost) =>
+          now - ghost.lastSeen > staleTime &&
+          (!ghost.scoutedAt || now - ghost.scoutedAt > staleTime)
+      )
+      .sort((a, b) => a.lastSeen - b.lastSeen);
+  }
+
+  /**
+   * Check whether one of our units fights on land; ships, caravans and
+   * villagers stay out of tactical groups
+   * @param {Entity} entity - Entity to check
+   * @returns {boolean} True for land soldiers
+   */
+  isLandSoldier(entity) {
+    return (
+      entity.type === "unit" &&
+      !entity.naval &&
+      entity.unitType !== "villager" &&
+      entity.unitType !== "scout" &&
+      entity.unitType !== "caravan"
+    );
+  }
+
+  /**
+   * Check whether an entity belongs to a player we are at war with
+   * @param {Entity} entity - Entity to check
+   * @returns {boolean} True if hostile
+   */
+  isEnemy(entity) {
+    if (entity.owner === this.playerId) return false;
+
+    const diplomacy = this.game.getSystem("diplomacy");
+    return !diplomacy || diplomacy.areEnemies(this.playerId, entity.owner);
+  }
+
+  /**
+   * How inclined this AI is towards peace, from its personality
+   * @returns {number} 0 (warlike) to 1 (peaceful)
+   */
+  getPeacefulness() {
+    const base =
+      (this.personality.defensiveness + (1 - this.personality.aggressiveness)) /
+      2;
+
+    // Under pressure, any friend will do
+    return Utils.clamp(base + (this.state.underAttack ? 0.15 : 0), 0, 1);
+  }
+
+  /**
+   * Accept or decline alliance and ceasefire proposals
+   * @param {DiplomacySystem} diplomacy - Diplomacy system
+   */
+  answerProposals(diplomacy) {
+    for (const proposal of diplomacy.getProposalsFor(this.playerId)) {
+      // Never make peace with the last enemy; someone has to be beaten
+      const enemies = diplomacy.getEnemies(this.playerId);
+      const lastEnemy = enemies.length === 1 && enemies[0] === proposal.from;
+
+      // Ceasefires are an easier sell than alliances
+      const threshold =
+        proposal.stance === diplomacy.STANCES.ALLY ? 0.5 : 0.4;
+      const willingness =
+        this.getPeacefulness() +
+        Utils.randFloat(-1, 1) * this.params.randomnessFactor * 0.3;
+
+      if (!lastEnemy && willingness > threshold) {
+        this.game.entityManager.setDiplomacy(
+          proposal.from,
+          proposal.stance,
+          this.playerId
+        );
+      } else {
+        this.game.entityManager.declineProposal(proposal.from, this.playerId);
+      }
+    }
+  }
+
+  /**
+   * Look for an ally when facing several enemies, or break an alliance
+   * when aggressive enough to go it alone
+   * @param {DiplomacySystem} diplomacy - Diplomacy system
+   */
+  considerAlliances(diplomacy) {
+    const enemies = diplomacy.getEnemies(this.playerId);
+    const allies = diplomacy.getAllies(this.playerId);
+
+    // Seek a partner against the others
+    if (enemies.length >= 2 && allies.length === 0) {
+      if (this.getPeacefulness() < 0.45) return;
+
+      const partner = enemies[Utils.randomInt(0, enemies.length - 1)];
+      if (!diplomacy.getProposal(this.playerId, partner)) {
+        this.game.entityManager.setDiplomacy(
+          partner,
+          diplomacy.STANCES.ALLY,
+          this.playerId
+        );
+      }
+      return;
+    }
+
+    // Risk-takers turn on their allies once nobody else is left to fight
+    if (
+      enemies.length === 0 &&
+      allies.length > 0 &&
+      !diplomacy.alliedVictory &&
+      this.personality.riskTaking > 0.6
+    ) {
+      this.game.entityManager.setDiplomacy(
+        allies[0],
+        diplomacy.STANCES.ENEMY,
+        this.playerId
+      );
+    }
+  }
+
   /**
    * Handle resource trading at markets
    */
   handleResourceTrading() {
+    const market = this.game.getSystem("market");
+    if (!market) return;
+
     // Check if we have a market
-    const markets = this.game.entityManager.getEntitiesByTypeAndOwner(
-      "market",
-      this.playerId
-    );
+    const markets = market.getMarkets(this.playerId);
 
     if (markets.length === 0) return;
 
+    this.handleCaravans(market, markets);
+
     // Check for resource imbalances
     const resources = this.player.resources;
 
@@ -3963,15 +4562,57 @@ export class AIPlayer {
 
     // If we have both excess and deficit, trade
     if (excessResource && deficitResource && excessAmount > 300) {
-      // Trade parameters
-      const tradeAmount = Math.min(200, excessAmount - 300); // Keep at least 300 in reserve
-
-      // Execute trade command
-      this.game.entityManager.executeCommand("trade", [markets[0].id], {
-        sellResource: excessResource,
-        buyResource: deficitResource,
-        amount: tradeAmount,
-      });
+      // Don't buy at the top of the market unless the deficit is severe
+      if (
+        deficitResource !== "gold" &&
+        market.getBuyPrice(deficitResource) > market.basePrice * 2 &&
+        deficitRatio < 1
+      ) {
+        return;
+      }
+
+      // Trade parameters: keep at least 300 in reserve, in whole units
+      // (the market refuses fractions)
+      const tradeAmount = Math.floor(Math.min(200, excessAmount - 300));
+
+      // Queue trade command
+      this.game.entityManager.tradeResources(
+        excessResource,
+        deficitResource,
+        tradeAmount,
+        this.playerId
+      );
+    }
+  }
+
+  /**
+   * Train trade caravans once there is somewhere worth sending them
+   * @param {MarketSystem} market - Market system
+   * @param {Array} markets - Our markets
+   */
+  handleCaravans(market, markets) {
+    const caravans = this.game.entityManager
+      .getEntitiesByOwner(this.getOwnerKey())
+      .filter((entity) => entity.active && entity.unitType === "caravan");
+
+    // A route needs a second market, ours or an ally's
+    const diplomacy = this.game.getSystem("diplomacy");
+    const partnerCount =
+      markets.length +
+      (diplomacy
+        ? diplomacy
+            .getAllies(this.playerId)
+            .reduce((sum, id) => sum + market.getMarkets(id).length, 0)
+        : 0);
+    if (partnerCount < 2) return;
+
+    // Economic AIs run more caravans
+    const maxCaravans = Math.round(2 + this.personality.economyFocus * 4);
+    if (caravans.length >= maxCaravans) return;
+
+    const home = markets.find((building) => building.productionQueue.length === 0);
+    if (home) {
+      this.game.entityManager.trainCaravan(home.id, this.playerId);
     }
   }
 
@@ -3981,7 +4622,7 @@ export class AIPlayer {
    */
   handleAttackAlert(alert) {
     this.state.underAttack = true;
-    this.state.lastAttackTime = Date.now();
+    this.state.lastAttackTime = this.game.gameTime;
     this.state.lastAttackPosition = alert.position;
 
     // Handle immediate defense
@@ -4009,7 +4650,7 @@ export class AIPlayer {
 
     if (nearbyMilitary.length > 0) {
       // Order units to defend
-      this.game.entityManager.executeCommand(
+      this.issueCommand(
         "attackMove",
         nearbyMilitary.map((u) => u.id),
         {
@@ -4019,6 +4660,10 @@ export class AIPlayer {
       );
     }
 
+    // Ring the bell at a town center near the attack so its villagers
+    // shelter inside and shoot back
+    if (this.ringTownBellNear(position)) return;
+
     // Get nearby villagers
     const nearbyVillagers = this.game.entityManager.getEntitiesInCircle(
       position.x,
@@ -4037,7 +4682,7 @@ export class AIPlayer {
         .filter(
           (entity) =>
             entity.type === "building" &&
-            (entity.buildingType === "townCenter" ||
+            (entity.buildingType === "town_center" ||
               entity.buildingType === "tower" ||
               entity.buildingType === "castle")
         );
@@ -4068,7 +4713,7 @@ export class AIPlayer {
         }
 
         // Order villagers to flee to safe building
-        this.game.entityManager.executeCommand(
+        this.issueCommand(
           "move",
           nearbyVillagers.map((v) => v.id),
           {
@@ -4080,6 +4725,61 @@ export class AIPlayer {
     }
   }
 
+  /**
+   * Ring the town bell at our town center closest to an attack
+   * @param {Object} position - Attack position {x, y}
+   * @returns {boolean} True if a bell is ringing there
+   */
+  ringTownBellNear(position) {
+    const garrison = this.game.getSystem("garrison");
+    if (!garrison) return false;
+
+    const owner = this.getOwnerKey();
+    const townCenters = this.game.entityManager
+      .getEntitiesByType("building")
+      .filter(
+        (building) =>
+          building.active &&
+          building.constructed &&
+          building.buildingType === "town_center" &&
+          building.owner === owner
+      );
+
+    let closest = null;
+    let closestDistance = garrison.bellRadius * 2;
+    for (const townCenter of townCenters) {
+      const center = townCenter.getTileCenter();
+      const distance = Utils.distance(position.x, position.y, center.x, center.y);
+      if (distance < closestDistance) {
+        closest = townCenter;
+        closestDistance = distance;
+      }
+    }
+    if (!closest) return false;
+
+    if (!garrison.isBellRinging(closest)) {
+      this.game.entityManager.ringTownBell(closest.id, this.playerId);
+      this.state.townBells.push(closest.id);
+    }
+    return true;
+  }
+
+  /**
+   * Sound the all-clear at every town center we rang the bell at
+   */
+  releaseTownBells() {
+    const garrison = this.game.getSystem("garrison");
+
+    for (const buildingId of this.state.townBells) {
+      const townCenter = this.game.entityManager.getEntityById(buildingId);
+      if (garrison && townCenter && garrison.isBellRinging(townCenter)) {
+        this.game.entityManager.ringTownBell(buildingId, this.playerId);
+      }
+    }
+
+    this.state.townBells = [];
+  }
+
   /**
    * Handle an entity being lost (destroyed)
    * @param {Entity} entity - The lost entity
@@ -4094,9 +4794,9 @@ export class AIPlayer {
     if (entity.type === "building") {
       // Queue replacement for critical buildings
       if (
-        entity.buildingType === "townCenter" ||
-        entity.buildingType === "mill" ||
-        entity.buildingType === "lumberCamp" ||
+        entity.buildingType === "town_center" ||
+        entity.buildingType === "granary" ||
+        entity.buildingType === "lumber_mill" ||
         entity.buildingType === "miningCamp"
       ) {
         this.queueBuilding(entity.buildingType, { priority: 3 });
@@ -4126,7 +4826,7 @@ export class AIPlayer {
    */
   handleBuildingComplete(data) {
     // If a town center was completed, scan for resources around it
-    if (data.buildingType === "townCenter") {
+    if (data.buildingType === "town_center") {
       const building = this.game.entityManager.getEntityById(data.buildingId);
 
       if (building) {
@@ -4138,7 +4838,7 @@ export class AIPlayer {
           building.x,
           building.y,
           scanRadius,
-          (entity) => entity.type === "resource"
+          (entity) => entity.type === "resource" && this.canSee(entity)
         );
 
         // Add to resource locations
@@ -4226,13 +4926,9 @@ export class AIPlayer {
 
         if (researchBuildings.length > 0) {
           // Queue research
-          this.game.entityManager.executeCommand(
-            "research",
-            [researchBuildings[0].id],
-            {
-              technologyId: relatedTechId,
-            }
-          );
+          this.issueCommand("research", [researchBuildings[0].id], {
+            technologyId: relatedTechId,
+          });
 
           // Only queue one tech at a time
           break;
@@ -4259,6 +4955,109 @@ export class AIPlayer {
     this.queueAgeSpecificBuildings(data.newAge);
   }
 
+  /**
+   * Handle a change of season. A freeze opens routes over lakes and rivers,
+   * so every ready group strikes across the ice at once; a thaw sends armies
+   * out on the ice back onto paths that still exist
+   * @param {Object} data - Season data {season, frozen, thawed}
+   */
+  handleSeasonChanged(data) {
+    if (data.thawed) {
+      for (const group of this.state.tacticalGroups) {
+        if (group.state === "moving") this.commandGroupToMove(group);
+      }
+      return;
+    }
+
+    if (!this.isWinterOffensive()) return;
+
+    for (const group of this.state.tacticalGroups) {
+      if (group.state !== "assembled") continue;
+
+      const target = this.findWinterTarget(group);
+      if (target) {
+        group.target = target;
+        group.state = "moving";
+        this.commandGroupToMove(group);
+      }
+    }
+  }
+
+  /**
+   * Find the nearest known enemy building that a group can only reach
+   * across frozen water
+   * @param {Object} group - The tactical group
+   * @returns {Object|null} Target {x, y, entityId}
+   */
+  findWinterTarget(group) {
+    const groupUnits = this.getGroupUnits(group);
+    if (groupUnits.length === 0) return null;
+
+    const centerX =
+      groupUnits.reduce((sum, u) => sum + u.x, 0) / groupUnits.length;
+    const centerY =
+      groupUnits.reduce((sum, u) => sum + u.y, 0) / groupUnits.length;
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (const building of this.getKnownEnemyBuildings()) {
+      if (!this.crossesFrozenWater(centerX, centerY, building.x, building.y)) {
+        continue;
+      }
+
+      const distance = Utils.distance(centerX, centerY, building.x, building.y);
+      if (distance < bestDistance) {
+        best = building;
+        bestDistance = distance;
+      }
+    }
+
+    return best ? { x: best.x, y: best.y, entityId: best.id } : null;
+  }
+
+  /**
+   * Check whether the straight line between two points runs over ice
+   * @param {number} x1 - Start X
+   * @param {number} y1 - Start Y
+   * @param {number} x2 - End X
+   * @param {number} y2 - End Y
+   * @returns {boolean} True if any tile on the way is frozen water
+   */
+  crossesFrozenWater(x1, y1, x2, y2) {
+    const map = this.game.getSystem("map");
+    if (!map || !map.frozen) return false;
+
+    const steps = Math.ceil(Utils.distance(x1, y1, x2, y2));
+    for (let i = 1; i < steps; i++) {
+      const x = Math.floor(x1 + ((x2 - x1) * i) / steps);
+      const y = Math.floor(y1 + ((y2 - y1) * i) / steps);
+      if (map.isFrozen(x, y)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check whether the water is frozen for long enough to attack across it
+   * @returns {boolean} True while a winter offensive is worth starting
+   */
+  isWinterOffensive() {
+    const seasons = this.game.getSystem("seasons");
+    if (!seasons || !seasons.isWaterFrozen()) return false;
+
+    // Leave time to cross before a thaw cuts the army off
+    return seasons.getTimeLeft() > 60000;
+  }
+
+  /**
+   * Get how likely the AI is to attack rather than explore
+   * @returns {number} Chance from 0 to 1
+   */
+  getAggressiveness() {
+    let aggressiveness = this.personality.aggressiveness;
+    if (this.isWinterOffensive()) aggressiveness += 0.3;
+    return Math.min(0.95, aggressiveness);
+  }
+
   /**
    * Queue age-specific buildings
    * @param {number} age - New age
@@ -4277,7 +5076,7 @@ export class AIPlayer {
       case 3: // Iron Age
         this.queueBuilding("archeryRange", { priority: 3 });
         this.queueBuilding("stables", { priority: 2 });
-        this.queueBuilding("blacksmith", { priority: 2 });
+        this.queueBuilding("forge", { priority: 2 });
         break;
 
       case 4: // Imperial Age
@@ -4291,6 +5090,20 @@ export class AIPlayer {
     }
   }
 
+  /**
+   * Check whether a building fits at a point, on whole tiles
+   * @param {string} buildingType - Type of building
+   * @param {Object} point - Location {x, y}
+   * @returns {boolean} True if it can be placed there
+   */
+  canPlaceBuilding(buildingType, point) {
+    return this.game.entityManager.canPlaceBuilding(
+      buildingType,
+      Math.floor(point.x),
+      Math.floor(point.y)
+    );
+  }
+
   /**
    * Find a building location
    * @param {string} buildingType - Type of building
@@ -4304,14 +5117,7 @@ export class AIPlayer {
         const location = this.state.buildLocations[i];
 
         // Check if still valid
-        if (
-          this.game.map.canPlaceBuilding(
-            location.x,
-            location.y,
-            config.BUILDINGS[buildingType].width,
-            config.BUILDINGS[buildingType].height
-          )
-        ) {
+        if (this.canPlaceBuilding(buildingType, location)) {
           // Remove from available locations
           this.state.buildLocations.splice(i, 1);
           return location;
@@ -4323,19 +5129,12 @@ export class AIPlayer {
     if (this.state.baseLocation) {
       const base = this.state.baseLocation;
 
-      // Try at different distances
-      for (let radius = 100; radius <= 400; radius += 50) {
+      // Try at different distances (in tiles)
+      for (let radius = 4; radius <= 12; radius += 2) {
         const points = this.getPointsInCircle(base.x, base.y, radius, 8);
 
         for (const point of points) {
-          if (
-            this.game.map.canPlaceBuilding(
-              point.x,
-              point.y,
-              config.BUILDINGS[buildingType].width,
-              config.BUILDINGS[buildingType].height
-            )
-          ) {
+          if (this.canPlaceBuilding(buildingType, point)) {
             return point;
           }
         }
@@ -4345,16 +5144,60 @@ export class AIPlayer {
     return null;
   }
 
+  /**
+   * Serialize AI state for saving
+   * @returns {Object} Serialized data
+   */
+  serialize() {
+    // Entity references are saved as IDs and resolved again on load
+    const state = JSON.parse(
+      JSON.stringify(this.state, (key, value) =>
+        value &&
+        typeof value === "object" &&
+        typeof Entity !== "undefined" &&
+        value instanceof Entity
+          ? { entityId: value.id }
+          : value
+      )
+    );
+
+    return {
+      playerId: this.playerId,
+      difficulty: this.difficulty,
+      personality: JSON.parse(JSON.stringify(this.personality)),
+      state,
+    };
+  }
+
+  /**
+   * Deserialize data to restore AI state
+   * Must be called after entities have been restored
+   * @param {Object} data - Serialized data
+   */
+  deserialize(data) {
+    this.difficulty = data.difficulty;
+    this.params = this.setDifficultyParams(data.difficulty);
+    this.difficultySettings = this.getDifficultySettings(data.difficulty);
+    this.personality = JSON.parse(JSON.stringify(data.personality));
+
+    this.state = JSON.parse(JSON.stringify(data.state), (key, value) => {
+      if (value && typeof value === "object" && value.entityId) {
+        return this.game.entityManager.getEntityById(value.entityId);
+      }
+      return value;
+    });
+
+    // Saves from before enemy sightings were remembered
+    this.state.ghosts = this.state.ghosts || {};
+  }
+
   /**
    * Clean up AI resources
    */
   cleanup() {
     // Clear all timers
     for (const key in this.timers) {
-      if (this.timers[key]) {
-        clearInterval(this.timers[key]);
-        this.timers[key] = null;
-      }
+      this.timers[key] = null;
     }
 
     // Clear references
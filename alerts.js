@@ -11,11 +11,8 @@ class AlertSystem {
   constructor(game) {
     this.game = game;
 
-    // Alert queues for each civilization
-    this.alerts = {
-      SOLARI: [],
-      LUNARI: [],
-    };
+    // Alert queues for each player, created by init
+    this.alerts = {};
 
     // Alert sounds and visuals
     this.alertTypes = {
@@ -61,6 +58,13 @@ class AlertSystem {
         priority: 3,
         duration: CONFIG.UI.ALERT_DURATION,
       },
+      warning: {
+        sound: "alert_info",
+        icon: "❗",
+        color: "#e74c3c",
+        priority: 1, // Connection problems matter as much as attacks
+        duration: CONFIG.UI.ALERT_DURATION,
+      },
       info: {
         sound: "alert_info",
         icon: "ℹ️",
@@ -84,10 +88,10 @@ class AlertSystem {
    */
   init() {
     // Clear existing alerts
-    this.alerts = {
-      SOLARI: [],
-      LUNARI: [],
-    };
+    this.alerts = {};
+    for (const player of this.game.players || []) {
+      this.alerts[this.game.getOwnerKey(player.id)] = [];
+    }
 
     // Clear map pings
     this.mapPings = [];
@@ -128,8 +132,8 @@ class AlertSystem {
   cleanupAlerts() {
     const currentTime = Date.now();
 
-    for (const civ in this.alerts) {
-      this.alerts[civ] = this.alerts[civ].filter((alert) => {
+    for (const owner in this.alerts) {
+      this.alerts[owner] = this.alerts[owner].filter((alert) => {
         const elapsed = currentTime - alert.created;
         return elapsed < alert.duration;
       });
@@ -140,14 +144,17 @@ class AlertSystem {
    * Add an alert
    * @param {string} message - Alert message
    * @param {string} type - Alert type
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key (defaults to the local player)
    * @param {Object} data - Additional alert data
    */
-  addAlert(message, type = "info", civ = null, data = {}) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  addAlert(message, type = "info", owner = null, data = {}) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
+    // Nobody to tell (neutral entities, or a player no longer in the match)
+    if (!this.alerts[owner]) return;
+
     // Get alert type configuration
     const alertTypeConfig = this.alertTypes[type] || this.alertTypes.info;
 
@@ -166,14 +173,14 @@ class AlertSystem {
     };
 
     // Add to appropriate queue
-    this.alerts[civ].push(alert);
+    this.alerts[owner].push(alert);
 
     // Sort alerts by priority
-    this.alerts[civ].sort((a, b) => a.priority - b.priority);
+    this.alerts[owner].sort((a, b) => a.priority - b.priority);
 
     // Limit queue size
-    if (this.alerts[civ].length > 10) {
-      this.alerts[civ].pop(); // Remove oldest (lower priority)
+    if (this.alerts[owner].length > 10) {
+      this.alerts[owner].pop(); // Remove oldest (lower priority)
     }
 
     // Play sound
@@ -183,10 +190,10 @@ class AlertSystem {
     }
 
     // If this is a player alert, notify UI
-    if (civ === this.game.state.selectedCivilization) {
+    if (owner === this.game.getOwnerKey(this.game.currentPlayer)) {
       const ui = this.game.getSystem("uiManager");
       if (ui && ui.components.alertDisplay) {
-        ui.components.alertDisplay.add(message, type, civ);
+        ui.components.alertDisplay.add(message, type, owner);
       }
     }
 
@@ -215,12 +222,12 @@ class AlertSystem {
   }
 
   /**
-   * Get active alerts for a civilization
-   * @param {string} civ - Civilization key
+   * Get active alerts for a player
+   * @param {number} owner - Owner key
    * @returns {Array} Active alerts
    */
-  getAlerts(civ) {
-    return this.alerts[civ];
+  getAlerts(owner) {
+    return this.alerts[owner] || [];
   }
 
   /**
@@ -234,14 +241,14 @@ class AlertSystem {
   /**
    * Mark an alert as read
    * @param {string} alertId - Alert ID
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key (defaults to the local player)
    */
-  markAsRead(alertId, civ) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  markAsRead(alertId, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
-    const alert = this.alerts[civ].find((a) => a.id === alertId);
+    const alert = this.getAlerts(owner).find((a) => a.id === alertId);
 
     if (alert) {
       alert.read = true;
@@ -249,15 +256,15 @@ class AlertSystem {
   }
 
   /**
-   * Clear all alerts for a civilization
-   * @param {string} civ - Civilization key
+   * Clear all alerts for a player
+   * @param {number} owner - Owner key (defaults to the local player)
    */
-  clearAlerts(civ) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  clearAlerts(owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
-    this.alerts[civ] = [];
+    this.alerts[owner] = [];
   }
 
   /**
@@ -267,7 +274,7 @@ class AlertSystem {
    */
   createAttackAlert(target, attacker) {
     // Only alert if target belongs to player
-    if (!target || !target.owner) return;
+    if (!target || target.owner === null) return;
 
     let message = "";
     let position = { x: target.x, y: target.y };
@@ -312,7 +319,7 @@ class AlertSystem {
    * @param {Entity} breacher - Entity that breached the wall
    */
   createWallBreachAlert(wall, breacher) {
-    if (!wall || !wall.owner) return;
+    if (!wall || wall.owner === null) return;
 
     const message =
       wall.wallType === "gate" ? "Gate breached!" : "Wall breached!";
@@ -325,26 +332,29 @@ class AlertSystem {
    * Create a resource depletion alert
    * @param {string} resourceType - Type of resource
    * @param {Object} position - Position {x, y}
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    */
-  createResourceDepletionAlert(resourceType, position, civ) {
+  createResourceDepletionAlert(resourceType, position, owner) {
     const message = `${
       resourceType.charAt(0).toUpperCase() + resourceType.slice(1)
     } depleted`;
 
-    this.addAlert(message, "resourceDepleted", civ, { position, resourceType });
+    this.addAlert(message, "resourceDepleted", owner, {
+      position,
+      resourceType,
+    });
   }
 
   /**
    * Create a low resource alert
    * @param {string} resourceType - Type of resource
    * @param {number} amount - Current amount
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    */
-  createLowResourceAlert(resourceType, amount, civ) {
+  createLowResourceAlert(resourceType, amount, owner) {
     const message = `Low ${resourceType}: ${amount}`;
 
-    this.addAlert(message, "lowResource", civ, { resourceType, amount });
+    this.addAlert(message, "lowResource", owner, { resourceType, amount });
   }
 
   /**
@@ -352,7 +362,7 @@ class AlertSystem {
    * @param {Entity} building - Completed building
    */
   createConstructionCompleteAlert(building) {
-    if (!building || !building.owner) return;
+    if (!building || building.owner === null) return;
 
     let buildingName = building.buildingType
       .split("_")
@@ -370,12 +380,12 @@ class AlertSystem {
   /**
    * Create a research complete alert
    * @param {Object} tech - Completed technology
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    */
-  createResearchCompleteAlert(tech, civ) {
+  createResearchCompleteAlert(tech, owner) {
     const message = `Research complete: ${tech.name}`;
 
-    this.addAlert(message, "research", civ, { tech });
+    this.addAlert(message, "research", owner, { tech });
   }
 
   /**
@@ -384,7 +394,7 @@ class AlertSystem {
    * @param {Entity} building - Building that produced the unit
    */
   createUnitReadyAlert(unit, building) {
-    if (!unit || !unit.owner) return;
+    if (!unit || unit.owner === null) return;
 
     let unitName = unit.unitType
       ? unit.unitType
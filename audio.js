@@ -1061,7 +1061,7 @@ class AudioSystem {
     if (!unit) return;
 
     // Determine civilization prefix
-    const civPrefix = unit.owner === "SOLARI" ? "solari" : "lunari";
+    const civPrefix = unit.civilization === "LUNARI" ? "lunari" : "solari";
 
     // Determine unit type string
     let unitType = "unit";
@@ -1189,14 +1189,11 @@ class AudioSystem {
     // Check if game is running
     if (!this.game.state.running || this.game.state.paused) return;
 
-    // Get day/night cycle info
-    const dayNightCycle = this.game.state.dayNightCycle;
-
-    if (!dayNightCycle) return;
-
     // Day/night transition
-    const isNight = dayNightCycle.time >= 0.5;
-    const timeOfDay = isNight ? "night" : "day";
+    const clock = this.game.getSystem("timeOfDay");
+    if (!clock) return;
+
+    const timeOfDay = clock.isDay() ? "day" : "night";
 
     // Determine if we need to change ambient
     const currentAmbient = this.playing.ambient[0]
@@ -0,0 +1,137 @@
+// Compare per-unit A* with a shared flow field for one large group move
+//
+// Usage:
+//   node benchmark-pathfinding.js [--map-size 80] [--units 60] [--moves 10] [--seed 1234]
+//                                 [--path-cache]
+//
+// Each move sends the whole group from one corner of the map to a random open
+// tile near the other; the per-unit run paths every unit separately with
+// Map.findPath (A*, or the clustered path cache with --path-cache), the flow
+// field run builds one field per move and has every unit follow it. Times
+// come from the map's getPathStats().
+const path = require('path');
+
+// The game scripts were written for the browser and reach for `window`;
+// in Node the global object plays that role
+global.window = global;
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+    const options = { mapSize: 80, units: 60, moves: 10, seed: 1234, pathCache: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = parseInt(argv[i + 1], 10);
+
+        switch (arg) {
+            case '--map-size': options.mapSize = value; i++; break;
+            case '--units': options.units = value; i++; break;
+            case '--moves': options.moves = value; i++; break;
+            case '--seed': options.seed = value; i++; break;
+            case '--path-cache': options.pathCache = true; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Pick open tiles inside a square
+ * @param {Map} map - Game map
+ * @param {SeededRandom} random - Random source
+ * @param {number} x - Square left
+ * @param {number} y - Square top
+ * @param {number} size - Square size
+ * @param {number} count - Tiles wanted
+ * @returns {Array} Tiles {x, y}
+ */
+function pickOpenTiles(map, random, x, y, size, count) {
+    const tiles = [];
+    for (let tries = 0; tiles.length < count && tries < count * 100; tries++) {
+        const tile = {
+            x: x + Math.floor(random.next() * size),
+            y: y + Math.floor(random.next() * size)
+        };
+        if (map.getTile(tile.x, tile.y) && map.getTile(tile.x, tile.y).passable) {
+            tiles.push(tile);
+        }
+    }
+    return tiles;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // Loading the scripts and generating the map log every step
+    const log = console.log;
+    console.log = () => {};
+
+    window.CONFIG = require(path.join(__dirname, 'js/config.js'));
+    window.Utils = require(path.join(__dirname, 'js/core/utils.js'));
+    const SeededRandom = require(path.join(__dirname, 'js/core/random.js'));
+    window.FlowField = require(path.join(__dirname, 'js/map/flow-field.js'));
+    if (options.pathCache) {
+        window.HierarchicalPathCache = require(path.join(__dirname, 'js/map/path-cache.js'));
+    }
+    const GameMap = require(path.join(__dirname, 'js/map/map.js'));
+
+    const random = new SeededRandom(options.seed);
+    const map = new GameMap({ random: random });
+    map.generate(options.mapSize, { seed: options.seed });
+
+    const corner = Math.max(8, Math.floor(options.mapSize / 5));
+    const units = pickOpenTiles(map, random, 2, 2, corner, options.units);
+    const targets = pickOpenTiles(
+        map, random, options.mapSize - corner - 2, options.mapSize - corner - 2, corner, options.moves
+    );
+
+    console.log = log;
+
+    // Per-unit paths
+    for (const target of targets) {
+        for (const unit of units) {
+            map.findPath(unit.x, unit.y, target.x, target.y);
+        }
+    }
+    const aStar = map.getPathStats();
+    const aStarMoveTime = (aStar.averagePathTime * aStar.totalPathsCalculated) / targets.length;
+
+    // Shared flow field
+    let followTime = 0;
+    for (const target of targets) {
+        const field = map.getFlowField(target.x, target.y);
+        const startTime = performance.now();
+        for (const unit of units) {
+            field.getPath(unit.x, unit.y);
+        }
+        followTime += performance.now() - startTime;
+    }
+    const flow = map.getPathStats();
+    const flowMoveTime =
+        (flow.averageFlowFieldTime * flow.flowFieldsCalculated + followTime) / targets.length;
+
+    log(`${options.units} units, ${targets.length} moves on a ${options.mapSize}x${options.mapSize} map (seed ${options.seed})`);
+    log(JSON.stringify({
+        [options.pathCache ? 'pathCache' : 'aStar']: {
+            totalPathsCalculated: aStar.totalPathsCalculated,
+            averagePathTime: aStar.averagePathTime,
+            averageGroupMoveTime: aStarMoveTime,
+            ...(map.pathCache ? map.pathCache.getStats() : {})
+        },
+        flowField: {
+            flowFieldsCalculated: flow.flowFieldsCalculated,
+            averageFlowFieldTime: flow.averageFlowFieldTime,
+            averageFollowTime: followTime / (targets.length * units.length),
+            averageGroupMoveTime: flowMoveTime
+        },
+        speedup: flowMoveTime > 0 ? aStarMoveTime / flowMoveTime : null
+    }, null, 2));
+}
+
+main();
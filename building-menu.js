@@ -18,6 +18,9 @@ export class BuildingMenu {
     this.uiManager = uiManager;
     this.game = game;
     this.visible = false;
+
+    // Grid items in hotkey order
+    this.gridItems = [];
     this.buildingCategories = ["economic", "military", "special", "defensive"];
     this.activeCategory = "economic";
 
@@ -192,6 +195,7 @@ export class BuildingMenu {
   populateBuildings() {
     // Clear existing content
     this.buildingGrid.innerHTML = "";
+    this.gridItems = [];
 
     const player = this.game.players[this.game.currentPlayerId];
     const currentAge = player.age;
@@ -256,6 +260,20 @@ export class BuildingMenu {
       buildingItem.appendChild(icon);
       buildingItem.appendChild(name);
 
+      // Grid hotkey in the corner
+      const hotkeys = this.getHotkeys();
+      const keyLabel =
+        hotkeys && hotkeys.getLabel(`grid${this.gridItems.length}`);
+      if (keyLabel) {
+        const hotkey = document.createElement("div");
+        hotkey.className = "grid-hotkey";
+        hotkey.textContent = keyLabel;
+        hotkey.style.alignSelf = "flex-end";
+        hotkey.style.fontSize = "10px";
+        hotkey.style.color = "#ff0";
+        buildingItem.insertBefore(hotkey, icon);
+      }
+
       // Add event listeners
       buildingItem.addEventListener("click", () => {
         if (meetsRequirements) {
@@ -281,6 +299,7 @@ export class BuildingMenu {
       });
 
       this.buildingGrid.appendChild(buildingItem);
+      this.gridItems.push(buildingItem);
     });
   }
 
@@ -649,6 +668,27 @@ export class BuildingMenu {
     this.game.audio.playSound("ui_select");
   }
 
+  /**
+   * Get the key bindings
+   * @returns {HotkeyBindings|null} Bindings
+   */
+  getHotkeys() {
+    return this.game.getSystem ? this.game.getSystem("hotkeys") : null;
+  }
+
+  /**
+   * Pick the building in a grid slot, as if it was clicked
+   * @param {number} index - Grid slot
+   * @returns {boolean} True if the slot holds a building
+   */
+  activateGridSlot(index) {
+    const item = this.gridItems[index];
+    if (!item) return false;
+
+    item.click();
+    return true;
+  }
+
   /**
    * Register event listeners
    */
@@ -674,9 +714,23 @@ export class BuildingMenu {
       }
     });
 
-    // Listen for keyboard shortcut (B key)
+    // Listen for keyboard shortcuts: the build key toggles the menu, and
+    // while it's open the grid keys pick a building
     document.addEventListener("keydown", (e) => {
-      if (e.key === "b" || e.key === "B") {
+      // Already used by another grid
+      if (e.defaultPrevented) return;
+
+      const hotkeys = this.getHotkeys();
+      const slot = this.visible && hotkeys ? hotkeys.getGridSlot(e) : -1;
+
+      if (slot !== -1) {
+        e.preventDefault();
+        this.activateGridSlot(slot);
+      } else if (this.visible && e.key === "Escape") {
+        this.hide();
+      } else if (
+        hotkeys ? hotkeys.matches(e, "build") : e.key === "b" || e.key === "B"
+      ) {
         if (this.visible) {
           this.hide();
         } else {
@@ -694,6 +748,10 @@ export class BuildingMenu {
     this.visible = true;
     this.populateBuildings();
 
+    // Take the grid keys while open
+    const hotkeys = this.getHotkeys();
+    if (hotkeys) hotkeys.setActiveGrid(this);
+
     // Update UI state
     this.uiManager.setActiveMenu("building");
 
@@ -708,6 +766,9 @@ export class BuildingMenu {
     this.container.style.display = "none";
     this.visible = false;
 
+    const hotkeys = this.getHotkeys();
+    if (hotkeys) hotkeys.clearActiveGrid(this);
+
     // Update UI state
     this.uiManager.clearActiveMenu();
 
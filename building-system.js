@@ -796,11 +796,9 @@ export class BuildingSystem {
         // Initialize building features
         this.initializeBuilding(building);
 
-        // Trigger construction complete event
-        this.game.emit("buildingConstructionComplete", {
-          building: building,
-          playerId: building.owner,
-        });
+        // Trigger construction complete event (the entity manager passes
+        // it on to the game as buildingConstructionComplete)
+        building.triggerEvent("constructionComplete", { entity: building });
 
         // Notify builders to stop building
         for (const builder of builders) {
@@ -924,7 +922,9 @@ export class BuildingSystem {
     // Update building appearance
     building.appearance = {
       state: "default",
-      variant: Math.floor(Math.random() * (buildingData.variants || 1)),
+      variant: Math.floor(
+        this.game.random.next() * (buildingData.variants || 1)
+      ),
     };
   }
 
@@ -1271,11 +1271,11 @@ export class BuildingSystem {
       });
     }
 
-    // Trigger research complete event
-    this.game.emit("technologyResearched", {
-      playerId: building.owner,
-      technologyId: techId,
-      building: building,
+    // Trigger research complete event (the entity manager passes it on to
+    // the game as technologyResearched)
+    building.triggerEvent("researchComplete", {
+      entity: building,
+      tech: { id: techId },
     });
 
     // Add alert
@@ -59,6 +59,16 @@ class Building extends Entity {
     this.garrisonedUnits = params.garrisonedUnits || [];
     this.maxGarrison = params.maxGarrison || 0;
 
+    // Rally waypoints produced units walk, in order {kind, x, y, targetId}.
+    // The last one decides what they do there (see sendToRally)
+    this.rallyPoints = params.rallyPoints || [];
+    this.maxRallyPoints = 5;
+
+    // Events the entity manager passes on to the score and statistics
+    this.listeners.produce = [];
+    this.listeners.constructionComplete = [];
+    this.listeners.researchComplete = [];
+
     // Initialize building state based on type
     this.initializeBuildingType();
 
@@ -114,6 +124,13 @@ class Building extends Entity {
         this.influenceRadius = 6;
         break;
 
+      case "dock":
+      case "harbor":
+        this.productionCapacity = 5;
+        this.maxResourceStorage = { food: 500 };
+        this.influenceRadius = 4;
+        break;
+
       case "temple":
       case "shrine":
         this.influenceRadius = 8;
@@ -143,6 +160,7 @@ class Building extends Entity {
         this.populationSupport = 10;
         this.maxGarrison = 10;
         this.influenceRadius = 8;
+        this.attackRange = 6;
         this.productionCapacity = 10;
         this.maxResourceStorage = {
           wood: 200,
@@ -170,11 +188,11 @@ class Building extends Entity {
    */
   applyCivilizationBonuses() {
     // Get civilization config
-    const civConfig = CONFIG.CIVILIZATIONS[this.owner];
+    const civConfig = CONFIG.CIVILIZATIONS[this.civilization];
     if (!civConfig) return;
 
     // Apply civilization bonuses
-    if (this.owner === "SOLARI") {
+    if (this.civilization === "SOLARI") {
       // Solari building discount is applied during construction cost calculation
 
       // Example: Solari buildings might have more HP
@@ -182,7 +200,7 @@ class Building extends Entity {
         this.maxHp += Math.floor(this.maxHp * 0.1); // 10% more HP for towers
         this.hp = this.maxHp; // If already constructed
       }
-    } else if (this.owner === "LUNARI") {
+    } else if (this.civilization === "LUNARI") {
       // Example: Lunari shrines might have larger influence radius
       if (this.buildingType === "shrine") {
         this.influenceRadius += 2; // +2 tile influence radius
@@ -261,8 +279,8 @@ class Building extends Entity {
 
     // Create the entity based on production type
     if (currentItem.category === "unit") {
-      // Find a valid spawn position near the building
-      const spawnPos = this.findSpawnPosition();
+      // Find a valid spawn position near the building (on water for ships)
+      const spawnPos = this.findSpawnPosition(!!currentItem.naval);
 
       if (spawnPos) {
         // Create the unit
@@ -275,6 +293,9 @@ class Building extends Entity {
           ageLevel: this.ageLevel,
         });
 
+        // Head off to the rally point
+        if (unit) this.sendToRally(unit);
+
         // Trigger production event
         this.triggerEvent("produce", {
           entity: this,
@@ -289,11 +310,12 @@ class Building extends Entity {
 
   /**
    * Find a valid spawn position for produced units
+   * @param {boolean} naval - True to find water for a ship
    * @returns {Object|null} Valid spawn position {x, y} or null if none found
    */
-  findSpawnPosition() {
-    // Try positions around the building
-    const center = this.getCenter();
+  findSpawnPosition(naval = false) {
+    // Try positions around the building (in tiles, like the map)
+    const center = this.getTileCenter();
     const directions = [
       { x: 0, y: -1.5 }, // North
       { x: 1.5, y: 0 }, // East
@@ -318,17 +340,28 @@ class Building extends Entity {
       const y = center.y + dir.y;
 
       // Check if position is valid (within bounds and no entities)
-      if (x >= 0 && y >= 0 && x < map.width && y < map.height) {
-        const tile = map.getTile(Math.floor(x), Math.floor(y));
-
-        if (tile && tile.passable) {
-          // Check if there's no entity at this position
-          const entities = entityManager.getEntitiesAt(
-            Math.floor(x),
-            Math.floor(y)
-          );
+      if (map.isPassable(Math.floor(x), Math.floor(y), naval)) {
+        // Check if there's no entity at this position
+        const entities = entityManager.getEntitiesAt(
+          Math.floor(x),
+          Math.floor(y)
+        );
+
+        if (entities.length === 0) {
+          return { x, y };
+        }
+      }
+    }
 
-          if (entities.length === 0) {
+    // Docks only touch water on one side, so ships may need any water
+    // tile under or next to the footprint
+    if (naval) {
+      for (let y = Math.floor(this.y) - 1; y <= this.y + this.height; y++) {
+        for (let x = Math.floor(this.x) - 1; x <= this.x + this.width; x++) {
+          if (
+            map.isPassable(x, y, true) &&
+            entityManager.getEntitiesAt(x, y).every((entity) => entity === this)
+          ) {
             return { x, y };
           }
         }
@@ -339,6 +372,111 @@ class Building extends Entity {
     return null;
   }
 
+  /**
+   * Set where produced units go. A location is a plain waypoint; an own unit
+   * is followed, a resource is gathered by villagers and an own building is
+   * garrisoned. Setting it on the building itself clears it.
+   * @param {Entity|Object} target - Entity or tile position {x, y}
+   * @param {boolean} queued - Add a waypoint after the current ones
+   * @returns {boolean} True if set
+   */
+  setRallyPoint(target, queued = false) {
+    if (!target) return false;
+
+    if (target === this) {
+      this.clearRallyPoints();
+      return true;
+    }
+
+    const point = {
+      kind: "location",
+      x: target.x,
+      y: target.y,
+      targetId: null,
+    };
+
+    if (target.id !== undefined && target.active) {
+      if (target.type === "resource") {
+        point.kind = "resource";
+        point.resourceType = target.resourceType;
+      } else if (target.owner === this.owner) {
+        point.kind = target.type === "building" ? "building" : "unit";
+      }
+
+      if (point.kind !== "location") point.targetId = target.id;
+
+      if (target.type === "building") {
+        const center = target.getTileCenter();
+        point.x = center.x;
+        point.y = center.y;
+      }
+    }
+
+    if (!queued) {
+      this.rallyPoints = [];
+    } else if (this.rallyPoints.length >= this.maxRallyPoints) {
+      return false;
+    }
+
+    this.rallyPoints.push(point);
+    return true;
+  }
+
+  /**
+   * Remove the rally point so produced units stay put
+   */
+  clearRallyPoints() {
+    this.rallyPoints = [];
+  }
+
+  /**
+   * Get where a rally waypoint is now, following its target if it moved
+   * @param {Object} point - Rally waypoint
+   * @returns {Object} Tile position {x, y}
+   */
+  getRallyPosition(point) {
+    const game = window.gameInstance;
+    const entityManager = game ? game.getSystem("entityManager") : null;
+    const target =
+      point.targetId && entityManager
+        ? entityManager.getEntityById(point.targetId)
+        : null;
+
+    if (target && target.active && target.type !== "building") {
+      return { x: target.x, y: target.y };
+    }
+    return { x: point.x, y: point.y };
+  }
+
+  /**
+   * Give a newly produced unit the rally route as orders. Every waypoint but
+   * the last is walked through; the last one is acted on.
+   * @param {Unit} unit - Produced unit
+   */
+  sendToRally(unit) {
+    // Caravans run their own trade routes
+    if (!unit.orders || unit.unitType === "caravan") return;
+
+    const last = this.rallyPoints.length - 1;
+    unit.orders = this.rallyPoints.map((point, index) => {
+      const order = { type: "move", x: point.x, y: point.y };
+      if (point.targetId) order.targetId = point.targetId;
+      if (index !== last) return order;
+
+      if (point.kind === "unit") {
+        order.type = "follow";
+      } else if (point.kind === "building") {
+        order.type = "garrison";
+        order.buildingId = point.targetId;
+      } else if (point.kind === "resource" && unit.type === "villager") {
+        order.type = "gather";
+        order.resourceId = point.targetId;
+        order.resourceType = point.resourceType;
+      }
+      return order;
+    });
+  }
+
   /**
    * Add an item to the production queue
    * @param {Object} item - Item to produce {type, category, unitType, time, cost}
@@ -356,12 +494,12 @@ class Building extends Entity {
 
     if (!resourceManager) return false;
 
-    if (!resourceManager.canAffordResources(item.cost)) {
+    if (!resourceManager.canAffordResources(item.cost, this.owner)) {
       return false;
     }
 
     // Deduct resources
-    resourceManager.deductResources(item.cost);
+    resourceManager.deductResources(item.cost, this.owner);
 
     // Add to queue
     this.productionQueue.push(item);
@@ -410,7 +548,7 @@ class Building extends Entity {
     const resourceManager = game ? game.getSystem("resourceManager") : null;
 
     if (resourceManager) {
-      resourceManager.addResources(refund);
+      resourceManager.addResources(refund, this.owner);
     }
 
     // Remove from queue
@@ -464,12 +602,12 @@ class Building extends Entity {
   completeResearch() {
     if (!this.currentResearch) return;
 
-    // Apply research effects
+    // Record the research and apply its effects
     const game = window.gameInstance;
     const techManager = game ? game.getSystem("techManager") : null;
 
     if (techManager) {
-      techManager.applyTechnology(this.currentResearch.id, this.owner);
+      techManager.completeResearch(this.currentResearch.id, this.owner);
     }
 
     // Remove from available techs
@@ -510,12 +648,12 @@ class Building extends Entity {
 
     if (!resourceManager) return false;
 
-    if (!resourceManager.canAffordResources(tech.cost)) {
+    if (!resourceManager.canAffordResources(tech.cost, this.owner)) {
       return false;
     }
 
     // Deduct resources
-    resourceManager.deductResources(tech.cost);
+    resourceManager.deductResources(tech.cost, this.owner);
 
     // Start research
     this.currentResearch = tech;
@@ -550,7 +688,7 @@ class Building extends Entity {
     const resourceManager = game ? game.getSystem("resourceManager") : null;
 
     if (resourceManager) {
-      resourceManager.addResources(refund);
+      resourceManager.addResources(refund, this.owner);
     }
 
     // Reset research
@@ -736,6 +874,7 @@ class Building extends Entity {
 
     // Add unit to garrison
     this.garrisonedUnits.push(unit.id);
+    unit.garrisonId = this.id;
 
     // Hide unit
     unit.visible = false;
@@ -743,6 +882,9 @@ class Building extends Entity {
     // Stop unit actions
     if (unit.stopMoving) unit.stopMoving();
     if (unit.stopAttacking) unit.stopAttacking();
+    if (unit.stopGathering) unit.stopGathering();
+    if (unit.stopConstructing) unit.stopConstructing();
+    if (unit.stopRepairing) unit.stopRepairing();
 
     // Trigger garrison event
     this.triggerEvent("garrison", {
@@ -756,9 +898,10 @@ class Building extends Entity {
   /**
    * Ungarrison a unit
    * @param {string} unitId - ID of unit to ungarrison
+   * @param {boolean} force - Put the unit out at the building even with no open tile nearby
    * @returns {boolean} True if successfully ungarrisoned
    */
-  ungarrison(unitId) {
+  ungarrison(unitId, force = false) {
     // Find unit in garrison
     const index = this.garrisonedUnits.indexOf(unitId);
 
@@ -782,7 +925,8 @@ class Building extends Entity {
     }
 
     // Find spawn position
-    const spawnPos = this.findSpawnPosition();
+    const spawnPos =
+      this.findSpawnPosition() || (force ? { x: this.x, y: this.y } : null);
 
     if (!spawnPos) {
       return false;
@@ -790,6 +934,7 @@ class Building extends Entity {
 
     // Remove from garrison
     this.garrisonedUnits.splice(index, 1);
+    unit.garrisonId = null;
 
     // Place unit at spawn position
     unit.x = spawnPos.x;
@@ -807,16 +952,17 @@ class Building extends Entity {
 
   /**
    * Ungarrison all units
+   * @param {boolean} force - Put units out at the building even with no open tile nearby
    * @returns {number} Number of units ungarrisoned
    */
-  ungarrisonAll() {
+  ungarrisonAll(force = false) {
     let count = 0;
 
     // Copy array to avoid modification issues during iteration
     const units = [...this.garrisonedUnits];
 
     for (const unitId of units) {
-      if (this.ungarrison(unitId)) {
+      if (this.ungarrison(unitId, force)) {
         count++;
       }
     }
@@ -824,6 +970,15 @@ class Building extends Entity {
     return count;
   }
 
+  /**
+   * Check whether the building stops units pathing through its tiles.
+   * Units walk up to buildings to work, so only closed gates block.
+   * @returns {boolean} True if it blocks pathing
+   */
+  blocksMovement() {
+    return this.buildingType === "gate" && this.gateState === "closed";
+  }
+
   /**
    * Toggle gate state (open/closed)
    * @returns {string} New gate state
@@ -836,6 +991,11 @@ class Building extends Entity {
     // Toggle state
     this.gateState = this.gateState === "closed" ? "open" : "closed";
 
+    // Open or close the tiles for pathfinding
+    const game = window.gameInstance;
+    const entityManager = game ? game.getSystem("entityManager") : null;
+    if (entityManager) entityManager.updateBlocking(this);
+
     // Trigger gate toggle event
     this.triggerEvent("toggleGate", {
       entity: this,
@@ -850,8 +1010,8 @@ class Building extends Entity {
    * @param {Entity} killer - Entity that killed this one
    */
   die(killer) {
-    // Ungarrison all units
-    this.ungarrisonAll();
+    // Throw everyone inside out before the building comes down
+    this.ungarrisonAll(true);
 
     // If this is a house/hut, update population capacity
     if (this.buildingType === "house" || this.buildingType === "hut") {
@@ -904,6 +1064,7 @@ class Building extends Entity {
     data.ageLevel = this.ageLevel;
     data.garrisonedUnits = [...this.garrisonedUnits];
     data.maxGarrison = this.maxGarrison;
+    data.rallyPoints = this.rallyPoints.map((point) => ({ ...point }));
 
     return data;
   }
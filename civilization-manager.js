@@ -1572,6 +1572,32 @@ class CivilizationManager {
 
     // Track researched technologies
     this.researched = [];
+
+    // Day or night, kept in step with the time of day system
+    this.isDay = true;
+  }
+
+  watchTimeOfDay() {
+    const timeOfDay = this.engine.getSystem
+      ? this.engine.getSystem("timeOfDay")
+      : null;
+    if (!timeOfDay) return;
+
+    // Swap bonuses only when day turns to night or back
+    const onPhase = (info) => {
+      if (info.isDay === this.isDay) return;
+
+      this.isDay = info.isDay;
+      this.resetDayNightBonuses();
+      this.applyDayNightBonuses(this.isDay);
+    };
+
+    for (const phase of timeOfDay.phases) {
+      timeOfDay.on(phase, onPhase);
+    }
+
+    this.isDay = timeOfDay.isDay();
+    this.applyDayNightBonuses(this.isDay);
   }
 
   setCivilization(civName) {
@@ -2497,7 +2523,7 @@ class CivilizationManager {
     return null; // No bonus
   }
 
-  applyDayNightBonuses(isDay) {
+  applyDayNightBonuses(isDay = this.isDay) {
     const bonus = this.getDayNightBonus(isDay);
     if (!bonus) return;
 
@@ -2564,7 +2590,7 @@ class CivilizationManager {
       });
   }
 
-  getResourceGatheringRate(resourceType, isDay) {
+  getResourceGatheringRate(resourceType, isDay = this.isDay) {
     // Base gather rate
     let rate = 1.0;
 
@@ -596,6 +596,27 @@ export class Civilization {
     // Subclasses can override this method to implement civilization-specific behaviors
   }
 
+  /**
+   * Get the game's day/night clock
+   * @returns {TimeOfDaySystem|null} Time of day system
+   */
+  getTimeOfDaySystem() {
+    return this.game.getSystem ? this.game.getSystem("timeOfDay") : null;
+  }
+
+  /**
+   * Call a handler at every dawn, noon, dusk and midnight
+   * @param {Function} handler - Called with the time info
+   */
+  watchTimeOfDay(handler) {
+    const timeOfDay = this.getTimeOfDaySystem();
+    if (!timeOfDay) return;
+
+    for (const phase of timeOfDay.phases) {
+      timeOfDay.on(phase, handler);
+    }
+  }
+
   /**
    * Get age-specific bonuses
    * @param {number} age - Age level
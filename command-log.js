@@ -0,0 +1,167 @@
+/**
+ * Empires of Eternity - Command Log
+ * Records every executed command with its simulation tick and player so a
+ * match can be replayed deterministically from its seed
+ */
+
+class CommandLog {
+  /**
+   * Create a new command log
+   * @param {GameEngine} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Replay file format identifier and current version
+    this.FORMAT = "empires-of-eternity-replay";
+    this.VERSION = 1;
+
+    // Recorded commands in execution order
+    this.commands = [];
+
+    // Disabled while a replay is being played back
+    this.recording = true;
+
+    // Match state when recording started, used as the replay starting point
+    this.initialState = null;
+
+    // Identifies the recording so saves can refer to its starting state
+    // instead of carrying their own copy
+    this.recordingId = null;
+
+    this.onBeforeTick = this.onBeforeTick.bind(this);
+
+    Utils.log("CommandLog created");
+  }
+
+  /**
+   * Initialize the command log
+   */
+  init() {
+    this.game.on("beforeTick", this.onBeforeTick);
+
+    Utils.log("CommandLog initialized");
+    return this;
+  }
+
+  /**
+   * Capture the starting state just before the first recorded tick runs
+   */
+  onBeforeTick() {
+    if (!this.recording || this.initialState) return;
+
+    const saveSystem = this.game.getSystem("saveSystem");
+    if (saveSystem) {
+      this.initialState = saveSystem.createSnapshot("Replay start");
+      this.recordingId = `${this.game.seed}-${Date.now()}`;
+    }
+  }
+
+  /**
+   * Record an executed command
+   * @param {Object} command - Command stamped with tick and playerId
+   */
+  record(command) {
+    if (!this.recording) return;
+
+    this.commands.push(Utils.deepClone(command));
+  }
+
+  /**
+   * Get the commands that were executed on a tick
+   * @param {number} tick - Simulation tick
+   * @returns {Array} Commands in execution order
+   */
+  getCommandsForTick(tick) {
+    return this.commands.filter((command) => command.tick === tick);
+  }
+
+  /**
+   * Clear the log and start recording from the current tick
+   */
+  reset() {
+    this.commands = [];
+    this.initialState = null;
+    this.recordingId = null;
+    this.recording = true;
+  }
+
+  /**
+   * Build a replay document for the match so far
+   * @returns {Object} Replay document
+   */
+  createReplay() {
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      recordedAt: Date.now(),
+      seed: this.game.seed,
+      tickLength: this.game.TICK_LENGTH,
+      endTick: this.game.tick,
+      players: Utils.deepClone(this.game.players),
+      initialState: this.initialState,
+      commands: Utils.deepClone(this.commands),
+    };
+  }
+
+  /**
+   * Download the replay as a JSON file
+   * @param {string} filename - File name for the download
+   */
+  exportToFile(filename = "empires-of-eternity-replay.json") {
+    const blob = new Blob([JSON.stringify(this.createReplay())], {
+      type: "application/json",
+    });
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Get serializable data for saved games
+   * @returns {Object} Serialized command log
+   */
+  serialize() {
+    // The starting state is a full snapshot of its own, so saves only
+    // refer to it
+    return {
+      commands: Utils.deepClone(this.commands),
+      recordingId: this.recordingId,
+    };
+  }
+
+  /**
+   * Restore the log from a saved game
+   * @param {Object} data - Serialized command log
+   */
+  deserialize(data) {
+    // Older saves still carry their own copy of the starting state
+    if (data.initialState) {
+      this.commands = Utils.deepClone(data.commands || []);
+      this.initialState = data.initialState;
+      this.recordingId = data.recordingId || null;
+      return;
+    }
+
+    // A save from this recording replays from the state captured in memory
+    if (data.recordingId && data.recordingId === this.recordingId) {
+      this.commands = Utils.deepClone(data.commands || []);
+      return;
+    }
+
+    // Otherwise the replay starts over from the loaded state
+    this.commands = [];
+    this.initialState = null;
+    this.recordingId = null;
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CommandLog;
+} else {
+  window.CommandLog = CommandLog;
+}
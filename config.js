@@ -24,6 +24,51 @@ window.CONFIG = {
     MAX_SIZE: 80, // Maximum map size
     TERRAIN_TYPES: ["plains", "forest", "desert", "hills", "mountains"],
     RESOURCE_DENSITY: 0.12, // 12% of map tiles have resources
+    WATER_LEVEL: -0.45, // Elevation below which tiles are water on naval maps
+  },
+
+  // Seasons turn on a clock. Gather rates multiply villagers' gathering,
+  // tints wash over the land, and winter freezes water for land units
+  SEASONS: {
+    ENABLED: true,
+    LENGTH: 240, // Seconds per season
+    ORDER: ["spring", "summer", "autumn", "winter"],
+    START: "spring",
+    ICE_COLOR: "rgba(225, 240, 255, 0.85)",
+    EFFECTS: {
+      spring: {
+        name: "Spring",
+        gather: { food: 1.3, wood: 1.1 },
+        tint: "rgba(120, 255, 120, 0.08)",
+      },
+      summer: {
+        name: "Summer",
+        gather: {},
+        tint: "rgba(255, 220, 120, 0.1)",
+      },
+      autumn: {
+        name: "Autumn",
+        gather: { food: 1.2, wood: 1.2 },
+        tint: "rgba(255, 140, 40, 0.15)",
+      },
+      winter: {
+        name: "Winter",
+        gather: { food: 0.7 },
+        tint: "rgba(230, 240, 255, 0.3)",
+        freezeWater: true,
+      },
+    },
+  },
+
+  // One day runs dawn, noon, dusk, midnight. Night darkens the screen and
+  // shortens units' sight down to NIGHT_SIGHT of its daytime range
+  DAY_NIGHT: {
+    ENABLED: true,
+    LENGTH: 300, // Seconds per full day
+    START: 0.1, // Time of day at the start (0 = dawn, 0.5 = dusk)
+    NIGHT_SIGHT: 0.6,
+    NIGHT_COLOR: "20, 20, 50",
+    MAX_DARKNESS: 0.6,
   },
 
   // Resources
@@ -43,6 +88,7 @@ window.CONFIG = {
       iron_deposit: 800, // Iron per deposit
       berry_bush: 200, // Food per bush
       animal: 300, // Food per animal
+      fish: 250, // Food per fishing spot
     },
     GATHER_RATE: {
       base: 1, // Resource units per second
@@ -141,12 +187,55 @@ window.CONFIG = {
       BARRACKS: { hp: 300, dp: 15 },
       FORGE: { hp: 350, dp: 18 },
       MARKET: { hp: 250, dp: 12 },
-      TEMPLE: { hp: 400, dp: 20 },
+      TOWN_CENTER: { hp: 1000, dp: 20 },
+      // Temples mend friendly units nearby (radius in tiles, rate in HP per second)
+      TEMPLE: { hp: 400, dp: 20, healAura: { radius: 6, rate: 2 } },
+      DOCK: { hp: 300, dp: 12 },
       WALL: { hp: 500, dp: 25 },
       TOWER: { hp: 300, dp: 15, ar: 10 },
       WONDER: { hp: 2000, dp: 60 },
     },
 
+    // Ships by unit type (trained at docks)
+    SHIPS: {
+      FISHING_BOAT: { hp: 60, dp: 4, ar: 0, speed: 2.5, carryCapacity: 20, gatherRate: 1.2 },
+      TRANSPORT: { hp: 150, dp: 8, ar: 0, speed: 2.2, cargoCapacity: 5 },
+      WARSHIP: { hp: 200, dp: 12, ar: 14, speed: 2, attackRange: 4, damageType: "piercing" },
+    },
+
+    // Support units by unit type (trained at temples). Heals and mana regen
+    // are per second, ranges in tiles, times and cooldowns in seconds
+    SUPPORT: {
+      HEALER: {
+        hp: 40, dp: 3, ar: 0, speed: 1.8,
+        maxMana: 100, manaRegen: 2,
+        healAmount: 4, healRange: 4, healCooldown: 1,
+        convertCost: 100, convertRange: 5, convertTime: 4, convertCooldown: 20,
+      },
+    },
+
+    // Experience and ranks for military units (heroes level up separately).
+    // Each rank's bonus raises HP, AR and DP over the unit's trained stats
+    VETERANCY: {
+      XP_PER_DAMAGE: 0.5, // XP per point of damage dealt
+      XP_PER_KILL: 20, // XP for finishing off a unit or building
+      RANKS: [
+        { name: "Recruit", xp: 0, bonus: 0 },
+        { name: "Veteran", xp: 60, bonus: 0.1 },
+        { name: "Elite", xp: 150, bonus: 0.2 },
+        { name: "Champion", xp: 300, bonus: 0.3 },
+      ],
+    },
+
+    // Unit stances: how units treat enemies they weren't ordered to fight.
+    // aggressive chases anything in sight, defensive gives up a chase past
+    // the leash, standGround only fights what's in range, noAttack never fights
+    STANCES: {
+      DEFAULT: "aggressive",
+      DEFENSIVE_LEASH: 6, // Tiles from where the chase began
+      SCAN_INTERVAL: 0.5, // Seconds between looks for a target
+    },
+
     // Age progression stat increase per age
     AGE_PROGRESSION: {
       BUILDING_HP: [0, 50, 100, 150, 200], // Additional HP per age
@@ -170,9 +259,17 @@ window.CONFIG = {
     },
   },
 
-  // Victory Conditions
+  // Victory Conditions (defaults for the match setup screen)
   VICTORY: {
+    DOMINATION: {
+      ENABLED: true,
+    },
+    WONDER: {
+      ENABLED: true,
+      COUNTDOWN: 600, // Seconds a finished Wonder must stand
+    },
     ECONOMIC: {
+      ENABLED: true,
       RESOURCE_GOAL: {
         wood: 10000,
         food: 10000,
@@ -181,6 +278,10 @@ window.CONFIG = {
         iron: 5000,
       },
     },
+    SCORE: {
+      ENABLED: false,
+      TIME_LIMIT: 3600, // Seconds; highest score wins when it runs out
+    },
   },
 
   // UI Settings
@@ -381,7 +381,7 @@ export class DamageTypeSystem {
     }
 
     // Roll for chance to apply effect
-    const roll = Math.random();
+    const roll = this.game.random.next();
     if (roll <= effectData.chance) {
       // Get the effect details
       const effect = this.specialEffects[effectData.effect];
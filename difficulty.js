@@ -248,9 +248,10 @@ export class AIDifficulty {
       });
     }
 
-    // Apply map awareness if enabled
-    if (settings.revealMap && aiPlayer.game.map.fogOfWar) {
-      aiPlayer.game.map.fogOfWar.revealMapForPlayer(aiPlayer.playerId);
+    // Apply map awareness if enabled (explored, not visible)
+    const fogOfWar = aiPlayer.game.getSystem("fogOfWar");
+    if (settings.revealMap && fogOfWar) {
+      fogOfWar.exploreMap(aiPlayer.getOwnerKey());
     }
   }
 
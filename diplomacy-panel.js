@@ -0,0 +1,197 @@
+/**
+ * Empires of Eternity - Diplomacy Panel
+ * Lets the player set stances towards other players, answer alliance and
+ * ceasefire proposals, and send tribute
+ */
+
+class DiplomacyPanel {
+  /**
+   * Create a new diplomacy panel
+   * @param {GameEngine} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Panel element
+    this.container = null;
+    this.visible = false;
+
+    // Resources that can be sent as tribute
+    this.tributeResources = ["food", "wood", "gold", "stone", "iron"];
+    this.tributeAmount = 100;
+
+    this.refresh = this.refresh.bind(this);
+
+    Utils.log("DiplomacyPanel created");
+  }
+
+  /**
+   * Initialize the diplomacy panel
+   */
+  init() {
+    this.game.on("diplomacyChanged", this.refresh);
+    this.game.on("diplomacyProposal", this.refresh);
+    this.game.on("tributeSent", this.refresh);
+
+    Utils.log("DiplomacyPanel initialized");
+    return this;
+  }
+
+  /**
+   * Show or hide the panel
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Show the panel
+   */
+  show() {
+    if (!this.container) this.createPanel();
+
+    this.visible = true;
+    this.container.style.display = "block";
+    this.refresh();
+  }
+
+  /**
+   * Hide the panel
+   */
+  hide() {
+    this.visible = false;
+    if (this.container) this.container.style.display = "none";
+  }
+
+  /**
+   * Create the panel element
+   */
+  createPanel() {
+    this.container = document.createElement("div");
+    this.container.className = "diplomacy-panel";
+    this.container.style.position = "absolute";
+    this.container.style.top = "60px";
+    this.container.style.right = "10px";
+    this.container.style.width = "360px";
+    this.container.style.padding = "10px";
+    this.container.style.background = "rgba(0, 0, 0, 0.8)";
+    this.container.style.color = "#fff";
+    this.container.style.zIndex = "200";
+    this.container.style.display = "none";
+
+    const parent = document.getElementById("game-container") || document.body;
+    parent.appendChild(this.container);
+  }
+
+  /**
+   * Rebuild the panel contents from the current diplomacy state
+   */
+  refresh() {
+    if (!this.visible || !this.container) return;
+
+    const diplomacy = this.game.getSystem("diplomacy");
+    const entityManager = this.game.getSystem("entityManager");
+    if (!diplomacy || !entityManager) return;
+
+    const me = this.game.currentPlayer;
+    this.container.innerHTML = "";
+
+    const title = document.createElement("h3");
+    title.textContent = "Diplomacy";
+    title.style.margin = "0 0 8px 0";
+    this.container.appendChild(title);
+
+    for (const player of this.game.players) {
+      if (player.id === me) continue;
+
+      const row = document.createElement("div");
+      row.style.marginBottom = "10px";
+
+      const name = document.createElement("div");
+      name.textContent = `${player.name} (${player.civilization})`;
+      name.style.fontWeight = "bold";
+      row.appendChild(name);
+
+      // Stance
+      const stanceSelect = document.createElement("select");
+      for (const [label, stance] of [
+        ["Ally", diplomacy.STANCES.ALLY],
+        ["Neutral", diplomacy.STANCES.NEUTRAL],
+        ["Enemy", diplomacy.STANCES.ENEMY],
+      ]) {
+        const option = document.createElement("option");
+        option.value = stance;
+        option.textContent = label;
+        stanceSelect.appendChild(option);
+      }
+      stanceSelect.value = diplomacy.getStance(me, player.id);
+      stanceSelect.disabled = diplomacy.lockTeams;
+      stanceSelect.onchange = () =>
+        entityManager.setDiplomacy(player.id, stanceSelect.value);
+      row.appendChild(stanceSelect);
+
+      // Proposal from this player waiting for our answer
+      const proposal = diplomacy.getProposal(player.id, me);
+      if (proposal) {
+        const offer = document.createElement("span");
+        offer.textContent =
+          proposal.stance === diplomacy.STANCES.ALLY
+            ? " offers an alliance "
+            : " offers a ceasefire ";
+        row.appendChild(offer);
+
+        const accept = document.createElement("button");
+        accept.textContent = "Accept";
+        accept.onclick = () =>
+          entityManager.setDiplomacy(player.id, proposal.stance);
+        row.appendChild(accept);
+
+        const decline = document.createElement("button");
+        decline.textContent = "Decline";
+        decline.onclick = () => entityManager.declineProposal(player.id);
+        row.appendChild(decline);
+      }
+
+      // Tribute
+      const tribute = document.createElement("div");
+      for (const resource of this.tributeResources) {
+        const button = document.createElement("button");
+        button.textContent = `${this.tributeAmount} ${resource}`;
+        button.onclick = () =>
+          entityManager.sendTribute(player.id, {
+            [resource]: this.tributeAmount,
+          });
+        tribute.appendChild(button);
+      }
+      row.appendChild(tribute);
+
+      this.container.appendChild(row);
+    }
+
+    // Tribute terms
+    const tax = diplomacy.getTributeTax(me);
+    const note = document.createElement("div");
+    note.style.fontSize = "12px";
+    note.textContent =
+      tax === null
+        ? "Build a market to send tribute."
+        : `Tribute is taxed ${Math.round(tax * 100)}% by the market.`;
+    this.container.appendChild(note);
+
+    const close = document.createElement("button");
+    close.textContent = "Close (F4)";
+    close.onclick = () => this.hide();
+    this.container.appendChild(close);
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DiplomacyPanel;
+} else {
+  window.DiplomacyPanel = DiplomacyPanel;
+}
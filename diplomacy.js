@@ -0,0 +1,407 @@
+/**
+ * Empires of Eternity - Diplomacy System
+ * Tracks diplomatic stances between players (ally, neutral, enemy),
+ * alliance and ceasefire proposals, shared vision and tribute
+ */
+
+class DiplomacySystem {
+  /**
+   * Create a new diplomacy system
+   * @param {Game} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Diplomatic stances
+    this.STANCES = {
+      ALLY: "ally",
+      NEUTRAL: "neutral",
+      ENEMY: "enemy",
+    };
+
+    // Stance for each pair of players, keyed "lowId:highId"
+    this.stances = {};
+
+    // Pending proposals {from, to, stance, expires}
+    this.proposals = [];
+
+    // How long a proposal stays open (ms of game time)
+    this.proposalDuration = 60000;
+
+    // Allies win together
+    this.alliedVictory = true;
+
+    // Teams set in the match setup can't be changed during the game
+    this.lockTeams = false;
+
+    Utils.log("DiplomacySystem created");
+  }
+
+  /**
+   * Initialize the diplomacy system
+   * @param {Object} options - Diplomacy options
+   * @param {boolean} options.lockTeams - Prevent stance changes
+   * @param {boolean} options.alliedVictory - Allies share victory
+   */
+  init(options = {}) {
+    if (options.lockTeams !== undefined) this.lockTeams = options.lockTeams;
+    if (options.alliedVictory !== undefined) {
+      this.alliedVictory = options.alliedVictory;
+    }
+
+    // Players on the same team start allied, everyone else at war
+    this.stances = {};
+    this.proposals = [];
+
+    const players = this.game.players || [];
+    for (const a of players) {
+      for (const b of players) {
+        if (a.id >= b.id) continue;
+
+        const sameTeam =
+          a.team !== undefined && a.team !== null && a.team === b.team;
+        this.stances[this.getPairKey(a.id, b.id)] = sameTeam
+          ? this.STANCES.ALLY
+          : this.STANCES.ENEMY;
+      }
+    }
+
+    Utils.log("DiplomacySystem initialized");
+    return this;
+  }
+
+  /**
+   * Expire old proposals
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    const now = this.game.gameTime;
+    this.proposals = this.proposals.filter((p) => p.expires > now);
+  }
+
+  /**
+   * Get the lookup key for a pair of players
+   * @param {number} a - Player ID
+   * @param {number} b - Player ID
+   * @returns {string} Pair key
+   */
+  getPairKey(a, b) {
+    return a < b ? `${a}:${b}` : `${b}:${a}`;
+  }
+
+  /**
+   * Get the stance between two players
+   * @param {number|string} a - Player ID or owner key
+   * @param {number|string} b - Player ID or owner key
+   * @returns {string} Stance (ally, neutral or enemy)
+   */
+  getStance(a, b) {
+    const idA = this.game.getPlayerId(a);
+    const idB = this.game.getPlayerId(b);
+
+    // Unowned entities are fair game
+    if (idA === null || idB === null) return this.STANCES.ENEMY;
+    if (idA === idB) return this.STANCES.ALLY;
+
+    return this.stances[this.getPairKey(idA, idB)] || this.STANCES.ENEMY;
+  }
+
+  /**
+   * Set the stance between two players
+   * @param {number} a - Player ID
+   * @param {number} b - Player ID
+   * @param {string} stance - New stance
+   */
+  setStance(a, b, stance) {
+    if (a === b || this.getStance(a, b) === stance) return;
+
+    this.stances[this.getPairKey(a, b)] = stance;
+
+    // Any open proposals between them are settled
+    this.proposals = this.proposals.filter(
+      (p) => !((p.from === a && p.to === b) || (p.from === b && p.to === a))
+    );
+
+    this.notify(
+      `${this.getPlayerName(a)} and ${this.getPlayerName(b)} are now ${
+        stance === this.STANCES.ALLY
+          ? "allies"
+          : stance === this.STANCES.NEUTRAL
+          ? "at ceasefire"
+          : "at war"
+      }`,
+      [a, b]
+    );
+
+    this.game.emit("diplomacyChanged", { players: [a, b], stance: stance });
+  }
+
+  /**
+   * Check whether two players are allied
+   * @param {number|string} a - Player ID or owner key
+   * @param {number|string} b - Player ID or owner key
+   * @returns {boolean} True if allied
+   */
+  areAllied(a, b) {
+    return this.getStance(a, b) === this.STANCES.ALLY;
+  }
+
+  /**
+   * Check whether two players are at war
+   * @param {number|string} a - Player ID or owner key
+   * @param {number|string} b - Player ID or owner key
+   * @returns {boolean} True if enemies
+   */
+  areEnemies(a, b) {
+    return this.getStance(a, b) === this.STANCES.ENEMY;
+  }
+
+  /**
+   * Get a player's allies
+   * @param {number} playerId - Player ID
+   * @returns {Array} Allied player IDs
+   */
+  getAllies(playerId) {
+    return (this.game.players || [])
+      .map((p) => p.id)
+      .filter((id) => id !== playerId && this.areAllied(playerId, id));
+  }
+
+  /**
+   * Get a player's enemies
+   * @param {number} playerId - Player ID
+   * @returns {Array} Enemy player IDs
+   */
+  getEnemies(playerId) {
+    return (this.game.players || [])
+      .map((p) => p.id)
+      .filter((id) => id !== playerId && this.areEnemies(playerId, id));
+  }
+
+  /**
+   * Get the owners that should also see what an owner sees
+   * @param {string} owner - Owner key
+   * @returns {Array} Owner keys of allies
+   */
+  getSharedVision(owner) {
+    const playerId = this.game.getPlayerId(owner);
+    if (playerId === null) return [];
+
+    return this.getAllies(playerId)
+      .map((id) => this.game.getOwnerKey(id))
+      .filter((key) => key !== null && key !== owner);
+  }
+
+  /**
+   * Change stance towards another player. War is declared at once;
+   * alliances and ceasefires need the other player to agree.
+   * @param {number} from - Player ID making the change
+   * @param {number} to - Other player ID
+   * @param {string} stance - Requested stance
+   * @returns {boolean} True if the stance changed
+   */
+  requestStance(from, to, stance) {
+    if (this.lockTeams || from === to) return false;
+    if (!Object.values(this.STANCES).includes(stance)) return false;
+    if (this.getStance(from, to) === stance) return false;
+
+    if (stance === this.STANCES.ENEMY) {
+      this.setStance(from, to, stance);
+      return true;
+    }
+
+    // Accept a matching offer from the other side
+    const offer = this.getProposal(to, from);
+    if (offer && offer.stance === stance) {
+      this.setStance(from, to, stance);
+      return true;
+    }
+
+    this.proposals = this.proposals.filter(
+      (p) => !(p.from === from && p.to === to)
+    );
+    this.proposals.push({
+      from: from,
+      to: to,
+      stance: stance,
+      expires: this.game.gameTime + this.proposalDuration,
+    });
+
+    this.notify(
+      `${this.getPlayerName(from)} proposes ${
+        stance === this.STANCES.ALLY ? "an alliance" : "a ceasefire"
+      } to ${this.getPlayerName(to)}`,
+      [from, to]
+    );
+
+    this.game.emit("diplomacyProposal", { from: from, to: to, stance: stance });
+    return false;
+  }
+
+  /**
+   * Get an open proposal between two players
+   * @param {number} from - Proposing player ID
+   * @param {number} to - Receiving player ID
+   * @returns {Object|null} Proposal
+   */
+  getProposal(from, to) {
+    return (
+      this.proposals.find((p) => p.from === from && p.to === to) || null
+    );
+  }
+
+  /**
+   * Get proposals waiting for a player's answer
+   * @param {number} playerId - Player ID
+   * @returns {Array} Proposals
+   */
+  getProposalsFor(playerId) {
+    return this.proposals.filter((p) => p.to === playerId);
+  }
+
+  /**
+   * Turn down a proposal
+   * @param {number} playerId - Player declining
+   * @param {number} from - Player who proposed
+   */
+  declineProposal(playerId, from) {
+    this.proposals = this.proposals.filter(
+      (p) => !(p.from === from && p.to === playerId)
+    );
+  }
+
+  /**
+   * Get the tribute tax rate for a player. Tribute passes through the
+   * market like a sale and a purchase, so the commission is taken twice
+   * @param {number} playerId - Player ID
+   * @returns {number|null} Tax rate, or null if the player has no market
+   */
+  getTributeTax(playerId) {
+    const market = this.game.getSystem("market");
+    if (!market || market.getMarkets(playerId).length === 0) return null;
+
+    return 1 - Math.pow(1 - market.commission, 2);
+  }
+
+  /**
+   * Send resources to another player through the market
+   * @param {number} from - Sending player ID
+   * @param {number} to - Receiving player ID
+   * @param {Object} resources - Resources to send {gold: 100, ...}
+   * @returns {boolean} True if sent
+   */
+  sendTribute(from, to, resources) {
+    if (from === to || !resources) return false;
+
+    // Whole, positive amounts of real resources only
+    const amounts = Object.entries(resources);
+    if (
+      amounts.length === 0 ||
+      amounts.some(
+        ([resource, amount]) =>
+          !CONFIG.RESOURCES.TYPES.includes(resource) ||
+          !Number.isInteger(amount) ||
+          amount <= 0
+      )
+    ) {
+      return false;
+    }
+
+    const tax = this.getTributeTax(from);
+    if (tax === null) {
+      this.notify("A market is required to send tribute", [from]);
+      return false;
+    }
+
+    const resourceManager = this.game.getSystem("resourceManager");
+    const fromKey = this.game.getOwnerKey(from);
+    const toKey = this.game.getOwnerKey(to);
+    if (!resourceManager || fromKey === null || toKey === null) return false;
+
+    if (!resourceManager.deductResources(resources, fromKey)) {
+      this.notify("Not enough resources for tribute", [from]);
+      return false;
+    }
+
+    const received = {};
+    for (const resource in resources) {
+      received[resource] = Math.floor(resources[resource] * (1 - tax));
+    }
+    resourceManager.addResources(received, toKey);
+
+    const summary = Object.entries(received)
+      .map(([resource, amount]) => `${amount} ${resource}`)
+      .join(", ");
+    this.notify(
+      `${this.getPlayerName(from)} sent ${summary} to ${this.getPlayerName(
+        to
+      )}`,
+      [from, to]
+    );
+
+    this.game.emit("tributeSent", {
+      from: from,
+      to: to,
+      sent: resources,
+      received: received,
+    });
+    return true;
+  }
+
+  /**
+   * Show a diplomacy message to the local player if it concerns them
+   * @param {string} message - Message text
+   * @param {Array} players - Player IDs involved
+   */
+  notify(message, players) {
+    if (!players.includes(this.game.currentPlayer)) return;
+
+    const alertSystem = this.game.getSystem("alertSystem");
+    if (alertSystem) {
+      alertSystem.addAlert(message, "diplomacy");
+    } else {
+      Utils.log(message);
+    }
+  }
+
+  /**
+   * Get a player's display name
+   * @param {number} playerId - Player ID
+   * @returns {string} Player name
+   */
+  getPlayerName(playerId) {
+    const player = (this.game.players || []).find((p) => p.id === playerId);
+    return player ? player.name : `Player ${playerId + 1}`;
+  }
+
+  /**
+   * Get serializable diplomacy state
+   * @returns {Object} Serialized diplomacy state
+   */
+  serialize() {
+    return {
+      stances: { ...this.stances },
+      proposals: this.proposals.map((p) => ({ ...p })),
+      lockTeams: this.lockTeams,
+      alliedVictory: this.alliedVictory,
+    };
+  }
+
+  /**
+   * Restore diplomacy state from serialized data
+   * @param {Object} data - Serialized diplomacy state
+   */
+  deserialize(data) {
+    this.stances = { ...data.stances };
+    this.proposals = (data.proposals || []).map((p) => ({ ...p }));
+    this.lockTeams = !!data.lockTeams;
+    this.alliedVictory = data.alliedVictory !== false;
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DiplomacySystem;
+} else {
+  window.DiplomacySystem = DiplomacySystem;
+}
@@ -4603,7 +4603,6 @@ class GameStateManager {
       ageProgress: 0,
       maxPopulation: 10,
       dayNightCycle: true,
-      timeOfDay: 0, // 0-1, 0 = dawn, 0.25 = noon, 0.5 = dusk, 0.75 = midnight
       timeScale: 1, // 1 = normal speed
       paused: false,
       victory: false,
@@ -4665,19 +4664,24 @@ class GameStateManager {
         time: 1800, // 30 minutes
       },
     };
+
+    // The civilization bonuses follow the engine's day/night clock
+    if (
+      engine.civilizationManager &&
+      engine.civilizationManager.watchTimeOfDay
+    ) {
+      engine.civilizationManager.watchTimeOfDay();
+    }
+  }
+
+  getTimeOfDaySystem() {
+    // The engine owns the clock and advances it every tick
+    return this.engine.getSystem ? this.engine.getSystem("timeOfDay") : null;
   }
 
   update(deltaTime) {
     if (this.gameState.paused) return;
 
-    // Update time of day
-    if (this.gameState.dayNightCycle) {
-      this.gameState.timeOfDay += deltaTime * 0.01 * this.gameState.timeScale;
-      if (this.gameState.timeOfDay >= 1) {
-        this.gameState.timeOfDay -= 1;
-      }
-    }
-
     // Check for age advancement
     this.checkAgeAdvancement();
 
@@ -4922,7 +4926,7 @@ class GameStateManager {
     );
 
     // Calculate final score
-    this.updateScore(true);
+    this.updateScore();
 
     // Display score and stats
     console.log("Final Score:", this.gameState.score);
@@ -4938,107 +4942,28 @@ class GameStateManager {
     this.engine.uiManager.showAlert("Defeat! Your civilization has fallen!");
 
     // Calculate final score
-    this.updateScore(true);
+    this.updateScore();
 
     // Display score and stats
     console.log("Final Score:", this.gameState.score);
   }
 
-  updateScore(isFinal = false) {
-    // Calculate score based on various factors
-    let score = 0;
+  updateScore() {
+    // The engine's ScoreSystem owns the score formula, so the scoreboard,
+    // score victory and this summary always agree
+    const scoreSystem = this.engine.getSystem
+      ? this.engine.getSystem("score")
+      : null;
+    if (!scoreSystem) return;
 
-    // Resources
-    const resources = this.engine.resourceManager.resources;
-    score += resources.food * 0.1;
-    score += resources.wood * 0.1;
-    score += resources.stone * 0.2;
-    score += resources.gold * 0.5;
-    score += resources.iron * 0.5;
-
-    // Units
-    const villagers = this.engine.entityManager.getEntitiesByOwnerAndType(
-      "player",
-      "villager"
-    );
-    const soldiers = this.engine.entityManager.getEntitiesByOwnerAndType(
-      "player",
-      "soldier"
-    );
-    const heroes = this.engine.entityManager.getEntitiesByOwnerAndType(
-      "player",
-      "hero"
-    );
-
-    score += villagers.length * 10;
-    score += soldiers.length * 20;
-    score += heroes.length * 100;
-
-    // Buildings
-    const buildings = this.engine.entityManager.getEntitiesByOwnerAndType(
-      "player",
-      "building"
-    );
-    const wonders = this.engine.entityManager.getEntitiesByOwnerAndType(
-      "player",
-      "wonder"
-    );
-
-    score += buildings.length * 50;
-    score += wonders.length * 500;
-
-    // Age
-    const ageScores = {
-      stone: 0,
-      bronze: 100,
-      iron: 300,
-      golden: 600,
-      eternal: 1000,
-    };
-
-    score += ageScores[this.gameState.currentAge] || 0;
-
-    // Technologies
-    score += this.engine.civilizationManager.techs.researched.length * 100;
-
-    // Final score multipliers
-    if (isFinal) {
-      if (this.gameState.victory) {
-        score *= 1.5; // Victory bonus
-      }
-
-      // Time score bonus/penalty
-      const gameTime = this.gameState.ageProgress; // Using age progress as a proxy for game time
-      if (gameTime < 1800) {
-        // Less than 30 minutes
-        score *= 1.2; // Quick victory bonus
-      } else if (gameTime > 3600) {
-        // More than 60 minutes
-        score *= 0.8; // Long game penalty
-      }
-    }
-
-    this.gameState.score = Math.floor(score);
+    const score = scoreSystem.getScore(this.engine.currentPlayer || 0);
+    this.gameState.score = score.total;
   }
 
   getLightLevel() {
-    // Calculate light level based on time of day
     // 0-1 value, with 0 being darkest (midnight) and 1 being brightest (noon)
-    const time = this.gameState.timeOfDay;
-
-    if (time < 0.25) {
-      // Dawn - getting brighter
-      return 0.5 + time * 2;
-    } else if (time < 0.5) {
-      // Day - full brightness
-      return 1.0;
-    } else if (time < 0.75) {
-      // Dusk - getting darker
-      return 1.0 - (time - 0.5) * 2;
-    } else {
-      // Night - darkness
-      return 0.5 - (time - 0.75) * 2;
-    }
+    const timeOfDay = this.getTimeOfDaySystem();
+    return timeOfDay ? timeOfDay.getLightLevel() : 1;
   }
 }
 
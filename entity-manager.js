@@ -23,6 +23,28 @@ class EntityManager {
       // Command queue for unit actions
       this.commandQueue = [];
       
+      // Groups this large share one flow field instead of an A* per unit
+      this.flowFieldThreshold = 8;
+      
+      // Build-time class (CONFIG.BUILD_TIMES) of each trainable unit, and
+      // the buildings that train them
+      this.trainingClasses = {
+          villager: 'VILLAGER',
+          sun_spearman: 'INFANTRY', moon_skirmisher: 'INFANTRY',
+          solar_archer: 'RANGED', lunar_hunter: 'RANGED',
+          desert_cavalry: 'CAVALRY', night_rider: 'CAVALRY',
+          sunforged_knight: 'ELITE', shadow_blade: 'ELITE',
+          sun_catapult: 'SIEGE', moon_trebuchet: 'SIEGE'
+      };
+      this.trainingBuildings = {
+          villager: ['town_center'],
+          military: ['barracks', 'training_ground']
+      };
+      this.civilizationUnits = {
+          SOLARI: ['sun_spearman', 'solar_archer', 'desert_cavalry', 'sunforged_knight', 'sun_catapult'],
+          LUNARI: ['moon_skirmisher', 'lunar_hunter', 'night_rider', 'shadow_blade', 'moon_trebuchet']
+      };
+      
       console.log('EntityManager created'); // Replaced Utils.log with console.log
   }
 
@@ -85,16 +107,109 @@ class EntityManager {
       }
   }
 
+  /**
+   * Queue a command for execution on an upcoming tick
+   * @param {Object} command - Command to queue
+   */
+  queueCommand(command) {
+      // Replays only execute recorded commands
+      if (this.game.replaying) return;
+      
+      // Multiplayer commands go through the relay and run on their turn
+      const network = this.game.getSystem('network');
+      if (network && network.active) {
+          network.submitCommand(command);
+          return;
+      }
+      
+      this.commandQueue.push(command);
+  }
+
   /**
    * Execute a command
    * @param {Object} command - Command to execute
    */
   executeCommand(command) {
-      // Get entities to command
-      const entities = command.entityIds.map(id => this.getEntityById(id)).filter(e => e && e.active);
+      // Stamp with simulation tick and issuing player, then log for replays
+      command.tick = this.game.tick;
+      if (command.playerId === undefined) {
+          command.playerId = this.game.currentPlayer;
+      }
+      
+      const commandLog = this.game.getSystem('commandLog');
+      if (commandLog) {
+          commandLog.record(command);
+      }
+      
+      // Player-level commands don't act on entities
+      if (this.executePlayerCommand(command)) return;
+      
+      // Players can only command their own entities
+      const owner = this.game.getOwnerKey(command.playerId);
+      const commanded = command.entityIds.map(id => this.getEntityById(id)).filter(e => e);
+      if (commanded.some(e => e.owner !== owner)) {
+          Utils.log(`Rejected ${command.type} command: player ${command.playerId} doesn't own every entity`);
+          return;
+      }
+      
+      // Get entities to command (units aboard a transport or inside a building can't act)
+      let entities = commanded.filter(e => e.active && !e.transportId && !e.garrisonId);
       
       if (entities.length === 0) return;
       
+      // A stance isn't an order, so it leaves the current ones alone
+      if (command.type === 'stance') {
+          this.applyOrder(entities, command);
+          return;
+      }
+      
+      // Shift-queued orders wait their turn in each unit's queue
+      if (command.queued) {
+          const order = this.createOrder(command);
+          for (const entity of entities) {
+              if (entity.queueOrder) entity.queueOrder({ ...order });
+          }
+          
+          entities = entities.filter(e => !e.queueOrder);
+          if (entities.length === 0) return;
+      }
+      
+      // Any new order breaks off a healer's conversion
+      const support = this.game.getSystem('support');
+      if (support && command.type !== 'convert') {
+          support.cancelChannels(entities);
+      }
+      
+      // A new order replaces anything queued, such as a rally route
+      for (const entity of entities) {
+          if (entity.clearOrders) entity.clearOrders();
+      }
+      
+      this.applyOrder(entities, command);
+  }
+
+  /**
+   * Strip a command down to the order a unit keeps in its queue
+   * @param {Object} command - Queued command
+   * @returns {Object} Order {type, ...target fields}
+   */
+  createOrder(command) {
+      const order = { ...command };
+      delete order.entityIds;
+      delete order.tick;
+      delete order.playerId;
+      delete order.queued;
+      return order;
+  }
+
+  /**
+   * Carry out a command, or an order a unit took from its queue
+   * @param {Array} entities - Entities to act
+   * @param {Object} command - Command or order
+   */
+  applyOrder(entities, command) {
+      const support = this.game.getSystem('support');
+      
       // Execute command based on type
       switch (command.type) {
           case 'move':
@@ -129,16 +244,250 @@ class EntityManager {
               }
               break;
               
+          case 'attackMove': {
+              const movers = entities.filter(e => e.setAttackMove);
+              for (const entity of movers) {
+                  entity.setAttackMove(command.x, command.y);
+              }
+              this.executeMove(movers, command.x, command.y);
+              break;
+          }
+              
+          case 'patrol': {
+              const waypoints = command.waypoints || [{ x: command.x, y: command.y }];
+              for (const entity of entities) {
+                  if (entity.startPatrol) entity.startPatrol(waypoints);
+              }
+              break;
+          }
+              
+          case 'hold':
+              for (const entity of entities) {
+                  if (entity.holdPosition) entity.holdPosition();
+              }
+              break;
+              
+          case 'stance':
+              for (const entity of entities) {
+                  if (entity.setStance) entity.setStance(command.stance);
+              }
+              break;
+              
           case 'formation':
               this.executeFormation(entities, command.formation);
               break;
               
+          case 'load': {
+              const naval = this.game.getSystem('naval');
+              const transport = this.getEntityById(command.transportId);
+              if (naval && transport && transport.active) {
+                  naval.loadUnits(transport, entities);
+              }
+              break;
+          }
+              
+          case 'unload': {
+              const naval = this.game.getSystem('naval');
+              if (naval) {
+                  naval.unloadUnits(entities, command.x, command.y);
+              }
+              break;
+          }
+              
+          case 'garrison': {
+              const garrison = this.game.getSystem('garrison');
+              const shelter = this.getEntityById(command.buildingId);
+              if (garrison && shelter && shelter.active) {
+                  garrison.garrisonUnits(shelter, entities);
+              }
+              break;
+          }
+              
+          case 'convert': {
+              const convertTarget = this.getEntityById(command.targetId);
+              if (support && convertTarget && convertTarget.active) {
+                  support.convert(entities, convertTarget);
+              }
+              break;
+          }
+              
+          case 'rally': {
+              // Shift-clicks add waypoints instead of replacing the rally point
+              const rallyTarget = command.targetId ? this.getEntityById(command.targetId) : null;
+              const point = rallyTarget && rallyTarget.active ? rallyTarget : { x: command.x, y: command.y };
+              for (const entity of entities) {
+                  if (entity.setRallyPoint) entity.setRallyPoint(point, !!command.queued);
+              }
+              break;
+          }
+              
+          case 'ungarrison':
+              for (const entity of entities) {
+                  if (entity.ungarrisonAll) entity.ungarrisonAll();
+              }
+              break;
+              
+          case 'train':
+              for (const entity of entities) {
+                  this.trainUnit(entity, command.unitType);
+              }
+              break;
+              
+          case 'research':
+              for (const entity of entities) {
+                  if (entity.startResearch) entity.startResearch(command.technologyId);
+              }
+              break;
+              
           case 'stop':
               this.executeStop(entities);
               break;
       }
   }
 
+  /**
+   * Queue a unit at a building, paying for it up front
+   * @param {Building} building - Town center or military building
+   * @param {string} unitType - Unit type, as in the resource costs
+   * @returns {boolean} True if the unit was queued
+   */
+  trainUnit(building, unitType) {
+      const resourceManager = this.game.getSystem('resourceManager');
+      if (!resourceManager || !building.queueProduction) return false;
+      if (!this.getTrainableUnits(building).includes(unitType)) return false;
+      
+      const age = this.getOwnerAge(building.owner);
+      
+      return building.queueProduction({
+          type: unitType,
+          category: 'unit',
+          unitType: unitType,
+          cost: resourceManager.getUnitCost(unitType, age, building.owner),
+          time: CONFIG.BUILD_TIMES[this.trainingClasses[unitType]][age] * 1000
+      });
+  }
+
+  /**
+   * Get the units a building can train now: its kind, its owner's
+   * civilization and age decide
+   * @param {Building} building - Building to check
+   * @returns {Array} Unit types
+   */
+  getTrainableUnits(building) {
+      if (!building.constructed) return [];
+      
+      const age = this.getOwnerAge(building.owner);
+      const civilizationUnits = this.civilizationUnits[this.game.getCivilization(building.owner)] || [];
+      
+      // Units from a later age have no build time yet
+      return ['villager', ...civilizationUnits].filter(unitType =>
+          this.trainingBuildings[unitType === 'villager' ? 'villager' : 'military'].includes(building.buildingType) &&
+          CONFIG.BUILD_TIMES[this.trainingClasses[unitType]][age] > 0
+      );
+  }
+
+  /**
+   * Get the age an owner has reached
+   * @param {number} owner - Owner key
+   * @returns {number} Age index
+   */
+  getOwnerAge(owner) {
+      const ageSystem = this.game.getSystem('ageSystem');
+      return ageSystem ? ageSystem.getPlayerAge(this.game.getPlayerId(owner)) || 0 : 0;
+  }
+
+  /**
+   * Execute a command issued by a player rather than to entities
+   * @param {Object} command - Command to execute
+   * @returns {boolean} True if the command was handled
+   */
+  executePlayerCommand(command) {
+      const diplomacy = this.game.getSystem('diplomacy');
+      const market = this.game.getSystem('market');
+      
+      switch (command.type) {
+          case 'diplomacy':
+              if (diplomacy) {
+                  diplomacy.requestStance(command.playerId, command.targetPlayerId, command.stance);
+              }
+              return true;
+              
+          case 'declineProposal':
+              if (diplomacy) {
+                  diplomacy.declineProposal(command.playerId, command.targetPlayerId);
+              }
+              return true;
+              
+          case 'tribute':
+              if (diplomacy) {
+                  diplomacy.sendTribute(command.playerId, command.targetPlayerId, command.resources);
+              }
+              return true;
+              
+          case 'trade':
+              if (market) {
+                  market.trade(command.playerId, command.sellResource, command.buyResource, command.amount);
+              }
+              return true;
+              
+          case 'trainCaravan': {
+              const building = this.getEntityById(command.buildingId);
+              if (market && building && building.owner === this.game.getOwnerKey(command.playerId)) {
+                  market.trainCaravan(building);
+              }
+              return true;
+          }
+              
+          case 'trainShip': {
+              const naval = this.game.getSystem('naval');
+              const building = this.getEntityById(command.buildingId);
+              if (naval && building && building.owner === this.game.getOwnerKey(command.playerId)) {
+                  naval.trainShip(building, command.shipType);
+              }
+              return true;
+          }
+              
+          case 'trainHealer': {
+              const support = this.game.getSystem('support');
+              const building = this.getEntityById(command.buildingId);
+              if (support && building && building.owner === this.game.getOwnerKey(command.playerId)) {
+                  support.trainHealer(building);
+              }
+              return true;
+          }
+              
+          case 'townBell': {
+              const garrison = this.game.getSystem('garrison');
+              const building = this.getEntityById(command.buildingId);
+              if (garrison && building && building.owner === this.game.getOwnerKey(command.playerId)) {
+                  garrison.toggleBell(building);
+              }
+              return true;
+          }
+              
+          case 'buildDock': {
+              const naval = this.game.getSystem('naval');
+              if (naval) {
+                  const builders = (command.builderIds || [])
+                      .map(id => this.getEntityById(id))
+                      .filter(e => e && e.active);
+                  naval.placeDock(command.playerId, command.x, command.y, builders);
+              }
+              return true;
+          }
+              
+          case 'placeBuilding': {
+              const builders = (command.builderIds || [])
+                  .map(id => this.getEntityById(id))
+                  .filter(e => e && e.active);
+              this.placeFoundation(command.playerId, command.buildingType, command.x, command.y, builders, !!command.queued);
+              return true;
+          }
+      }
+      
+      return false;
+  }
+
   /**
    * Execute a move command
    * @param {Array} entities - Entities to move
@@ -146,19 +495,103 @@ class EntityManager {
    * @param {number} y - Target Y coordinate
    */
   executeMove(entities, x, y) {
-      // Basic implementation - each unit moves independently
-      for (const entity of entities) {
-          if (entity.moveTo) {
-              entity.moveTo(x, y);
-          }
+      const movers = entities.filter(e => e.moveTo);
+      
+      // Ships and land units can't share a route
+      const ships = movers.filter(e => e.naval);
+      if (ships.length > 0 && ships.length < movers.length) {
+          this.executeMove(ships, x, y);
+          this.executeMove(movers.filter(e => !e.naval), x, y);
+          return;
       }
       
       // If units are in formation, use formation movement
-      if (entities.length > 1 && entities[0].formation) {
-          this.executeFormationMove(entities, x, y);
+      if (movers.length > 1 && movers[0].formation) {
+          this.executeFormationMove(movers, x, y);
+          return;
+      }
+      
+      // Large groups follow one shared flow field
+      if (movers.length >= this.flowFieldThreshold && this.executeFlowFieldMove(movers, x, y)) {
+          return;
+      }
+      
+      // Small groups - each unit moves independently
+      for (const entity of movers) {
+          entity.moveTo(x, y);
       }
   }
 
+  /**
+   * Move a group along a shared flow field, each unit to its own spot
+   * around the target so they don't all pile onto one tile
+   * @param {Array} entities - Entities to move
+   * @param {number} x - Target X coordinate
+   * @param {number} y - Target Y coordinate
+   * @returns {boolean} True if the group was sent (false to fall back to A*)
+   */
+  executeFlowFieldMove(entities, x, y) {
+      const map = this.game.getSystem('map');
+      const field = map && map.getFlowField && map.getFlowField(Math.floor(x), Math.floor(y), entities[0].naval);
+      if (!field) return false;
+      
+      const spots = this.getGroupSpots(field, entities.length);
+      const group = entities.slice();
+      
+      // Nearest free spot for each unit, furthest units first so the
+      // front of the group doesn't take the spots behind it
+      const byDistance = group.slice().sort((a, b) =>
+          field.getCost(Math.floor(b.x), Math.floor(b.y)) -
+          field.getCost(Math.floor(a.x), Math.floor(a.y)) ||
+          (a.id < b.id ? -1 : 1)
+      );
+      
+      for (const entity of byDistance) {
+          let best = 0;
+          let bestDistance = Infinity;
+          for (let i = 0; i < spots.length; i++) {
+              const distance = Utils.distance(entity.x, entity.y, spots[i].x, spots[i].y);
+              if (distance < bestDistance) {
+                  best = i;
+                  bestDistance = distance;
+              }
+          }
+          
+          const spot = spots.length > 0 ? spots.splice(best, 1)[0] : { x: x, y: y };
+          entity.moveAlongFlowField(field, spot.x, spot.y, group);
+      }
+      
+      return true;
+  }
+
+  /**
+   * Get open tiles around a flow field's target for a group to stand on
+   * @param {FlowField} field - Flow field
+   * @param {number} count - Number of spots wanted
+   * @returns {Array} Spots {x, y}, nearest the target first
+   */
+  getGroupSpots(field, count) {
+      const spots = [];
+      const maxRadius = Math.ceil(Math.sqrt(count)) + 3;
+      
+      for (let radius = 0; radius <= maxRadius && spots.length < count; radius++) {
+          for (let dy = -radius; dy <= radius && spots.length < count; dy++) {
+              for (let dx = -radius; dx <= radius && spots.length < count; dx++) {
+                  // Only the ring at this radius
+                  if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+                  
+                  const tileX = field.targetX + dx;
+                  const tileY = field.targetY + dy;
+                  if (field.isReachable(tileX, tileY)) {
+                      spots.push({ x: tileX, y: tileY });
+                  }
+              }
+          }
+      }
+      
+      return spots;
+  }
+
   /**
    * Execute a formation move command
    * @param {Array} entities - Entities in formation
@@ -181,10 +614,16 @@ class EntityManager {
       const dirX = distance > 0 ? dx / distance : 0;
       const dirY = distance > 0 ? dy / distance : 0;
       
+      // Large formations share one flow field to the formation centre
+      const map = this.game.getSystem('map');
+      const field = entities.length >= this.flowFieldThreshold && map && map.getFlowField
+          ? map.getFlowField(Math.floor(x), Math.floor(y), entities[0].naval)
+          : null;
+      
       // Move each unit in formation
       for (const entity of entities) {
           if (entity.moveToFormation) {
-              entity.moveToFormation(x, y, dirX, dirY);
+              entity.moveToFormation(x, y, dirX, dirY, field, entities);
           }
       }
   }
@@ -393,7 +832,7 @@ class EntityManager {
   moveUnits(entities, x, y) {
       const entityIds = entities.map(e => e.id);
       
-      this.commandQueue.push({
+      this.queueCommand({
           type: 'move',
           entityIds: entityIds,
           x: x,
@@ -409,7 +848,7 @@ class EntityManager {
   attackTarget(entities, target) {
       const entityIds = entities.map(e => e.id);
       
-      this.commandQueue.push({
+      this.queueCommand({
           type: 'attack',
           entityIds: entityIds,
           targetId: target.id
@@ -424,7 +863,7 @@ class EntityManager {
   gatherResource(entities, resource) {
       const entityIds = entities.map(e => e.id);
       
-      this.commandQueue.push({
+      this.queueCommand({
           type: 'gather',
           entityIds: entityIds,
           resourceId: resource.id
@@ -439,7 +878,7 @@ class EntityManager {
   assignVillagersToConstruct(entities, building) {
       const entityIds = entities.map(e => e.id);
       
-      this.commandQueue.push({
+      this.queueCommand({
           type: 'build',
           entityIds: entityIds,
           buildingId: building.id
@@ -454,7 +893,7 @@ class EntityManager {
   repairStructure(entities, structure) {
       const entityIds = entities.map(e => e.id);
       
-      this.commandQueue.push({
+      this.queueCommand({
           type: 'repair',
           entityIds: entityIds,
           structureId: structure.id
@@ -469,7 +908,7 @@ class EntityManager {
   setFormation(entities, formation) {
       const entityIds = entities.map(e => e.id);
       
-      this.commandQueue.push({
+      this.queueCommand({
           type: 'formation',
           entityIds: entityIds,
           formation: formation
@@ -477,32 +916,383 @@ class EntityManager {
   }
 
   /**
-   * Create starting entities for a civilization
-   * @param {Object} civilization - Civilization configuration
+   * Change diplomatic stance towards another player
+   * @param {number} targetPlayerId - Other player
+   * @param {string} stance - ally, neutral or enemy
+   * @param {number} playerId - Player issuing the command (defaults to local player)
+   */
+  setDiplomacy(targetPlayerId, stance, playerId) {
+      this.queueCommand({
+          type: 'diplomacy',
+          playerId: playerId,
+          targetPlayerId: targetPlayerId,
+          stance: stance
+      });
+  }
+
+  /**
+   * Turn down a diplomatic proposal
+   * @param {number} targetPlayerId - Player who proposed
+   * @param {number} playerId - Player issuing the command (defaults to local player)
+   */
+  declineProposal(targetPlayerId, playerId) {
+      this.queueCommand({
+          type: 'declineProposal',
+          playerId: playerId,
+          targetPlayerId: targetPlayerId
+      });
+  }
+
+  /**
+   * Send resources to another player
+   * @param {number} targetPlayerId - Receiving player
+   * @param {Object} resources - Resources to send {gold: 100, ...}
+   * @param {number} playerId - Player issuing the command (defaults to local player)
+   */
+  sendTribute(targetPlayerId, resources, playerId) {
+      this.queueCommand({
+          type: 'tribute',
+          playerId: playerId,
+          targetPlayerId: targetPlayerId,
+          resources: resources
+      });
+  }
+
+  /**
+   * Exchange resources at the market
+   * @param {string} sellResource - Resource to give (or gold)
+   * @param {string} buyResource - Resource to receive (or gold)
+   * @param {number} amount - Units of sellResource to give
+   * @param {number} playerId - Player issuing the command (defaults to local player)
    */
-  createStartingEntities(civilization) {
-      const civKey = civilization.name === 'The Solari' ? 'SOLARI' : 'LUNARI';
+  tradeResources(sellResource, buyResource, amount, playerId) {
+      this.queueCommand({
+          type: 'trade',
+          playerId: playerId,
+          sellResource: sellResource,
+          buyResource: buyResource,
+          amount: amount
+      });
+  }
+
+  /**
+   * Train a trade caravan at a market
+   * @param {number} buildingId - Market building ID
+   * @param {number} playerId - Player issuing the command (defaults to local player)
+   */
+  trainCaravan(buildingId, playerId) {
+      this.queueCommand({
+          type: 'trainCaravan',
+          playerId: playerId,
+          buildingId: buildingId
+      });
+  }
+
+  /**
+   * Train a ship at a dock
+   * @param {number} buildingId - Dock building ID
+   * @param {string} shipType - fishing_boat, transport or warship
+   * @param {number} playerId - Player issuing the command (defaults to local player)
+   */
+  trainShip(buildingId, shipType, playerId) {
+      this.queueCommand({
+          type: 'trainShip',
+          playerId: playerId,
+          buildingId: buildingId,
+          shipType: shipType
+      });
+  }
+
+  /**
+   * Place a dock on a shoreline and send villagers to build it
+   * @param {number} x - Dock X
+   * @param {number} y - Dock Y
+   * @param {Array} builders - Villagers to build it
+   * @param {number} playerId - Player issuing the command (defaults to local player)
+   */
+  buildDock(x, y, builders, playerId) {
+      this.queueCommand({
+          type: 'buildDock',
+          playerId: playerId,
+          x: x,
+          y: y,
+          builderIds: builders.map(e => e.id)
+      });
+  }
+
+  /**
+   * Lay down a building foundation and send villagers to build it
+   * @param {string} buildingType - Building type, as in the resource costs
+   * @param {number} x - Building X
+   * @param {number} y - Building Y
+   * @param {Array} builders - Villagers to build it
+   * @param {boolean} queued - Add the build to the end of the builders' orders
+   * @param {number} playerId - Player issuing the command (defaults to local player)
+   */
+  placeBuilding(buildingType, x, y, builders, queued, playerId) {
+      this.queueCommand({
+          type: 'placeBuilding',
+          playerId: playerId,
+          buildingType: buildingType,
+          x: x,
+          y: y,
+          builderIds: builders.map(e => e.id),
+          queued: !!queued
+      });
+  }
+
+  /**
+   * Get a building type's footprint in tiles
+   * @param {string} buildingType - Building type
+   * @returns {number} Width and height
+   */
+  getBuildingSize(buildingType) {
+      switch (buildingType) {
+          case 'house':
+          case 'hut':
+          case 'tower':
+          case 'watchtower':
+              return 2;
+          case 'wonder':
+              return 4;
+          default:
+              return 3;
+      }
+  }
+
+  /**
+   * Check whether a building fits at a position
+   * @param {string} buildingType - Building type
+   * @param {number} x - Building X
+   * @param {number} y - Building Y
+   * @returns {boolean} True if the terrain is buildable and nothing is in the way
+   */
+  canPlaceBuilding(buildingType, x, y) {
       const map = this.game.getSystem('map');
+      const size = this.getBuildingSize(buildingType);
       
-      if (!map) return;
+      return !!map && map.isTerrainBuildable(x, y, size, size) && this.isAreaClear(x, y, size, size);
+  }
+
+  /**
+   * Pay for and lay down a building foundation, then start or queue the
+   * builders on it. Docks go through the naval system, which needs a shore.
+   * @param {number} playerId - Player building it
+   * @param {string} buildingType - Building type
+   * @param {number} x - Building X
+   * @param {number} y - Building Y
+   * @param {Array} builders - Villagers to build it
+   * @param {boolean} queued - Add the build to the end of the builders' orders
+   * @returns {Building|null} The foundation, or null if it couldn't be placed
+   */
+  placeFoundation(playerId, buildingType, x, y, builders = [], queued = false) {
+      const owner = this.game.getOwnerKey(playerId);
+      const resourceManager = this.game.getSystem('resourceManager');
+      if (owner === null || !resourceManager) return null;
+      
+      builders = builders.filter(e => e.owner === owner);
+      x = Math.floor(x);
+      y = Math.floor(y);
+      
+      let building = null;
+      if (buildingType === 'dock') {
+          const naval = this.game.getSystem('naval');
+          building = naval ? naval.placeDock(playerId, x, y) : null;
+      } else if (this.canPlaceBuilding(buildingType, x, y)) {
+          const ageSystem = this.game.getSystem('ageSystem');
+          const age = ageSystem ? ageSystem.getPlayerAge(playerId) || 0 : 0;
+          
+          if (resourceManager.canAffordBuilding(buildingType, age, owner)) {
+              resourceManager.deductBuildingCost(buildingType, age, owner);
+              
+              const size = this.getBuildingSize(buildingType);
+              const stats = (window.CONFIG && CONFIG.STATS && CONFIG.STATS.BUILDINGS[buildingType.toUpperCase()]) || {};
+              building = this.createBuilding({
+                  buildingType: buildingType,
+                  x: x,
+                  y: y,
+                  owner: owner,
+                  width: size,
+                  height: size,
+                  maxHp: stats.hp || 500,
+                  dp: stats.dp || 20,
+                  constructed: false
+              });
+          }
+      }
       
-      // Determine starting location based on civilization
-      let startX, startY;
+      if (!building) {
+          Utils.log(`Can't place a ${buildingType} at (${x}, ${y})`);
+          return null;
+      }
       
-      if (civKey === 'SOLARI') {
-          startX = Math.floor(map.width * 0.15);
-          startY = Math.floor(map.height * 0.15);
+      if (queued) {
+          // Chained foundations are built one after another
+          for (const builder of builders) {
+              if (builder.queueOrder) builder.queueOrder({ type: 'build', buildingId: building.id });
+          }
       } else {
-          startX = Math.floor(map.width * 0.85);
-          startY = Math.floor(map.height * 0.85);
+          for (const builder of builders) {
+              if (builder.clearOrders) builder.clearOrders();
+          }
+          this.executeBuild(builders, building);
       }
       
+      return building;
+  }
+
+  /**
+   * Order land units aboard a transport
+   * @param {Array} entities - Land units to load
+   * @param {Entity} transport - Transport ship
+   */
+  loadTransport(entities, transport) {
+      this.queueCommand({
+          type: 'load',
+          entityIds: entities.map(e => e.id),
+          transportId: transport.id
+      });
+  }
+
+  /**
+   * Order transports to land their cargo
+   * @param {Array} transports - Transport ships
+   * @param {number} x - Landing X coordinate
+   * @param {number} y - Landing Y coordinate
+   */
+  unloadTransport(transports, x, y) {
+      this.queueCommand({
+          type: 'unload',
+          entityIds: transports.map(e => e.id),
+          x: x,
+          y: y
+      });
+  }
+
+  /**
+   * Send units to shelter inside a building
+   * @param {Array} entities - Units to garrison
+   * @param {Entity} building - Building to garrison in
+   */
+  garrisonUnits(entities, building) {
+      this.queueCommand({
+          type: 'garrison',
+          entityIds: entities.map(e => e.id),
+          buildingId: building.id
+      });
+  }
+
+  /**
+   * Put out every unit garrisoned in some buildings
+   * @param {Array} buildings - Buildings to empty
+   */
+  ungarrisonUnits(buildings) {
+      this.queueCommand({
+          type: 'ungarrison',
+          entityIds: buildings.map(e => e.id)
+      });
+  }
+
+  /**
+   * Ring a town center's bell, or sound the all-clear if it is ringing
+   * @param {number} buildingId - Town center building ID
+   * @param {number} playerId - Player issuing the command (defaults to local player)
+   */
+  ringTownBell(buildingId, playerId) {
+      this.queueCommand({
+          type: 'townBell',
+          playerId: playerId,
+          buildingId: buildingId
+      });
+  }
+
+  /**
+   * Train a healer at a temple
+   * @param {number} buildingId - Temple building ID
+   * @param {number} playerId - Player issuing the command (defaults to local player)
+   */
+  trainHealer(buildingId, playerId) {
+      this.queueCommand({
+          type: 'trainHealer',
+          playerId: playerId,
+          buildingId: buildingId
+      });
+  }
+
+  /**
+   * Order healers to convert an enemy unit
+   * @param {Array} healers - Healers to channel the conversion
+   * @param {Entity} target - Enemy unit
+   */
+  convertUnit(healers, target) {
+      this.queueCommand({
+          type: 'convert',
+          entityIds: healers.map(e => e.id),
+          targetId: target.id
+      });
+  }
+
+  /**
+   * Hand an entity over to another owner, e.g. when a healer converts it
+   * @param {Entity} entity - Entity to convert
+   * @param {string} owner - New owner's civilization key
+   * @returns {boolean} True if the entity changed hands
+   */
+  convertEntity(entity, owner) {
+      if (!entity || !entity.active || owner === null || entity.owner === owner) return false;
+      
+      const previousOwner = entity.owner;
+      
+      // Drop whatever it was doing for its old owner
+      this.executeStop([entity]);
+      
+      if (this.entitiesByOwner.has(previousOwner)) {
+          this.entitiesByOwner.get(previousOwner).delete(entity.id);
+      }
+      if (!this.entitiesByOwner.has(owner)) {
+          this.entitiesByOwner.set(owner, new Set());
+      }
+      this.entitiesByOwner.get(owner).add(entity.id);
+      
+      entity.owner = owner;
+      entity.civilization = this.game.getCivilization(owner);
+      
+      // The old owner can't keep it selected
+      if (entity.selected && entity.deselect) entity.deselect();
+      
+      this.game.emit('entityConverted', {
+          entity: entity,
+          previousOwner: previousOwner,
+          owner: owner
+      });
+      
+      return true;
+  }
+
+  /**
+   * Create starting entities for a player
+   * @param {Object} player - Player {id, civilization}
+   */
+  createStartingEntities(player) {
+      const owner = player.id;
+      const civKey = player.civilization.toUpperCase();
+      const map = this.game.getSystem('map');
+      
+      if (!map) return;
+      
+      // Players start in opposite corners, then the remaining two
+      const corners = [[0.15, 0.15], [0.85, 0.85], [0.85, 0.15], [0.15, 0.85]];
+      const index = Math.max(0, this.game.players.indexOf(player));
+      const [cornerX, cornerY] = corners[index % corners.length];
+      const startX = Math.floor(map.width * cornerX);
+      const startY = Math.floor(map.height * cornerY);
+      
       // Create town center
       const townCenter = this.createBuilding({
           buildingType: 'town_center',
           x: startX,
           y: startY,
-          owner: civKey,
+          owner: owner,
           width: 3,
           height: 3,
           hp: 1000,
@@ -517,7 +1307,7 @@ class EntityManager {
               type: 'villager',
               x: startX + i - 1,
               y: startY + 3,
-              owner: civKey,
+              owner: owner,
               hp: 50, // Replaced CONFIG.STATS.VILLAGER[0].hp with default value
               maxHp: 50, // Replaced CONFIG.STATS.VILLAGER[0].hp with default value
               dp: 5, // Replaced CONFIG.STATS.VILLAGER[0].dp with default value
@@ -528,7 +1318,58 @@ class EntityManager {
           });
       }
       
-      console.log(`Created starting entities for ${civKey}`); // Replaced Utils.log with console.log
+      console.log(`Created starting entities for player ${owner} (${civKey})`); // Replaced Utils.log with console.log
+  }
+
+  /**
+   * Create the starting entities of a hand-made scenario
+   * @param {Array} entities - Entity placements {type, buildingType, unitType, x, y, player}
+   */
+  createScenarioEntities(entities) {
+      const stats = (window.CONFIG && CONFIG.STATS && CONFIG.STATS.BUILDINGS) || {};
+      
+      for (const placement of entities) {
+          const owner = this.game.getOwnerKey(placement.player);
+          if (owner === null) continue;
+          
+          if (placement.type === 'building') {
+              const isTownCenter = placement.buildingType === 'town_center';
+              const buildingStats = stats[placement.buildingType.toUpperCase()] || {};
+              const hp = isTownCenter ? 1000 : buildingStats.hp || 500;
+              
+              this.createBuilding({
+                  buildingType: placement.buildingType,
+                  x: placement.x,
+                  y: placement.y,
+                  owner: owner,
+                  width: isTownCenter ? 3 : 2,
+                  height: isTownCenter ? 3 : 2,
+                  hp: hp,
+                  maxHp: hp,
+                  dp: buildingStats.dp || 20,
+                  constructed: true
+              });
+          } else if (placement.type === 'villager') {
+              this.createUnit({
+                  type: 'villager',
+                  x: placement.x,
+                  y: placement.y,
+                  owner: owner,
+                  speed: 2,
+                  carryCapacity: 20,
+                  gatherRate: this.game.getCivilization(owner) === 'SOLARI' ? 1.2 : 1 // Solari gather bonus
+              });
+          } else {
+              this.createUnit({
+                  unitType: placement.unitType,
+                  x: placement.x,
+                  y: placement.y,
+                  owner: owner
+              });
+          }
+      }
+      
+      Utils.log(`Created ${entities.length} scenario entities`);
   }
 
   /**
@@ -560,13 +1401,15 @@ class EntityManager {
       this.entities.set(entity.id, entity);
       
       // Add to type map
-      if (!this.entitiesByType.has(entity.type)) {
-          this.entitiesByType.set(entity.type, new Set());
+      for (const type of this.getTypeKeys(entity)) {
+          if (!this.entitiesByType.has(type)) {
+              this.entitiesByType.set(type, new Set());
+          }
+          this.entitiesByType.get(type).add(entity.id);
       }
-      this.entitiesByType.get(entity.type).add(entity.id);
       
       // Add to owner map if owned
-      if (entity.owner) {
+      if (entity.owner !== null) {
           if (!this.entitiesByOwner.has(entity.owner)) {
               this.entitiesByOwner.set(entity.owner, new Set());
           }
@@ -576,10 +1419,29 @@ class EntityManager {
       // Add to spatial grid
       this.spatialGrid.addEntity(entity);
       
+      // Walls and closed gates block pathing
+      this.updateBlocking(entity);
+      
       // Set initial last position for tracking movement
       entity.lastX = entity.x;
       entity.lastY = entity.y;
       
+      // Let the score and statistics see every death and its killer, and
+      // what each building trains, finishes and researches
+      if (entity.addEventListener && typeof this.game.emit === 'function') {
+          entity.addEventListener('death', (data) => this.game.emit('entityDeath', data));
+          entity.addEventListener('produce', (data) => this.game.emit('unitTrained', data));
+          entity.addEventListener('constructionComplete', (data) => this.game.emit('buildingConstructionComplete', {
+              building: data.entity,
+              playerId: data.entity.owner
+          }));
+          entity.addEventListener('researchComplete', (data) => this.game.emit('technologyResearched', {
+              playerId: data.entity.owner,
+              technologyId: data.tech.id,
+              building: data.entity
+          }));
+      }
+      
       return entity;
   }
 
@@ -596,17 +1458,57 @@ class EntityManager {
       this.entities.delete(entityId);
       
       // Remove from type map
-      if (this.entitiesByType.has(entity.type)) {
-          this.entitiesByType.get(entity.type).delete(entityId);
+      for (const type of this.getTypeKeys(entity)) {
+          if (this.entitiesByType.has(type)) {
+              this.entitiesByType.get(type).delete(entityId);
+          }
       }
       
       // Remove from owner map
-      if (entity.owner && this.entitiesByOwner.has(entity.owner)) {
+      if (this.entitiesByOwner.has(entity.owner)) {
           this.entitiesByOwner.get(entity.owner).delete(entityId);
       }
       
       // Remove from spatial grid
       this.spatialGrid.removeEntity(entity);
+      
+      // Free any tiles it blocked
+      this.updateBlocking(entity, true);
+  }
+
+  /**
+   * Get the types an entity is listed under: its entity type, and for
+   * buildings also the building type, so drop-off and AI lookups such as
+   * 'town_center' find them
+   * @param {Entity} entity - Entity
+   * @returns {Array} Type keys
+   */
+  getTypeKeys(entity) {
+      return entity.buildingType && entity.buildingType !== entity.type
+          ? [entity.type, entity.buildingType]
+          : [entity.type];
+  }
+
+  /**
+   * Block or free an entity's tiles on the map to match its state
+   * @param {Entity} entity - Entity that was placed, removed or changed
+   * @param {boolean} removed - True if the entity is leaving the game
+   */
+  updateBlocking(entity, removed = false) {
+      const blocks = !removed && entity.active && !!entity.blocksMovement && entity.blocksMovement();
+      if (blocks === !!entity.blockingTiles) return;
+      
+      const map = this.game.getSystem('map');
+      if (!map || !map.setBlocked) return;
+      
+      map.setBlocked(
+          Math.floor(entity.x),
+          Math.floor(entity.y),
+          entity.width || 1,
+          entity.height || 1,
+          blocks
+      );
+      entity.blockingTiles = blocks;
   }
 
   /**
@@ -620,6 +1522,11 @@ class EntityManager {
       this.lastEntityId++;
       params.id = `entity_${this.lastEntityId}`;
       
+      // Entities carry their owner's civilization for art and civilization bonuses
+      if (!params.civilization) {
+          params.civilization = this.game.getCivilization(params.owner);
+      }
+      
       // Create entity based on type
       let entity;
       
@@ -663,6 +1570,29 @@ class EntityManager {
           ar: 5 // Replaced CONFIG.STATS.VILLAGER[0].ar with default value
       };
       
+      // Villagers trained in game gather and carry like the starting ones
+      if (params.type === 'villager') {
+          Object.assign(defaults, {
+              speed: 2,
+              carryCapacity: 20,
+              gatherRate: this.game.getCivilization(params.owner) === 'SOLARI' ? 1.2 : 1 // Solari gather bonus
+          });
+      }
+      
+      // Ships take their stats from config and sail instead of walking
+      const ships = (window.CONFIG && CONFIG.STATS && CONFIG.STATS.SHIPS) || {};
+      const shipStats = params.unitType && ships[params.unitType.toUpperCase()];
+      if (shipStats) {
+          Object.assign(defaults, shipStats, { maxHp: shipStats.hp, naval: true });
+      }
+      
+      // Support units (healers) likewise
+      const support = (window.CONFIG && CONFIG.STATS && CONFIG.STATS.SUPPORT) || {};
+      const supportStats = params.unitType && support[params.unitType.toUpperCase()];
+      if (supportStats) {
+          Object.assign(defaults, supportStats, { maxHp: supportStats.hp });
+      }
+      
       // Create unit
       return this.createEntity('unit', { ...defaults, ...params });
   }
@@ -783,7 +1713,20 @@ class EntityManager {
    * @returns {Entity|null} Entity or null if not found
    */
   getEntityById(id) {
-      return this.entities.get(id) || null;
+      const entity = this.entities.get(id);
+      if (entity) return entity;
+      
+      // Resource nodes live on the map but are targeted like entities
+      const map = this.game.getSystem('map');
+      return map && map.getResourceById ? map.getResourceById(id) : null;
+  }
+
+  /**
+   * Get every active entity
+   * @returns {Array} Array of entities
+   */
+  getAllEntities() {
+      return Array.from(this.entities.values()).filter(e => e.active);
   }
 
   /**
@@ -844,6 +1787,23 @@ class EntityManager {
           .filter(e => e && e.active);
   }
 
+  /**
+   * Scale stats on everything of one kind a player owns (age bonuses)
+   * @param {number} owner - Owner key
+   * @param {boolean} buildings - True for buildings, false for units
+   * @param {Array} stats - Stats to scale, e.g. ['maxHp', 'hp']
+   * @param {number} bonus - Fraction to add, e.g. 0.15 for +15%
+   */
+  scaleOwnerStats(owner, buildings, stats, bonus) {
+      for (const entity of this.getEntitiesByOwner(owner)) {
+          if ((entity instanceof Building) !== buildings) continue;
+          
+          for (const stat of stats) {
+              entity[stat] = Math.round(entity[stat] * (1 + bonus) * 100) / 100;
+          }
+      }
+  }
+
   /**
    * Get entities at a specific position
    * @param {number} x - X coordinate
@@ -901,7 +1861,7 @@ class EntityManager {
       const entities = this.spatialGrid.getEntitiesInRect(x, y, width, height);
       
       // Filter by owner if specified
-      if (owner) {
+      if (owner !== null) {
           return entities.filter(e => e.owner === owner);
       }
       
@@ -931,10 +1891,29 @@ class EntityManager {
           const withinRadius = distance <= radius;
           
           // Check owner if specified
-          return withinRadius && (!owner || e.owner === owner);
+          return withinRadius && (owner === null || e.owner === owner);
       });
   }
 
+  /**
+   * Get the entities and resource nodes in a circular area that pass a test
+   * @param {number} x - Center X coordinate
+   * @param {number} y - Center Y coordinate
+   * @param {number} radius - Radius
+   * @param {Function} filter - Optional test each entity must pass
+   * @returns {Array} Array of entities
+   */
+  getEntitiesInCircle(x, y, radius, filter = null) {
+      const map = this.game.getSystem('map');
+      const candidates = [...this.entities.values(), ...(map ? map.resources : [])];
+      
+      return candidates.filter(e =>
+          e.active &&
+          Utils.distance(x, y, e.x, e.y) <= radius &&
+          (!filter || filter(e))
+      );
+  }
+
   /**
    * Get the nearest entity of a specific type
    * @param {number} x - X coordinate
@@ -952,7 +1931,7 @@ class EntityManager {
       
       for (const entity of entities) {
           // Skip if wrong owner
-          if (owner && entity.owner !== owner) continue;
+          if (owner !== null && entity.owner !== owner) continue;
           
           // Calculate distance
           const distance = Utils.distance(x, y, entity.x + entity.width / 2, entity.y + entity.height / 2);
@@ -966,6 +1945,111 @@ class EntityManager {
       return nearest;
   }
 
+  /**
+   * Get serializable data for all entities
+   * @returns {Object} Serialized entity manager state
+   */
+  serialize() {
+      const entities = [];
+
+      for (const [id, entity] of this.entities) {
+          if (entity.active && entity.serialize) {
+              entities.push(entity.serialize());
+          }
+      }
+
+      return {
+          lastEntityId: this.lastEntityId,
+          entities: entities,
+          commandQueue: this.commandQueue.map(command => ({ ...command }))
+      };
+  }
+
+  /**
+   * Replace all entities with those from serialized data
+   * @param {Object} data - Serialized entity manager state
+   */
+  deserialize(data) {
+      // Drop every current entity before restoring
+      for (const id of Array.from(this.entities.keys())) {
+          this.removeEntity(id);
+      }
+
+      this.lastEntityId = data.lastEntityId || 0;
+      this.commandQueue = (data.commandQueue || []).map(command => ({ ...command }));
+
+      // First pass: recreate entities so references can be resolved
+      const restored = [];
+      for (const entityData of data.entities || []) {
+          const entity = this.restoreEntity(entityData);
+          if (entity) {
+              restored.push({ entity, data: entityData });
+          }
+      }
+
+      // Second pass: re-link attack targets, job targets, etc.
+      for (const { entity, data: entityData } of restored) {
+          if (entity.resolveReferences) {
+              entity.resolveReferences(entityData, this);
+          }
+      }
+
+      console.log(`Restored ${restored.length} entities`);
+  }
+
+  /**
+   * Recreate a single entity from serialized data, keeping its original ID
+   * @param {Object} data - Serialized entity data
+   * @returns {Entity|null} The restored entity
+   */
+  restoreEntity(data) {
+      let entity;
+
+      switch (data.type) {
+          case 'building':
+              entity = data.wallType ? Wall.deserialize(data) : Building.deserialize(data);
+              break;
+
+          case 'wall':
+              entity = Wall.deserialize(data);
+              break;
+
+          case 'wonder':
+              if (typeof Wonder === 'undefined') return null;
+              entity = new Wonder(this.game, data.x, data.y, data.owner, data.wonderType, data.age);
+              entity.deserialize(data);
+              break;
+
+          case 'resource':
+              if (typeof Resource !== 'undefined' && data.resourceType) {
+                  entity = new Resource(this.game, data.x, data.y, data.resourceType, data.initialAmount);
+                  entity.deserialize(data);
+              } else {
+                  entity = Entity.deserialize(data);
+              }
+              break;
+
+          case 'unit':
+          case 'villager':
+          case 'hero':
+              entity = Unit.deserialize(data);
+              break;
+
+          default:
+              entity = Entity.deserialize(data);
+              break;
+      }
+
+      // Keep the ID counter ahead of every restored ID
+      const idNumber = parseInt(String(entity.id).replace('entity_', ''), 10);
+      if (!isNaN(idNumber) && idNumber > this.lastEntityId) {
+          this.lastEntityId = idNumber;
+      }
+
+      return this.addEntity(entity);
+  }
+}
+
   /**
    * Spatial grid for efficient entity lookups
    */
@@ -1096,7 +2180,6 @@ class EntityManager {
           return Array.from(entities);
       }
   }
-}
 
 // Export for ES modules or make available globally
 if (typeof module !== 'undefined' && module.exports) {
@@ -13,7 +13,8 @@ class Entity {
     // Core properties
     this.id = params.id || Utils.generateId();
     this.type = params.type || "unknown";
-    this.owner = params.owner || null; // Civilization that owns this entity
+    this.owner = params.owner !== undefined ? params.owner : null; // Player ID that owns this entity
+    this.civilization = params.civilization || null; // Owner's civilization (e.g. "SOLARI")
 
     // Position and dimensions
     this.x = params.x || 0; // Grid X coordinate
@@ -50,6 +51,11 @@ class Entity {
     this.targetY = null; // Target Y position
     this.path = null; // Current path being followed
     this.pathIndex = 0; // Index in current path
+    this.pathVersion = null; // Map path version the path was found against
+    this.moveGroup = null; // Units sharing this move's flow field (for steering)
+    this.naval = params.naval || false; // Ships sail water instead of walking land
+    this.transportId = null; // Transport ship carrying this unit, if aboard one
+    this.garrisonId = params.garrisonId || null; // Building sheltering this unit, if garrisoned
 
     // Attributes and tags
     this.attributes = params.attributes || {}; // Additional attributes
@@ -258,6 +264,12 @@ class Entity {
       return;
     }
 
+    // Find a new way round if the map changed under the path
+    if (this.isPathBlocked()) {
+      this.moveTo(this.targetX, this.targetY);
+      if (!this.path) return;
+    }
+
     // Get current target point in path
     const target = this.path[this.pathIndex];
 
@@ -285,8 +297,31 @@ class Entity {
       }
     } else {
       // Move towards target
-      const dirX = dx / distance;
-      const dirY = dy / distance;
+      let dirX = dx / distance;
+      let dirY = dy / distance;
+
+      // Group moves spread out instead of marching single file
+      if (this.moveGroup) {
+        const push = this.getSeparation();
+        const steerX = dirX + push.x;
+        const steerY = dirY + push.y;
+        const length = Math.sqrt(steerX * steerX + steerY * steerY) || 1;
+
+        // Never get pushed off the walkable ground (or out of the water)
+        const game = window.gameInstance;
+        const map = game && game.getSystem("map");
+        if (
+          map &&
+          map.isPassable(
+            Math.floor(this.x + (steerX / length) * moveDistance),
+            Math.floor(this.y + (steerY / length) * moveDistance),
+            this.naval
+          )
+        ) {
+          dirX = steerX / length;
+          dirY = steerY / length;
+        }
+      }
 
       this.x += dirX * moveDistance;
       this.y += dirY * moveDistance;
@@ -318,7 +353,11 @@ class Entity {
       this.attackTarget.y
     );
 
-    if (distance > this.attackRange) {
+    // Ranged attackers close in until their side can see the target
+    if (
+      distance > this.attackRange ||
+      (this.attackRange > 1 && !this.canSeeTarget(this.attackTarget))
+    ) {
       // Move towards target
       this.moveTo(this.attackTarget.x, this.attackTarget.y);
       return;
@@ -368,12 +407,19 @@ class Entity {
     }
 
     // Calculate damage
-    const damage = Utils.calculateDamage(
+    let damage = Utils.calculateDamage(
       this.ar,
       this.attackTarget.dp,
       this.damageType
     );
 
+    // Warships hit other ships harder
+    const game = window.gameInstance;
+    const naval = game ? game.getSystem("naval") : null;
+    if (naval) {
+      damage *= naval.getDamageMultiplier(this, this.attackTarget);
+    }
+
     // Apply damage to target
     this.attackTarget.takeDamage(damage, this);
 
@@ -594,11 +640,12 @@ class Entity {
    * @param {number} targetY - Target Y coordinate
    */
   moveTo(targetX, targetY) {
-    if (!this.active) return;
+    if (!this.active || this.transportId || this.garrisonId) return;
 
     // Set target position
     this.targetX = targetX;
     this.targetY = targetY;
+    this.moveGroup = null;
 
     // Calculate path
     const game = window.gameInstance; // Assuming global game instance
@@ -609,8 +656,10 @@ class Entity {
           Math.floor(this.x),
           Math.floor(this.y),
           Math.floor(targetX),
-          Math.floor(targetY)
+          Math.floor(targetY),
+          this.naval
         );
+        this.pathVersion = map.pathVersion;
 
         if (this.path) {
           this.pathIndex = 0;
@@ -640,6 +689,76 @@ class Entity {
     }
   }
 
+  /**
+   * Move to a target position along a shared flow field
+   * @param {FlowField} field - Flow field towards the group's destination
+   * @param {number} targetX - This entity's own target X coordinate
+   * @param {number} targetY - This entity's own target Y coordinate
+   * @param {Array} group - Entities moving with this one
+   */
+  moveAlongFlowField(field, targetX, targetY, group = null) {
+    if (!this.active) return;
+
+    const path = field.getPath(Math.floor(this.x), Math.floor(this.y));
+    if (!path) {
+      // Cut off from the destination; let A* report it
+      this.moveTo(targetX, targetY);
+      return;
+    }
+
+    // Leave the shared route once this entity's own spot is close
+    const endIndex = path.findIndex(
+      (point) =>
+        Math.max(
+          Math.abs(point.x - Math.floor(targetX)),
+          Math.abs(point.y - Math.floor(targetY))
+        ) <= 1
+    );
+    if (endIndex !== -1) path.length = endIndex + 1;
+    path.push({ x: targetX, y: targetY });
+
+    this.targetX = targetX;
+    this.targetY = targetY;
+    this.path = path;
+    this.pathIndex = path.length > 1 ? 1 : 0;
+    this.pathVersion = field.map.pathVersion;
+    this.moveGroup = group;
+    this.state = "moving";
+
+    this.triggerEvent("move", {
+      entity: this,
+      targetX: targetX,
+      targetY: targetY,
+    });
+  }
+
+  /**
+   * Get a push away from nearby members of the same group move
+   * @returns {Object} Steering vector {x, y}
+   */
+  getSeparation() {
+    const radius = 0.75; // tiles
+    const push = { x: 0, y: 0 };
+
+    for (const other of this.moveGroup) {
+      if (other === this || !other.active || other.moveGroup !== this.moveGroup) {
+        continue;
+      }
+
+      const dx = this.x - other.x;
+      const dy = this.y - other.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance === 0 || distance >= radius) continue;
+
+      // Stronger the closer they are
+      const strength = (radius - distance) / radius;
+      push.x += (dx / distance) * strength;
+      push.y += (dy / distance) * strength;
+    }
+
+    return push;
+  }
+
   /**
    * Stop moving
    */
@@ -651,6 +770,7 @@ class Entity {
       this.pathIndex = 0;
       this.targetX = null;
       this.targetY = null;
+      this.moveGroup = null;
     }
   }
 
@@ -695,15 +815,35 @@ class Entity {
    * @returns {boolean} True if entity can attack target
    */
   canAttack(target) {
+    const game = window.gameInstance;
+    const diplomacy = game ? game.getSystem("diplomacy") : null;
+
     return (
       this.active &&
       target &&
       target.active &&
+      !target.transportId &&
+      !target.garrisonId &&
       target.owner !== this.owner &&
-      this.ar > 0
+      // Allies are off limits, even on orders
+      !(diplomacy && diplomacy.areAllied(this.owner, target.owner)) &&
+      this.ar > 0 &&
+      // Land melee can't reach a ship out on the water
+      !(target.naval && !this.naval && this.attackRange <= 1)
     );
   }
 
+  /**
+   * Check whether this entity's side can see a target through the fog
+   * @param {Entity} target - Target entity
+   * @returns {boolean} True if the target is in sight (or there's no fog)
+   */
+  canSeeTarget(target) {
+    const game = window.gameInstance;
+    const fogOfWar = game && game.getSystem("fogOfWar");
+    return !fogOfWar || fogOfWar.canSee(this.owner, target);
+  }
+
   /**
    * Select this entity
    */
@@ -836,6 +976,47 @@ class Entity {
     );
   }
 
+  /**
+   * Check whether the rest of the current path has been blocked since it
+   * was found (a wall built or a gate closed across it)
+   * @returns {boolean} True if the path needs recalculating
+   */
+  isPathBlocked() {
+    const game = window.gameInstance;
+    const map = game && game.getSystem("map");
+    if (!map || map.pathVersion === this.pathVersion) return false;
+
+    this.pathVersion = map.pathVersion;
+
+    for (let i = this.pathIndex; i < this.path.length; i++) {
+      const x = Math.floor(this.path[i].x);
+      const y = Math.floor(this.path[i].y);
+      if (map.isInBounds(x, y) && !map.isPassable(x, y, this.naval)) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether this entity stops units moving through its tiles
+   * @returns {boolean} True if it blocks pathing
+   */
+  blocksMovement() {
+    return false;
+  }
+
+  /**
+   * Get the entity's center in tile coordinates, the same units as x and y
+   * (getCenter() gives pixels, for drawing)
+   * @returns {Object} Center position {x, y}
+   */
+  getTileCenter() {
+    return {
+      x: this.x + this.width / 2,
+      y: this.y + this.height / 2,
+    };
+  }
+
   /**
    * Get the entity's center position
    * @returns {Object} Center position {x, y}
@@ -917,6 +1098,7 @@ class Entity {
       id: this.id,
       type: this.type,
       owner: this.owner,
+      civilization: this.civilization,
       x: this.x,
       y: this.y,
       width: this.width,
@@ -927,11 +1109,65 @@ class Entity {
       ar: this.ar,
       state: this.state,
       active: this.active,
+      visible: this.visible,
+      speed: this.speed,
+      naval: this.naval,
+      garrisonId: this.garrisonId,
+      damageType: this.damageType,
+      attackRange: this.attackRange,
+      attackCooldown: this.attackCooldown,
+      targetX: this.targetX,
+      targetY: this.targetY,
+      attackTargetId: this.attackTarget ? this.attackTarget.id : null,
       attributes: { ...this.attributes },
       tags: [...this.tags],
     };
   }
 
+  /**
+   * Restore base entity state from serialized data
+   * @param {Object} data - Serialized entity data
+   */
+  deserialize(data) {
+    this.id = data.id;
+    this.owner = data.owner;
+    this.civilization = data.civilization || null;
+    this.x = data.x;
+    this.y = data.y;
+    this.width = data.width;
+    this.height = data.height;
+    this.hp = data.hp;
+    this.maxHp = data.maxHp;
+    this.dp = data.dp;
+    this.ar = data.ar;
+    this.state = data.state || "idle";
+    this.active = data.active !== undefined ? data.active : true;
+    this.visible = !!data.visible;
+    this.garrisonId = data.garrisonId || null;
+    this.attributes = { ...(data.attributes || {}) };
+    this.tags = [...(data.tags || [])];
+  }
+
+  /**
+   * Re-link references to other entities after a saved game is restored
+   * @param {Object} data - Serialized entity data
+   * @param {EntityManager} entityManager - Entity manager holding the restored entities
+   */
+  resolveReferences(data, entityManager) {
+    if (data.attackTargetId) {
+      this.attackTarget = entityManager.getEntityById(data.attackTargetId);
+    }
+
+    // Re-path towards the saved destination; paths themselves are not saved
+    if (
+      this.state === "moving" &&
+      data.targetX !== null &&
+      data.targetX !== undefined
+    ) {
+      this.moveTo(data.targetX, data.targetY);
+    }
+  }
+
   /**
    * Create an entity from serialized data
    * @param {Object} data - Serialized entity data
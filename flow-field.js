@@ -0,0 +1,205 @@
+/**
+ * Empires of Eternity - Flow Field
+ * One integration field per destination that any number of units can follow,
+ * so a large group move costs a single search instead of one A* per unit
+ */
+
+class FlowField {
+  /**
+   * Build a flow field towards a target tile
+   * @param {Map} map - Game map
+   * @param {number} targetX - Target tile X
+   * @param {number} targetY - Target tile Y
+   * @param {boolean} naval - True for a field over water, for ships
+   */
+  constructor(map, targetX, targetY, naval = false) {
+    this.map = map;
+    this.naval = naval;
+    this.width = map.width;
+    this.height = map.height;
+    this.targetX = targetX;
+    this.targetY = targetY;
+
+    // Same 8 directions as the map's A*; index -1 means "no direction"
+    this.directions = [
+      { x: 0, y: -1 }, // North
+      { x: 1, y: -1 }, // Northeast
+      { x: 1, y: 0 }, // East
+      { x: 1, y: 1 }, // Southeast
+      { x: 0, y: 1 }, // South
+      { x: -1, y: 1 }, // Southwest
+      { x: -1, y: 0 }, // West
+      { x: -1, y: -1 }, // Northwest
+    ];
+
+    // Steps to the target from each tile (-1 = unreachable)
+    this.costs = new Int32Array(this.width * this.height).fill(-1);
+
+    // Direction index to the next tile from each tile
+    this.flow = new Int8Array(this.width * this.height).fill(-1);
+
+    this.build();
+  }
+
+  /**
+   * Check whether units (or ships, for a naval field) can stand on a tile
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @returns {boolean} True if passable
+   */
+  isPassable(x, y) {
+    return this.map.isPassable(x, y, this.naval);
+  }
+
+  /**
+   * Fill the integration field outward from the target, then point every
+   * tile at its cheapest neighbour
+   */
+  build() {
+    const { width, costs, flow, directions } = this;
+    if (!this.isPassable(this.targetX, this.targetY)) return;
+
+    // Uniform step cost like the map's A*, so a breadth-first wave is enough
+    const queue = new Int32Array(width * this.height);
+    let head = 0;
+    let tail = 0;
+
+    const targetIndex = this.targetY * width + this.targetX;
+    costs[targetIndex] = 0;
+    queue[tail++] = targetIndex;
+
+    while (head < tail) {
+      const index = queue[head++];
+      const x = index % width;
+      const y = (index - x) / width;
+
+      for (const dir of directions) {
+        const nx = x + dir.x;
+        const ny = y + dir.y;
+        if (!this.isPassable(nx, ny)) continue;
+
+        const neighborIndex = ny * width + nx;
+        if (costs[neighborIndex] !== -1) continue;
+
+        costs[neighborIndex] = costs[index] + 1;
+        queue[tail++] = neighborIndex;
+      }
+    }
+
+    // Point each tile downhill, preferring the neighbour nearest the target
+    // so units walk straight lines instead of zig-zagging between equal costs
+    for (let i = 0; i < tail; i++) {
+      const index = queue[i];
+      if (index === targetIndex) continue;
+
+      const x = index % width;
+      const y = (index - x) / width;
+
+      let best = -1;
+      let bestCost = costs[index];
+      let bestDistance = Infinity;
+
+      for (let d = 0; d < directions.length; d++) {
+        const nx = x + directions[d].x;
+        const ny = y + directions[d].y;
+        if (!this.isPassable(nx, ny)) continue;
+
+        const cost = costs[ny * width + nx];
+        if (cost === -1 || cost > bestCost) continue;
+
+        const dx = nx - this.targetX;
+        const dy = ny - this.targetY;
+        const distance = dx * dx + dy * dy;
+
+        if (cost < bestCost || distance < bestDistance) {
+          best = d;
+          bestCost = cost;
+          bestDistance = distance;
+        }
+      }
+
+      flow[index] = best;
+    }
+  }
+
+  /**
+   * Get the number of steps from a tile to the target
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @returns {number} Steps, or -1 if the target can't be reached
+   */
+  getCost(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return -1;
+    return this.costs[y * this.width + x];
+  }
+
+  /**
+   * Check whether the target can be reached from a tile
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @returns {boolean} True if reachable
+   */
+  isReachable(x, y) {
+    return this.getCost(x, y) !== -1;
+  }
+
+  /**
+   * Get the direction to step from a tile
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @returns {Object|null} Direction {x, y}, or null at the target or off the field
+   */
+  getDirection(x, y) {
+    if (!this.isReachable(x, y)) return null;
+
+    const d = this.flow[y * this.width + x];
+    return d === -1 ? null : this.directions[d];
+  }
+
+  /**
+   * Follow the field from a tile to the target
+   * @param {number} startX - Start tile X
+   * @param {number} startY - Start tile Y
+   * @returns {Array|null} Tiles from start to target (same shape as Map.findPath)
+   */
+  getPath(startX, startY) {
+    let x = startX;
+    let y = startY;
+
+    // Units standing on an impassable edge (e.g. next to a building) step
+    // onto the nearest reachable neighbour first
+    if (!this.isReachable(x, y)) {
+      let best = null;
+      for (const dir of this.directions) {
+        const cost = this.getCost(x + dir.x, y + dir.y);
+        if (cost !== -1 && (!best || cost < best.cost)) {
+          best = { x: x + dir.x, y: y + dir.y, cost: cost };
+        }
+      }
+      if (!best) return null;
+
+      x = best.x;
+      y = best.y;
+    }
+
+    const path = [{ x: startX, y: startY }];
+    if (x !== startX || y !== startY) path.push({ x: x, y: y });
+
+    let direction = this.getDirection(x, y);
+    while (direction) {
+      x += direction.x;
+      y += direction.y;
+      path.push({ x: x, y: y });
+      direction = this.getDirection(x, y);
+    }
+
+    return path;
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FlowField;
+} else {
+  window.FlowField = FlowField;
+}
@@ -11,17 +11,32 @@ class FogOfWar {
   constructor(game) {
     this.game = game;
 
-    // Fog state for each player
-    this.fogState = {
-      SOLARI: null,
-      LUNARI: null,
-    };
+    // Visibility grids by owner key (0 = unexplored, 1 = explored, 2 = visible)
+    this.visibility = {};
 
-    // Visibility grids (0 = unexplored, 1 = explored, 2 = visible)
-    this.visibility = {
-      SOLARI: null,
-      LUNARI: null,
-    };
+    // How many sight sources currently see each tile, per player. A tile is
+    // visible while its count is above zero
+    this.visibleCounts = {};
+
+    // Tiles each entity sees, by entity ID {key, viewers, tiles}. A source is
+    // only recast when its entity changes tile or range, or vision sharing
+    // changes, so standing units cost nothing per update
+    this.sources = new Map();
+
+    // One-off reveals (triggers, scouting) that fade on the next update
+    this.reveals = [];
+
+    // Players with the whole map revealed, whose tiles never fade
+    this.revealedPlayers = new Set();
+
+    // Terrain sight data per tile, rebuilt when the map changes
+    this.elevation = null;
+    this.blocksSight = null;
+    this.sightBonus = null;
+    this.terrainVersion = -1;
+
+    // Players whose grid changed since the fog texture was last drawn
+    this.changed = new Set();
 
     // Map dimensions
     this.width = 0;
@@ -32,11 +47,26 @@ class FogOfWar {
     this.fogCanvas = null;
     this.fogCtx = null;
 
-    // Timestamp of last full update
-    this.lastFullUpdate = 0;
+    // Timestamp of last update
+    this.lastUpdate = 0;
+
+    // Update frequency (updates are incremental, so they can run often)
+    this.updateInterval = 100; // ms
+
+    // Symmetric shadowcasting octants as [xx, xy, yx, yy] transforms
+    this.octants = [
+      [1, 0, 0, 1],
+      [0, 1, 1, 0],
+      [0, -1, 1, 0],
+      [-1, 0, 0, 1],
+      [-1, 0, 0, -1],
+      [0, -1, -1, 0],
+      [0, 1, -1, 0],
+      [1, 0, 0, -1],
+    ];
 
-    // Update frequency
-    this.fullUpdateInterval = 500; // ms
+    // Player whose view is rendered (null = local player)
+    this.perspective = null;
 
     Utils.log("FogOfWar created");
   }
@@ -51,17 +81,26 @@ class FogOfWar {
     this.height = height;
 
     // Initialize visibility grids
-    this.visibility.SOLARI = new Uint8Array(width * height);
-    this.visibility.LUNARI = new Uint8Array(width * height);
-
-    // Create fog rendering canvas
-    this.fogCanvas = document.createElement("canvas");
-    this.fogCanvas.width = width;
-    this.fogCanvas.height = height;
-    this.fogCtx = this.fogCanvas.getContext("2d", { alpha: true });
+    this.visibility = {};
+    this.visibleCounts = {};
+    for (const player of this.getPlayers()) {
+      this.visibility[player] = new Uint8Array(width * height);
+      this.visibleCounts[player] = new Uint16Array(width * height);
+    }
+    this.sources.clear();
+    this.reveals = [];
+    this.terrainVersion = -1;
+
+    // Create fog rendering canvas (headless matches have no document)
+    if (typeof document !== "undefined") {
+      this.fogCanvas = document.createElement("canvas");
+      this.fogCanvas.width = width;
+      this.fogCanvas.height = height;
+      this.fogCtx = this.fogCanvas.getContext("2d", { alpha: true });
+    }
 
     // Initialize texture
-    this.updateFogTexture("SOLARI");
+    this.updateFogTexture(this.getPerspective());
 
     Utils.log(`FogOfWar initialized (${width}x${height})`);
     return this;
@@ -71,7 +110,7 @@ class FogOfWar {
    * Get visibility state at a position
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
-   * @param {string} player - Player key
+   * @param {number} player - Player key
    * @returns {number} Visibility state (0 = unexplored, 1 = explored, 2 = visible)
    */
   getVisibility(x, y, player) {
@@ -88,7 +127,7 @@ class FogOfWar {
    * Check if a position is visible
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
-   * @param {string} player - Player key
+   * @param {number} player - Player key
    * @returns {boolean} True if position is visible
    */
   isVisible(x, y, player) {
@@ -99,7 +138,7 @@ class FogOfWar {
    * Check if a position is explored
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
-   * @param {string} player - Player key
+   * @param {number} player - Player key
    * @returns {boolean} True if position is explored
    */
   isExplored(x, y, player) {
@@ -107,62 +146,206 @@ class FogOfWar {
   }
 
   /**
-   * Reveal an area around a position
+   * Rebuild the per-tile terrain sight data from the map. Rules come from
+   * the terrain system when one is running, otherwise from the map's own
+   * terrain rules
+   */
+  buildSightGrids() {
+    const map = this.game.getSystem("map");
+    const size = this.width * this.height;
+
+    this.elevation = new Int8Array(size);
+    this.blocksSight = new Uint8Array(size);
+    this.sightBonus = new Uint8Array(size);
+    if (!map || !map.getTile) return;
+
+    const terrain = this.game.getSystem("terrain");
+
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const tile = map.getTile(x, y);
+        if (!tile) continue;
+
+        const index = y * this.width + x;
+        if (terrain) {
+          this.elevation[index] = Math.round(terrain.getElevation(x, y));
+          this.blocksSight[index] = terrain.blocksLineOfSight(tile.type) ? 1 : 0;
+          this.sightBonus[index] = terrain.getLineOfSightBonus(tile.type);
+        } else {
+          const rules = (map.terrainTypes && map.terrainTypes[tile.type]) || {};
+          this.elevation[index] = rules.elevation || 0;
+          this.blocksSight[index] = rules.blocksSight ? 1 : 0;
+          this.sightBonus[index] = rules.sightBonus || 0;
+        }
+      }
+    }
+
+    this.terrainVersion = map.pathVersion || 0;
+  }
+
+  /**
+   * Check whether a tile hides what lies behind it from a viewer. Higher
+   * ground always blocks; forests only block viewers not above them.
+   * @param {number} index - Tile index
+   * @param {number} viewerElevation - Elevation the viewer stands at
+   * @returns {boolean} True if the tile blocks sight
+   */
+  isOpaque(index, viewerElevation) {
+    const elevation = this.elevation[index];
+    return (
+      elevation > viewerElevation ||
+      (this.blocksSight[index] === 1 && elevation >= viewerElevation)
+    );
+  }
+
+  /**
+   * Get the sight radius of an entity, including the high ground bonus.
+   * Units see less by night; buildings keep their lit watch
+   * @param {Entity} entity - Entity
+   * @returns {number} View range in tiles
+   */
+  getViewRange(entity) {
+    let viewRange = 3; // Default
+    const isUnit = entity.type === "unit" || entity.type === "villager";
+
+    if (entity.lineOfSight) {
+      viewRange = entity.lineOfSight;
+    } else if (isUnit) {
+      viewRange = 4;
+    } else if (entity.type === "building") {
+      if (
+        entity.buildingType === "tower" ||
+        entity.buildingType === "watchtower"
+      ) {
+        viewRange = 8;
+      } else {
+        viewRange = 5;
+      }
+    }
+
+    const x = Math.floor(entity.x);
+    const y = Math.floor(entity.y);
+    if (this.sightBonus && x >= 0 && y >= 0 && x < this.width && y < this.height) {
+      viewRange += this.sightBonus[y * this.width + x];
+    }
+
+    const timeOfDay = isUnit && this.game.getSystem("timeOfDay");
+    if (timeOfDay) viewRange *= timeOfDay.getSightMultiplier();
+
+    return Math.max(1, Math.round(viewRange));
+  }
+
+  /**
+   * Find the tiles seen from a position with shadowcasting, so forests and
+   * higher ground hide what lies behind them
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
    * @param {number} radius - View radius
-   * @param {string} player - Player key
+   * @returns {Int32Array} Indices of the visible tiles
    */
-  revealArea(x, y, radius, player) {
-    // Round to integers
+  castVisibility(x, y, radius) {
     x = Math.floor(x);
     y = Math.floor(y);
 
-    // Check bounds
     if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
-      return;
+      return new Int32Array(0);
     }
+    if (!this.elevation) this.buildSightGrids();
 
-    // Get visibility grid
-    const grid = this.visibility[player];
+    const origin = y * this.width + x;
+    const seen = new Set([origin]);
+    const viewerElevation = this.elevation[origin];
 
-    // Reveal area
-    for (let dy = -radius; dy <= radius; dy++) {
-      for (let dx = -radius; dx <= radius; dx++) {
-        const tx = x + dx;
-        const ty = y + dy;
-
-        // Skip if out of bounds
-        if (tx < 0 || ty < 0 || tx >= this.width || ty >= this.height) {
-          continue;
-        }
-
-        // Calculate distance from center
-        const distSq = dx * dx + dy * dy;
+    for (const [xx, xy, yx, yy] of this.octants) {
+      this.castOctant(x, y, radius, 1, 1, 0, xx, xy, yx, yy, viewerElevation, seen);
+    }
 
-        // Skip if beyond radius
-        if (distSq > radius * radius) {
-          continue;
-        }
+    return Int32Array.from(seen);
+  }
 
-        // Get index in grid
+  /**
+   * Scan one octant row by row, narrowing the lit slopes around blockers
+   * @param {number} cx - Viewer X
+   * @param {number} cy - Viewer Y
+   * @param {number} radius - View radius
+   * @param {number} row - First row to scan
+   * @param {number} start - Start slope
+   * @param {number} end - End slope
+   * @param {number} xx - Octant transform
+   * @param {number} xy - Octant transform
+   * @param {number} yx - Octant transform
+   * @param {number} yy - Octant transform
+   * @param {number} viewerElevation - Elevation the viewer stands at
+   * @param {Set} seen - Visible tile indices, filled in
+   */
+  castOctant(cx, cy, radius, row, start, end, xx, xy, yx, yy, viewerElevation, seen) {
+    if (start < end) return;
+
+    const radiusSq = radius * radius;
+    let newStart = 0;
+
+    for (let j = row; j <= radius; j++) {
+      let blocked = false;
+      const dy = -j;
+
+      for (let dx = -j; dx <= 0; dx++) {
+        const leftSlope = (dx - 0.5) / (dy + 0.5);
+        const rightSlope = (dx + 0.5) / (dy - 0.5);
+        if (start < rightSlope) continue;
+        if (end > leftSlope) break;
+
+        const tx = cx + dx * xx + dy * xy;
+        const ty = cy + dx * yx + dy * yy;
+        const inBounds =
+          tx >= 0 && ty >= 0 && tx < this.width && ty < this.height;
         const index = ty * this.width + tx;
 
-        // Check for line of sight if needed
-        let hasLineOfSight = true;
-
-        // Perform line of sight check for tiles near the edge of view radius
-        if (distSq > (radius - 1) * (radius - 1)) {
-          // Simple Bresenham line algorithm
-          hasLineOfSight = this.hasLineOfSight(x, y, tx, ty, player);
+        // Blockers themselves are seen (the forest edge, the hillside)
+        if (inBounds && dx * dx + dy * dy <= radiusSq) {
+          seen.add(index);
         }
 
-        // Reveal tile if in line of sight
-        if (hasLineOfSight) {
-          grid[index] = 2; // Set to visible
+        const opaque = !inBounds || this.isOpaque(index, viewerElevation);
+        if (blocked) {
+          if (opaque) {
+            newStart = rightSlope;
+          } else {
+            blocked = false;
+            start = newStart;
+          }
+        } else if (opaque && j < radius) {
+          blocked = true;
+          this.castOctant(
+            cx, cy, radius, j + 1, start, leftSlope,
+            xx, xy, yx, yy, viewerElevation, seen
+          );
+          newStart = rightSlope;
         }
       }
+
+      if (blocked) break;
+    }
+  }
+
+  /**
+   * Reveal an area around a position until the next update (units and
+   * buildings keep their own areas revealed)
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} radius - View radius
+   * @param {number} player - Player key
+   */
+  revealArea(x, y, radius, player) {
+    const grid = this.visibility[player];
+    if (!grid) return;
+
+    const tiles = this.castVisibility(x, y, radius);
+    for (let i = 0; i < tiles.length; i++) {
+      grid[tiles[i]] = 2; // Set to visible
     }
+
+    this.reveals.push({ player: player, tiles: tiles });
+    this.changed.add(player);
   }
 
   /**
@@ -171,13 +354,21 @@ class FogOfWar {
    * @param {number} y1 - Starting Y coordinate
    * @param {number} x2 - Ending X coordinate
    * @param {number} y2 - Ending Y coordinate
-   * @param {string} player - Player key
+   * @param {number} player - Player key
    * @returns {boolean} True if there's line of sight
    */
   hasLineOfSight(x1, y1, x2, y2, player) {
-    // Get map
-    const map = this.game.getSystem("map");
-    if (!map) return true;
+    x1 = Math.floor(x1);
+    y1 = Math.floor(y1);
+    x2 = Math.floor(x2);
+    y2 = Math.floor(y2);
+
+    if (x1 < 0 || y1 < 0 || x1 >= this.width || y1 >= this.height) {
+      return false;
+    }
+    if (!this.elevation) this.buildSightGrids();
+
+    const viewerElevation = this.elevation[y1 * this.width + x1];
 
     // Use Bresenham's line algorithm
     const dx = Math.abs(x2 - x1);
@@ -190,43 +381,61 @@ class FogOfWar {
     let y = y1;
 
     while (true) {
-      // Check for obstacles
-      if (x !== x1 || y !== y1) {
-        // Skip starting point
-        const tile = map.getTile(x, y);
-
-        if (tile && !tile.passable) {
-          return false; // Blocked by obstacle
-        }
-      }
-
-      // Reached destination
+      // Reached destination (the target tile itself can always be seen)
       if (x === x2 && y === y2) {
         return true;
       }
 
+      // Check for obstacles, skipping the starting point
+      if (
+        (x !== x1 || y !== y1) &&
+        (x < 0 || y < 0 || x >= this.width || y >= this.height ||
+          this.isOpaque(y * this.width + x, viewerElevation))
+      ) {
+        return false; // Blocked by forest or higher ground
+      }
+
       // Calculate next point
       const e2 = 2 * err;
 
       if (e2 > -dy) {
-        if (x === x2) break;
         err -= dy;
         x += sx;
       }
 
       if (e2 < dx) {
-        if (y === y2) break;
         err += dx;
         y += sy;
       }
     }
+  }
+
+  /**
+   * Check whether a player can currently see an entity
+   * @param {number} player - Player key
+   * @param {Entity} entity - Entity to look for
+   * @returns {boolean} True if any tile the entity covers is visible
+   */
+  canSee(player, entity) {
+    if (!this.visibility[player]) return true;
+
+    const width = Math.max(1, Math.ceil(entity.width || 1));
+    const height = Math.max(1, Math.ceil(entity.height || 1));
+    const x = Math.floor(entity.x);
+    const y = Math.floor(entity.y);
 
-    return true;
+    for (let ty = y; ty < y + height; ty++) {
+      for (let tx = x; tx < x + width; tx++) {
+        if (this.isVisible(tx, ty, player)) return true;
+      }
+    }
+
+    return false;
   }
 
   /**
    * Mark explored areas that are no longer visible
-   * @param {string} player - Player key
+   * @param {number} player - Player key
    */
   updateExploredAreas(player) {
     const grid = this.visibility[player];
@@ -243,71 +452,174 @@ class FogOfWar {
    * @param {number} deltaTime - Time elapsed since last update
    */
   update(deltaTime) {
-    const now = Date.now();
+    // Game time keeps updates in step with the simulation
+    const now = this.game.gameTime;
+    if (now - this.lastUpdate < this.updateInterval) return;
+    this.lastUpdate = now;
 
-    // Only do full updates periodically to avoid performance issues
-    if (now - this.lastFullUpdate >= this.fullUpdateInterval) {
+    // Terrain changed (a forest cleared, a wall raised): recast everything
+    const map = this.game.getSystem("map");
+    if (map && (map.pathVersion || 0) !== this.terrainVersion) {
       this.fullUpdate();
-      this.lastFullUpdate = now;
+      return;
     }
+
+    this.expireReveals();
+    this.updateSources();
+    this.refreshTexture();
   }
 
   /**
-   * Perform a full fog of war update
+   * Perform a full fog of war update, recasting every entity's view
    */
   fullUpdate() {
-    // Get entity manager
+    this.buildSightGrids();
+
+    // Drop all current vision (keep explored areas)
+    for (const player of this.getPlayers()) {
+      if (!this.visibility[player]) continue;
+
+      this.updateExploredAreas(player);
+      this.visibleCounts[player].fill(0);
+      this.changed.add(player);
+    }
+    this.sources.clear();
+    this.reveals = [];
+
+    this.updateSources();
+    this.refreshTexture();
+  }
+
+  /**
+   * Recast the view of entities that moved to another tile, and drop the
+   * views of entities that are gone
+   */
+  updateSources() {
     const entityManager = this.game.getSystem("entityManager");
     if (!entityManager) return;
 
-    // Get player civilization
-    const playerCiv = this.game.state.selectedCivilization;
-
-    // Reset visibility for both civilizations (keep explored areas)
-    this.updateExploredAreas("SOLARI");
-    this.updateExploredAreas("LUNARI");
-
-    // Update from entity positions
-    for (const civ of ["SOLARI", "LUNARI"]) {
-      // Get all entities belonging to this civilization
-      const entities = entityManager.getEntitiesByOwner(civ);
-
-      // Reveal areas around each entity
-      for (const entity of entities) {
-        // Skip if entity is not active
-        if (!entity.active) continue;
-
-        // Determine view range
-        let viewRange = 3; // Default
-
-        if (entity.type === "unit" || entity.type === "villager") {
-          viewRange = 4;
-        } else if (entity.type === "building") {
-          if (
-            entity.buildingType === "tower" ||
-            entity.buildingType === "watchtower"
-          ) {
-            viewRange = 8;
-          } else {
-            viewRange = 5;
-          }
+    const diplomacy = this.game.getSystem("diplomacy");
+    const seen = new Set();
+
+    for (const owner of this.getPlayers()) {
+      if (!this.visibility[owner]) continue;
+
+      // Allies see everything this player sees
+      const viewers = [owner];
+      if (diplomacy) {
+        for (const ally of diplomacy.getSharedVision(owner)) {
+          if (this.visibility[ally]) viewers.push(ally);
+        }
+      }
+      const viewerKey = viewers.join(",");
+
+      for (const entity of entityManager.getEntitiesByOwner(owner)) {
+        // Units aboard ships or inside buildings see through their carrier
+        if (!entity.active || entity.transportId || entity.garrisonId) continue;
+        seen.add(entity.id);
+
+        const x = Math.floor(entity.x);
+        const y = Math.floor(entity.y);
+        const range = this.getViewRange(entity);
+        const key = `${x},${y},${range}`;
+
+        const source = this.sources.get(entity.id);
+        if (source && source.key === key && source.viewerKey === viewerKey) {
+          continue;
+        }
+
+        let tiles;
+        if (source) {
+          this.applySource(source, -1);
+          tiles = source.key === key ? source.tiles : null;
         }
 
-        // Reveal area
-        this.revealArea(entity.x, entity.y, viewRange, civ);
+        const updated = {
+          key: key,
+          viewerKey: viewerKey,
+          viewers: viewers,
+          tiles: tiles || this.castVisibility(x, y, range),
+        };
+        this.applySource(updated, 1);
+        this.sources.set(entity.id, updated);
       }
     }
 
-    // Update fog texture for the player
-    this.updateFogTexture(playerCiv);
+    for (const [id, source] of this.sources) {
+      if (!seen.has(id)) {
+        this.applySource(source, -1);
+        this.sources.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Add or remove a source's view from its viewers' grids
+   * @param {Object} source - Sight source {tiles, viewers}
+   * @param {number} delta - 1 to add the view, -1 to remove it
+   */
+  applySource(source, delta) {
+    for (const player of source.viewers) {
+      const grid = this.visibility[player];
+      const counts = this.visibleCounts[player];
+      if (!grid) continue;
+
+      const tiles = source.tiles;
+      for (let i = 0; i < tiles.length; i++) {
+        const index = tiles[i];
+        const count = counts[index] + delta;
+        counts[index] = count;
+
+        if (count === 0) {
+          // No longer seen, but explored
+          grid[index] = this.revealedPlayers.has(player) ? 2 : 1;
+        } else if (delta > 0) {
+          grid[index] = 2;
+        }
+      }
+
+      this.changed.add(player);
+    }
+  }
+
+  /**
+   * Let one-off reveals fall back to explored where nothing else sees
+   */
+  expireReveals() {
+    for (const reveal of this.reveals) {
+      const grid = this.visibility[reveal.player];
+      const counts = this.visibleCounts[reveal.player];
+      if (!grid || this.revealedPlayers.has(reveal.player)) continue;
+
+      for (let i = 0; i < reveal.tiles.length; i++) {
+        const index = reveal.tiles[i];
+        if (counts[index] === 0 && grid[index] === 2) grid[index] = 1;
+      }
+      this.changed.add(reveal.player);
+    }
+
+    this.reveals = [];
+  }
+
+  /**
+   * Redraw the fog texture if the rendered player's view changed
+   */
+  refreshTexture() {
+    const player = this.getPerspective();
+    if (this.changed.has(player)) this.updateFogTexture(player);
+    this.changed.clear();
   }
 
   /**
    * Update fog texture for rendering
-   * @param {string} player - Player key
+   * @param {number} player - Player key
    */
   updateFogTexture(player) {
     const grid = this.visibility[player];
+    if (!grid) return;
+
+    this.syncMapFog(grid);
+    if (!this.fogCtx) return;
 
     // Clear canvas
     this.fogCtx.clearRect(0, 0, this.width, this.height);
@@ -349,6 +661,26 @@ class FogOfWar {
     this.fogTexture = this.fogCanvas;
   }
 
+  /**
+   * Copy a player's view into the map's own fog, which the renderer and
+   * minimap draw from
+   * @param {Uint8Array} grid - Visibility grid
+   */
+  syncMapFog(grid) {
+    const map = this.game.getSystem("map");
+    if (!map || !map.fogOfWar || map.width !== this.width) return;
+
+    for (let y = 0; y < this.height; y++) {
+      const row = map.fogOfWar[y];
+      if (!row) continue;
+
+      const offset = y * this.width;
+      for (let x = 0; x < this.width; x++) {
+        row[x] = grid[offset + x];
+      }
+    }
+  }
+
   /**
    * Render fog of war
    * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -375,9 +707,39 @@ class FogOfWar {
     );
   }
 
+  /**
+   * Get the player key whose view is rendered
+   * @returns {number} Player key
+   */
+  getPerspective() {
+    if (this.perspective !== null) return this.perspective;
+
+    return this.game.getOwnerKey(this.game.currentPlayer);
+  }
+
+  /**
+   * Get the owner keys of every player that has a view of the map
+   * @returns {Array} Owner keys
+   */
+  getPlayers() {
+    return (this.game.players || []).map((player) =>
+      this.game.getOwnerKey(player.id)
+    );
+  }
+
+  /**
+   * Render the fog from another player's point of view (replays/spectating)
+   * @param {number|null} player - Player key, or null for the local player
+   */
+  setPerspective(player) {
+    this.perspective = player;
+    this.updateFogTexture(this.getPerspective());
+    Utils.log(`Fog of war perspective: ${this.getPerspective()}`);
+  }
+
   /**
    * Reveal entire map for a player (debug/cheat function)
-   * @param {string} player - Player key
+   * @param {number} player - Player key
    */
   revealMap(player) {
     const grid = this.visibility[player];
@@ -385,28 +747,89 @@ class FogOfWar {
     for (let i = 0; i < grid.length; i++) {
       grid[i] = 2; // Set all tiles to visible
     }
+    this.revealedPlayers.add(player);
 
     this.updateFogTexture(player);
     Utils.log(`Map revealed for ${player}`);
   }
 
+  /**
+   * Mark the entire map explored for a player, without granting vision
+   * (AI difficulties that know the map layout)
+   * @param {number} player - Player key
+   */
+  exploreMap(player) {
+    const grid = this.visibility[player];
+    if (!grid) return;
+
+    for (let i = 0; i < grid.length; i++) {
+      if (grid[i] === 0) grid[i] = 1; // Set unexplored tiles to explored
+    }
+
+    this.changed.add(player);
+    Utils.log(`Map explored for ${player}`);
+  }
+
   /**
    * Reset fog of war to initial state
-   * @param {string} player - Player key
+   * @param {number} player - Player key
    */
-  reset(player) {
-    if (player) {
+  reset(player = null) {
+    if (player !== null) {
       // Reset for specific player
       this.visibility[player] = new Uint8Array(this.width * this.height);
+      this.revealedPlayers.delete(player);
     } else {
+      this.revealedPlayers.clear();
       // Reset for all players
-      this.visibility.SOLARI = new Uint8Array(this.width * this.height);
-      this.visibility.LUNARI = new Uint8Array(this.width * this.height);
+      for (const owner of this.getPlayers()) {
+        this.visibility[owner] = new Uint8Array(this.width * this.height);
+      }
     }
 
-    this.updateFogTexture(this.game.state.selectedCivilization);
+    // Units see again on the next pass
+    this.fullUpdate();
     Utils.log("Fog of war reset");
   }
+
+  /**
+   * Get serializable data for explored areas
+   * @returns {Object} Serialized fog of war data
+   */
+  serialize() {
+    const visibility = {};
+
+    for (const player of this.getPlayers()) {
+      const grid = this.visibility[player];
+      if (!grid) continue;
+
+      // Only exploration is saved; current vision is rebuilt from units
+      visibility[player] = Array.from(grid, (value) => (value > 0 ? 1 : 0));
+    }
+
+    return {
+      width: this.width,
+      height: this.height,
+      visibility,
+    };
+  }
+
+  /**
+   * Restore explored areas from serialized data
+   * @param {Object} data - Serialized fog of war data
+   */
+  deserialize(data) {
+    if (data.width !== this.width || data.height !== this.height) {
+      this.init(data.width, data.height);
+    }
+
+    for (const player in data.visibility) {
+      this.visibility[player] = Uint8Array.from(data.visibility[player]);
+    }
+
+    this.fullUpdate();
+    Utils.log("Fog of war restored");
+  }
 }
 
 // Export for ES modules or make available globally
@@ -15,6 +15,9 @@ class GameEngine {
     this.running = false;
     this.initialized = false;
 
+    // Headless mode runs the simulation without canvas, DOM or input
+    this.headless = !!config.headless;
+
     // Player data
     this.players = [
       { id: 0, civilization: "solari", isHuman: true, name: "Player 1" },
@@ -22,32 +25,36 @@ class GameEngine {
     ];
     this.currentPlayer = 0; // Human player ID
 
+    // AI players, one per non-human player
+    this.aiPlayers = [];
+
     // Create global references for easy access
     window.gameEngine = this;
 
     // Events system
-    this.events = {};
+    this.eventListeners = {};
+    this.events = {
+      on: (event, callback) => this.on(event, callback),
+      emit: (event, data) => this.emit(event, data),
+    };
 
     // Canvas and context
-    this.canvas = document.getElementById('game-canvas');
-    this.ctx = this.canvas.getContext('2d');
+    this.canvas = this.headless
+        ? null
+        : document.getElementById('game-canvas');
+    this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
     
     // Map size and view
     this.mapSize = { width: 2000, height: 2000 };
     this.viewPort = { 
         x: 0, 
         y: 0, 
-        width: this.canvas.width, 
-        height: this.canvas.height 
+        width: this.canvas ? this.canvas.width : 0, 
+        height: this.canvas ? this.canvas.height : 0 
     };
     
-    // Game time tracking
+    // Game time tracking (day and night are kept by the timeOfDay system)
     this.gameTime = 0;
-    this.dayNightCycle = {
-        currentTime: 0,
-        dayLength: 300, // 5 minutes per day/night cycle
-        isDay: true
-    };
     
     // Game state flags
     this.paused = false;
@@ -55,6 +62,22 @@ class GameEngine {
     
     // Game speed (for fast-forward)
     this.gameSpeed = 1.0;
+
+    // Fixed timestep simulation, so the same commands give the same match
+    this.TICK_LENGTH = 50; // ms per simulation tick
+    this.maxTicksPerFrame = 20;
+    this.tick = 0;
+    this.accumulator = 0;
+
+    // Seeded random number generator for all simulation randomness
+    this.seed = config.seed !== undefined ? config.seed : null;
+    this.random = new SeededRandom(this.seed || 0);
+
+    // True while a recorded match is being played back
+    this.replaying = false;
+
+    // True in the map editor, where the simulation doesn't advance
+    this.editing = false;
     
     // Bind methods
     this.update = this.update.bind(this);
@@ -67,6 +90,36 @@ class GameEngine {
     console.log("Game Engine created");
   }
 
+  /**
+   * Map system shortcut (AI and entities use game.map directly)
+   */
+  get map() {
+    return this.getSystem("map");
+  }
+
+  /**
+   * Entity manager shortcut (AI and entities use game.entityManager directly)
+   */
+  get entityManager() {
+    return this.getSystem("entityManager");
+  }
+
+  /**
+   * Every entity as an array (input and the renderer's fallback UI use
+   * game.entities)
+   */
+  get entities() {
+    const entityManager = this.getSystem("entityManager");
+    return entityManager ? Array.from(entityManager.entities.values()) : [];
+  }
+
+  /**
+   * Input system shortcut (menus start commands through game.input)
+   */
+  get input() {
+    return this.getSystem("input");
+  }
+
   /**
    * Initialize the game engine and all systems
    * @param {Object} options - Initialization options
@@ -82,12 +135,23 @@ class GameEngine {
     }
 
     try {
+      // Seed the simulation before any system draws random numbers
+      if (options.seed !== undefined) this.seed = options.seed;
+      if (this.seed === null) this.seed = Math.floor(Math.random() * 1000000);
+      this.random.setSeed(this.seed);
+
+      // Hand-made maps bring their own player slots
+      if (options.scenario) this.applyScenarioPlayers(options.scenario);
+      this.editing = !!options.editor;
+
       // First, initialize utility system (required by all other systems)
       this.initUtils();
       Utils.log("Utils initialized", "engine");
 
       // Create necessary directories in assets if they don't exist (for development)
-      this.createAssetDirectories();
+      if (!this.headless) {
+        this.createAssetDirectories();
+      }
 
       // Next, initialize each core system in dependency order
       await this.initSystems(options);
@@ -108,14 +172,20 @@ class GameEngine {
    * Initialize the Utils global object with utility functions
    */
   initUtils() {
-    // Create global Utils object
+    const engine = this;
+
+    // Create global Utils object; the shared helpers from utils.js (damage,
+    // formatting) stay, logging and randomness are the engine's own
     window.Utils = {
+      ...window.Utils,
+
       // Logging with categories
       log: function (message, category = "info") {
         const prefix = `[${category.toUpperCase()}] `;
         console.log(prefix + message);
 
         // Also update status element if available
+        if (engine.headless) return;
         const statusEl = document.getElementById("loading-status");
         if (statusEl && category !== "debug") {
           statusEl.textContent = message;
@@ -127,6 +197,7 @@ class GameEngine {
         console.error("[ERROR] " + message);
 
         // Also update status element if available
+        if (engine.headless) return;
         const statusEl = document.getElementById("loading-status");
         if (statusEl) {
           statusEl.textContent = "Error: " + message;
@@ -134,9 +205,33 @@ class GameEngine {
         }
       },
 
-      // Math utilities
+      // Math utilities (seeded, so simulation code stays deterministic)
       randomInt: function (min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return engine.random.nextInt(min, max);
+      },
+
+      randFloat: function (min, max) {
+        return engine.random.nextFloat(min, max);
+      },
+
+      randomChoice: function (items) {
+        return items[engine.random.nextInt(0, items.length - 1)];
+      },
+
+      // Index picked with probability proportional to its weight
+      weightedRandomIndex: function (weights) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let roll = engine.random.next() * total;
+
+        for (let i = 0; i < weights.length; i++) {
+          roll -= weights[i];
+          if (roll < 0) return i;
+        }
+        return weights.length - 1;
+      },
+
+      weightedRandomChoice: function (items, weights) {
+        return items[this.weightedRandomIndex(weights)];
       },
 
       clamp: function (value, min, max) {
@@ -284,8 +379,13 @@ class GameEngine {
       // Create map system first (other systems depend on it)
       this.initMapSystem(options);
 
+      // Create alert system (seasons, diplomacy and triggers notify through it)
+      this.initAlertSystem(options);
+
       // Create renderer (depends on map)
-      await this.initRendererSystem(options);
+      if (!this.headless) {
+        await this.initRendererSystem(options);
+      }
 
       // Create entity manager (depends on map and renderer)
       this.initEntitySystem(options);
@@ -293,18 +393,71 @@ class GameEngine {
       // Create resource manager
       this.initResourceSystem(options);
 
+      // Create age system
+      this.initAgeSystem(options);
+
+      // Create tech manager (research buildings complete techs through it)
+      this.initTechSystem(options);
+
+      // Create diplomacy system (combat, fog and victory consult it)
+      this.initDiplomacySystem(options);
+
+      // Create market system (trades through diplomacy for allied routes)
+      this.initMarketSystem(options);
+
+      // Create naval system (docks, fishing boats and transports)
+      this.initNavalSystem(options);
+
+      // Create garrison system (arrows, healing and the town bell)
+      this.initGarrisonSystem(options);
+
+      // Create support system (healers and temple auras)
+      this.initSupportSystem(options);
+
+      // Create season system (winter freezes the water paths cross)
+      this.initSeasonSystem(options);
+
+      // Create the day/night clock (fog of war shortens sight at night)
+      this.initTimeOfDaySystem(options);
+
+      // Create fog of war (ranged attacks need their target in sight)
+      if (!options.editor) this.initFogOfWarSystem(options);
+
+      // Create score system (the scoreboard and score victory read it)
+      this.initScoreSystem(options);
+
+      // Create statistics system (the post-game report reads it)
+      this.initStatisticsSystem(options);
+
+      // Starting resources and ages from a hand-made scenario
+      if (options.scenario) this.applyScenarioSettings(options.scenario);
+
       // Create AI system
       this.initAISystem(options);
 
-      // Create input system (depends on renderer)
-      this.initInputSystem(options);
-
-      // Create UI system (depends on entity and resource managers)
-      this.initUISystem(options);
+      // Create input and UI systems (depend on renderer)
+      if (!this.headless) {
+        this.initInputSystem(options);
+        this.initUISystem(options);
+      }
 
       // Create victory system last (depends on entity, resource, and UI)
       this.initVictorySystem(options);
 
+      // Scenario triggers and objectives (can declare victory or defeat)
+      this.initTriggerSystem(options);
+
+      // Create save system (serializes all of the above)
+      this.initSaveSystem(options);
+
+      // Create command log and replay viewer
+      this.initReplaySystem(options);
+
+      // Connect to the relay for multiplayer matches
+      if (options.multiplayer) {
+        this.initNetworkSystem(options);
+      }
+
       Utils.log("All game systems initialized", "engine");
       return Promise.resolve();
     } catch (error) {
@@ -316,6 +469,7 @@ class GameEngine {
   /**
    * Initialize the map system
    * @param {Object} options - Map options
+   * @param {Object} options.match - Match settings {naval}
    */
   initMapSystem(options) {
     Utils.log("Initializing map system...", "engine");
@@ -386,8 +540,10 @@ class GameEngine {
       };
     }
 
-    // Create the map system
-    const mapSystem = new Map(this);
+    // Create the map system (headless hosts pass the class in, since the
+    // global Map name belongs to the built-in there)
+    const MapClass = options.mapClass || Map;
+    const mapSystem = new MapClass(this);
 
     // Get map size from options or CONFIG
     const mapSize =
@@ -395,15 +551,29 @@ class GameEngine {
       (CONFIG && CONFIG.MAP && CONFIG.MAP.DEFAULT_SIZE) ||
       40;
 
-    // Generate the map
+    // Load a hand-made map, or generate one
+    if (options.scenario) {
+      mapSystem.load(options.scenario.map);
+      this.systemManager.register("map", mapSystem);
+
+      Utils.log(
+        `Map loaded: ${mapSystem.width}x${mapSystem.height} (${
+          options.scenario.name || "scenario"
+        })`,
+        "map"
+      );
+      return mapSystem;
+    }
+
     mapSystem.generate(mapSize, {
-      seed: options.seed || Math.floor(Math.random() * 1000000),
+      seed: this.seed,
       terrainVariation: options.terrainVariation || 0.7,
       resourceDensity:
         options.resourceDensity ||
         (CONFIG && CONFIG.MAP && CONFIG.MAP.RESOURCE_DENSITY) ||
         0.12,
       symmetric: options.symmetric !== undefined ? options.symmetric : true,
+      naval: !!(options.match && options.match.naval),
     });
 
     // Register the map system
@@ -558,6 +728,17 @@ class GameEngine {
     // Register the entity manager
     this.systemManager.register("entityManager", entityManager);
 
+    // Place each player's town center and villagers (scenarios place their
+    // own, and the editor starts from an empty map)
+    if (entityManager.init) entityManager.init();
+    if (options.scenario && entityManager.createScenarioEntities) {
+      entityManager.createScenarioEntities(options.scenario.entities || []);
+    } else if (!options.editor && entityManager.createStartingEntities) {
+      for (const player of this.players) {
+        entityManager.createStartingEntities(player);
+      }
+    }
+
     Utils.log("Entity system initialized", "engine");
     return entityManager;
   }
@@ -565,6 +746,7 @@ class GameEngine {
   /**
    * Initialize the resource system
    * @param {Object} options - Resource system options
+   * @param {Object} options.match - Match settings {startingResources}
    */
   initResourceSystem(options) {
     Utils.log("Initializing resource system...", "engine");
@@ -658,8 +840,9 @@ class GameEngine {
       };
     }
 
-    // Create resource manager
+    // Create resource manager with the match's starting resources
     const resourceManager = new window.ResourceManager(this);
+    if (resourceManager.init) resourceManager.init(options.match || {});
 
     // Register the resource manager
     this.systemManager.register("resourceManager", resourceManager);
@@ -675,11 +858,45 @@ class GameEngine {
   initAISystem(options) {
     Utils.log("Initializing AI system...", "engine");
 
-    // Simplified AI system
+    // Create an AI player for each non-human player
+    if (typeof window.AIPlayer === "function") {
+      const behaviors =
+        typeof window.AIBehaviors === "function"
+          ? new window.AIBehaviors(this)
+          : null;
+
+      for (const player of this.players) {
+        if (player.isHuman) continue;
+
+        const aiPlayer = new window.AIPlayer(
+          this,
+          player.id,
+          player.difficulty || options.aiDifficulty || "medium"
+        );
+
+        // Force named strategies (e.g. "rushStrategy") for balance testing
+        if (behaviors && player.strategies) {
+          for (const strategy of player.strategies) {
+            const behaviorType = Object.keys(behaviors.strategies).find(
+              (type) => behaviors.strategies[type][strategy]
+            );
+            behaviors.applyBehavior(aiPlayer, behaviorType, strategy);
+          }
+        }
+
+        this.aiPlayers.push(aiPlayer);
+      }
+    } else {
+      Utils.log("AIPlayer class not found, AI disabled", "warning");
+    }
+
+    // AI system runs each AI's scheduled updates every tick
     const aiSystem = {
       game: this,
       update: function (deltaTime) {
-        // No AI behavior in simplified version
+        for (const aiPlayer of this.game.aiPlayers) {
+          aiPlayer.runScheduledUpdates();
+        }
       },
     };
 
@@ -691,146 +908,356 @@ class GameEngine {
   }
 
   /**
-   * Initialize the input system
-   * @param {Object} options - Input system options
+   * Initialize the alert system
+   * @param {Object} options - Alert options
    */
-  initInputSystem(options) {
-    Utils.log("Initializing input system...", "engine");
+  initAlertSystem(options) {
+    if (typeof window.AlertSystem !== "function") {
+      Utils.log("AlertSystem class not found, alerts disabled", "warning");
+      return null;
+    }
 
-    // Create a simplified input system
-    const inputSystem = {
-      game: this,
-      canvas: document.getElementById("game-canvas"),
-
-      mouse: {
-        x: 0,
-        y: 0,
-        gridX: 0,
-        gridY: 0,
-        isDown: false,
-      },
+    const alertSystem = new window.AlertSystem(this);
+    alertSystem.init();
 
-      currentAction: {
-        type: null,
-        data: null,
-      },
+    this.systemManager.register("alertSystem", alertSystem);
 
-      init: function () {
-        if (!this.canvas) return;
+    Utils.log("Alert system initialized", "engine");
+    return alertSystem;
+  }
 
-        this.canvas.addEventListener(
-          "mousemove",
-          this.handleMouseMove.bind(this)
-        );
-        this.canvas.addEventListener(
-          "mousedown",
-          this.handleMouseDown.bind(this)
-        );
-        this.canvas.addEventListener("mouseup", this.handleMouseUp.bind(this));
-        this.canvas.addEventListener("wheel", this.handleMouseWheel.bind(this));
+  /**
+   * Initialize the technology manager
+   * @param {Object} options - Tech options
+   */
+  initTechSystem(options) {
+    if (typeof window.TechManager !== "function") {
+      Utils.log("TechManager class not found, research disabled", "warning");
+      return null;
+    }
 
-        window.addEventListener("keydown", this.handleKeyDown.bind(this));
-        window.addEventListener("keyup", this.handleKeyUp.bind(this));
+    const techManager = new window.TechManager(this);
+    techManager.init();
 
-        Utils.log("Input event handlers attached", "input");
-      },
+    this.systemManager.register("techManager", techManager);
 
-      update: function (deltaTime) {
-        // Nothing to update in simplified input system
-      },
+    Utils.log("Tech manager initialized", "engine");
+    return techManager;
+  }
 
-      handleMouseMove: function (event) {
-        this.mouse.x = event.clientX;
-        this.mouse.y = event.clientY;
+  /**
+   * Initialize the age advancement system
+   * @param {Object} options - Age system options
+   * @param {Object} options.match - Match settings {startingAge}
+   */
+  initAgeSystem(options) {
+    if (typeof window.AgeSystem !== "function") {
+      Utils.log("AgeSystem class not found, ages disabled", "warning");
+      return null;
+    }
 
-        // Convert to grid coordinates
-        const renderer = this.game.getSystem("renderer");
-        if (renderer) {
-          const worldX = renderer.screenToWorldX(this.mouse.x);
-          const worldY = renderer.screenToWorldY(this.mouse.y);
+    const ageSystem = new window.AgeSystem(this);
+    ageSystem.init(options.match || {});
 
-          const tileSize = (CONFIG && CONFIG.MAP && CONFIG.MAP.TILE_SIZE) || 64;
+    this.systemManager.register("ageSystem", ageSystem);
 
-          this.mouse.gridX = Math.floor(worldX / tileSize);
-          this.mouse.gridY = Math.floor(worldY / tileSize);
-        }
-      },
+    Utils.log("Age system initialized", "engine");
+    return ageSystem;
+  }
 
-      handleMouseDown: function (event) {
-        this.mouse.isDown = true;
+  /**
+   * Initialize the diplomacy system
+   * @param {Object} options - Diplomacy options
+   * @param {Object} options.diplomacy - {lockTeams, alliedVictory}
+   */
+  initDiplomacySystem(options) {
+    if (typeof window.DiplomacySystem !== "function") {
+      Utils.log("DiplomacySystem class not found, diplomacy disabled", "warning");
+      return null;
+    }
 
-        // Set action to select
-        this.currentAction = {
-          type: "select",
-          startX: this.mouse.x,
-          startY: this.mouse.y,
-          selectionBox: null,
-        };
-      },
+    const diplomacy = new window.DiplomacySystem(this);
+    diplomacy.init(options.diplomacy || {});
 
-      handleMouseUp: function (event) {
-        this.mouse.isDown = false;
+    this.systemManager.register("diplomacy", diplomacy);
 
-        // If selecting, perform selection
-        if (this.currentAction.type === "select") {
-          // For now, just clear the action
-          this.currentAction = { type: null };
-        }
-      },
+    Utils.log("Diplomacy system initialized", "engine");
+    return diplomacy;
+  }
 
-      handleMouseWheel: function (event) {
-        const renderer = this.game.getSystem("renderer");
-        if (renderer) {
-          // Zoom in or out
-          const direction = event.deltaY < 0 ? 1 : -1;
-          renderer.zoom(direction, event.clientX, event.clientY);
-        }
+  /**
+   * Initialize the market system
+   * @param {Object} options - Market options
+   */
+  initMarketSystem(options) {
+    if (typeof window.MarketSystem !== "function") {
+      Utils.log("MarketSystem class not found, trading disabled", "warning");
+      return null;
+    }
 
-        // Prevent default scroll behavior
-        event.preventDefault();
-      },
+    const market = new window.MarketSystem(this);
+    market.init();
 
-      handleKeyDown: function (event) {
-        const key = event.key.toLowerCase();
+    this.systemManager.register("market", market);
 
-        // Handle camera panning with arrow keys
-        const renderer = this.game.getSystem("renderer");
-        if (renderer) {
-          const panSpeed = 10;
-
-          switch (key) {
-            case "arrowup":
-            case "w":
-              renderer.pan(0, -panSpeed);
-              break;
-            case "arrowdown":
-            case "s":
-              renderer.pan(0, panSpeed);
-              break;
-            case "arrowleft":
-            case "a":
-              renderer.pan(-panSpeed, 0);
-              break;
-            case "arrowright":
-            case "d":
-              renderer.pan(panSpeed, 0);
-              break;
-          }
-        }
+    Utils.log("Market system initialized", "engine");
+    return market;
+  }
 
-        // Debug toggle
-        if (key === "`" || key === "backquote") {
-          const renderer = this.game.getSystem("renderer");
-          if (renderer) {
-            renderer.toggleDebug();
-          }
-        }
-      },
+  /**
+   * Initialize the naval system
+   * @param {Object} options - Naval options
+   */
+  initNavalSystem(options) {
+    if (typeof window.NavalSystem !== "function") {
+      Utils.log("NavalSystem class not found, ships disabled", "warning");
+      return null;
+    }
 
-      handleKeyUp: function (event) {
-        // Handle key up events if needed
-      },
-    };
+    const naval = new window.NavalSystem(this);
+    naval.init();
+
+    this.systemManager.register("naval", naval);
+
+    Utils.log("Naval system initialized", "engine");
+    return naval;
+  }
+
+  /**
+   * Initialize the garrison system
+   * @param {Object} options - Garrison options
+   */
+  initGarrisonSystem(options) {
+    if (typeof window.GarrisonSystem !== "function") {
+      Utils.log("GarrisonSystem class not found, garrisons disabled", "warning");
+      return null;
+    }
+
+    const garrison = new window.GarrisonSystem(this);
+    garrison.init();
+
+    this.systemManager.register("garrison", garrison);
+
+    Utils.log("Garrison system initialized", "engine");
+    return garrison;
+  }
+
+  /**
+   * Initialize the support system
+   * @param {Object} options - Support options
+   */
+  initSupportSystem(options) {
+    if (typeof window.SupportSystem !== "function") {
+      Utils.log("SupportSystem class not found, healers disabled", "warning");
+      return null;
+    }
+
+    const support = new window.SupportSystem(this);
+    support.init();
+
+    this.systemManager.register("support", support);
+
+    Utils.log("Support system initialized", "engine");
+    return support;
+  }
+
+  /**
+   * Initialize the season system
+   * @param {Object} options - Options with season settings, if any
+   */
+  initSeasonSystem(options) {
+    if (typeof window.SeasonSystem !== "function") {
+      Utils.log("SeasonSystem class not found, seasons disabled", "warning");
+      return null;
+    }
+
+    // The editor shows the map as drawn, without ice
+    const settings = { ...(options.seasons || {}) };
+    if (options.editor) settings.enabled = false;
+
+    const seasons = new window.SeasonSystem(this);
+    seasons.init(settings);
+
+    this.systemManager.register("seasons", seasons);
+
+    Utils.log("Season system initialized", "engine");
+    return seasons;
+  }
+
+  /**
+   * Initialize the day/night clock
+   * @param {Object} options - Options with day/night settings, if any
+   */
+  initTimeOfDaySystem(options) {
+    if (typeof window.TimeOfDaySystem !== "function") {
+      Utils.log("TimeOfDaySystem class not found, always day", "warning");
+      return null;
+    }
+
+    const settings = { ...(options.dayNight || {}) };
+    if (options.editor) settings.enabled = false;
+
+    const timeOfDay = new window.TimeOfDaySystem(this);
+    timeOfDay.init(settings);
+
+    this.systemManager.register("timeOfDay", timeOfDay);
+
+    Utils.log("Time of day system initialized", "engine");
+    return timeOfDay;
+  }
+
+  /**
+   * Initialize the score system
+   * @param {Object} options - Score options
+   */
+  initScoreSystem(options) {
+    if (typeof window.ScoreSystem !== "function") {
+      Utils.log("ScoreSystem class not found, scores disabled", "warning");
+      return null;
+    }
+
+    const scoreSystem = new window.ScoreSystem(this);
+    scoreSystem.init(options.score || {});
+
+    this.systemManager.register("score", scoreSystem);
+
+    Utils.log("Score system initialized", "engine");
+    return scoreSystem;
+  }
+
+  /**
+   * Initialize the statistics system
+   * @param {Object} options - Statistics options
+   */
+  initStatisticsSystem(options) {
+    if (typeof window.StatisticsSystem !== "function") {
+      Utils.log(
+        "StatisticsSystem class not found, post-game report disabled",
+        "warning"
+      );
+      return null;
+    }
+
+    const statistics = new window.StatisticsSystem(this);
+    statistics.init(options.statistics || {});
+
+    this.systemManager.register("statistics", statistics);
+
+    Utils.log("Statistics system initialized", "engine");
+    return statistics;
+  }
+
+  /**
+   * Initialize the fog of war
+   * @param {Object} options - Fog of war options
+   */
+  initFogOfWarSystem(options) {
+    if (typeof window.FogOfWar !== "function") {
+      Utils.log("FogOfWar class not found, fog of war disabled", "warning");
+      return null;
+    }
+
+    const map = this.getSystem("map");
+    const fogOfWar = new window.FogOfWar(this);
+    fogOfWar.init(map.width, map.height);
+
+    this.systemManager.register("fogOfWar", fogOfWar);
+
+    Utils.log("Fog of war initialized", "engine");
+    return fogOfWar;
+  }
+
+  /**
+   * Initialize the trigger system
+   * @param {Object} options - Options with the scenario to script, if any
+   */
+  initTriggerSystem(options) {
+    if (typeof window.TriggerSystem !== "function") {
+      Utils.log("TriggerSystem class not found, triggers disabled", "warning");
+      return null;
+    }
+
+    const triggers = new window.TriggerSystem(this);
+    triggers.init(options.scenario || {});
+
+    this.systemManager.register("triggers", triggers);
+
+    // Let the objectives panel open with the mission briefing
+    if (triggers.objectives.length > 0) {
+      this.emit("objectivesChanged", {});
+    }
+
+    Utils.log("Trigger system initialized", "engine");
+    return triggers;
+  }
+
+  /**
+   * Take player slots from a scenario, keeping who is human or AI
+   * @param {Object} scenario - Scenario data
+   */
+  applyScenarioPlayers(scenario) {
+    this.players = scenario.players.map((slot, index) => {
+      const existing = this.players[index] || {
+        isHuman: false,
+        name: `AI ${index}`,
+      };
+
+      return {
+        ...existing,
+        id: slot.id,
+        civilization: slot.civilization,
+        team: slot.team !== undefined ? slot.team : existing.team,
+      };
+    });
+  }
+
+  /**
+   * Apply a scenario's starting resources and ages
+   * @param {Object} scenario - Scenario data
+   */
+  applyScenarioSettings(scenario) {
+    const resourceManager = this.getSystem("resourceManager");
+    const ageSystem = this.getSystem("ageSystem");
+
+    for (const slot of scenario.players) {
+      const owner = this.getOwnerKey(slot.id);
+
+      if (slot.resources && resourceManager && resourceManager.resources) {
+        resourceManager.resources[owner] = { ...slot.resources };
+      }
+
+      if (slot.age && ageSystem) {
+        ageSystem.setPlayerAge(slot.id, slot.age);
+      }
+    }
+  }
+
+  /**
+   * Initialize the input system
+   * @param {Object} options - Input system options
+   */
+  initInputSystem(options) {
+    Utils.log("Initializing input system...", "engine");
+
+    // Key bindings, remappable from the hotkey settings panel
+    if (typeof window.HotkeyBindings === "function") {
+      const hotkeys = new window.HotkeyBindings(this);
+      hotkeys.init();
+      this.systemManager.register("hotkeys", hotkeys);
+    } else {
+      Utils.log(
+        "HotkeyBindings class not found, keyboard shortcuts disabled",
+        "warning"
+      );
+    }
+
+    // Selection, orders, control groups and the camera
+    if (typeof window.InputSystem !== "function") {
+      Utils.log("InputSystem class not found, input disabled", "warning");
+      return null;
+    }
+
+    const inputSystem = new window.InputSystem(this);
 
     // Initialize the input system
     inputSystem.init();
@@ -842,6 +1269,70 @@ class GameEngine {
     return inputSystem;
   }
 
+  /**
+   * Handle a bound key that acts on the whole game rather than the selection
+   * @param {string} action - Hotkey action ID
+   * @param {KeyboardEvent} event - Key event
+   * @returns {boolean} True if handled
+   */
+  handleHotkeyAction(action, event) {
+    // Panels toggled from the keyboard, by system name
+    const panels = {
+      diplomacy: "diplomacyPanel",
+      objectives: "objectivesPanel",
+      scoreboard: "scoreboard",
+      hotkeySettings: "hotkeySettings",
+    };
+
+    switch (action) {
+      case "toggleDebug": {
+        const renderer = this.getSystem("renderer");
+        if (renderer) {
+          renderer.toggleDebug();
+          this.debugMode = renderer.debugMode;
+        }
+        return true;
+      }
+
+      case "quickSave":
+        event.preventDefault();
+        this.saveGame("quicksave");
+        return true;
+
+      case "quickLoad":
+        event.preventDefault();
+        this.loadGame("quicksave");
+        return true;
+
+      // Replays: download the current match / open a replay file
+      case "exportReplay": {
+        event.preventDefault();
+        const commandLog = this.getSystem("commandLog");
+        if (commandLog) commandLog.exportToFile();
+        return true;
+      }
+
+      case "openReplay": {
+        event.preventDefault();
+        const replayViewer = this.getSystem("replayViewer");
+        if (replayViewer) replayViewer.openFilePicker();
+        return true;
+      }
+
+      case "diplomacy":
+      case "objectives":
+      case "scoreboard":
+      case "hotkeySettings": {
+        event.preventDefault();
+        const panel = this.getSystem(panels[action]);
+        if (panel) panel.toggle();
+        return true;
+      }
+    }
+
+    return false;
+  }
+
   /**
    * Initialize the UI system
    * @param {Object} options - UI system options
@@ -965,6 +1456,48 @@ class GameEngine {
     // Register the UI system
     this.systemManager.register("uiManager", uiSystem);
 
+    // Diplomacy panel (toggled with F4)
+    if (typeof window.DiplomacyPanel === "function") {
+      const diplomacyPanel = new window.DiplomacyPanel(this);
+      diplomacyPanel.init();
+      this.systemManager.register("diplomacyPanel", diplomacyPanel);
+    }
+
+    // Scenario objectives (toggled with F3)
+    if (typeof window.ObjectivesPanel === "function") {
+      const objectivesPanel = new window.ObjectivesPanel(this);
+      objectivesPanel.init();
+      this.systemManager.register("objectivesPanel", objectivesPanel);
+    }
+
+    // Scoreboard (toggled with F6, opens with the graph at game end)
+    if (typeof window.ScoreboardPanel === "function") {
+      const scoreboard = new window.ScoreboardPanel(this);
+      scoreboard.init();
+      this.systemManager.register("scoreboard", scoreboard);
+    }
+
+    // Post-game report (opens with the victory or defeat screen)
+    if (typeof window.PostGamePanel === "function") {
+      const postGame = new window.PostGamePanel(this);
+      postGame.init();
+      this.systemManager.register("postGame", postGame);
+    }
+
+    // Hotkey settings (toggled with F2)
+    if (typeof window.HotkeySettingsPanel === "function") {
+      const hotkeySettings = new window.HotkeySettingsPanel(this);
+      hotkeySettings.init();
+      this.systemManager.register("hotkeySettings", hotkeySettings);
+    }
+
+    // Map editor tools
+    if (options.editor && typeof window.MapEditor === "function") {
+      const mapEditor = new window.MapEditor(this);
+      mapEditor.init();
+      this.systemManager.register("mapEditor", mapEditor);
+    }
+
     Utils.log("UI system initialized", "engine");
     return uiSystem;
   }
@@ -972,6 +1505,7 @@ class GameEngine {
   /**
    * Initialize the victory system
    * @param {Object} options - Victory system options
+   * @param {Object} options.match - Match settings {victory}
    */
   initVictorySystem(options) {
     Utils.log("Initializing victory system...", "engine");
@@ -981,8 +1515,8 @@ class GameEngine {
       try {
         const victorySystem = new window.VictorySystem(this);
 
-        // Initialize victory system
-        victorySystem.init();
+        // Initialize victory system with the match's victory conditions
+        victorySystem.init((options.match && options.match.victory) || {});
 
         // Register the victory system
         this.systemManager.register("victorySystem", victorySystem);
@@ -990,6 +1524,7 @@ class GameEngine {
         Utils.log("Victory system initialized", "engine");
         return victorySystem;
       } catch (error) {
+        if (this.headless) throw error;
         Utils.error(`Error initializing victory system: ${error.message}`);
       }
     }
@@ -1047,6 +1582,163 @@ class GameEngine {
     return fallbackVictorySystem;
   }
 
+  /**
+   * Initialize the save system
+   * @param {Object} options - Save system options
+   */
+  initSaveSystem(options) {
+    Utils.log("Initializing save system...", "engine");
+
+    if (typeof window.SaveSystem !== "function") {
+      Utils.log("SaveSystem class not found, saving disabled", "warning");
+      return null;
+    }
+
+    // No autosaving when running headless
+    const saveOptions = this.headless
+      ? { autosaveInterval: 0 }
+      : options.save || {};
+    const saveSystem = new window.SaveSystem(this, saveOptions);
+    saveSystem.init();
+
+    this.systemManager.register("saveSystem", saveSystem);
+
+    Utils.log("Save system initialized", "engine");
+    return saveSystem;
+  }
+
+  /**
+   * Initialize the command log and replay viewer
+   * @param {Object} options - Replay options
+   */
+  initReplaySystem(options) {
+    Utils.log("Initializing replay system...", "engine");
+
+    if (typeof window.CommandLog === "function") {
+      const commandLog = new window.CommandLog(this);
+      commandLog.init();
+      this.systemManager.register("commandLog", commandLog);
+    }
+
+    if (typeof window.ReplayViewer === "function" && !this.headless) {
+      const replayViewer = new window.ReplayViewer(this);
+      replayViewer.init();
+      this.systemManager.register("replayViewer", replayViewer);
+    }
+
+    Utils.log("Replay system initialized", "engine");
+  }
+
+  /**
+   * Initialize the lockstep network client
+   * @param {Object} options - Network options
+   * @param {Object} options.multiplayer - Match session from the lobby
+   */
+  initNetworkSystem(options) {
+    Utils.log("Initializing network system...", "engine");
+
+    if (typeof window.NetworkClient !== "function") {
+      Utils.error("NetworkClient class not found, multiplayer disabled");
+      return null;
+    }
+
+    const network = new window.NetworkClient(this, options.multiplayer);
+    network.init();
+
+    this.systemManager.register("network", network);
+
+    Utils.log("Network system initialized", "engine");
+    return network;
+  }
+
+  /**
+   * Save the current match
+   * @param {string} slot - Save slot name
+   * @returns {boolean} True if saved
+   */
+  saveGame(slot = "quicksave") {
+    const saveSystem = this.getSystem("saveSystem");
+    return saveSystem ? saveSystem.save(slot) : false;
+  }
+
+  /**
+   * Load a saved match
+   * @param {string} slot - Save slot name
+   * @returns {boolean} True if loaded
+   */
+  loadGame(slot = "quicksave") {
+    // Loading would put this client out of step with the others
+    const network = this.getSystem("network");
+    if (network && network.active) {
+      Utils.log("Cannot load a saved game during a multiplayer match", "warning");
+      return false;
+    }
+
+    const saveSystem = this.getSystem("saveSystem");
+    return saveSystem ? saveSystem.load(slot) : false;
+  }
+
+  /**
+   * Run the match as fast as possible without rendering (headless mode)
+   * @param {Object} options - Run options
+   * @param {number} options.maxGameTime - Stop after this much game time (ms)
+   * @returns {Object} Match results
+   */
+  runHeadless(options = {}) {
+    const maxGameTime = options.maxGameTime || 3600000; // 1 hour
+    const victorySystem = this.getSystem("victorySystem");
+    const ageSystem = this.getSystem("ageSystem");
+
+    // Game time each player first reached each age
+    const ageTimes = {};
+    for (const player of this.players) {
+      ageTimes[player.id] = { 0: 0 };
+    }
+
+    let outcome = { winner: null, victoryType: null };
+    this.on("gameOver", (data) => {
+      outcome = data;
+    });
+
+    this.running = true;
+    while (this.gameTime < maxGameTime && !victorySystem.isGameOver()) {
+      this.step();
+
+      if (ageSystem) {
+        for (const player of this.players) {
+          const age = ageSystem.getPlayerAge(player.id);
+          if (ageTimes[player.id][age] === undefined) {
+            ageTimes[player.id][age] = this.gameTime;
+          }
+        }
+      }
+    }
+    this.running = false;
+
+    const results = {
+      seed: this.seed,
+      ticks: this.tick,
+      gameTime: this.gameTime,
+      timedOut: !victorySystem.isGameOver(),
+      winner: outcome.winner,
+      winners: outcome.winners || [],
+      victoryType: outcome.victoryType,
+      players: this.players.map((player) => ({
+        id: player.id,
+        civilization: player.civilization,
+        difficulty: player.difficulty || null,
+        strategies: player.strategies || [],
+        stats: victorySystem.collectGameStats
+          ? victorySystem.collectGameStats(player.id)
+          : null,
+        ageTimes: ageTimes[player.id],
+      })),
+    };
+
+    this.stop();
+    return results;
+  }
+
   /**
    * Get a game system by name
    * @param {string} name - Name of the system
@@ -1056,6 +1748,36 @@ class GameEngine {
     return this.systems[name] || null;
   }
 
+  /**
+   * Get the owner key a player's entities, stockpile and fog are filed under.
+   * Ownership is by player ID, so two players can share a civilization
+   * @param {number} playerId - Player ID
+   * @returns {number|null} Owner key, or null if there's no such player
+   */
+  getOwnerKey(playerId) {
+    const player = this.players.find((p) => p.id === playerId);
+    return player ? player.id : null;
+  }
+
+  /**
+   * Get the player an owner key belongs to
+   * @param {number} owner - Owner key
+   * @returns {number|null} Player ID, or null for unowned (gaia) entities
+   */
+  getPlayerId(owner) {
+    return this.getOwnerKey(owner);
+  }
+
+  /**
+   * Get the civilization a player (or owner key) plays
+   * @param {number} owner - Owner key or player ID
+   * @returns {string|null} CONFIG.CIVILIZATIONS key, e.g. "SOLARI"
+   */
+  getCivilization(owner) {
+    const player = this.players.find((p) => p.id === owner);
+    return player ? player.civilization.toUpperCase() : null;
+  }
+
   /**
    * Start the game
    */
@@ -1106,8 +1828,37 @@ class GameEngine {
       this.deltaTime = 1000 / 60; // Cap at 60 FPS equivalent
     }
 
-    // Update all systems
-    this.update(this.deltaTime);
+    // Advance the simulation in fixed ticks
+    this.accumulator += this.deltaTime * this.gameSpeed;
+
+    // In multiplayer, wait for each turn from the relay and fast-forward
+    // when far behind (e.g. after reconnecting)
+    const network = this.getSystem("network");
+    if (network && network.active && network.isCatchingUp()) {
+      this.accumulator = this.TICK_LENGTH * this.maxTicksPerFrame;
+    }
+
+    let ticks = 0;
+    while (
+      this.running &&
+      !this.editing &&
+      this.accumulator >= this.TICK_LENGTH &&
+      ticks < this.maxTicksPerFrame &&
+      (!network || !network.active || network.isTickReady(this.tick))
+    ) {
+      this.step();
+      this.accumulator -= this.TICK_LENGTH;
+      ticks++;
+    }
+
+    // Drop any backlog we couldn't catch up on rather than spiral
+    if (ticks >= this.maxTicksPerFrame) {
+      this.accumulator = 0;
+    }
+
+    // Scroll the camera by real time, not game time
+    const input = this.getSystem("input");
+    if (input) input.updateFrame(this.deltaTime);
 
     // Render
     this.render();
@@ -1116,6 +1867,18 @@ class GameEngine {
     requestAnimationFrame(this.gameLoop.bind(this));
   }
 
+  /**
+   * Advance the simulation by one fixed tick
+   */
+  step() {
+    this.emit("beforeTick", { tick: this.tick });
+
+    this.update(this.TICK_LENGTH);
+    this.tick++;
+
+    this.emit("tick", { tick: this.tick });
+  }
+
   /**
    * Update all game systems
    * @param {number} deltaTime - Time elapsed since last update in milliseconds
@@ -1128,6 +1891,10 @@ class GameEngine {
         try {
           system.update(deltaTime);
         } catch (error) {
+          // Headless runs report match results, so a broken system must stop
+          // the run rather than quietly skew them
+          if (this.headless) throw error;
+
           Utils.error(`Error updating ${systemName} system: ${error.message}`);
           console.error(error);
         }
@@ -1149,6 +1916,7 @@ class GameEngine {
     // Render the game
     try {
       renderer.render();
+      this.emit("render", { renderer: renderer });
     } catch (error) {
       Utils.error(`Error rendering: ${error.message}`);
       console.error(error);
@@ -1173,6 +1941,7 @@ class GameEngine {
 
     this.running = true;
     this.lastUpdateTime = performance.now();
+    this.accumulator = 0;
     this.gameLoop();
     Utils.log("Game resumed", "engine");
   }
@@ -1182,6 +1951,15 @@ class GameEngine {
    */
   stop() {
     this.running = false;
+
+    for (const aiPlayer of this.aiPlayers) {
+      aiPlayer.cleanup();
+    }
+    this.aiPlayers = [];
+
+    const network = this.getSystem("network");
+    if (network) network.cleanup();
+
     Utils.log("Game stopped", "engine");
   }
 
@@ -1191,10 +1969,10 @@ class GameEngine {
    * @param {Function} callback - Event callback
    */
   on(event, callback) {
-    if (!this.events[event]) {
-      this.events[event] = [];
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
     }
-    this.events[event].push(callback);
+    this.eventListeners[event].push(callback);
   }
 
   /**
@@ -1203,8 +1981,8 @@ class GameEngine {
    * @param {Object} data - Event data
    */
   emit(event, data) {
-    if (this.events[event]) {
-      for (const callback of this.events[event]) {
+    if (this.eventListeners[event]) {
+      for (const callback of this.eventListeners[event]) {
         callback(data);
       }
     }
@@ -1219,15 +1997,53 @@ function initGame(selectedCiv = "solari") {
   // Get civilization from URL or parameter
   const civilization = selectedCiv || Utils.getUrlParam("civ", "solari");
 
-  // Set civilization
-  gameEngine.players[0].civilization = civilization;
+  // Multiplayer matches take players, seed and map size from the lobby
+  const multiplayer =
+    Utils.getUrlParam("multiplayer") && window.NetworkClient
+      ? NetworkClient.loadSession()
+      : null;
+  const options = {};
+
+  if (multiplayer) {
+    gameEngine.players = multiplayer.players.map((player) => ({
+      id: player.id,
+      civilization: player.civilization,
+      isHuman: true,
+      name: player.name,
+    }));
+    gameEngine.currentPlayer = multiplayer.playerId;
+    options.seed = multiplayer.settings.seed;
+    options.mapSize = multiplayer.settings.mapSize;
+    options.multiplayer = multiplayer;
+  } else {
+    // Set civilization
+    gameEngine.players[0].civilization = civilization;
+  }
+
+  // Map editor, or a hand-made map handed over by the editor
+  if (Utils.getUrlParam("editor") && !multiplayer) {
+    options.editor = true;
+  } else if (Utils.getUrlParam("scenario") && window.MapEditor) {
+    options.scenario = MapEditor.loadSession();
+  }
+
+  // Victory conditions, starting age and resources from the setup screen
+  if (Utils.getUrlParam("setup") && window.MatchSettings && !multiplayer) {
+    options.match = MatchSettings.loadSession();
+  }
 
   // Initialize the engine
   gameEngine
-    .init()
+    .init(options)
     .then(() => {
       // Start the game once initialized
       gameEngine.start();
+
+      // Continue a saved match if one was requested
+      const loadSlot = Utils.getUrlParam("load");
+      if (loadSlot && !multiplayer) {
+        gameEngine.loadGame(loadSlot);
+      }
     })
     .catch((error) => {
       console.error("Failed to initialize game:", error);
@@ -17,10 +17,6 @@ class Game {
       selectedEntities: [],
       resources: Utils.deepClone(CONFIG.RESOURCES.STARTING),
       gameTime: 0, // Time in seconds
-      dayNightCycle: {
-        time: 0, // 0 to 1 (0 = dawn, 0.5 = dusk, 1 = dawn)
-        cycleLength: 300, // 5 minutes per day/night cycle
-      },
     };
 
     // Game systems
@@ -34,6 +30,7 @@ class Game {
       aiManager: null,
       alertSystem: null,
       resourceSystem: null,
+      seasons: null,
     };
 
     // Core timing variables
@@ -307,6 +304,11 @@ class Game {
     // Initialize resource system
     this.systems.resourceSystem = new ResourceSystem(this);
 
+    // Initialize the season clock
+    if (typeof SeasonSystem === "function") {
+      this.systems.seasons = new SeasonSystem(this).init();
+    }
+
     Utils.log("Game systems initialized");
   }
 
@@ -518,10 +520,6 @@ class Game {
       selectedEntities: [],
       resources: Utils.deepClone(CONFIG.RESOURCES.STARTING),
       gameTime: 0,
-      dayNightCycle: {
-        time: 0,
-        cycleLength: 300,
-      },
     };
 
     Utils.log("Game reset complete");
@@ -542,11 +540,6 @@ class Game {
     // Update game time
     this.state.gameTime += deltaTime;
 
-    // Update day/night cycle
-    this.state.dayNightCycle.time =
-      (this.state.gameTime % this.state.dayNightCycle.cycleLength) /
-      this.state.dayNightCycle.cycleLength;
-
     // Update all game systems
     if (this.systems.map) this.systems.map.update(deltaTime);
     if (this.systems.entityManager)
@@ -557,6 +550,7 @@ class Game {
     if (this.systems.alertSystem) this.systems.alertSystem.update(deltaTime);
     if (this.systems.resourceSystem)
       this.systems.resourceSystem.update(deltaTime);
+    if (this.systems.seasons) this.systems.seasons.update(deltaTime * 1000);
 
     // Check for age advancement
     this.checkAgeAdvancement();
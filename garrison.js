@@ -0,0 +1,481 @@
+/**
+ * Empires of Eternity - Garrison System
+ * Units sheltering in buildings: garrisoned villagers and archers add arrows
+ * to towers and town centers, garrisoned units heal, and the town bell sends
+ * villagers indoors and back to work
+ */
+
+class GarrisonSystem {
+  /**
+   * Create a new garrison system
+   * @param {Game} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // How close a unit must get to a building's center to go inside (tiles)
+    this.garrisonDistance = 1.5;
+
+    // HP per second regained by garrisoned units
+    this.healRate = 1;
+
+    // Buildings that shoot, with the arrows they fire when empty
+    this.baseArrows = {
+      tower: 1,
+      watchtower: 1,
+      town_center: 1,
+    };
+
+    // Seconds between volleys, and damage per arrow for buildings without an AR
+    this.arrowInterval = 2;
+    this.arrowDamage = 6;
+    this.arrowDamageType = "piercing";
+
+    // Villagers within this range of a town center answer its bell (tiles)
+    this.bellRadius = 12;
+
+    // Units walking to a building, by unit ID -> building ID
+    this.entering = {};
+
+    // Town centers whose bell is ringing, by building ID -> {unitId: job}
+    // where job is the {type, targetId} the villager was doing
+    this.bells = {};
+
+    // Seconds until each building's next volley, by building ID
+    this.arrowTimers = {};
+
+    // Garrisons are managed a few times per second, not every tick
+    this.updateInterval = 500;
+    this.updateTimer = 0;
+
+    Utils.log("GarrisonSystem created");
+  }
+
+  /**
+   * Initialize the garrison system
+   */
+  init() {
+    this.entering = {};
+    this.bells = {};
+    this.arrowTimers = {};
+
+    Utils.log("GarrisonSystem initialized");
+    return this;
+  }
+
+  /**
+   * Update entering units, healing and arrow fire
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    this.updateTimer += deltaTime;
+    if (this.updateTimer < this.updateInterval) return;
+
+    const elapsed = this.updateTimer / 1000;
+    this.updateTimer = 0;
+
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager) return;
+
+    this.updateEntering(entityManager);
+    this.updateBells(entityManager);
+
+    for (const building of entityManager.getEntitiesByType("building")) {
+      if (!building.active || !building.constructed) continue;
+
+      this.healGarrison(building, entityManager, elapsed);
+      this.updateArrows(building, entityManager, elapsed);
+    }
+  }
+
+  /**
+   * Send units into a building; they go inside once they reach it
+   * @param {Building} building - Building to shelter in
+   * @param {Array} units - Units to garrison
+   */
+  garrisonUnits(building, units) {
+    if (!building || !building.active || building.maxGarrison <= 0) return;
+
+    const center = building.getTileCenter();
+    for (const unit of units) {
+      if (
+        !unit.active ||
+        unit.type === "building" ||
+        unit.naval ||
+        unit.garrisonId ||
+        unit.owner !== building.owner
+      ) {
+        continue;
+      }
+
+      this.entering[unit.id] = building.id;
+      unit.moveTo(center.x, center.y);
+    }
+  }
+
+  /**
+   * Put units that have reached their building inside it
+   * @param {EntityManager} entityManager - Entity manager
+   */
+  updateEntering(entityManager) {
+    for (const unitId in this.entering) {
+      const unit = entityManager.getEntityById(unitId);
+      const building = entityManager.getEntityById(this.entering[unitId]);
+
+      if (!unit || !unit.active) {
+        delete this.entering[unitId];
+        continue;
+      }
+
+      if (!building || !building.active) {
+        delete this.entering[unitId];
+        this.resumeJob(unit, this.takeBellJob(unitId));
+        continue;
+      }
+
+      const center = building.getTileCenter();
+      if (Utils.distance(unit.x, unit.y, center.x, center.y) <= this.garrisonDistance) {
+        delete this.entering[unitId];
+        if (!building.garrison(unit)) {
+          // Full; a villager answering the bell goes back to work instead
+          this.resumeJob(unit, this.takeBellJob(unit.id));
+        }
+      } else if (unit.state === "idle") {
+        // Interrupted on the way (e.g. by a counter-attack); keep going
+        unit.moveTo(center.x, center.y);
+      }
+    }
+  }
+
+  /**
+   * Heal the units inside a building
+   * @param {Building} building - Building
+   * @param {EntityManager} entityManager - Entity manager
+   * @param {number} elapsed - Seconds since the last update
+   */
+  healGarrison(building, entityManager, elapsed) {
+    for (const unitId of building.garrisonedUnits) {
+      const unit = entityManager.getEntityById(unitId);
+      if (unit && unit.active && unit.hp < unit.maxHp) {
+        unit.hp = Math.min(unit.maxHp, unit.hp + this.healRate * elapsed);
+      }
+    }
+  }
+
+  /**
+   * Get the number of arrows a building fires per volley: its own, plus one
+   * for each villager or archer inside
+   * @param {Building} building - Building
+   * @returns {number} Arrows per volley (0 for buildings that don't shoot)
+   */
+  getArrowCount(building) {
+    if (!building.constructed || !(building.buildingType in this.baseArrows)) {
+      return 0;
+    }
+
+    const entityManager = this.game.getSystem("entityManager");
+    const shooters = building.garrisonedUnits.filter((unitId) => {
+      const unit = entityManager && entityManager.getEntityById(unitId);
+      return (
+        unit &&
+        (unit.type === "villager" ||
+          unit.unitType === "ranged" ||
+          unit.unitType === "archer")
+      );
+    }).length;
+
+    return this.baseArrows[building.buildingType] + shooters;
+  }
+
+  /**
+   * Fire a building's arrows at the nearest enemies in range
+   * @param {Building} building - Building
+   * @param {EntityManager} entityManager - Entity manager
+   * @param {number} elapsed - Seconds since the last update
+   */
+  updateArrows(building, entityManager, elapsed) {
+    const arrows = this.getArrowCount(building);
+    if (arrows === 0) return;
+
+    const timer = (this.arrowTimers[building.id] || 0) - elapsed;
+    if (timer > 0) {
+      this.arrowTimers[building.id] = timer;
+      return;
+    }
+
+    const targets = this.findArrowTargets(building, entityManager);
+    if (targets.length === 0) {
+      delete this.arrowTimers[building.id];
+      return;
+    }
+    this.arrowTimers[building.id] = this.arrowInterval;
+
+    // Spread the volley over the nearest enemies
+    for (let i = 0; i < arrows; i++) {
+      const target = targets[i % targets.length];
+      if (!target.active) continue;
+
+      const damage = Utils.calculateDamage(
+        building.ar || this.arrowDamage,
+        target.dp,
+        this.arrowDamageType
+      );
+      target.takeDamage(damage, building);
+    }
+
+    this.game.emit("garrisonArrows", {
+      building: building,
+      arrows: arrows,
+      targets: targets,
+    });
+  }
+
+  /**
+   * Get the enemies a building can shoot, nearest first
+   * @param {Building} building - Building
+   * @param {EntityManager} entityManager - Entity manager
+   * @returns {Array} Targets
+   */
+  findArrowTargets(building, entityManager) {
+    const center = building.getTileCenter();
+    const diplomacy = this.game.getSystem("diplomacy");
+    const fogOfWar = this.game.getSystem("fogOfWar");
+
+    return entityManager
+      .getEntitiesInRadius(center.x, center.y, building.attackRange)
+      .filter(
+        (entity) =>
+          entity.active &&
+          entity.type !== "resource" &&
+          entity.type !== "building" &&
+          entity.type !== "wall" &&
+          entity.owner !== null &&
+          entity.owner !== building.owner &&
+          !entity.transportId &&
+          !entity.garrisonId &&
+          (!diplomacy || diplomacy.areEnemies(building.owner, entity.owner)) &&
+          (!fogOfWar || fogOfWar.canSee(building.owner, entity))
+      )
+      .sort(
+        (a, b) =>
+          Utils.distance(center.x, center.y, a.x, a.y) -
+          Utils.distance(center.x, center.y, b.x, b.y)
+      );
+  }
+
+  /**
+   * Ring a town center's bell: nearby villagers drop what they're doing and
+   * take shelter, in the town center first and other buildings when it's full
+   * @param {Building} townCenter - Town center
+   */
+  ringBell(townCenter) {
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager || !townCenter || !townCenter.active) return;
+    if (this.bells[townCenter.id]) return;
+
+    const center = townCenter.getTileCenter();
+    const villagers = entityManager
+      .getEntitiesInRadius(center.x, center.y, this.bellRadius, townCenter.owner)
+      .filter(
+        (entity) =>
+          entity.active &&
+          entity.type === "villager" &&
+          !entity.garrisonId &&
+          !entity.transportId
+      );
+
+    const shelters = entityManager
+      .getEntitiesInRadius(center.x, center.y, this.bellRadius, townCenter.owner)
+      .filter(
+        (entity) =>
+          entity.active &&
+          entity.type === "building" &&
+          entity.constructed &&
+          entity.maxGarrison > 0
+      )
+      .sort((a, b) => (a === townCenter ? -1 : b === townCenter ? 1 : 0));
+
+    // Room left in each shelter, counting villagers already on their way
+    const room = new Map(
+      shelters.map((building) => [
+        building,
+        building.maxGarrison - building.garrisonedUnits.length,
+      ])
+    );
+
+    const jobs = {};
+    for (const villager of villagers) {
+      const shelter = shelters.find((building) => room.get(building) > 0);
+      if (!shelter) break;
+
+      room.set(shelter, room.get(shelter) - 1);
+
+      const job = villager.currentJob || {};
+      jobs[villager.id] = {
+        type: job.type || null,
+        targetId: job.target ? job.target.id : null,
+      };
+
+      if (villager.stopGathering) villager.stopGathering();
+      if (villager.stopConstructing) villager.stopConstructing();
+      if (villager.stopRepairing) villager.stopRepairing();
+
+      this.garrisonUnits(shelter, [villager]);
+    }
+
+    this.bells[townCenter.id] = jobs;
+
+    this.game.emit("townBell", {
+      building: townCenter,
+      ringing: true,
+      villagers: Object.keys(jobs).length,
+    });
+  }
+
+  /**
+   * Sound the all-clear: villagers sent indoors by a town center's bell come
+   * out and go back to their previous jobs
+   * @param {Building} townCenter - Town center
+   */
+  releaseBell(townCenter) {
+    const entityManager = this.game.getSystem("entityManager");
+    const jobs = this.bells[townCenter.id];
+    if (!entityManager || !jobs) return;
+
+    delete this.bells[townCenter.id];
+
+    for (const unitId in jobs) {
+      const villager = entityManager.getEntityById(unitId);
+      if (!villager || !villager.active) continue;
+
+      delete this.entering[unitId];
+
+      const shelter = villager.garrisonId
+        ? entityManager.getEntityById(villager.garrisonId)
+        : null;
+      if (shelter && !shelter.ungarrison(villager.id)) continue;
+
+      this.resumeJob(villager, jobs[unitId]);
+    }
+
+    this.game.emit("townBell", { building: townCenter, ringing: false });
+  }
+
+  /**
+   * Ring a town center's bell, or sound the all-clear if it is ringing
+   * @param {Building} townCenter - Town center
+   */
+  toggleBell(townCenter) {
+    if (!townCenter || townCenter.buildingType !== "town_center") return;
+
+    if (this.bells[townCenter.id]) {
+      this.releaseBell(townCenter);
+    } else {
+      this.ringBell(townCenter);
+    }
+  }
+
+  /**
+   * Check whether a town center's bell is ringing
+   * @param {Building} townCenter - Town center
+   * @returns {boolean} True if ringing
+   */
+  isBellRinging(townCenter) {
+    return !!(townCenter && this.bells[townCenter.id]);
+  }
+
+  /**
+   * Take a villager off any bell, returning the job it was doing
+   * @param {string} unitId - Villager ID
+   * @returns {Object|null} Previous job {type, targetId}
+   */
+  takeBellJob(unitId) {
+    for (const buildingId in this.bells) {
+      const job = this.bells[buildingId][unitId];
+      if (job) {
+        delete this.bells[buildingId][unitId];
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Put a villager back on the job it was doing before the bell
+   * @param {Unit} villager - Villager
+   * @param {Object|null} job - Previous job {type, targetId}
+   */
+  resumeJob(villager, job) {
+    if (!job || !job.type) return;
+
+    const entityManager = this.game.getSystem("entityManager");
+    const target = job.targetId && entityManager.getEntityById(job.targetId);
+    if (!target || !target.active) return;
+
+    switch (job.type) {
+      case "gather":
+        villager.gather(target);
+        break;
+      case "build":
+        villager.construct(target);
+        break;
+      case "repair":
+        villager.repair(target);
+        break;
+    }
+  }
+
+  /**
+   * End the bells of town centers that have fallen; their villagers were
+   * thrown out by Building.die() and go back to work
+   * @param {EntityManager} entityManager - Entity manager
+   */
+  updateBells(entityManager) {
+    for (const buildingId in this.bells) {
+      const townCenter = entityManager.getEntityById(buildingId);
+      if (townCenter && townCenter.active) continue;
+
+      const jobs = this.bells[buildingId];
+      delete this.bells[buildingId];
+
+      for (const unitId in jobs) {
+        const villager = entityManager.getEntityById(unitId);
+        if (villager && villager.active && !villager.garrisonId) {
+          delete this.entering[unitId];
+          this.resumeJob(villager, jobs[unitId]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get serializable garrison state (the units inside are saved with
+   * their buildings)
+   * @returns {Object} Serialized garrison state
+   */
+  serialize() {
+    return {
+      entering: { ...this.entering },
+      bells: JSON.parse(JSON.stringify(this.bells)),
+      arrowTimers: { ...this.arrowTimers },
+    };
+  }
+
+  /**
+   * Restore garrison state from serialized data
+   * @param {Object} data - Serialized garrison state
+   */
+  deserialize(data) {
+    this.entering = { ...data.entering };
+    this.bells = JSON.parse(JSON.stringify(data.bells || {}));
+    this.arrowTimers = { ...data.arrowTimers };
+    this.updateTimer = 0;
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GarrisonSystem;
+} else {
+  window.GarrisonSystem = GarrisonSystem;
+}
@@ -0,0 +1,275 @@
+/**
+ * Empires of Eternity - Hotkey Settings Panel
+ * Lists every bindable action with its keys; click a key to rebind it
+ */
+
+class HotkeySettingsPanel {
+  /**
+   * Create a new hotkey settings panel
+   * @param {GameEngine} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Panel element
+    this.container = null;
+    this.visible = false;
+
+    // Binding being changed {actionId, index}, waiting for a key
+    this.capture = null;
+
+    // Note shown under the title after a rebind
+    this.message = "";
+
+    this.onCaptureKey = this.onCaptureKey.bind(this);
+
+    Utils.log("HotkeySettingsPanel created");
+  }
+
+  /**
+   * Initialize the hotkey settings panel
+   */
+  init() {
+    Utils.log("HotkeySettingsPanel initialized");
+    return this;
+  }
+
+  /**
+   * Get the key bindings
+   * @returns {HotkeyBindings|null} Bindings
+   */
+  getHotkeys() {
+    return this.game.getSystem("hotkeys");
+  }
+
+  /**
+   * Show or hide the panel
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Show the panel
+   */
+  show() {
+    if (!this.getHotkeys()) return;
+    if (!this.container) this.createPanel();
+
+    this.visible = true;
+    this.message = "";
+    this.container.style.display = "block";
+    this.refresh();
+  }
+
+  /**
+   * Hide the panel
+   */
+  hide() {
+    this.stopCapture();
+
+    this.visible = false;
+    if (this.container) this.container.style.display = "none";
+  }
+
+  /**
+   * Create the panel element
+   */
+  createPanel() {
+    this.container = document.createElement("div");
+    this.container.className = "hotkey-settings-panel";
+    this.container.style.position = "absolute";
+    this.container.style.top = "50%";
+    this.container.style.left = "50%";
+    this.container.style.transform = "translate(-50%, -50%)";
+    this.container.style.width = "420px";
+    this.container.style.maxHeight = "80%";
+    this.container.style.overflowY = "auto";
+    this.container.style.padding = "10px";
+    this.container.style.background = "rgba(0, 0, 0, 0.85)";
+    this.container.style.color = "#fff";
+    this.container.style.zIndex = "200";
+    this.container.style.display = "none";
+
+    const parent = document.getElementById("game-container") || document.body;
+    parent.appendChild(this.container);
+  }
+
+  /**
+   * Wait for the next key press and bind it
+   * @param {string} actionId - Action ID
+   * @param {number} index - Which of the action's keys to replace
+   */
+  startCapture(actionId, index) {
+    this.stopCapture();
+
+    // Listen ahead of the game's own key handlers so the key isn't acted on
+    this.capture = { actionId: actionId, index: index };
+    window.addEventListener("keydown", this.onCaptureKey, true);
+    this.refresh();
+  }
+
+  /**
+   * Stop waiting for a key
+   */
+  stopCapture() {
+    if (!this.capture) return;
+
+    this.capture = null;
+    window.removeEventListener("keydown", this.onCaptureKey, true);
+  }
+
+  /**
+   * Bind the captured key; Escape cancels and Backspace unbinds
+   * @param {KeyboardEvent} event - Key event
+   */
+  onCaptureKey(event) {
+    const hotkeys = this.getHotkeys();
+    const key = hotkeys.eventToKey(event);
+    if (!key) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const { actionId, index } = this.capture;
+    this.stopCapture();
+    this.message = "";
+
+    if (key === "Backspace") {
+      hotkeys.clearKey(actionId, index);
+    } else if (key !== "Escape") {
+      const displaced = hotkeys.setKey(actionId, index, key);
+      if (displaced.length > 0) {
+        const names = displaced.map(
+          (id) => hotkeys.getActionDefinition(id).name
+        );
+        this.message = `${hotkeys.formatKey(key)} was taken from: ${names.join(
+          ", "
+        )}`;
+      }
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Rebuild the panel contents from the current bindings
+   */
+  refresh() {
+    if (!this.visible || !this.container) return;
+
+    const hotkeys = this.getHotkeys();
+    this.container.innerHTML = "";
+
+    const title = document.createElement("h3");
+    title.textContent = "Hotkeys";
+    title.style.margin = "0 0 4px 0";
+    this.container.appendChild(title);
+
+    const help = document.createElement("div");
+    help.textContent =
+      "Click a key to rebind it (Esc cancels, Backspace unbinds). " +
+      "Ctrl+0-9 assigns control groups, Shift+0-9 adds to them.";
+    help.style.fontSize = "12px";
+    help.style.color = "#aaa";
+    help.style.marginBottom = "8px";
+    this.container.appendChild(help);
+
+    if (this.message) {
+      const note = document.createElement("div");
+      note.textContent = this.message;
+      note.style.color = "#ff8";
+      note.style.marginBottom = "8px";
+      this.container.appendChild(note);
+    }
+
+    let category = null;
+    for (const action of hotkeys.actions) {
+      if (action.category !== category) {
+        category = action.category;
+
+        const heading = document.createElement("div");
+        heading.textContent = category;
+        heading.style.fontWeight = "bold";
+        heading.style.margin = "8px 0 4px 0";
+        this.container.appendChild(heading);
+      }
+
+      this.container.appendChild(this.createActionRow(hotkeys, action));
+    }
+
+    const buttons = document.createElement("div");
+    buttons.style.marginTop = "10px";
+
+    const reset = document.createElement("button");
+    reset.textContent = "Reset to defaults";
+    reset.onclick = () => {
+      hotkeys.resetDefaults();
+      this.message = "";
+      this.refresh();
+    };
+    buttons.appendChild(reset);
+
+    const close = document.createElement("button");
+    close.textContent = `Close (${hotkeys.getLabel("hotkeySettings")})`;
+    close.style.marginLeft = "8px";
+    close.onclick = () => this.hide();
+    buttons.appendChild(close);
+
+    this.container.appendChild(buttons);
+  }
+
+  /**
+   * Create the row for one action: its name, its keys and a slot to add one
+   * @param {HotkeyBindings} hotkeys - Bindings
+   * @param {Object} action - Action definition
+   * @returns {HTMLElement} Row element
+   */
+  createActionRow(hotkeys, action) {
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.alignItems = "center";
+    row.style.marginBottom = "2px";
+
+    const name = document.createElement("span");
+    name.textContent = action.name;
+    name.style.flex = "1";
+    row.appendChild(name);
+
+    const keys = hotkeys.getKeys(action.id);
+    for (let index = 0; index <= keys.length; index++) {
+      const capturing =
+        this.capture &&
+        this.capture.actionId === action.id &&
+        this.capture.index === index;
+
+      const button = document.createElement("button");
+      button.style.minWidth = "60px";
+      button.style.marginLeft = "4px";
+
+      if (capturing) {
+        button.textContent = "Press a key...";
+      } else if (index < keys.length) {
+        button.textContent = hotkeys.formatKey(keys[index]);
+      } else {
+        button.textContent = "+";
+      }
+
+      button.onclick = () => this.startCapture(action.id, index);
+      row.appendChild(button);
+    }
+
+    return row;
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HotkeySettingsPanel;
+} else {
+  window.HotkeySettingsPanel = HotkeySettingsPanel;
+}
@@ -0,0 +1,394 @@
+/**
+ * Empires of Eternity - Hotkeys
+ * Remappable key bindings for every command, saved to localStorage, plus the
+ * grid keys used while a build or research grid is open
+ */
+
+class HotkeyBindings {
+  /**
+   * Create the key bindings
+   * @param {Game} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // localStorage key
+    this.storageKey = "eoe_hotkeys";
+
+    // Every bindable action, grouped for the settings screen. Keys are
+    // KeyboardEvent.code values, optionally prefixed "Ctrl+", "Alt+", "Shift+"
+    this.actions = [];
+
+    this.defineActions("Camera", {
+      cameraUp: ["Scroll up", "ArrowUp", "KeyW"],
+      cameraDown: ["Scroll down", "ArrowDown", "KeyS"],
+      cameraLeft: ["Scroll left", "ArrowLeft", "KeyA"],
+      cameraRight: ["Scroll right", "ArrowRight", "KeyD"],
+      centerCamera: ["Center on selection", "Space"],
+    });
+
+    this.defineActions("Commands", {
+      move: ["Move", "KeyM"],
+      attack: ["Attack", "KeyK"],
+      attackMove: ["Attack-move", "KeyQ"],
+      patrol: ["Patrol", "KeyP"],
+      holdPosition: ["Hold position", "KeyH"],
+      gather: ["Gather", "KeyG"],
+      build: ["Build", "KeyB"],
+      train: ["Train", "KeyT"],
+      research: ["Research", "KeyR"],
+      rally: ["Set rally point", "KeyY"],
+      cancel: ["Cancel / deselect", "Escape"],
+      deleteSelected: ["Delete selected", "Delete"],
+    });
+
+    this.defineActions("Stances", {
+      stanceAggressive: ["Aggressive stance", "Alt+Digit1"],
+      stanceDefensive: ["Defensive stance", "Alt+Digit2"],
+      stanceStandGround: ["Stand ground", "Alt+Digit3"],
+      stanceNoAttack: ["No attack", "Alt+Digit4"],
+    });
+
+    this.defineActions("Selection", {
+      selectIdleVillagers: ["Select all idle villagers", "Period"],
+      cycleIdleMilitary: ["Cycle idle military", "Comma"],
+    });
+
+    this.defineActions("Game", {
+      quickSave: ["Quicksave", "F5"],
+      quickLoad: ["Quickload", "F9"],
+      exportReplay: ["Download replay", "F8"],
+      openReplay: ["Open replay", "F10"],
+      objectives: ["Objectives", "F3"],
+      diplomacy: ["Diplomacy", "F4"],
+      scoreboard: ["Scoreboard", "F6"],
+      hotkeySettings: ["Hotkey settings", "F2"],
+      toggleDebug: ["Debug view", "Backquote", "Alt+KeyD"],
+    });
+
+    // Build and research grids are read left to right, top to bottom; the
+    // default layout mirrors the grid under the left hand
+    const gridKeys = [
+      "KeyQ", "KeyW", "KeyE", "KeyR", "KeyT",
+      "KeyA", "KeyS", "KeyD", "KeyF", "KeyG",
+      "KeyZ", "KeyX", "KeyC", "KeyV", "KeyB",
+    ];
+    const gridActions = {};
+    gridKeys.forEach((key, index) => {
+      gridActions[`grid${index}`] = [`Grid slot ${index + 1}`, key];
+    });
+    this.defineActions("Grid", gridActions);
+    this.gridSize = gridKeys.length;
+
+    // Current keys by action ID
+    this.bindings = {};
+
+    // Build or research menu whose grid currently owns the grid keys
+    this.activeGrid = null;
+
+    // Keys that never reach the bindings on their own
+    this.modifierCodes = [
+      "ControlLeft",
+      "ControlRight",
+      "AltLeft",
+      "AltRight",
+      "ShiftLeft",
+      "ShiftRight",
+      "MetaLeft",
+      "MetaRight",
+    ];
+
+    Utils.log("HotkeyBindings created");
+  }
+
+  /**
+   * Initialize the bindings from the defaults and any saved remaps
+   */
+  init() {
+    this.resetDefaults(false);
+    this.load();
+
+    Utils.log("HotkeyBindings initialized");
+    return this;
+  }
+
+  /**
+   * Add bindable actions with their default keys
+   * @param {string} category - Settings screen heading
+   * @param {Object} table - [name, ...defaultKeys] by action ID
+   */
+  defineActions(category, table) {
+    for (const id in table) {
+      const [name, ...keys] = table[id];
+      this.actions.push({ id: id, name: name, category: category, keys: keys });
+    }
+  }
+
+  /**
+   * Get an action definition
+   * @param {string} actionId - Action ID
+   * @returns {Object|null} Action {id, name, category, keys}
+   */
+  getActionDefinition(actionId) {
+    return this.actions.find((action) => action.id === actionId) || null;
+  }
+
+  /**
+   * Grid keys only apply while a grid is open, so they may share keys with
+   * the other actions but not with each other
+   * @param {string} actionId - Action ID
+   * @returns {string} "grid" or "global"
+   */
+  getScope(actionId) {
+    return actionId.startsWith("grid") ? "grid" : "global";
+  }
+
+  /**
+   * Turn a key event into a binding string such as "Ctrl+KeyA"
+   * @param {KeyboardEvent} event - Key event
+   * @returns {string|null} Binding, or null for a lone modifier key
+   */
+  eventToKey(event) {
+    if (!event.code || this.modifierCodes.includes(event.code)) return null;
+
+    let key = "";
+    if (event.ctrlKey || event.metaKey) key += "Ctrl+";
+    if (event.altKey) key += "Alt+";
+    if (event.shiftKey) key += "Shift+";
+    return key + event.code;
+  }
+
+  /**
+   * Get the action bound to a key event, ignoring grid slots
+   * @param {KeyboardEvent} event - Key event
+   * @returns {string|null} Action ID
+   */
+  getAction(event) {
+    const key = this.eventToKey(event);
+    if (!key) return null;
+
+    for (const actionId in this.bindings) {
+      if (
+        this.getScope(actionId) === "global" &&
+        this.bindings[actionId].includes(key)
+      ) {
+        return actionId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a key event triggers an action
+   * @param {KeyboardEvent} event - Key event
+   * @param {string} actionId - Action ID
+   * @returns {boolean} True if one of the action's keys was pressed
+   */
+  matches(event, actionId) {
+    const key = this.eventToKey(event);
+    return !!key && (this.bindings[actionId] || []).includes(key);
+  }
+
+  /**
+   * Get the grid slot bound to a key event
+   * @param {KeyboardEvent} event - Key event
+   * @returns {number} Slot index, or -1
+   */
+  getGridSlot(event) {
+    const key = this.eventToKey(event);
+    if (!key) return -1;
+
+    for (let i = 0; i < this.gridSize; i++) {
+      if ((this.bindings[`grid${i}`] || []).includes(key)) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Check whether a held action is down, for continuous actions like scrolling.
+   * Keys bound to grid slots are left to the grid while one is open.
+   * @param {string} actionId - Action ID
+   * @param {Object} keys - Pressed state by KeyboardEvent.code
+   * @returns {boolean} True if any unmodified key for the action is held
+   */
+  isHeld(actionId, keys) {
+    return (this.bindings[actionId] || []).some((key) => {
+      if (key.includes("+") || !keys[key]) return false;
+      return !this.activeGrid || !this.isGridKey(key);
+    });
+  }
+
+  /**
+   * Check whether a key is bound to a grid slot
+   * @param {string} key - Binding string
+   * @returns {boolean} True if it's a grid key
+   */
+  isGridKey(key) {
+    for (let i = 0; i < this.gridSize; i++) {
+      if ((this.bindings[`grid${i}`] || []).includes(key)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Let a build or research grid take the grid keys while it's open
+   * @param {Object} grid - Menu with an activateGridSlot(index) method
+   */
+  setActiveGrid(grid) {
+    this.activeGrid = grid;
+  }
+
+  /**
+   * Release the grid keys when a grid closes
+   * @param {Object} grid - Menu that was closed
+   */
+  clearActiveGrid(grid) {
+    if (this.activeGrid === grid) this.activeGrid = null;
+  }
+
+  /**
+   * Get the keys bound to an action
+   * @param {string} actionId - Action ID
+   * @returns {Array<string>} Bindings
+   */
+  getKeys(actionId) {
+    return (this.bindings[actionId] || []).slice();
+  }
+
+  /**
+   * Bind a key to an action, taking it away from any other action in the
+   * same scope
+   * @param {string} actionId - Action ID
+   * @param {number} index - Which of the action's keys to replace
+   * @param {string} key - Binding string
+   * @returns {Array<string>} IDs of actions that lost the key
+   */
+  setKey(actionId, index, key) {
+    if (!this.getActionDefinition(actionId) || !key) return [];
+
+    const scope = this.getScope(actionId);
+    const displaced = [];
+    for (const otherId in this.bindings) {
+      if (otherId === actionId || this.getScope(otherId) !== scope) continue;
+
+      const keys = this.bindings[otherId];
+      if (keys.includes(key)) {
+        this.bindings[otherId] = keys.filter((k) => k !== key);
+        displaced.push(otherId);
+      }
+    }
+
+    const keys = this.bindings[actionId].filter((k) => k !== key);
+    if (index < keys.length) {
+      keys[index] = key;
+    } else {
+      keys.push(key);
+    }
+    this.bindings[actionId] = keys;
+
+    this.save();
+    return displaced;
+  }
+
+  /**
+   * Remove a key from an action
+   * @param {string} actionId - Action ID
+   * @param {number} index - Which of the action's keys to remove
+   */
+  clearKey(actionId, index) {
+    if (!this.bindings[actionId]) return;
+
+    this.bindings[actionId].splice(index, 1);
+    this.save();
+  }
+
+  /**
+   * Restore the default bindings
+   * @param {boolean} save - Whether to save the defaults over any remaps
+   */
+  resetDefaults(save = true) {
+    this.bindings = {};
+    for (const action of this.actions) {
+      this.bindings[action.id] = action.keys.slice();
+    }
+
+    if (save) this.save();
+  }
+
+  /**
+   * Get a readable label for a binding
+   * @param {string} key - Binding string such as "Ctrl+KeyA"
+   * @returns {string} Label such as "Ctrl+A"
+   */
+  formatKey(key) {
+    const names = {
+      ArrowUp: "↑",
+      ArrowDown: "↓",
+      ArrowLeft: "←",
+      ArrowRight: "→",
+      Period: ".",
+      Comma: ",",
+      Backquote: "`",
+      Escape: "Esc",
+      Delete: "Del",
+    };
+
+    const parts = key.split("+");
+    const code = parts.pop();
+    const name =
+      names[code] ||
+      code.replace(/^Key/, "").replace(/^Digit/, "").replace(/^Numpad/, "Num ");
+    return [...parts, name].join("+");
+  }
+
+  /**
+   * Get the label for an action's first key
+   * @param {string} actionId - Action ID
+   * @returns {string} Label, or "" if unbound
+   */
+  getLabel(actionId) {
+    const keys = this.bindings[actionId] || [];
+    return keys.length > 0 ? this.formatKey(keys[0]) : "";
+  }
+
+  /**
+   * Load remapped keys from localStorage; actions added since the save
+   * keep their defaults
+   */
+  load() {
+    try {
+      if (typeof localStorage === "undefined") return;
+
+      const json = localStorage.getItem(this.storageKey);
+      if (!json) return;
+
+      const saved = JSON.parse(json);
+      for (const actionId in saved) {
+        if (this.bindings[actionId] && Array.isArray(saved[actionId])) {
+          this.bindings[actionId] = saved[actionId].slice();
+        }
+      }
+    } catch (error) {
+      Utils.error(`Failed to load hotkeys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the bindings to localStorage
+   */
+  save() {
+    try {
+      if (typeof localStorage === "undefined") return;
+      localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+    } catch (error) {
+      Utils.error(`Failed to save hotkeys: ${error.message}`);
+    }
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HotkeyBindings;
+} else {
+  window.HotkeyBindings = HotkeyBindings;
+}
@@ -18,6 +18,7 @@ class InputSystem {
             button: -1,
             dragStart: null,
             isDragging: false,
+            inside: false, // Over the canvas, so edge scrolling applies
         };
         
         // Keyboard state - track pressed keys
@@ -36,6 +37,19 @@ class InputSystem {
         // Action state
         this.currentAction = null;
         
+        // Key bindings (shared with the engine when it has them)
+        this.hotkeys = null;
+        
+        // Control groups 0-9 - arrays of entities
+        this.controlGroups = {};
+        
+        // Last recalled group, for double-tap to center the camera
+        this.lastGroupRecall = { group: null, time: 0 };
+        this.doubleTapTime = 300; // ms
+        
+        // Position in the idle military cycle
+        this.idleMilitaryIndex = -1;
+        
         // Edge scrolling settings
         this.edgeScrollSettings = {
             enabled: true,
@@ -51,6 +65,7 @@ class InputSystem {
         this.onKeyUp = this.onKeyUp.bind(this);
         this.onContextMenu = this.onContextMenu.bind(this);
         this.onWheel = this.onWheel.bind(this);
+        this.onMouseLeave = this.onMouseLeave.bind(this);
         
         console.log("Input System initialized");
     }
@@ -59,6 +74,10 @@ class InputSystem {
      * Initialize the input system
      */
     init() {
+        // Use the game's key bindings, or load our own
+        this.hotkeys = (this.game.getSystem && this.game.getSystem('hotkeys')) ||
+            new HotkeyBindings(this.game).init();
+        
         // Register event listeners
         this.registerEventListeners();
         
@@ -75,6 +94,7 @@ class InputSystem {
         this.canvas.addEventListener('mouseup', this.onMouseUp);
         this.canvas.addEventListener('wheel', this.onWheel);
         this.canvas.addEventListener('contextmenu', this.onContextMenu);
+        this.canvas.addEventListener('mouseleave', this.onMouseLeave);
         
         // Keyboard events
         window.addEventListener('keydown', this.onKeyDown);
@@ -89,14 +109,19 @@ class InputSystem {
     }
     
     /**
-     * Update method called each frame
+     * Update method called once per rendered frame, outside the simulation
+     * ticks, so the camera scrolls at the same pace whatever the game speed
+     * and in the map editor too
+     * @param {number} deltaTime - Milliseconds since the last frame
      */
-    update(deltaTime) {
+    updateFrame(deltaTime) {
+        const seconds = deltaTime / 1000;
+        
         // Handle continuous key presses
-        this.handleKeyboardInput(deltaTime);
+        this.handleKeyboardInput(seconds);
         
         // Handle edge scrolling
-        this.handleEdgeScrolling(deltaTime);
+        this.handleEdgeScrolling(seconds);
         
         // Update selection box if active
         if (this.selection.active) {
@@ -105,25 +130,52 @@ class InputSystem {
     }
     
     /**
-     * Convert screen coordinates to world coordinates
+     * Get the renderer, which owns the camera
+     */
+    getRenderer() {
+        return this.game.getSystem('renderer');
+    }
+    
+    /**
+     * Get the size of a map tile in pixels
+     */
+    getTileSize() {
+        return (window.CONFIG && CONFIG.MAP && CONFIG.MAP.TILE_SIZE) || 64;
+    }
+    
+    /**
+     * Convert canvas coordinates to map (tile) coordinates, where entities live
      */
     screenToWorld(screenX, screenY) {
+        const renderer = this.getRenderer();
+        const tileSize = this.getTileSize();
+        
         return {
-            x: screenX + this.game.viewPort.x,
-            y: screenY + this.game.viewPort.y
+            x: renderer.screenToWorldX(screenX) / tileSize,
+            y: renderer.screenToWorldY(screenY) / tileSize
         };
     }
     
     /**
-     * Convert world coordinates to screen coordinates
+     * Convert map (tile) coordinates to canvas coordinates
      */
     worldToScreen(worldX, worldY) {
+        const renderer = this.getRenderer();
+        const tileSize = this.getTileSize();
+        
         return {
-            x: worldX - this.game.viewPort.x,
-            y: worldY - this.game.viewPort.y
+            x: renderer.worldToScreenX(worldX * tileSize),
+            y: renderer.worldToScreenY(worldY * tileSize)
         };
     }
     
+    /**
+     * Get the owner key of the local player's entities
+     */
+    getPlayerOwner() {
+        return this.game.getOwnerKey(this.game.currentPlayer);
+    }
+    
     /**
      * Handle mouse movement
      */
@@ -132,6 +184,7 @@ class InputSystem {
         const rect = this.canvas.getBoundingClientRect();
         this.mouse.x = event.clientX - rect.left;
         this.mouse.y = event.clientY - rect.top;
+        this.mouse.inside = true;
         
         // Convert to world coordinates
         const worldCoords = this.screenToWorld(this.mouse.x, this.mouse.y);
@@ -167,7 +220,20 @@ class InputSystem {
         const worldCoords = this.screenToWorld(x, y);
         
         // Handle based on button clicked
-        if (event.button === 0) { // Left click
+        if (event.button === 0 && this.currentAction?.type === 'rally') {
+            // Place the rally point picked from the Rally button
+            this.setRallyPoint(worldCoords.x, worldCoords.y);
+            this.cancelAction();
+        } else if (event.button === 0 && this.currentAction?.type === 'placeBuilding') {
+            // Lay the foundation; Shift keeps placing the same building
+            this.placeBuilding(worldCoords.x, worldCoords.y);
+            if (!this.isShiftHeld()) this.cancelAction();
+        } else if (event.button === 0 && ['attackMove', 'patrol'].includes(this.currentAction?.type)) {
+            // Send the selection off from the Attack-move or Patrol button;
+            // Shift stays in the mode to add waypoints
+            this.issueCommandToSelected(this.currentAction.type, worldCoords.x, worldCoords.y);
+            if (!this.isShiftHeld()) this.cancelAction();
+        } else if (event.button === 0) { // Left click
             // Start selection process
             this.startSelection(worldCoords.x, worldCoords.y);
             
@@ -211,22 +277,15 @@ class InputSystem {
     onWheel(event) {
         event.preventDefault();
         
-        // Get current mouse world position
-        const mouseWorldBefore = this.screenToWorld(this.mouse.x, this.mouse.y);
-        
-        // Change zoom level
-        const zoomDelta = -Math.sign(event.deltaY) * 0.1;
-        const newZoom = Math.max(0.5, Math.min(2.0, this.game.camera.zoom + zoomDelta));
-        
-        // Apply new zoom
-        this.game.camera.zoom = newZoom;
-        
-        // Get new mouse world position
-        const mouseWorldAfter = this.screenToWorld(this.mouse.x, this.mouse.y);
-        
-        // Adjust camera to keep mouse position the same in world coordinates
-        this.game.camera.x += (mouseWorldAfter.x - mouseWorldBefore.x);
-        this.game.camera.y += (mouseWorldAfter.y - mouseWorldBefore.y);
+        // Zoom around the mouse so the point under it stays put
+        this.getRenderer().zoom(-Math.sign(event.deltaY), this.mouse.x, this.mouse.y);
+    }
+    
+    /**
+     * Stop edge scrolling when the mouse leaves the canvas
+     */
+    onMouseLeave() {
+        this.mouse.inside = false;
     }
     
     /**
@@ -241,34 +300,79 @@ class InputSystem {
      * Handle keyboard key down
      */
     onKeyDown(event) {
+        // Already handled by an open menu
+        if (event.defaultPrevented) return;
+        
+        // Control groups: Ctrl+digit assigns, Shift+digit adds, digit recalls
+        const group = this.getControlGroupNumber(event);
+        if (group !== null) {
+            event.preventDefault();
+            if (event.ctrlKey || event.metaKey) {
+                this.assignControlGroup(group);
+            } else if (event.shiftKey) {
+                this.addToControlGroup(group);
+            } else {
+                this.recallControlGroup(group);
+            }
+            return;
+        }
+        
+        // While our build grid is open, the grid keys pick a building
+        if (this.hotkeys.activeGrid === this) {
+            const slot = this.hotkeys.getGridSlot(event);
+            if (slot !== -1) {
+                event.preventDefault();
+                this.activateGridSlot(slot);
+                return;
+            }
+        }
+        
+        // An open build or research grid handles its own keys
+        if (this.hotkeys.activeGrid && this.hotkeys.getGridSlot(event) !== -1) return;
+        
         // Record key as pressed
         this.keys[event.code] = true;
         
-        // Handle special key presses
-        switch (event.code) {
-            case 'Escape':
+        const action = this.hotkeys.getAction(event);
+        if (action) this.executeHotkeyAction(action, event);
+    }
+    
+    /**
+     * Handle a bound key press
+     */
+    executeHotkeyAction(action, event) {
+        // Saving, replays, panels and the debug view belong to the engine
+        if (this.game.handleHotkeyAction && this.game.handleHotkeyAction(action, event)) return;
+        
+        switch (action) {
+            case 'cancel':
                 // Cancel current action and clear selection
                 this.cancelAction();
                 this.clearSelection();
                 break;
                 
-            case 'KeyD':
-                // Toggle debug mode
-                if (event.altKey) {
-                    this.game.debugMode = !this.game.debugMode;
-                    console.log("Debug mode:", this.game.debugMode ? "ON" : "OFF");
-                }
-                break;
-                
-            case 'Space':
+            case 'centerCamera':
                 // Center camera on selected entities or starting position
                 this.centerCamera();
                 break;
                 
-            case 'Delete':
+            case 'deleteSelected':
                 // Delete selected entities (if allowed)
                 this.deleteSelected();
                 break;
+                
+            case 'selectIdleVillagers':
+                this.selectIdleVillagers();
+                break;
+                
+            case 'cycleIdleMilitary':
+                this.cycleIdleMilitary();
+                break;
+                
+            default:
+                // Commands from the selection's action buttons
+                this.executeEntityAction(action);
+                break;
         }
     }
     
@@ -338,38 +442,31 @@ class InputSystem {
      */
     handleKeyboardInput(deltaTime) {
         // Camera movement speed (adjust based on zoom level)
-        const speed = 500 * deltaTime / (this.game.camera ? this.game.camera.zoom : 1);
+        const speed = 500 * deltaTime / this.getRenderer().camera.zoom;
         
-        // Camera movement with arrow keys or WASD
-        if (this.keys['ArrowUp'] || this.keys['KeyW']) {
+        // Camera movement with the bound scroll keys (arrow keys or WASD)
+        if (this.hotkeys.isHeld('cameraUp', this.keys)) {
             this.moveCamera(0, -speed);
         }
         
-        if (this.keys['ArrowDown'] || this.keys['KeyS']) {
+        if (this.hotkeys.isHeld('cameraDown', this.keys)) {
             this.moveCamera(0, speed);
         }
         
-        if (this.keys['ArrowLeft'] || this.keys['KeyA']) {
+        if (this.hotkeys.isHeld('cameraLeft', this.keys)) {
             this.moveCamera(-speed, 0);
         }
         
-        if (this.keys['ArrowRight'] || this.keys['KeyD']) {
+        if (this.hotkeys.isHeld('cameraRight', this.keys)) {
             this.moveCamera(speed, 0);
         }
     }
     
     /**
-     * Handle camera movement
+     * Handle camera movement (the renderer keeps it within the map)
      */
     moveCamera(deltaX, deltaY) {
-        if (this.game.viewPort) {
-            // Update viewport position
-            this.game.viewPort.x += deltaX;
-            this.game.viewPort.y += deltaY;
-            
-            // Apply bounds checking to keep within map
-            this.constrainCameraToMap();
-        }
+        this.getRenderer().pan(deltaX, deltaY);
     }
     
     /**
@@ -383,42 +480,37 @@ class InputSystem {
             
             // Calculate average position of selected entities
             this.selection.entities.forEach(entity => {
-                avgX += entity.position.x;
-                avgY += entity.position.y;
+                avgX += entity.x + entity.width / 2;
+                avgY += entity.y + entity.height / 2;
             });
             
             avgX /= this.selection.entities.length;
             avgY /= this.selection.entities.length;
             
-            // Center viewport on this position
-            this.game.viewPort.x = avgX - (this.game.viewPort.width / 2);
-            this.game.viewPort.y = avgY - (this.game.viewPort.height / 2);
+            this.centerCameraOn(avgX, avgY);
         } else {
             // Otherwise center on map
-            this.game.viewPort.x = (this.game.mapSize.width / 2) - (this.game.viewPort.width / 2);
-            this.game.viewPort.y = (this.game.mapSize.height / 2) - (this.game.viewPort.height / 2);
+            this.getRenderer().centerCamera();
         }
-        
-        // Ensure camera is within map bounds
-        this.constrainCameraToMap();
     }
     
     /**
-     * Keep camera within map bounds
+     * Center the camera on a map position
      */
-    constrainCameraToMap() {
-        if (!this.game.viewPort || !this.game.mapSize) return;
+    centerCameraOn(x, y) {
+        const renderer = this.getRenderer();
+        const tileSize = this.getTileSize();
         
-        // Don't let camera move outside map bounds
-        this.game.viewPort.x = Math.max(0, Math.min(this.game.viewPort.x, this.game.mapSize.width - this.game.viewPort.width));
-        this.game.viewPort.y = Math.max(0, Math.min(this.game.viewPort.y, this.game.mapSize.height - this.game.viewPort.height));
+        renderer.camera.x = x * tileSize - this.canvas.width / (2 * renderer.camera.zoom);
+        renderer.camera.y = y * tileSize - this.canvas.height / (2 * renderer.camera.zoom);
+        renderer.applyCameraBounds();
     }
     
     /**
      * Handle edge scrolling (move camera when mouse is near edge)
      */
     handleEdgeScrolling(deltaTime) {
-        if (!this.edgeScrollSettings.enabled) return;
+        if (!this.edgeScrollSettings.enabled || !this.mouse.inside) return;
         
         const threshold = this.edgeScrollSettings.threshold;
         const speed = this.edgeScrollSettings.speed * deltaTime * 60; // Scale by deltaTime for consistent speed
@@ -441,29 +533,68 @@ class InputSystem {
      * Check if a point is inside an entity's bounds
      */
     isPointInEntity(x, y, entity) {
-        if (!entity.position || !entity.size) {
+        // Units aboard a ship or inside a building can't be clicked
+        if (entity.active === false || entity.transportId || entity.garrisonId) {
             return false;
         }
         
         // Different collision shapes based on entity type
-        if (entity.type === 'unit') {
+        if (this.isUnit(entity)) {
             // Units are circles
-            const dx = x - (entity.position.x + entity.size / 2);
-            const dy = y - (entity.position.y + entity.size / 2);
+            const dx = x - (entity.x + entity.width / 2);
+            const dy = y - (entity.y + entity.height / 2);
             const distance = Math.sqrt(dx * dx + dy * dy);
             
-            return distance <= entity.size / 2;
+            return distance <= entity.width / 2;
         } else {
             // Default to rectangle
             return (
-                x >= entity.position.x &&
-                x <= entity.position.x + entity.size &&
-                y >= entity.position.y &&
-                y <= entity.position.y + entity.size
+                x >= entity.x &&
+                x <= entity.x + entity.width &&
+                y >= entity.y &&
+                y <= entity.y + entity.height
             );
         }
     }
     
+    /**
+     * Check whether an entity is a unit (villagers and heroes included)
+     */
+    isUnit(entity) {
+        return ['unit', 'villager', 'hero'].includes(entity.type);
+    }
+    
+    /**
+     * Check whether an entity can carry out an order. Entities without an
+     * ability flag go by what they are: units move, armed units fight and
+     * villagers do the work.
+     */
+    canPerform(entity, command) {
+        const flags = {
+            move: 'canMove',
+            attack: 'canAttack',
+            attackMove: 'canAttack',
+            patrol: 'canAttack',
+            hold: 'canAttack',
+            gather: 'canGather',
+            build: 'canBuild',
+            repair: 'canRepair'
+        };
+        const flag = flags[command];
+        if (!flag) return true;
+        if (entity[flag] !== undefined) return entity[flag];
+        if (!this.isUnit(entity)) return false;
+        
+        switch (flag) {
+            case 'canMove':
+                return true;
+            case 'canAttack':
+                return entity.ar > 0;
+            default:
+                return this.isVillager(entity);
+        }
+    }
+    
     /**
      * Attempt to select an entity at the given coordinates
      */
@@ -532,6 +663,14 @@ class InputSystem {
         this.selection.entities = [];
     }
     
+    /**
+     * Get the selected entities the local player may give orders to
+     */
+    getOwnSelection() {
+        const owner = this.getPlayerOwner();
+        return this.selection.entities.filter(entity => entity.owner === owner);
+    }
+    
     /**
      * Start a box selection
      */
@@ -565,8 +704,8 @@ class InputSystem {
         const top = Math.min(this.selection.startY, this.selection.endY);
         const bottom = Math.max(this.selection.startY, this.selection.endY);
         
-        // Minimum size check to avoid accidental tiny selections
-        const minSize = 5;
+        // Minimum size check to avoid accidental tiny selections (in tiles)
+        const minSize = 0.25;
         if (right - left < minSize && bottom - top < minSize) {
             this.selection.active = false;
             return;
@@ -578,24 +717,24 @@ class InputSystem {
         }
         
         // Find all entities in the selection box
+        const owner = this.getPlayerOwner();
         const selectedEntities = this.game.entities.filter(entity => {
-            if (!entity.position || !entity.size) return false;
-            
-            // Skip entities that are not selectable
-            if (entity.selectable === false) return false;
+            // Skip entities that are not selectable or out of sight
+            if (entity.selectable === false || entity.active === false) return false;
+            if (entity.transportId || entity.garrisonId) return false;
             
             // Skip entities that don't belong to the player
-            if (entity.owner !== this.game.activePlayer.id) return false;
+            if (entity.owner !== owner) return false;
             
             // Simple rectangle intersection check
-            const entityRight = entity.position.x + entity.size;
-            const entityBottom = entity.position.y + entity.size;
+            const entityRight = entity.x + entity.width;
+            const entityBottom = entity.y + entity.height;
             
             return !(
                 entityRight < left ||
-                entity.position.x > right ||
+                entity.x > right ||
                 entityBottom < top ||
-                entity.position.y > bottom
+                entity.y > bottom
             );
         });
         
@@ -631,17 +770,24 @@ class InputSystem {
             }
         }
         
+        // Buildings can only be given a rally point
+        if (this.selection.entities.every(entity => entity.type === 'building')) {
+            this.setRallyPoint(x, y, targetEntity);
+            return;
+        }
+        
         // Determine command type based on target
         let command = 'move';
         
+        const owner = this.getPlayerOwner();
         if (targetEntity) {
-            if (targetEntity.owner !== this.game.activePlayer.id) {
-                // Enemy entity - attack
-                command = 'attack';
-            } else if (targetEntity.type === 'resource') {
+            if (targetEntity.type === 'resource') {
                 // Resource - gather
                 command = 'gather';
-            } else if (targetEntity.type === 'building' && targetEntity.owner === this.game.activePlayer.id) {
+            } else if (targetEntity.owner !== owner) {
+                // Enemy entity - attack
+                command = 'attack';
+            } else if (targetEntity.type === 'building') {
                 // Friendly building - garrison or repair
                 command = this.keys['AltLeft'] || this.keys['AltRight'] ? 'repair' : 'garrison';
             }
@@ -654,58 +800,84 @@ class InputSystem {
         this.issueCommandToSelected(command, x, y, targetEntity);
     }
     
+    /**
+     * Set the rally point of the selected buildings (Shift adds a waypoint)
+     */
+    setRallyPoint(x, y, target = null) {
+        const buildings = this.getOwnSelection().filter(entity => entity.setRallyPoint);
+        if (buildings.length === 0) return;
+        
+        if (!target) {
+            target = this.game.entities.find(entity => this.isPointInEntity(x, y, entity)) || null;
+        }
+        
+        const queued = this.isShiftHeld();
+        
+        // Send it as a command when there's a command queue, so replays and
+        // multiplayer see it
+        const entityManager = this.game.getSystem && this.game.getSystem('entityManager');
+        if (entityManager && entityManager.queueCommand) {
+            entityManager.queueCommand({
+                type: 'rally',
+                entityIds: buildings.map(building => building.id),
+                x: x,
+                y: y,
+                targetId: target ? target.id : null,
+                queued: queued
+            });
+        } else {
+            buildings.forEach(building => building.setRallyPoint(target || { x, y }, queued));
+        }
+        
+        this.showCommandIndicator('rally', x, y);
+    }
+    
     /**
      * Issue specific command to selected entities
      */
     issueCommandToSelected(command, x, y, target = null) {
         // Filter entities that can perform the command
-        const validEntities = this.selection.entities.filter(entity => {
-            switch (command) {
-                case 'move':
-                    return entity.canMove;
-                case 'attack':
-                    return entity.canAttack;
-                case 'gather':
-                    return entity.canGather;
-                case 'build':
-                    return entity.canBuild;
-                case 'repair':
-                    return entity.canRepair;
-                default:
-                    return true;
-            }
-        });
+        const validEntities = this.getOwnSelection().filter(entity => this.canPerform(entity, command));
         
         if (validEntities.length === 0) return;
         
-        // Execute command on each entity
-        validEntities.forEach(entity => {
-            if (entity.executeCommand) {
-                entity.executeCommand(command, { x, y, target });
-            } else {
-                // Fallback command execution
-                switch (command) {
-                    case 'move':
-                        entity.destination = { x, y };
-                        break;
-                    case 'attack':
-                        entity.attackTarget = target;
-                        break;
-                    case 'gather':
-                        entity.gatherTarget = target;
-                        break;
-                    case 'build':
-                        // Building would be handled by a specific build system
-                        break;
+        // Shift-clicks go on the end of each unit's order queue
+        const queued = this.isShiftHeld();
+        
+        const entityManager = this.game.getSystem && this.game.getSystem('entityManager');
+        if (entityManager && entityManager.queueCommand) {
+            entityManager.queueCommand(this.createCommand(command, validEntities, x, y, target, queued));
+        } else {
+            // No command queue; tell each entity directly
+            validEntities.forEach(entity => {
+                if (entity.executeCommand) {
+                    entity.executeCommand(command, { x, y, target });
+                } else {
+                    // Fallback command execution
+                    switch (command) {
+                        case 'move':
+                            entity.destination = { x, y };
+                            break;
+                        case 'attack':
+                            entity.attackTarget = target;
+                            break;
+                        case 'gather':
+                            entity.gatherTarget = target;
+                            break;
+                        case 'build':
+                            // Building would be handled by a specific build system
+                            break;
+                    }
                 }
-            }
-        });
+            });
+        }
         
         // Play appropriate sound effect
         if (this.game.audioSystem) {
             const soundEffects = {
                 'move': 'command_move',
                 'attack': 'command_attack',
+                'attackMove': 'command_attack',
                 'gather': 'command_gather',
                 'build': 'command_build',
                 'repair': 'command_repair'
@@ -719,6 +891,33 @@ class InputSystem {
         this.showCommandIndicator(command, x, y);
     }
     
+    /**
+     * Build the EntityManager command for an order to some entities
+     */
+    createCommand(type, entities, x, y, target, queued) {
+        const command = {
+            type: type,
+            entityIds: entities.map(entity => entity.id),
+            x: x,
+            y: y,
+            queued: queued
+        };
+        
+        // Each command names its target its own way
+        const targetFields = {
+            attack: 'targetId',
+            gather: 'resourceId',
+            build: 'buildingId',
+            repair: 'structureId',
+            garrison: 'buildingId'
+        };
+        if (target && targetFields[type]) {
+            command[targetFields[type]] = target.id;
+        }
+        
+        return command;
+    }
+    
     /**
      * Handle clicking on UI elements
      */
@@ -748,15 +947,10 @@ class InputSystem {
             const minimapX = (x - minimapRect.x) / minimapRect.width;
             const minimapY = (y - minimapRect.y) / minimapRect.height;
             
-            const worldX = minimapX * this.game.mapSize.width;
-            const worldY = minimapY * this.game.mapSize.height;
-            
-            // Center the viewport on this location
-            this.game.viewPort.x = worldX - (this.game.viewPort.width / 2);
-            this.game.viewPort.y = worldY - (this.game.viewPort.height / 2);
-            
-            // Constrain to map bounds
-            this.constrainCameraToMap();
+            const map = this.game.getSystem('map');
+            if (map) {
+                this.centerCameraOn(minimapX * map.width, minimapY * map.height);
+            }
             
             return true;
         }
@@ -823,62 +1017,227 @@ class InputSystem {
         
         // Execute the selected action if available
         if (buttonIndex < actions.length) {
-            const action = actions[buttonIndex];
-            
-            // Execute different actions based on what was clicked
-            switch (action.name.toLowerCase()) {
-                case 'move':
-                    this.setCurrentAction({ type: 'move' });
-                    break;
-                case 'attack':
-                    this.setCurrentAction({ type: 'attack' });
-                    break;
-                case 'gather':
-                    this.setCurrentAction({ type: 'gather' });
-                    break;
-                case 'build':
-                    this.showBuildMenu();
-                    break;
-                case 'train':
-                    this.showTrainMenu();
-                    break;
-                case 'research':
-                    this.showResearchMenu();
-                    break;
-                case 'rally':
-                    this.setCurrentAction({ type: 'rally' });
-                    break;
-            }
-            
-            // Play button click sound
-            if (this.game.audioSystem) {
-                this.game.audioSystem.play('ui_click');
-            }
+            this.executeEntityAction(actions[buttonIndex].icon);
         }
     }
     
+    /**
+     * Execute an action by ID if the selection offers it (from a button or hotkey)
+     */
+    executeEntityAction(actionId) {
+        if (this.selection.entities.length === 0) return;
+        
+        // Only actions the first selected entity has a button for
+        const entity = this.selection.entities[0];
+        if (!this.getEntityActions(entity).some(action => action.icon === actionId)) return;
+        
+        // Execute different actions based on what was clicked
+        switch (actionId) {
+            case 'move':
+                this.setCurrentAction({ type: 'move' });
+                break;
+            case 'attack':
+                this.setCurrentAction({ type: 'attack' });
+                break;
+            case 'attackMove':
+                this.startAttackMoveCommand();
+                break;
+            case 'patrol':
+                this.startPatrolCommand();
+                break;
+            case 'holdPosition':
+                this.issueCommandToSelected('hold');
+                break;
+            case 'stanceAggressive':
+                this.setStance('aggressive');
+                break;
+            case 'stanceDefensive':
+                this.setStance('defensive');
+                break;
+            case 'stanceStandGround':
+                this.setStance('standGround');
+                break;
+            case 'stanceNoAttack':
+                this.setStance('noAttack');
+                break;
+            case 'gather':
+                this.setCurrentAction({ type: 'gather' });
+                break;
+            case 'build':
+                this.showBuildMenu();
+                break;
+            case 'train':
+                this.showTrainMenu();
+                break;
+            case 'research':
+                this.showResearchMenu();
+                break;
+            case 'rally':
+                this.setCurrentAction({ type: 'rally' });
+                break;
+        }
+        
+        // Play button click sound
+        if (this.game.audioSystem) {
+            this.game.audioSystem.play('ui_click');
+        }
+    }
+    
+    /**
+     * Get the control group number for a digit key, or null
+     */
+    getControlGroupNumber(event) {
+        const match = /^(?:Digit|Numpad)([0-9])$/.exec(event.code || '');
+        if (!match || event.altKey) return null;
+        
+        return parseInt(match[1], 10);
+    }
+    
+    /**
+     * Get a control group's living members
+     */
+    getControlGroup(group) {
+        const members = (this.controlGroups[group] || []).filter(entity =>
+            entity.active !== false && this.game.entityManager.getEntityById(entity.id) === entity
+        );
+        this.controlGroups[group] = members;
+        return members;
+    }
+    
+    /**
+     * Make the selection a control group, replacing what was in it
+     */
+    assignControlGroup(group, entities = this.selection.entities) {
+        // Entities belong to one group at a time
+        for (const key in this.controlGroups) {
+            this.controlGroups[key] = this.controlGroups[key].filter(entity => !entities.includes(entity));
+        }
+        
+        this.getControlGroup(group).forEach(entity => {
+            entity.group = null;
+        });
+        
+        this.controlGroups[group] = entities.slice();
+        entities.forEach(entity => {
+            entity.group = group;
+        });
+    }
+    
+    /**
+     * Add the selection to a control group
+     */
+    addToControlGroup(group) {
+        const members = this.getControlGroup(group);
+        const added = this.selection.entities.filter(entity => !members.includes(entity));
+        
+        this.assignControlGroup(group, members.concat(added));
+    }
+    
+    /**
+     * Select a control group; a second press in quick succession centers the camera on it
+     */
+    recallControlGroup(group) {
+        const members = this.getControlGroup(group);
+        if (members.length === 0) return;
+        
+        this.selectEntities(members);
+        
+        const now = Date.now();
+        if (this.lastGroupRecall.group === group && now - this.lastGroupRecall.time < this.doubleTapTime) {
+            this.centerCamera();
+        }
+        this.lastGroupRecall = { group: group, time: now };
+    }
+    
+    /**
+     * Replace the selection
+     */
+    selectEntities(entities) {
+        this.clearSelection();
+        
+        this.selection.entities = entities.slice();
+        this.selection.entities.forEach(entity => {
+            entity.selected = true;
+        });
+        
+        // Play selection sound
+        if (entities.length > 0 && this.game.audioSystem) {
+            this.game.audioSystem.play('select');
+        }
+    }
+    
+    /**
+     * Get the active player's idle units
+     */
+    getIdleUnits(filter) {
+        const owner = this.getPlayerOwner();
+        return this.game.entities.filter(entity =>
+            this.isUnit(entity) &&
+            entity.owner === owner &&
+            entity.active !== false &&
+            (!entity.state || entity.state === 'idle') &&
+            filter(entity)
+        );
+    }
+    
+    /**
+     * Check whether a unit is a villager
+     */
+    isVillager(entity) {
+        return entity.type === 'villager' || entity.unitType === 'villager' || entity.canGather === true;
+    }
+    
+    /**
+     * Select every idle villager
+     */
+    selectIdleVillagers() {
+        const villagers = this.getIdleUnits(entity => this.isVillager(entity));
+        if (villagers.length === 0) return;
+        
+        this.selectEntities(villagers);
+    }
+    
+    /**
+     * Select the next idle military unit and center the camera on it
+     */
+    cycleIdleMilitary() {
+        const military = this.getIdleUnits(entity => !this.isVillager(entity) && this.canPerform(entity, 'attack'));
+        if (military.length === 0) return;
+        
+        this.idleMilitaryIndex = (this.idleMilitaryIndex + 1) % military.length;
+        this.selectEntities([military[this.idleMilitaryIndex]]);
+        this.centerCamera();
+    }
+    
     /**
      * Get available actions for an entity
      */
     getEntityActions(entity) {
         const actions = [];
         
-        if (entity.type === 'unit') {
+        if (this.isUnit(entity)) {
             actions.push({ name: 'Move', icon: 'move' });
             
-            if (entity.canAttack) {
+            if (this.canPerform(entity, 'attack')) {
                 actions.push({ name: 'Attack', icon: 'attack' });
+                actions.push({ name: 'Attack-move', icon: 'attackMove' });
+                actions.push({ name: 'Patrol', icon: 'patrol' });
+                actions.push({ name: 'Hold', icon: 'holdPosition' });
+                actions.push({ name: 'Aggressive', icon: 'stanceAggressive' });
+                actions.push({ name: 'Defensive', icon: 'stanceDefensive' });
+                actions.push({ name: 'Stand ground', icon: 'stanceStandGround' });
+                actions.push({ name: 'No attack', icon: 'stanceNoAttack' });
             }
             
-            if (entity.canGather) {
+            if (this.canPerform(entity, 'gather')) {
                 actions.push({ name: 'Gather', icon: 'gather' });
             }
             
-            if (entity.canBuild) {
+            if (this.canPerform(entity, 'build')) {
                 actions.push({ name: 'Build', icon: 'build' });
             }
         } else if (entity.type === 'building') {
-            if (entity.canTrain) {
+            if (entity.canTrain || entity.canTrainUnits) {
                 actions.push({ name: 'Train', icon: 'train' });
             }
             
@@ -889,9 +1248,47 @@ class InputSystem {
             actions.push({ name: 'Rally', icon: 'rally' });
         }
         
+        // Label each button with its key
+        actions.forEach(action => {
+            action.hotkey = this.hotkeys ? this.hotkeys.getLabel(action.icon) : '';
+        });
+        
         return actions;
     }
     
+    /**
+     * Pick where the selection attack-moves to with the next left click
+     */
+    startAttackMoveCommand() {
+        this.setCurrentAction({ type: 'attackMove' });
+    }
+    
+    /**
+     * Pick where the selection patrols to with the next left click (Shift adds waypoints)
+     */
+    startPatrolCommand() {
+        this.setCurrentAction({ type: 'patrol' });
+    }
+    
+    /**
+     * Set the stance of the selected units
+     */
+    setStance(stance) {
+        const units = this.getOwnSelection().filter(entity => entity.setStance);
+        if (units.length === 0) return;
+        
+        const entityManager = this.game.getSystem && this.game.getSystem('entityManager');
+        if (entityManager && entityManager.queueCommand) {
+            entityManager.queueCommand({
+                type: 'stance',
+                entityIds: units.map(unit => unit.id),
+                stance: stance
+            });
+        } else {
+            units.forEach(unit => unit.setStance(stance));
+        }
+    }
+    
     /**
      * Set the current action
      */
@@ -904,12 +1301,15 @@ class InputSystem {
                 this.canvas.style.cursor = 'pointer';
                 break;
             case 'attack':
+            case 'attackMove':
+            case 'patrol':
                 this.canvas.style.cursor = 'crosshair';
                 break;
             case 'gather':
                 this.canvas.style.cursor = 'grab';
                 break;
             case 'build':
+            case 'placeBuilding':
                 this.canvas.style.cursor = 'cell';
                 break;
             default:
@@ -921,16 +1321,93 @@ class InputSystem {
      * Cancel the current action
      */
     cancelAction() {
+        this.closeBuildMenu();
         this.currentAction = null;
         this.canvas.style.cursor = 'default';
     }
     
     /**
-     * Show build menu for villagers
+     * Check whether Shift is held, which queues orders instead of replacing them
+     */
+    isShiftHeld() {
+        return !!(this.keys['ShiftLeft'] || this.keys['ShiftRight']);
+    }
+    
+    /**
+     * Get the selected villagers that can build
+     */
+    getBuilders() {
+        return this.getOwnSelection().filter(entity => this.canPerform(entity, 'build'));
+    }
+    
+    /**
+     * Get the buildings the local player can lay down, in build grid order
+     */
+    getBuildableTypes() {
+        if (this.game.getCivilization(this.getPlayerOwner()) === 'LUNARI') {
+            return ['hut', 'storehouse', 'sawmill', 'training_ground', 'moon_kiln',
+                'trade_post', 'shrine', 'watchtower', 'dock', 'wonder'];
+        }
+        return ['house', 'granary', 'lumber_mill', 'barracks', 'solar_forge',
+            'market', 'temple', 'tower', 'dock', 'wonder'];
+    }
+    
+    /**
+     * Show build menu for villagers: the grid keys pick a building
      */
     showBuildMenu() {
-        // This would show UI for selecting a building type
-        console.log("Build menu");
+        if (this.getBuilders().length === 0) return;
+        
+        this.buildMenuTypes = this.getBuildableTypes();
+        this.hotkeys.setActiveGrid(this);
+        
+        // List the choices with their keys
+        const uiManager = this.game.getSystem('uiManager');
+        if (uiManager && uiManager.displayMessage) {
+            const choices = this.buildMenuTypes.map((type, index) =>
+                `${this.hotkeys.getLabel('grid' + index)}: ${type.replace(/_/g, ' ')}`);
+            uiManager.displayMessage(`Build - ${choices.join(', ')}`);
+        }
+    }
+    
+    /**
+     * Close the build menu and give the grid keys back
+     */
+    closeBuildMenu() {
+        this.hotkeys.clearActiveGrid(this);
+    }
+    
+    /**
+     * Pick the building in a build grid slot
+     * @param {number} index - Grid slot
+     * @returns {boolean} True if the slot holds a building
+     */
+    activateGridSlot(index) {
+        const buildingType = (this.buildMenuTypes || [])[index];
+        if (!buildingType) return false;
+        
+        this.closeBuildMenu();
+        this.setCurrentAction({ type: 'placeBuilding', buildingType: buildingType });
+        return true;
+    }
+    
+    /**
+     * Lay down a foundation for the building being placed, centered on a
+     * position, and send the selected villagers to build it
+     */
+    placeBuilding(x, y) {
+        const builders = this.getBuilders();
+        if (builders.length === 0) {
+            this.cancelAction();
+            return;
+        }
+        
+        const entityManager = this.game.getSystem('entityManager');
+        const buildingType = this.currentAction.buildingType;
+        const size = entityManager.getBuildingSize(buildingType);
+        
+        entityManager.placeBuilding(buildingType, x - size / 2, y - size / 2, builders, this.isShiftHeld());
+        this.showCommandIndicator('build', x, y);
     }
     
     /**
@@ -974,7 +1451,7 @@ class InputSystem {
         
         // Remove each selected entity
         this.selection.entities.forEach(entity => {
-            this.game.removeEntity(entity);
+            this.game.entityManager.removeEntity(entity.id);
         });
         
         // Clear selection
@@ -0,0 +1,263 @@
+/**
+ * Empires of Eternity - Multiplayer Lobby
+ * Joins a room on the relay server, lets each player pick a civilization
+ * and the host pick map size and seed, then starts the networked match
+ */
+
+class MultiplayerLobby {
+  /**
+   * Initialize the lobby
+   */
+  constructor() {
+    // Connection to the relay
+    this.socket = null;
+    this.serverUrl = null;
+    this.roomName = null;
+
+    // Our seat in the room
+    this.playerId = null;
+    this.token = null;
+
+    // Latest lobby state from the relay
+    this.state = null;
+    this.ready = false;
+
+    // DOM elements
+    this.elements = {
+      serverUrl: document.getElementById("server-url"),
+      roomName: document.getElementById("room-name"),
+      playerName: document.getElementById("player-name"),
+      joinButton: document.getElementById("join-button"),
+      civContainer: document.getElementById("civilization-selection"),
+      mapSize: document.getElementById("map-size"),
+      mapSeed: document.getElementById("map-seed"),
+      playerList: document.getElementById("player-list"),
+      readyButton: document.getElementById("ready-button"),
+      startButton: document.getElementById("start-button"),
+      errorMessage: document.getElementById("error-message"),
+    };
+
+    this.init();
+  }
+
+  /**
+   * Set up event handlers
+   */
+  init() {
+    this.elements.playerName.value =
+      localStorage.getItem("playerName") || "";
+
+    this.elements.joinButton.addEventListener("click", () => this.join());
+    this.elements.readyButton.addEventListener("click", () =>
+      this.toggleReady()
+    );
+    this.elements.startButton.addEventListener("click", () =>
+      this.send({ type: "start" })
+    );
+
+    // Civilization buttons are handled by CivilizationSelector first
+    this.elements.civContainer.addEventListener("click", (event) => {
+      if (event.target.closest(".civ-button")) {
+        this.send({ type: "update", civilization: this.getCivilization() });
+      }
+    });
+
+    // Host settings
+    const sendSettings = () =>
+      this.send({
+        type: "update",
+        settings: {
+          mapSize: parseInt(this.elements.mapSize.value, 10),
+          seed: parseInt(this.elements.mapSeed.value, 10) || 0,
+        },
+      });
+    this.elements.mapSize.addEventListener("change", sendSettings);
+    this.elements.mapSeed.addEventListener("change", sendSettings);
+
+    this.setSettingsEnabled(false);
+  }
+
+  /**
+   * Get the selected civilization
+   * @returns {string} Civilization id in lower case
+   */
+  getCivilization() {
+    const selected = window.civSelector && window.civSelector.selectedCiv;
+    return (selected || "solari").toLowerCase();
+  }
+
+  /**
+   * Connect to the relay and join the room
+   */
+  join() {
+    if (this.socket) this.socket.close();
+
+    this.serverUrl = this.elements.serverUrl.value.trim();
+    this.roomName = this.elements.roomName.value.trim() || "default";
+    const name = this.elements.playerName.value.trim();
+
+    if (name) localStorage.setItem("playerName", name);
+
+    try {
+      this.socket = new WebSocket(this.serverUrl);
+    } catch (error) {
+      this.showError(`Invalid server address: ${this.serverUrl}`);
+      return;
+    }
+
+    this.socket.onopen = () => {
+      this.send({
+        type: "join",
+        room: this.roomName,
+        name: name,
+        civilization: this.getCivilization(),
+      });
+    };
+
+    this.socket.onmessage = (event) => {
+      this.handleMessage(JSON.parse(event.data));
+    };
+
+    this.socket.onerror = () => {
+      this.showError(
+        `Could not connect to ${this.serverUrl}. Is the relay running?`
+      );
+    };
+
+    this.socket.onclose = () => {
+      this.playerId = null;
+      this.elements.readyButton.disabled = true;
+      this.elements.startButton.disabled = true;
+    };
+  }
+
+  /**
+   * Send a message to the relay
+   * @param {Object} message - Message
+   */
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Handle a message from the relay
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case "joined":
+        this.playerId = message.playerId;
+        this.token = message.token;
+        this.elements.readyButton.disabled = false;
+        break;
+
+      case "lobby":
+        // Player IDs are re-numbered as people leave
+        this.playerId = message.playerId;
+        this.state = message;
+        this.updateLobby();
+        break;
+
+      case "start":
+        this.startMatch(message);
+        break;
+
+      case "error":
+        this.showError(message.message);
+        break;
+    }
+  }
+
+  /**
+   * Refresh the lobby UI from the latest state
+   */
+  updateLobby() {
+    const { players, settings, hostId } = this.state;
+
+    const me = players.find((player) => player.id === this.playerId);
+    const isHost = me && me.id === hostId;
+
+    this.elements.playerList.innerHTML = "";
+    for (const player of players) {
+      const item = document.createElement("li");
+      const civ = CONFIG.CIVILIZATIONS[player.civilization.toUpperCase()];
+      item.textContent =
+        `${player.name} - ${civ ? civ.name : player.civilization}` +
+        (player.id === hostId ? " (host)" : "") +
+        (player.ready ? " - Ready" : "");
+      if (player.id === this.playerId) item.style.fontWeight = "bold";
+      this.elements.playerList.appendChild(item);
+    }
+
+    this.elements.mapSize.value = settings.mapSize;
+    this.elements.mapSeed.value = settings.seed;
+    this.setSettingsEnabled(isHost);
+
+    this.ready = me ? me.ready : false;
+    this.elements.readyButton.textContent = this.ready ? "Not Ready" : "Ready";
+
+    // 2-4 players, all ready
+    this.elements.startButton.disabled = !(
+      isHost &&
+      players.length >= 2 &&
+      players.every((player) => player.ready)
+    );
+  }
+
+  /**
+   * Enable or disable the host-only settings
+   * @param {boolean} enabled - True for the host
+   */
+  setSettingsEnabled(enabled) {
+    this.elements.mapSize.disabled = !enabled;
+    this.elements.mapSeed.disabled = !enabled;
+  }
+
+  /**
+   * Toggle our ready state
+   */
+  toggleReady() {
+    this.send({ type: "update", ready: !this.ready });
+  }
+
+  /**
+   * Store the match session and open the game
+   * @param {Object} message - Start message {playerId, settings, players}
+   */
+  startMatch(message) {
+    NetworkClient.saveSession({
+      url: this.serverUrl,
+      room: this.roomName,
+      token: this.token,
+      playerId: message.playerId,
+      settings: message.settings,
+      players: message.players,
+    });
+
+    // The relay falls back to a default civilization for unknown picks
+    const me = message.players.find((player) => player.id === message.playerId);
+    const civilization = me ? me.civilization : this.getCivilization();
+    window.location.href = `game.html?civ=${civilization}&multiplayer=1`;
+  }
+
+  /**
+   * Display an error message
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    this.elements.errorMessage.textContent = message;
+    this.elements.errorMessage.style.display = "block";
+
+    // Auto-hide after 5 seconds
+    setTimeout(() => {
+      this.elements.errorMessage.style.display = "none";
+    }, 5000);
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  window.lobby = new MultiplayerLobby();
+});
@@ -539,9 +539,7 @@ export class LunariCivilization extends Civilization {
     super.init();
 
     // Register time-of-day event listener
-    if (this.game.weatherSystem) {
-      this.game.on("timeChanged", this.onTimeOfDayChanged.bind(this));
-    }
+    this.watchTimeOfDay(this.onTimeOfDayChanged.bind(this));
 
     // Register resource and entity events
     this.game.on("resourceNodeCreated", this.onResourceNodeCreated.bind(this));
@@ -563,13 +561,14 @@ export class LunariCivilization extends Civilization {
    * Update bonuses based on day/night cycle
    */
   updateDayNightBonuses() {
-    // Skip if weather system is not available
-    if (!this.game.weatherSystem) {
+    // Skip if there is no day/night cycle
+    const timeOfDay = this.getTimeOfDaySystem();
+    if (!timeOfDay) {
       return;
     }
 
     // Get current time information
-    const timeInfo = this.game.weatherSystem.getTimeOfDay();
+    const timeInfo = timeOfDay.getTimeOfDay();
 
     // Skip if time hasn't changed
     if (this.nightTimeCache.lastUpdate === this.game.gameTime) {
@@ -0,0 +1,939 @@
+/**
+ * Empires of Eternity - Map Editor
+ * Paints terrain, elevation and roads, places resources, buildings and units
+ * for any player, and exports hand-made scenarios as JSON
+ */
+
+class MapEditor {
+  /**
+   * Create a new map editor
+   * @param {GameEngine} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Scenario file format identifier and current version
+    this.FORMAT = "empires-of-eternity-scenario";
+    this.VERSION = 1;
+
+    // Panel element
+    this.container = null;
+
+    // Active tool and its settings
+    this.tool = "terrain"; // terrain, elevation, resource, building, unit, erase
+    this.terrainType = "plains";
+    this.elevationStep = 0.1;
+    this.resourceType = "wood";
+    this.buildingType = "town_center";
+    this.unitType = "villager";
+    this.player = 0;
+    this.brushSize = 1;
+
+    // Default amount for each resource node (same as the map generator)
+    const depletion =
+      (window.CONFIG && CONFIG.RESOURCES && CONFIG.RESOURCES.DEPLETION) || {};
+    this.resourceAmounts = {
+      wood: depletion.tree || 500,
+      food: depletion.berry_bush || 200,
+      gold: depletion.gold_mine || 1000,
+      stone: depletion.stone_quarry || 1200,
+      iron: depletion.iron_deposit || 800,
+      fish: depletion.fish || 250,
+    };
+
+    this.buildingTypes = [
+      "town_center",
+      "house",
+      "granary",
+      "lumber_mill",
+      "barracks",
+      "market",
+      "temple",
+      "tower",
+      "dock",
+    ];
+    this.unitTypes = [
+      "villager",
+      "infantry",
+      "ranged",
+      "cavalry",
+      "siege",
+      "fishing_boat",
+      "transport",
+      "warship",
+    ];
+
+    // Scenario settings
+    this.scenarioName = "Untitled";
+    this.players = [];
+
+    // Triggers and objectives are written by hand in the JSON file; the
+    // editor keeps them so they survive a load and re-export
+    this.triggers = [];
+    this.objectives = [];
+
+    // Mouse state
+    this.painting = false;
+    this.hoverTile = null;
+
+    this.onMouseDown = this.onMouseDown.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onMouseUp = this.onMouseUp.bind(this);
+    this.drawOverlay = this.drawOverlay.bind(this);
+
+    Utils.log("MapEditor created");
+  }
+
+  /**
+   * Session storage key used to hand a scenario to the game page
+   */
+  static get SESSION_KEY() {
+    return "eoe_scenario";
+  }
+
+  /**
+   * Store a scenario for the next page load
+   * @param {Object} scenario - Scenario data
+   */
+  static saveSession(scenario) {
+    sessionStorage.setItem(MapEditor.SESSION_KEY, JSON.stringify(scenario));
+  }
+
+  /**
+   * Get the stored scenario
+   * @returns {Object|null} Scenario data
+   */
+  static loadSession() {
+    const data = sessionStorage.getItem(MapEditor.SESSION_KEY);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Initialize the map editor
+   */
+  init() {
+    // Start with the engine's player slots
+    this.players = this.game.players.map((player) => ({
+      id: player.id,
+      civilization: player.civilization,
+      team: player.team !== undefined ? player.team : null,
+      resources: { ...CONFIG.RESOURCES.STARTING },
+      age: 0,
+    }));
+
+    const map = this.game.getSystem("map");
+    if (map) map.revealAll();
+
+    const canvas = document.getElementById("game-canvas");
+    if (canvas) {
+      canvas.addEventListener("mousedown", this.onMouseDown);
+      canvas.addEventListener("mousemove", this.onMouseMove);
+      window.addEventListener("mouseup", this.onMouseUp);
+    }
+
+    this.game.on("render", this.drawOverlay);
+
+    this.createPanel();
+    this.refresh();
+
+    Utils.log("MapEditor initialized");
+    return this;
+  }
+
+  /**
+   * Create the panel element
+   */
+  createPanel() {
+    this.container = document.createElement("div");
+    this.container.className = "map-editor-panel";
+    this.container.style.position = "absolute";
+    this.container.style.top = "60px";
+    this.container.style.left = "10px";
+    this.container.style.width = "300px";
+    this.container.style.maxHeight = "calc(100% - 80px)";
+    this.container.style.overflowY = "auto";
+    this.container.style.padding = "10px";
+    this.container.style.background = "rgba(0, 0, 0, 0.8)";
+    this.container.style.color = "#fff";
+    this.container.style.zIndex = "200";
+
+    const parent = document.getElementById("game-container") || document.body;
+    parent.appendChild(this.container);
+  }
+
+  /**
+   * Rebuild the panel from the current editor state
+   */
+  refresh() {
+    if (!this.container) return;
+
+    this.container.innerHTML = "";
+
+    const title = document.createElement("h3");
+    title.textContent = "Map Editor";
+    title.style.margin = "0 0 8px 0";
+    this.container.appendChild(title);
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.value = this.scenarioName;
+    name.onchange = () => (this.scenarioName = name.value.trim() || "Untitled");
+    this.addRow("Name", name);
+
+    // Tools
+    this.addRow(
+      "Tool",
+      this.createSelect(
+        [
+          ["Terrain", "terrain"],
+          ["Elevation", "elevation"],
+          ["Resource", "resource"],
+          ["Building", "building"],
+          ["Unit", "unit"],
+          ["Erase", "erase"],
+        ],
+        this.tool,
+        (value) => {
+          this.tool = value;
+          this.refresh();
+        }
+      )
+    );
+
+    switch (this.tool) {
+      case "terrain": {
+        const map = this.game.getSystem("map");
+        const types = map ? Object.keys(map.terrainTypes) : ["plains"];
+        this.addRow(
+          "Type",
+          this.createSelect(
+            types.map((type) => [type, type]),
+            this.terrainType,
+            (value) => (this.terrainType = value)
+          )
+        );
+        break;
+      }
+
+      case "elevation": {
+        const hint = document.createElement("span");
+        hint.textContent = "Click to raise, shift-click to lower";
+        hint.style.fontSize = "12px";
+        this.addRow("", hint);
+        break;
+      }
+
+      case "resource":
+        this.addRow(
+          "Type",
+          this.createSelect(
+            Object.keys(this.resourceAmounts).map((type) => [type, type]),
+            this.resourceType,
+            (value) => (this.resourceType = value)
+          )
+        );
+        break;
+
+      case "building":
+        this.addRow(
+          "Type",
+          this.createSelect(
+            this.buildingTypes.map((type) => [type, type]),
+            this.buildingType,
+            (value) => (this.buildingType = value)
+          )
+        );
+        break;
+
+      case "unit":
+        this.addRow(
+          "Type",
+          this.createSelect(
+            this.unitTypes.map((type) => [type, type]),
+            this.unitType,
+            (value) => (this.unitType = value)
+          )
+        );
+        break;
+    }
+
+    if (this.tool === "building" || this.tool === "unit") {
+      this.addRow(
+        "Player",
+        this.createSelect(
+          this.players.map((slot) => [
+            `Player ${slot.id + 1} (${slot.civilization})`,
+            String(slot.id),
+          ]),
+          String(this.player),
+          (value) => (this.player = parseInt(value, 10))
+        )
+      );
+    } else {
+      this.addRow(
+        "Brush",
+        this.createSelect(
+          [
+            ["1x1", "1"],
+            ["3x3", "3"],
+            ["5x5", "5"],
+            ["7x7", "7"],
+          ],
+          String(this.brushSize),
+          (value) => (this.brushSize = parseInt(value, 10))
+        )
+      );
+    }
+
+    // Players
+    const playersTitle = document.createElement("h4");
+    playersTitle.textContent = "Players";
+    playersTitle.style.margin = "12px 0 4px 0";
+    this.container.appendChild(playersTitle);
+
+    for (const slot of this.players) {
+      this.addPlayerSettings(slot);
+    }
+
+    const slotButtons = document.createElement("div");
+    const addPlayer = document.createElement("button");
+    addPlayer.textContent = "Add Player";
+    addPlayer.disabled = this.players.length >= 4;
+    addPlayer.onclick = () => this.addPlayer();
+    slotButtons.appendChild(addPlayer);
+
+    const removePlayer = document.createElement("button");
+    removePlayer.textContent = "Remove Player";
+    removePlayer.disabled = this.players.length <= 2;
+    removePlayer.onclick = () => this.removePlayer();
+    slotButtons.appendChild(removePlayer);
+    this.container.appendChild(slotButtons);
+
+    // New map
+    const mapTitle = document.createElement("h4");
+    mapTitle.textContent = "Map";
+    mapTitle.style.margin = "12px 0 4px 0";
+    this.container.appendChild(mapTitle);
+
+    const size = this.createSelect(
+      [
+        ["Small (40x40)", "40"],
+        ["Medium (60x60)", "60"],
+        ["Large (80x80)", "80"],
+      ],
+      "60",
+      () => {}
+    );
+    this.addRow("Size", size);
+
+    const newButtons = document.createElement("div");
+    const blank = document.createElement("button");
+    blank.textContent = "Blank Map";
+    blank.onclick = () => this.newMap(parseInt(size.value, 10), false);
+    newButtons.appendChild(blank);
+
+    const generated = document.createElement("button");
+    generated.textContent = "Generate Map";
+    generated.onclick = () => this.newMap(parseInt(size.value, 10), true);
+    newButtons.appendChild(generated);
+    this.container.appendChild(newButtons);
+
+    // File actions
+    const fileButtons = document.createElement("div");
+    fileButtons.style.marginTop = "12px";
+
+    const exportButton = document.createElement("button");
+    exportButton.textContent = "Export";
+    exportButton.onclick = () => this.exportToFile();
+    fileButtons.appendChild(exportButton);
+
+    const importButton = document.createElement("button");
+    importButton.textContent = "Import";
+    importButton.onclick = () => this.openFilePicker();
+    fileButtons.appendChild(importButton);
+
+    const playButton = document.createElement("button");
+    playButton.textContent = "Play Test";
+    playButton.onclick = () => this.playTest();
+    fileButtons.appendChild(playButton);
+
+    this.container.appendChild(fileButtons);
+  }
+
+  /**
+   * Add the settings row for one player slot
+   * @param {Object} slot - Player slot
+   */
+  addPlayerSettings(slot) {
+    const row = document.createElement("div");
+    row.style.marginBottom = "8px";
+
+    const name = document.createElement("div");
+    name.textContent = `Player ${slot.id + 1}`;
+    name.style.fontWeight = "bold";
+    row.appendChild(name);
+
+    // Civilization
+    row.appendChild(
+      this.createSelect(
+        Object.keys(CONFIG.CIVILIZATIONS).map((key) => [
+          CONFIG.CIVILIZATIONS[key].name || key,
+          key.toLowerCase(),
+        ]),
+        slot.civilization,
+        (value) => this.setCivilization(slot, value)
+      )
+    );
+
+    // Team (blank for free-for-all)
+    const team = document.createElement("input");
+    team.type = "number";
+    team.min = "1";
+    team.max = "4";
+    team.placeholder = "Team";
+    team.style.width = "50px";
+    team.value = slot.team !== null ? slot.team : "";
+    team.onchange = () => {
+      slot.team = team.value ? parseInt(team.value, 10) : null;
+    };
+    row.appendChild(team);
+
+    // Starting age
+    row.appendChild(
+      this.createSelect(
+        [0, 1, 2, 3, 4].map((age) => [`Age ${age + 1}`, String(age)]),
+        String(slot.age),
+        (value) => (slot.age = parseInt(value, 10))
+      )
+    );
+
+    // Starting resources
+    const resources = document.createElement("div");
+    for (const resource of Object.keys(this.resourceAmounts)) {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "0";
+      input.step = "50";
+      input.title = resource;
+      input.style.width = "52px";
+      input.value = slot.resources[resource] || 0;
+      input.onchange = () => {
+        slot.resources[resource] = Math.max(0, parseInt(input.value, 10) || 0);
+      };
+      resources.appendChild(input);
+    }
+    row.appendChild(resources);
+
+    this.container.appendChild(row);
+  }
+
+  /**
+   * Add a labelled row to the panel
+   * @param {string} label - Row label
+   * @param {HTMLElement} element - Input element
+   */
+  addRow(label, element) {
+    const row = document.createElement("div");
+    row.style.margin = "4px 0";
+
+    const text = document.createElement("span");
+    text.textContent = label;
+    text.style.display = "inline-block";
+    text.style.minWidth = "60px";
+    row.appendChild(text);
+
+    row.appendChild(element);
+    this.container.appendChild(row);
+  }
+
+  /**
+   * Create a select element
+   * @param {Array} options - [label, value] pairs
+   * @param {string} value - Selected value
+   * @param {Function} onChange - Called with the new value
+   * @returns {HTMLSelectElement} Select element
+   */
+  createSelect(options, value, onChange) {
+    const select = document.createElement("select");
+    for (const [label, optionValue] of options) {
+      const option = document.createElement("option");
+      option.value = optionValue;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    select.value = value;
+    select.onchange = () => onChange(select.value);
+    return select;
+  }
+
+  /**
+   * Get the map tile under the mouse
+   * @param {MouseEvent} event - Mouse event
+   * @returns {Object|null} Tile coordinates {x, y}
+   */
+  getTileAt(event) {
+    const renderer = this.game.getSystem("renderer");
+    const map = this.game.getSystem("map");
+    if (!renderer || !map) return null;
+
+    const rect = event.target.getBoundingClientRect();
+    const tileSize = (CONFIG && CONFIG.MAP && CONFIG.MAP.TILE_SIZE) || 64;
+    const x = Math.floor(
+      renderer.screenToWorldX(event.clientX - rect.left) / tileSize
+    );
+    const y = Math.floor(
+      renderer.screenToWorldY(event.clientY - rect.top) / tileSize
+    );
+
+    return map.isInBounds(x, y) ? { x, y } : null;
+  }
+
+  /**
+   * Start painting, or place an entity
+   * @param {MouseEvent} event - Mouse event
+   */
+  onMouseDown(event) {
+    if (event.button !== 0) return;
+
+    const tile = this.getTileAt(event);
+    if (!tile) return;
+
+    if (this.tool === "building" || this.tool === "unit") {
+      this.placeEntity(tile.x, tile.y);
+      return;
+    }
+
+    this.painting = true;
+    this.paint(tile.x, tile.y, event.shiftKey);
+  }
+
+  /**
+   * Keep painting while the mouse is held down
+   * @param {MouseEvent} event - Mouse event
+   */
+  onMouseMove(event) {
+    const tile = this.getTileAt(event);
+    const moved =
+      tile &&
+      (!this.hoverTile ||
+        tile.x !== this.hoverTile.x ||
+        tile.y !== this.hoverTile.y);
+
+    this.hoverTile = tile;
+
+    if (this.painting && moved) {
+      this.paint(tile.x, tile.y, event.shiftKey);
+    }
+  }
+
+  /**
+   * Stop painting
+   */
+  onMouseUp() {
+    this.painting = false;
+  }
+
+  /**
+   * Apply the active brush tool around a tile
+   * @param {number} centerX - Tile X coordinate
+   * @param {number} centerY - Tile Y coordinate
+   * @param {boolean} alternate - Shift held (lowers elevation)
+   */
+  paint(centerX, centerY, alternate) {
+    const map = this.game.getSystem("map");
+    if (!map) return;
+
+    const radius = Math.floor(this.brushSize / 2);
+
+    for (let y = centerY - radius; y <= centerY + radius; y++) {
+      for (let x = centerX - radius; x <= centerX + radius; x++) {
+        if (!map.isInBounds(x, y)) continue;
+
+        switch (this.tool) {
+          case "terrain":
+            map.setTerrainType(x, y, this.terrainType);
+            break;
+
+          case "elevation": {
+            const step = alternate ? -this.elevationStep : this.elevationStep;
+            map.setElevation(x, y, map.getTile(x, y).elevation + step);
+            break;
+          }
+
+          case "resource":
+            // Fish go in the water, everything else on land
+            if (map.isPassable(x, y, this.resourceType === "fish")) {
+              map.addResource(
+                x,
+                y,
+                this.resourceType,
+                this.resourceAmounts[this.resourceType]
+              );
+            }
+            break;
+
+          case "erase":
+            this.eraseAt(x, y);
+            break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Place a building or unit for the selected player
+   * @param {number} x - Tile X coordinate
+   * @param {number} y - Tile Y coordinate
+   */
+  placeEntity(x, y) {
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager) return;
+
+    const placement =
+      this.tool === "building"
+        ? { type: "building", buildingType: this.buildingType }
+        : this.unitType === "villager"
+        ? { type: "villager" }
+        : { type: "unit", unitType: this.unitType };
+
+    entityManager.createScenarioEntities([
+      { ...placement, x: x, y: y, player: this.player },
+    ]);
+  }
+
+  /**
+   * Remove entities and resources on a tile
+   * @param {number} x - Tile X coordinate
+   * @param {number} y - Tile Y coordinate
+   */
+  eraseAt(x, y) {
+    const map = this.game.getSystem("map");
+    const entityManager = this.game.getSystem("entityManager");
+
+    if (map) map.removeResourceAt(x, y);
+
+    if (entityManager) {
+      for (const entity of entityManager.getEntitiesAt(x, y)) {
+        entityManager.removeEntity(entity.id);
+      }
+    }
+  }
+
+  /**
+   * Change a slot's civilization; its placed entities stay with the slot
+   * @param {Object} slot - Player slot
+   * @param {string} civilization - New civilization
+   */
+  setCivilization(slot, civilization) {
+    slot.civilization = civilization;
+    this.syncPlayers();
+
+    const entityManager = this.game.getSystem("entityManager");
+    if (entityManager) {
+      for (const entity of entityManager.getEntitiesByOwner(slot.id)) {
+        entity.civilization = civilization.toUpperCase();
+      }
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Add a player slot
+   */
+  addPlayer() {
+    if (this.players.length >= 4) return;
+
+    const used = this.players.map((slot) => slot.civilization);
+    const civilization =
+      Object.keys(CONFIG.CIVILIZATIONS)
+        .map((key) => key.toLowerCase())
+        .find((civ) => !used.includes(civ)) || "solari";
+
+    this.players.push({
+      id: this.players.length,
+      civilization: civilization,
+      team: null,
+      resources: { ...CONFIG.RESOURCES.STARTING },
+      age: 0,
+    });
+
+    this.syncPlayers();
+    this.refresh();
+  }
+
+  /**
+   * Remove the last player slot and its entities
+   */
+  removePlayer() {
+    if (this.players.length <= 2) return;
+
+    const slot = this.players.pop();
+    const entityManager = this.game.getSystem("entityManager");
+
+    if (entityManager) {
+      for (const entity of entityManager.getEntitiesByOwner(slot.id)) {
+        entityManager.removeEntity(entity.id);
+      }
+    }
+
+    if (this.player >= this.players.length) this.player = 0;
+
+    this.syncPlayers();
+    this.refresh();
+  }
+
+  /**
+   * Keep the engine's players in step with the editor slots
+   */
+  syncPlayers() {
+    this.game.players = this.players.map((slot, index) => ({
+      ...(this.game.players[index] || { isHuman: false, name: `AI ${index}` }),
+      id: slot.id,
+      civilization: slot.civilization,
+      team: slot.team,
+    }));
+  }
+
+  /**
+   * Replace the map with a blank or generated one
+   * @param {number} size - Map width and height
+   * @param {boolean} generate - Use the noise generator
+   */
+  newMap(size, generate) {
+    const map = this.game.getSystem("map");
+    if (!map) return;
+
+    if (generate) {
+      map.generate(size, { seed: Math.floor(Math.random() * 1000000) });
+    } else {
+      const tiles = [];
+      for (let y = 0; y < size; y++) {
+        tiles.push(new Array(size).fill({ type: "plains", elevation: 0 }));
+      }
+      map.load({ width: size, height: size, tiles: tiles, resources: [] });
+    }
+
+    this.clearEntities();
+    map.revealAll();
+
+    const renderer = this.game.getSystem("renderer");
+    if (renderer && renderer.centerCamera) renderer.centerCamera();
+  }
+
+  /**
+   * Remove every placed entity
+   */
+  clearEntities() {
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager) return;
+
+    for (const id of [...entityManager.entities.keys()]) {
+      entityManager.removeEntity(id);
+    }
+  }
+
+  /**
+   * Build the scenario document for the current map
+   * @returns {Object} Scenario data
+   */
+  createScenario() {
+    const map = this.game.getSystem("map");
+    const entityManager = this.game.getSystem("entityManager");
+
+    const entities = [];
+    for (const entity of entityManager.entities.values()) {
+      if (!entity.active) continue;
+
+      const slot = this.players.find((p) => p.id === entity.owner);
+      if (!slot) continue;
+
+      const placement = {
+        type: entity.type,
+        x: entity.x,
+        y: entity.y,
+        player: slot.id,
+      };
+      if (entity.type === "building") {
+        placement.buildingType = entity.buildingType;
+      } else if (entity.type !== "villager") {
+        placement.type = "unit";
+        placement.unitType = entity.unitType;
+      }
+
+      entities.push(placement);
+    }
+
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      name: this.scenarioName,
+      map: map.exportLayout(),
+      players: this.players.map((slot) => ({
+        id: slot.id,
+        civilization: slot.civilization,
+        team: slot.team,
+        resources: { ...slot.resources },
+        age: slot.age,
+      })),
+      entities: entities,
+      triggers: JSON.parse(JSON.stringify(this.triggers)),
+      objectives: JSON.parse(JSON.stringify(this.objectives)),
+    };
+  }
+
+  /**
+   * Load a scenario into the editor
+   * @param {Object} scenario - Scenario data
+   * @returns {boolean} True if loaded
+   */
+  load(scenario) {
+    if (!scenario || scenario.format !== this.FORMAT) {
+      Utils.error("Not an Empires of Eternity scenario file");
+      return false;
+    }
+
+    if (scenario.version > this.VERSION) {
+      Utils.error(
+        `Scenario version ${scenario.version} is newer than this game supports`
+      );
+      return false;
+    }
+
+    const map = this.game.getSystem("map");
+    const entityManager = this.game.getSystem("entityManager");
+    if (!map || !entityManager) return false;
+
+    this.scenarioName = scenario.name || "Untitled";
+    this.players = scenario.players.map((slot) => ({
+      id: slot.id,
+      civilization: slot.civilization,
+      team: slot.team !== undefined ? slot.team : null,
+      resources: { ...CONFIG.RESOURCES.STARTING, ...slot.resources },
+      age: slot.age || 0,
+    }));
+    this.triggers = JSON.parse(JSON.stringify(scenario.triggers || []));
+    this.objectives = JSON.parse(JSON.stringify(scenario.objectives || []));
+    this.player = 0;
+    this.syncPlayers();
+
+    map.load(scenario.map);
+    map.revealAll();
+
+    this.clearEntities();
+    entityManager.createScenarioEntities(scenario.entities || []);
+
+    this.refresh();
+
+    Utils.log(`Scenario "${this.scenarioName}" loaded`);
+    return true;
+  }
+
+  /**
+   * Download the scenario as a JSON file
+   */
+  exportToFile() {
+    const blob = new Blob([JSON.stringify(this.createScenario())], {
+      type: "application/json",
+    });
+
+    const filename = `${this.scenarioName
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")}.json`;
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Let the player pick a scenario file to edit
+   */
+  openFilePicker() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.onchange = () => {
+      if (input.files.length > 0) {
+        input.files[0].text().then((text) => {
+          try {
+            this.load(JSON.parse(text));
+          } catch (error) {
+            Utils.error(`Failed to open scenario: ${error.message}`);
+          }
+        });
+      }
+    };
+    input.click();
+  }
+
+  /**
+   * Start a match on the current map
+   */
+  playTest() {
+    MapEditor.saveSession(this.createScenario());
+
+    const human = this.players[0];
+    window.location.href = `game.html?civ=${human.civilization}&scenario=1`;
+  }
+
+  /**
+   * Shade elevation and outline the brush over the rendered map
+   * @param {Object} data - Render event data {renderer}
+   */
+  drawOverlay(data) {
+    const renderer = data.renderer;
+    const map = this.game.getSystem("map");
+    if (!renderer || !map || !renderer.ctx) return;
+
+    const ctx = renderer.ctx;
+    const tileSize = (CONFIG && CONFIG.MAP && CONFIG.MAP.TILE_SIZE) || 64;
+    const size = tileSize * renderer.camera.zoom;
+
+    // Elevation: lighter is higher, darker is lower
+    if (this.tool === "elevation") {
+      for (let y = 0; y < map.height; y++) {
+        for (let x = 0; x < map.width; x++) {
+          const elevation = map.tiles[y][x].elevation;
+          if (Math.abs(elevation) < 0.05) continue;
+
+          ctx.fillStyle =
+            elevation > 0
+              ? `rgba(255, 255, 255, ${elevation * 0.5})`
+              : `rgba(0, 0, 0, ${-elevation * 0.5})`;
+          ctx.fillRect(
+            renderer.worldToScreenX(x * tileSize),
+            renderer.worldToScreenY(y * tileSize),
+            size,
+            size
+          );
+        }
+      }
+    }
+
+    // Brush outline
+    if (this.hoverTile) {
+      const brush =
+        this.tool === "building" || this.tool === "unit" ? 1 : this.brushSize;
+      const radius = Math.floor(brush / 2);
+
+      ctx.strokeStyle = "#FFFFFF";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(
+        renderer.worldToScreenX((this.hoverTile.x - radius) * tileSize),
+        renderer.worldToScreenY((this.hoverTile.y - radius) * tileSize),
+        size * brush,
+        size * brush
+      );
+    }
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MapEditor;
+} else {
+  window.MapEditor = MapEditor;
+}
@@ -19,6 +19,55 @@ class Map {
     // Pathfinding grid
     this.pathfindingGrid = null;
 
+    // Clustered path caches, rebuilt piece by piece as the map changes
+    this.pathCache = null;
+    this.navalPathCache = null; // Same graph over water, for ships
+
+    // Bumped whenever passability changes so moving units can check their paths
+    this.pathVersion = 0;
+
+    // Tiles blocked by walls and closed gates, as a count by "x,y"
+    this.blocked = {};
+
+    // True in winter, when water is walked over instead of sailed
+    this.frozen = false;
+
+    // Flow fields shared by group moves, keyed by target tile
+    this.flowFields = {};
+    this.flowFieldOrder = [];
+    this.maxFlowFields = 16;
+
+    // Pathfinding stats (same fields as PathfindingSystem.getStats)
+    this.pathStats = {
+      pathsCalculated: 0,
+      pathTime: 0,
+      flowFieldsCalculated: 0,
+      flowFieldTime: 0,
+      flowFieldHits: 0,
+    };
+
+    // Seed the current map was generated from
+    this.seed = null;
+
+    // Movement and building rules for each terrain type
+    // (navalPassable: ships can sail it)
+    // Sight rules (elevation, blocksSight, sightBonus) match TerrainSystem's
+    this.terrainTypes = {
+      plains: { passable: true, buildable: true },
+      forest: { passable: true, buildable: false, blocksSight: true },
+      desert: { passable: true, buildable: true },
+      hills: { passable: true, buildable: true, elevation: 1, sightBonus: 2 },
+      mountains: {
+        passable: false,
+        buildable: false,
+        elevation: 3,
+        sightBonus: 4,
+      },
+      road: { passable: true, buildable: false },
+      shallowWater: { passable: true, buildable: false, navalPassable: true },
+      water: { passable: false, buildable: false, navalPassable: true },
+    };
+
     // Make sure Utils is available
     if (!window.Utils) {
       window.Utils = {
@@ -46,6 +95,7 @@ class Map {
     // Set map dimensions
     this.width = size;
     this.height = size;
+    this.frozen = false;
 
     // Default options
     const defaults = {
@@ -56,11 +106,18 @@ class Map {
           window.CONFIG.MAP.RESOURCE_DENSITY) ||
         0.12, // % of map with resources
       symmetric: true, // Mirror the map for balanced gameplay
+      naval: false, // Lakes and seas, for ships (dry land otherwise)
+      waterLevel:
+        (window.CONFIG &&
+          window.CONFIG.MAP &&
+          window.CONFIG.MAP.WATER_LEVEL) ||
+        -0.45, // Elevation below which tiles are water on naval maps
       seed: Math.floor(Math.random() * 1000000), // Random seed for generation
     };
 
     // Merge options with defaults
     const settings = { ...defaults, ...options };
+    this.seed = settings.seed;
 
     Utils.log(`Generating ${size}x${size} map with seed ${settings.seed}`);
 
@@ -169,7 +226,11 @@ class Map {
         // Convert noise values to terrain types
         let terrainType;
 
-        if (elevation > 0.6) {
+        if (settings.naval && elevation < settings.waterLevel) {
+          terrainType = "water"; // Low elevation = lakes and seas
+        } else if (settings.naval && elevation < settings.waterLevel + 0.1) {
+          terrainType = "shallowWater"; // Shoreline shallows
+        } else if (elevation > 0.6) {
           terrainType = "mountains"; // High elevation = mountains
         } else if (elevation > 0.4) {
           terrainType = "hills"; // Medium-high elevation = hills
@@ -182,12 +243,14 @@ class Map {
         }
 
         // Create tile
+        const rules = this.terrainTypes[terrainType];
         this.tiles[y][x] = {
           type: terrainType,
           elevation: elevation,
           moisture: moisture,
-          passable: terrainType !== "mountains", // Mountains are impassable
-          buildable: terrainType !== "mountains" && terrainType !== "forest", // Can't build on mountains or forests
+          passable: rules.passable, // Mountains and deep water are impassable
+          buildable: rules.buildable, // Can't build on mountains, forests or water
+          navalPassable: !!rules.navalPassable,
         };
       }
     }
@@ -239,20 +302,18 @@ class Map {
               moisture: 0,
               passable: true,
               buildable: true,
+              navalPassable: false,
             };
           }
-          // Outer ring - no mountains
+          // Outer ring - no mountains (shorelines are kept for docks)
           else {
             if (this.tiles[y][x].type === "mountains") {
               this.tiles[y][x].type = "hills";
               this.tiles[y][x].passable = true;
             }
 
-            if (this.tiles[y][x].type === "forest") {
-              this.tiles[y][x].buildable = false;
-            } else {
-              this.tiles[y][x].buildable = true;
-            }
+            this.tiles[y][x].buildable =
+              this.terrainTypes[this.tiles[y][x].type].buildable;
           }
         }
       }
@@ -286,6 +347,11 @@ class Map {
       iron: 0.1, // 10% iron deposits
     };
 
+    // Fishing spots on top, on maps with water
+    if (settings.naval) {
+      distribution.fish = 0.05;
+    }
+
     // Function to check if position is suitable for resource
     const isValidPosition = (x, y, resourceType) => {
       // Check bounds
@@ -312,6 +378,8 @@ class Map {
           return tile.type === "hills" || tile.type === "mountains";
         case "iron":
           return tile.type === "hills" || tile.type === "mountains";
+        case "fish":
+          return tile.navalPassable;
         default:
           return false;
       }
@@ -377,27 +445,20 @@ class Map {
               case "iron":
                 amount = depletionConfig.iron_deposit || 800;
                 break;
+              case "fish":
+                amount = depletionConfig.fish || 250;
+                break;
             }
 
             // Add some variation to resource amount
             amount = Math.round((amount * Utils.randomInt(80, 120)) / 100);
 
             // Create resource node
-            this.resources.push({
-              type: "resource",
-              resourceType: resourceType,
-              x: x,
-              y: y,
-              amount: amount,
-              originalAmount: amount,
-            });
+            this.addResource(x, y, resourceType, amount);
 
             // Mark position as used
             usedPositions.add(`${x},${y}`);
 
-            // Update tile buildability
-            this.tiles[y][x].buildable = false;
-
             // Count resource
             placedCount++;
           }
@@ -422,7 +483,8 @@ class Map {
           case "gold":
           case "stone":
           case "iron":
-            clusterSize = 3; // Smaller clusters for minerals
+          case "fish":
+            clusterSize = 3; // Smaller clusters for minerals and fish
             break;
           default:
             clusterSize = 1;
@@ -459,6 +521,16 @@ class Map {
 
       // Store grid for pathfinding
       this.pathfindingGrid = grid;
+      this.clearFlowFields();
+
+      // Fresh tiles; walls and gates block them again as they are placed
+      this.blocked = {};
+
+      if (typeof HierarchicalPathCache === "function") {
+        this.pathCache = new HierarchicalPathCache(this);
+        this.navalPathCache = new HierarchicalPathCache(this, 10, true);
+      }
+      this.pathVersion++;
 
       Utils.log("Pathfinding grid initialized");
     } catch (error) {
@@ -478,9 +550,10 @@ class Map {
    * @param {number} startY - Starting Y coordinate
    * @param {number} endX - Ending X coordinate
    * @param {number} endY - Ending Y coordinate
+   * @param {boolean} naval - True to path a ship over water
    * @returns {Array|null} Array of path coordinates or null if no path found
    */
-  findPath(startX, startY, endX, endY) {
+  findPath(startX, startY, endX, endY, naval = false) {
     // Boundary checks
     if (
       startX < 0 ||
@@ -496,9 +569,9 @@ class Map {
     }
 
     // Check if destination is passable
-    if (!this.tiles[endY][endX].passable) {
+    if (!this.isPassable(endX, endY, naval)) {
       // Find nearest passable tile
-      const nearest = this.findNearestPassableTile(endX, endY);
+      const nearest = this.findNearestPassableTile(endX, endY, 5, naval);
       if (nearest) {
         endX = nearest.x;
         endY = nearest.y;
@@ -507,6 +580,16 @@ class Map {
       }
     }
 
+    const startTime = performance.now();
+
+    // Long paths go through the clustered cache
+    const pathCache = naval ? this.navalPathCache : this.pathCache;
+    if (pathCache) {
+      const path = pathCache.findPath(startX, startY, endX, endY);
+      this.recordPathTime(startTime);
+      return path;
+    }
+
     try {
       // A* pathfinding
       const openSet = [];
@@ -536,6 +619,7 @@ class Map {
 
         // Check if we've reached the goal
         if (current.x === endX && current.y === endY) {
+          this.recordPathTime(startTime);
           return this.reconstructPath(cameFrom, endX, endY);
         }
 
@@ -543,7 +627,7 @@ class Map {
         closedSet.add(currentKey);
 
         // Check neighbors
-        const neighbors = this.getNeighbors(current.x, current.y);
+        const neighbors = this.getNeighbors(current.x, current.y, naval);
 
         for (const neighbor of neighbors) {
           const neighborKey = `${neighbor.x},${neighbor.y}`;
@@ -587,16 +671,98 @@ class Map {
     }
 
     // No path found
+    this.recordPathTime(startTime);
     return null;
   }
 
+  /**
+   * Count an A* search in the pathfinding stats
+   * @param {number} startTime - performance.now() when the search started
+   */
+  recordPathTime(startTime) {
+    this.pathStats.pathsCalculated++;
+    this.pathStats.pathTime += performance.now() - startTime;
+  }
+
+  /**
+   * Get the flow field towards a tile, building it if needed. Every unit
+   * moving to the same tile shares one field.
+   * @param {number} targetX - Target tile X
+   * @param {number} targetY - Target tile Y
+   * @param {boolean} naval - True for a field over water, for ships
+   * @returns {FlowField|null} Flow field, or null if the target can't be reached
+   */
+  getFlowField(targetX, targetY, naval = false) {
+    if (typeof FlowField !== "function" || !this.isInBounds(targetX, targetY)) {
+      return null;
+    }
+
+    // Aim for the nearest open tile, as findPath does
+    if (!this.isPassable(targetX, targetY, naval)) {
+      const nearest = this.findNearestPassableTile(targetX, targetY, 5, naval);
+      if (!nearest) return null;
+
+      targetX = nearest.x;
+      targetY = nearest.y;
+    }
+
+    const key = `${naval ? "naval:" : ""}${targetX},${targetY}`;
+    if (this.flowFields[key]) {
+      this.pathStats.flowFieldHits++;
+      return this.flowFields[key];
+    }
+
+    const startTime = performance.now();
+    const field = new FlowField(this, targetX, targetY, naval);
+    this.pathStats.flowFieldsCalculated++;
+    this.pathStats.flowFieldTime += performance.now() - startTime;
+
+    // Keep only the most recent destinations
+    this.flowFields[key] = field;
+    this.flowFieldOrder.push(key);
+    if (this.flowFieldOrder.length > this.maxFlowFields) {
+      delete this.flowFields[this.flowFieldOrder.shift()];
+    }
+
+    return field;
+  }
+
+  /**
+   * Forget cached flow fields (after the terrain changes)
+   */
+  clearFlowFields() {
+    this.flowFields = {};
+    this.flowFieldOrder = [];
+  }
+
+  /**
+   * Get pathfinding statistics
+   * @returns {Object} Pathfinding stats
+   */
+  getPathStats() {
+    const stats = this.pathStats;
+    return {
+      totalPathsCalculated: stats.pathsCalculated,
+      averagePathTime:
+        stats.pathsCalculated > 0 ? stats.pathTime / stats.pathsCalculated : 0,
+      flowFieldsCalculated: stats.flowFieldsCalculated,
+      averageFlowFieldTime:
+        stats.flowFieldsCalculated > 0
+          ? stats.flowFieldTime / stats.flowFieldsCalculated
+          : 0,
+      flowFieldHits: stats.flowFieldHits,
+      activeFlowFields: this.flowFieldOrder.length,
+    };
+  }
+
   /**
    * Get valid neighbors for a tile
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
+   * @param {boolean} naval - True for a ship's neighbours (water tiles)
    * @returns {Array} Array of valid neighbor coordinates
    */
-  getNeighbors(x, y) {
+  getNeighbors(x, y, naval = false) {
     const neighbors = [];
     const directions = [
       { x: 0, y: -1 }, // North
@@ -613,13 +779,8 @@ class Map {
       const nx = x + dir.x;
       const ny = y + dir.y;
 
-      // Check bounds
-      if (nx < 0 || ny < 0 || nx >= this.width || ny >= this.height) {
-        continue;
-      }
-
-      // Check if passable
-      if (this.tiles[ny][nx].passable) {
+      // Check bounds and passability
+      if (this.isPassable(nx, ny, naval)) {
         neighbors.push({ x: nx, y: ny });
       }
     }
@@ -666,9 +827,10 @@ class Map {
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
    * @param {number} maxDistance - Maximum search distance
+   * @param {boolean} naval - True to look for water a ship can reach
    * @returns {Object|null} Nearest passable tile or null if none found
    */
-  findNearestPassableTile(x, y, maxDistance = 5) {
+  findNearestPassableTile(x, y, maxDistance = 5, naval = false) {
     // BFS search for nearest passable tile
     const queue = [{ x, y, distance: 0 }];
     const visited = new Set();
@@ -685,13 +847,7 @@ class Map {
       visited.add(key);
 
       // Check if passable
-      if (
-        current.x >= 0 &&
-        current.y >= 0 &&
-        current.x < this.width &&
-        current.y < this.height &&
-        this.tiles[current.y][current.x].passable
-      ) {
+      if (this.isPassable(current.x, current.y, naval)) {
         return { x: current.x, y: current.y };
       }
 
@@ -738,6 +894,345 @@ class Map {
     return this.tiles[y][x];
   }
 
+  /**
+   * Check whether a tile can be crossed by land units, or by ships
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {boolean} naval - True to check for ships
+   * @returns {boolean} True if passable
+   */
+  isPassable(x, y, naval = false) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return false;
+
+    const tile = this.tiles[y][x];
+    return naval ? tile.navalPassable : tile.passable;
+  }
+
+  /**
+   * Check if a position is on the map
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if in bounds
+   */
+  isInBounds(x, y) {
+    return x >= 0 && y >= 0 && x < this.width && y < this.height;
+  }
+
+  /**
+   * Get the terrain type at a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {string|null} Terrain type or null if out of bounds
+   */
+  getTerrainType(x, y) {
+    const tile = this.getTile(x, y);
+    return tile ? tile.type : null;
+  }
+
+  /**
+   * Change the terrain type at a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {string} terrainType - New terrain type
+   * @returns {boolean} True if the terrain was changed
+   */
+  setTerrainType(x, y, terrainType) {
+    const rules = this.getTerrainRules(terrainType);
+    if (!rules || !this.isInBounds(x, y)) return false;
+
+    const tile = this.tiles[y][x];
+    tile.type = terrainType;
+    tile.passable = rules.passable && !this.blocked[`${x},${y}`];
+    tile.navalPassable = !!rules.navalPassable && !this.blocked[`${x},${y}`];
+    tile.buildable = rules.buildable && !this.getResourceAt(x, y);
+
+    this.invalidatePaths(x, y, 1, 1);
+
+    return true;
+  }
+
+  /**
+   * Block or unblock tiles for movement (walls and closed gates)
+   * @param {number} x - Area X
+   * @param {number} y - Area Y
+   * @param {number} width - Area width
+   * @param {number} height - Area height
+   * @param {boolean} blocked - True to block, false to release
+   */
+  setBlocked(x, y, width, height, blocked) {
+    for (let ty = y; ty < y + height; ty++) {
+      for (let tx = x; tx < x + width; tx++) {
+        if (!this.isInBounds(tx, ty)) continue;
+
+        // Overlapping blockers are counted so releasing one keeps the other
+        const key = `${tx},${ty}`;
+        const count = (this.blocked[key] || 0) + (blocked ? 1 : -1);
+        if (count > 0) {
+          this.blocked[key] = count;
+        } else {
+          delete this.blocked[key];
+        }
+
+        const tile = this.tiles[ty][tx];
+        const rules = this.getTerrainRules(tile.type);
+        tile.passable = (rules ? rules.passable : tile.passable) && count <= 0;
+        tile.navalPassable =
+          (rules ? !!rules.navalPassable : tile.navalPassable) && count <= 0;
+      }
+    }
+
+    this.invalidatePaths(x, y, width, height);
+  }
+
+  /**
+   * Get the movement and building rules for a terrain type, with water
+   * iced over while the map is frozen
+   * @param {string} terrainType - Terrain type
+   * @returns {Object|undefined} Rules
+   */
+  getTerrainRules(terrainType) {
+    const rules = this.terrainTypes[terrainType];
+    if (this.frozen && rules && rules.navalPassable) {
+      return { ...rules, passable: true, navalPassable: false };
+    }
+    return rules;
+  }
+
+  /**
+   * Check whether a tile is frozen water
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if iced over
+   */
+  isFrozen(x, y) {
+    const rules = this.terrainTypes[this.getTerrainType(x, y)];
+    return this.frozen && !!(rules && rules.navalPassable);
+  }
+
+  /**
+   * Freeze or thaw all water, rebuilding paths across it. Paths are only
+   * rebuilt around the water that changed, one map block at a time.
+   * @param {boolean} frozen - True to freeze
+   * @returns {number} Number of water tiles changed
+   */
+  setFrozen(frozen) {
+    if (this.frozen === frozen) return 0;
+    this.frozen = frozen;
+
+    // Bounds of the changed tiles in each block, by "blockX,blockY"
+    const blockSize = this.pathCache ? this.pathCache.clusterSize : 16;
+    const areas = {};
+
+    let changed = 0;
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const tile = this.tiles[y][x];
+        const water = this.terrainTypes[tile.type];
+        if (!water || !water.navalPassable) continue;
+
+        const rules = this.getTerrainRules(tile.type);
+        const blocked = !!this.blocked[`${x},${y}`];
+        const passable = rules.passable && !blocked;
+        const navalPassable = !!rules.navalPassable && !blocked;
+        if (
+          tile.passable === passable &&
+          tile.navalPassable === navalPassable
+        ) {
+          continue;
+        }
+
+        tile.passable = passable;
+        tile.navalPassable = navalPassable;
+        changed++;
+
+        const key = `${Math.floor(x / blockSize)},${Math.floor(y / blockSize)}`;
+        const area = areas[key];
+        if (area) {
+          area.left = Math.min(area.left, x);
+          area.right = Math.max(area.right, x);
+          area.bottom = y;
+        } else {
+          areas[key] = { left: x, top: y, right: x, bottom: y };
+        }
+      }
+    }
+
+    for (const area of Object.values(areas)) {
+      this.invalidatePaths(
+        area.left,
+        area.top,
+        area.right - area.left + 1,
+        area.bottom - area.top + 1
+      );
+    }
+    return changed;
+  }
+
+  /**
+   * Refresh pathfinding after tiles in an area changed passability. Only
+   * the path clusters around the area are rebuilt.
+   * @param {number} x - Area X
+   * @param {number} y - Area Y
+   * @param {number} width - Area width
+   * @param {number} height - Area height
+   */
+  invalidatePaths(x, y, width, height) {
+    if (this.pathfindingGrid) {
+      for (let ty = y; ty < y + height; ty++) {
+        for (let tx = x; tx < x + width; tx++) {
+          if (this.isInBounds(tx, ty)) {
+            this.pathfindingGrid[ty][tx] = this.tiles[ty][tx].passable ? 0 : 1;
+          }
+        }
+      }
+    }
+
+    this.clearFlowFields();
+    if (this.pathCache) {
+      this.pathCache.invalidateArea(x, y, width, height);
+    }
+    if (this.navalPathCache) {
+      this.navalPathCache.invalidateArea(x, y, width, height);
+    }
+    this.pathVersion++;
+  }
+
+  /**
+   * Set the elevation at a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} elevation - Elevation (-1 to 1)
+   * @returns {boolean} True if the elevation was changed
+   */
+  setElevation(x, y, elevation) {
+    if (!this.isInBounds(x, y)) return false;
+
+    this.tiles[y][x].elevation = Utils.clamp(elevation, -1, 1);
+    return true;
+  }
+
+  /**
+   * Place a resource node, replacing any already on the tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {string} resourceType - Resource type
+   * @param {number} amount - Resource amount
+   * @returns {Object|null} Resource node, or null if out of bounds
+   */
+  addResource(x, y, resourceType, amount) {
+    if (!this.isInBounds(x, y)) return null;
+
+    this.removeResourceAt(x, y);
+
+    // Nodes stand in for entities in gather orders, so they carry an ID
+    // (one node per tile) and go inactive once depleted
+    const resource = {
+      id: `resource_${x}_${y}`,
+      type: "resource",
+      active: true,
+      resourceType: resourceType,
+      x: x,
+      y: y,
+      amount: amount,
+      originalAmount: amount,
+    };
+    this.resources.push(resource);
+    this.tiles[y][x].buildable = false;
+
+    return resource;
+  }
+
+  /**
+   * Remove the resource node on a tile
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if a resource was removed
+   */
+  removeResourceAt(x, y) {
+    const index = this.resources.findIndex((r) => r.x === x && r.y === y);
+    if (index === -1) return false;
+
+    this.resources.splice(index, 1);
+
+    const rules = this.terrainTypes[this.tiles[y][x].type];
+    this.tiles[y][x].buildable = rules ? rules.buildable : true;
+    return true;
+  }
+
+  /**
+   * Mark every tile as visible (used by the map editor)
+   */
+  revealAll() {
+    for (let y = 0; y < this.height; y++) {
+      this.fogOfWar[y].fill(2);
+    }
+  }
+
+  /**
+   * Load a hand-made map instead of generating one
+   * @param {Object} data - Map data {width, height, tiles, resources}
+   */
+  load(data) {
+    this.width = data.width;
+    this.height = data.height;
+    this.seed = null;
+    this.frozen = false;
+
+    // Tiles only need a type and elevation; rules come from the terrain type
+    this.tiles = data.tiles.map((row) =>
+      row.map((tile) => {
+        const rules = this.terrainTypes[tile.type] || this.terrainTypes.plains;
+        return {
+          type: this.terrainTypes[tile.type] ? tile.type : "plains",
+          elevation: tile.elevation || 0,
+          moisture: tile.moisture || 0,
+          passable: rules.passable,
+          buildable: rules.buildable,
+          navalPassable: !!rules.navalPassable,
+        };
+      })
+    );
+    this.fogOfWar = this.tiles.map((row) => new Array(row.length).fill(0));
+
+    this.resources = [];
+    for (const resource of data.resources || []) {
+      this.addResource(
+        resource.x,
+        resource.y,
+        resource.resourceType,
+        resource.amount
+      );
+    }
+
+    this.initPathfinding();
+
+    Utils.log(`Map loaded (${this.width}x${this.height})`);
+    return this;
+  }
+
+  /**
+   * Get the map layout for export, without fog or depletion state
+   * @returns {Object} Map data {width, height, tiles, resources}
+   */
+  exportLayout() {
+    return {
+      width: this.width,
+      height: this.height,
+      tiles: this.tiles.map((row) =>
+        row.map((tile) => ({
+          type: tile.type,
+          elevation: Math.round(tile.elevation * 100) / 100,
+        }))
+      ),
+      resources: this.resources.map((resource) => ({
+        resourceType: resource.resourceType,
+        x: resource.x,
+        y: resource.y,
+        amount: resource.originalAmount,
+      })),
+    };
+  }
+
   /**
    * Update the visibility of the map for a civilization
    * @param {string} civilization - Civilization key
@@ -853,6 +1348,47 @@ class Map {
     return true;
   }
 
+  /**
+   * Check whether a dock fits on a shoreline: every tile must be open land
+   * or water, with some of each, so both villagers and ships can reach it
+   * @param {number} x - Dock X
+   * @param {number} y - Dock Y
+   * @param {number} width - Dock width
+   * @param {number} height - Dock height
+   * @returns {boolean} True if placement is valid
+   */
+  isShoreline(x, y, width, height) {
+    let land = 0;
+    let water = 0;
+
+    for (let ty = y; ty < y + height; ty++) {
+      for (let tx = x; tx < x + width; tx++) {
+        if (!this.isInBounds(tx, ty) || this.getResourceAt(tx, ty)) {
+          return false;
+        }
+
+        const tile = this.tiles[ty][tx];
+        if (tile.navalPassable) {
+          water++;
+        } else if (tile.buildable) {
+          land++;
+        } else {
+          return false;
+        }
+      }
+    }
+
+    return land > 0 && water > 0;
+  }
+
+  /**
+   * Check whether the map has any water ships can sail
+   * @returns {boolean} True if there is water
+   */
+  hasWater() {
+    return this.tiles.some((row) => row.some((tile) => tile.navalPassable));
+  }
+
   /**
    * Get resource at a specific position
    * @param {number} x - X coordinate
@@ -863,6 +1399,15 @@ class Map {
     return this.resources.find((r) => r.x === x && r.y === y) || null;
   }
 
+  /**
+   * Get a resource node by ID
+   * @param {string} id - Resource ID
+   * @returns {Object|null} Resource or null if none found
+   */
+  getResourceById(id) {
+    return this.resources.find((r) => r.id === id) || null;
+  }
+
   /**
    * Get resources of a specific type
    * @param {string} resourceType - Type of resource
@@ -896,11 +1441,24 @@ class Map {
     if (resource.amount <= 0) {
       // Mark the resource as depleted
       resource.depleted = true;
+      resource.active = false;
 
-      // Make the tile buildable again
-      this.tiles[y][x].buildable = true;
+      // A logged-out forest tile is cleared ground
+      if (
+        resource.resourceType === "wood" &&
+        this.getTerrainType(x, y) === "forest"
+      ) {
+        this.setTerrainType(x, y, "plains");
+      }
+
+      // Make the tile buildable again (unless it's water)
+      const rules = this.terrainTypes[this.tiles[y][x].type];
+      this.tiles[y][x].buildable = rules ? rules.buildable : true;
 
       Utils.log(`Resource at (${x}, ${y}) depleted`);
+
+      // The AI drops it from the resources it knows about
+      this.game.events.emit("resourceDepleted", resource);
     }
 
     return actualGather;
@@ -916,7 +1474,7 @@ class Map {
       for (const resource of this.resources) {
         if (resource.resourceType === "wood" && resource.depleted) {
           // Random chance to regrow
-          if (Math.random() < 0.0001 * deltaTime) {
+          if (this.game.random.next() < 0.0001 * deltaTime) {
             resource.amount = Math.floor(resource.originalAmount * 0.5);
             resource.depleted = false;
 
@@ -933,6 +1491,56 @@ class Map {
     }
   }
 
+  /**
+   * Get serializable data for the map
+   * @returns {Object} Serialized map data
+   */
+  serialize() {
+    return {
+      width: this.width,
+      height: this.height,
+      seed: this.seed,
+      frozen: this.frozen,
+      tiles: this.tiles.map((row) => row.map((tile) => ({ ...tile }))),
+      fogOfWar: this.fogOfWar.map((row) => row.slice()),
+      resources: this.resources.map((resource) => ({ ...resource })),
+    };
+  }
+
+  /**
+   * Restore the map from serialized data
+   * @param {Object} data - Serialized map data
+   */
+  deserialize(data) {
+    this.width = data.width;
+    this.height = data.height;
+    this.seed = data.seed !== undefined ? data.seed : null;
+    this.tiles = data.tiles.map((row) => row.map((tile) => ({ ...tile })));
+    this.fogOfWar = data.fogOfWar
+      ? data.fogOfWar.map((row) => row.slice())
+      : this.tiles.map((row) => new Array(row.length).fill(0));
+    this.resources = (data.resources || []).map((resource) => ({
+      ...resource,
+    }));
+
+    // Walls and gates block their tiles again as the entities are restored
+    this.frozen = !!data.frozen;
+    for (const row of this.tiles) {
+      for (const tile of row) {
+        const rules = this.getTerrainRules(tile.type);
+        if (rules) {
+          tile.passable = rules.passable;
+          tile.navalPassable = !!rules.navalPassable;
+        }
+      }
+    }
+
+    // Pathfinding grid is derived from tiles, so rebuild it
+    this.initPathfinding();
+
+    Utils.log(`Map restored (${this.width}x${this.height})`);
+  }
+
   /**
    * Create a simplex noise function
    * @param {number} seed - Seed for noise generation
@@ -0,0 +1,371 @@
+/**
+ * Empires of Eternity - Market System
+ * Shared resource market with prices that move with supply and demand,
+ * and trade caravans that earn gold travelling between markets
+ */
+
+class MarketSystem {
+  /**
+   * Create a new market system
+   * @param {Game} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Resources that can be bought and sold for gold
+    this.tradeableResources = ["food", "wood", "stone", "iron"];
+
+    // Price in gold per 100 units
+    this.basePrice = 100;
+    this.minPrice = 20;
+    this.maxPrice = 500;
+    this.prices = {};
+
+    // Price change per 100 units traded
+    this.priceStep = 3;
+
+    // Share of each trade kept by the market
+    this.commission = 0.15;
+
+    // How fast prices recover towards the base price (fraction per second)
+    this.priceRecovery = 0.002;
+
+    // Trade caravans
+    this.caravanCost = { wood: 100, gold: 50 };
+    this.caravanTrainTime = 30000; // ms
+    this.caravanGoldPerTile = 0.5;
+    this.caravanArrivalDistance = 2; // tiles
+
+    // Trade routes by caravan ID {homeId, destinationId, heading}
+    this.caravans = {};
+
+    // Caravans are managed a few times per second, not every tick
+    this.caravanUpdateInterval = 500;
+    this.caravanUpdateTimer = 0;
+
+    Utils.log("MarketSystem created");
+  }
+
+  /**
+   * Initialize the market system
+   */
+  init() {
+    this.prices = {};
+    for (const resource of this.tradeableResources) {
+      this.prices[resource] = this.basePrice;
+    }
+    this.caravans = {};
+
+    Utils.log("MarketSystem initialized");
+    return this;
+  }
+
+  /**
+   * Update prices and caravans
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    // Prices drift back towards normal when nobody trades
+    const recovery = Math.min(1, this.priceRecovery * (deltaTime / 1000));
+    for (const resource of this.tradeableResources) {
+      this.prices[resource] += (this.basePrice - this.prices[resource]) * recovery;
+    }
+
+    this.caravanUpdateTimer += deltaTime;
+    if (this.caravanUpdateTimer >= this.caravanUpdateInterval) {
+      this.caravanUpdateTimer = 0;
+      this.updateCaravans();
+    }
+  }
+
+  /**
+   * Get the price to buy 100 units of a resource
+   * @param {string} resource - Resource type
+   * @returns {number} Gold cost
+   */
+  getBuyPrice(resource) {
+    return Math.round(this.prices[resource] * (1 + this.commission));
+  }
+
+  /**
+   * Get the gold received for selling 100 units of a resource
+   * @param {string} resource - Resource type
+   * @returns {number} Gold received
+   */
+  getSellPrice(resource) {
+    return Math.round(this.prices[resource] * (1 - this.commission));
+  }
+
+  /**
+   * Move a price after a trade
+   * @param {string} resource - Resource type
+   * @param {number} amount - Units traded
+   * @param {number} direction - 1 for bought, -1 for sold
+   */
+  adjustPrice(resource, amount, direction) {
+    const change = this.priceStep * (amount / 100) * direction;
+    this.prices[resource] = Utils.clamp(
+      this.prices[resource] + change,
+      this.minPrice,
+      this.maxPrice
+    );
+  }
+
+  /**
+   * Get a player's finished markets
+   * @param {number|string} playerId - Player ID or owner key
+   * @returns {Array} Market buildings
+   */
+  getMarkets(playerId) {
+    const entityManager = this.game.getSystem("entityManager");
+    const owner = this.game.getOwnerKey(playerId);
+    if (!entityManager || owner === null) return [];
+
+    return entityManager
+      .getEntitiesByOwner(owner)
+      .filter(
+        (e) =>
+          e.active &&
+          e.constructed !== false &&
+          (e.buildingType === "market" || e.buildingType === "trade_post")
+      );
+  }
+
+  /**
+   * Exchange one resource for another at market prices
+   * @param {number|string} playerId - Trading player
+   * @param {string} sellResource - Resource given (or "gold")
+   * @param {string} buyResource - Resource received (or "gold")
+   * @param {number} amount - Units of sellResource to give
+   * @returns {number} Units of buyResource received (0 if the trade failed)
+   */
+  trade(playerId, sellResource, buyResource, amount) {
+    // Whole, positive amounts only
+    if (
+      sellResource === buyResource ||
+      !Number.isInteger(amount) ||
+      amount <= 0
+    ) {
+      return 0;
+    }
+
+    const isTradeable = (resource) =>
+      resource === "gold" || this.tradeableResources.includes(resource);
+    if (!isTradeable(sellResource) || !isTradeable(buyResource)) return 0;
+
+    if (this.getMarkets(playerId).length === 0) {
+      Utils.log("A market is required to trade", "warning");
+      return 0;
+    }
+
+    const resourceManager = this.game.getSystem("resourceManager");
+    const owner = this.game.getOwnerKey(playerId);
+    if (!resourceManager || owner === null) return 0;
+
+    if (!resourceManager.deductResources({ [sellResource]: amount }, owner)) {
+      return 0;
+    }
+
+    // Sell for gold first, then spend the gold
+    let gold = amount;
+    if (sellResource !== "gold") {
+      gold = (this.getSellPrice(sellResource) * amount) / 100;
+      this.adjustPrice(sellResource, amount, -1);
+    }
+
+    let received = gold;
+    if (buyResource !== "gold") {
+      received = (gold / this.getBuyPrice(buyResource)) * 100;
+      this.adjustPrice(buyResource, received, 1);
+    }
+
+    received = Math.floor(received);
+    resourceManager.addResources({ [buyResource]: received }, owner);
+
+    this.game.emit("marketTrade", {
+      playerId: playerId,
+      sold: { [sellResource]: amount },
+      bought: { [buyResource]: received },
+    });
+
+    return received;
+  }
+
+  /**
+   * Start training a trade caravan at a market
+   * @param {Building} market - Market building
+   * @returns {boolean} True if queued
+   */
+  trainCaravan(market) {
+    if (!market || !market.active || !market.productionQueue) return false;
+
+    return market.queueProduction({
+      type: "caravan",
+      category: "unit",
+      unitType: "caravan",
+      cost: { ...this.caravanCost },
+      time: this.caravanTrainTime,
+    });
+  }
+
+  /**
+   * Pick the markets a caravan trades between: its nearest own market and
+   * the furthest own or allied market from there
+   * @param {Unit} caravan - Caravan unit
+   * @returns {Object|null} Route {homeId, destinationId}
+   */
+  findRoute(caravan) {
+    const diplomacy = this.game.getSystem("diplomacy");
+    const ownMarkets = this.getMarkets(caravan.owner);
+    if (ownMarkets.length === 0) return null;
+
+    const home = ownMarkets.reduce((nearest, market) =>
+      Utils.distance(caravan.x, caravan.y, market.x, market.y) <
+      Utils.distance(caravan.x, caravan.y, nearest.x, nearest.y)
+        ? market
+        : nearest
+    );
+
+    let partners = ownMarkets;
+    if (diplomacy) {
+      const playerId = this.game.getPlayerId(caravan.owner);
+      for (const allyId of diplomacy.getAllies(playerId)) {
+        partners = partners.concat(this.getMarkets(allyId));
+      }
+    }
+
+    let destination = null;
+    let furthest = 0;
+    for (const market of partners) {
+      const distance = Utils.distance(home.x, home.y, market.x, market.y);
+      if (market !== home && distance > furthest) {
+        destination = market;
+        furthest = distance;
+      }
+    }
+
+    return destination
+      ? { homeId: home.id, destinationId: destination.id }
+      : null;
+  }
+
+  /**
+   * Send caravans back and forth and pay out gold on arrival
+   */
+  updateCaravans() {
+    const entityManager = this.game.getSystem("entityManager");
+    const resourceManager = this.game.getSystem("resourceManager");
+    if (!entityManager || !resourceManager) return;
+
+    const caravans = entityManager
+      .getEntitiesByType("unit")
+      .filter((unit) => unit.active && unit.unitType === "caravan");
+
+    const seen = new Set();
+
+    for (const caravan of caravans) {
+      seen.add(caravan.id);
+
+      let route = this.caravans[caravan.id];
+      const home = route && entityManager.getEntityById(route.homeId);
+      const destination =
+        route && entityManager.getEntityById(route.destinationId);
+
+      // New caravans, or routes broken by a lost market or alliance
+      if (
+        !route ||
+        !home ||
+        !home.active ||
+        !destination ||
+        !destination.active ||
+        !this.isTradePartner(caravan.owner, destination.owner)
+      ) {
+        const newRoute = this.findRoute(caravan);
+        if (!newRoute) {
+          delete this.caravans[caravan.id];
+          continue;
+        }
+
+        route = this.caravans[caravan.id] = {
+          ...newRoute,
+          heading: "destination",
+        };
+        caravan.counterAttack = false;
+        const target = entityManager.getEntityById(route.destinationId);
+        caravan.moveTo(target.x, target.y);
+        continue;
+      }
+
+      const target = route.heading === "destination" ? destination : home;
+      const distance = Utils.distance(caravan.x, caravan.y, target.x, target.y);
+
+      if (distance <= this.caravanArrivalDistance) {
+        // Pay for the trip, then head back the other way
+        const tripLength = Utils.distance(
+          home.x,
+          home.y,
+          destination.x,
+          destination.y
+        );
+        const gold = Math.floor(tripLength * this.caravanGoldPerTile);
+        resourceManager.addResource("gold", gold, caravan.owner);
+
+        this.game.emit("caravanArrived", { caravan: caravan, gold: gold });
+
+        route.heading = route.heading === "destination" ? "home" : "destination";
+        const next = route.heading === "destination" ? destination : home;
+        caravan.moveTo(next.x, next.y);
+      } else if (caravan.state === "idle") {
+        // Pushed off course or blocked; resume the trip
+        caravan.moveTo(target.x, target.y);
+      }
+    }
+
+    // Forget caravans that died
+    for (const id in this.caravans) {
+      if (!seen.has(id)) {
+        delete this.caravans[id];
+      }
+    }
+  }
+
+  /**
+   * Check whether a caravan may trade with a market owner
+   * @param {string} owner - Caravan owner
+   * @param {string} marketOwner - Market owner
+   * @returns {boolean} True for own or allied markets
+   */
+  isTradePartner(owner, marketOwner) {
+    if (owner === marketOwner) return true;
+
+    const diplomacy = this.game.getSystem("diplomacy");
+    return !!diplomacy && diplomacy.areAllied(owner, marketOwner);
+  }
+
+  /**
+   * Get serializable market state
+   * @returns {Object} Serialized market state
+   */
+  serialize() {
+    return {
+      prices: { ...this.prices },
+      caravans: JSON.parse(JSON.stringify(this.caravans)),
+    };
+  }
+
+  /**
+   * Restore market state from serialized data
+   * @param {Object} data - Serialized market state
+   */
+  deserialize(data) {
+    this.prices = { ...this.prices, ...data.prices };
+    this.caravans = JSON.parse(JSON.stringify(data.caravans || {}));
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MarketSystem;
+} else {
+  window.MarketSystem = MarketSystem;
+}
@@ -0,0 +1,157 @@
+/**
+ * Empires of Eternity - Match Settings
+ * Victory conditions, map type, starting age and starting resources picked
+ * on the match setup screen, handed to the game page through sessionStorage
+ */
+
+class MatchSettings {
+  /**
+   * Session storage key for the match settings
+   */
+  static get SESSION_KEY() {
+    return "eoe_match";
+  }
+
+  /**
+   * Get the settings a match uses when nothing was changed
+   * @returns {Object} Settings {victory, naval, startingAge,
+   *   startingResources}
+   */
+  static getDefaults() {
+    const victory = CONFIG.VICTORY;
+
+    return {
+      victory: {
+        domination: victory.DOMINATION.ENABLED,
+        wonder: victory.WONDER.ENABLED,
+        economic: victory.ECONOMIC.ENABLED,
+        score: victory.SCORE.ENABLED,
+        wonderTime: victory.WONDER.COUNTDOWN,
+        economicGoals: { ...victory.ECONOMIC.RESOURCE_GOAL },
+        timeLimit: victory.SCORE.TIME_LIMIT,
+      },
+      naval: false,
+      startingAge: 0,
+      startingResources: { ...CONFIG.RESOURCES.STARTING },
+    };
+  }
+
+  /**
+   * Fill in missing settings from the defaults and keep the rest in range
+   * @param {Object} settings - Settings, possibly partial
+   * @returns {Object} Complete settings
+   */
+  static normalize(settings = {}) {
+    const defaults = MatchSettings.getDefaults();
+    const victory = { ...defaults.victory, ...(settings.victory || {}) };
+
+    for (const condition of ["domination", "wonder", "economic", "score"]) {
+      victory[condition] = !!victory[condition];
+    }
+    victory.wonderTime = MatchSettings.clamp(
+      victory.wonderTime,
+      60,
+      3600,
+      defaults.victory.wonderTime
+    );
+    victory.timeLimit = MatchSettings.clamp(
+      victory.timeLimit,
+      300,
+      14400,
+      defaults.victory.timeLimit
+    );
+    victory.economicGoals = MatchSettings.normalizeAmounts(
+      victory.economicGoals,
+      defaults.victory.economicGoals,
+      1
+    );
+
+    return {
+      victory: victory,
+      naval: !!settings.naval,
+      startingAge: MatchSettings.clamp(
+        settings.startingAge,
+        0,
+        CONFIG.AGES.NAMES.length - 1,
+        0
+      ),
+      startingResources: MatchSettings.normalizeAmounts(
+        settings.startingResources,
+        defaults.startingResources,
+        0
+      ),
+    };
+  }
+
+  /**
+   * Keep a whole number within a range
+   * @param {*} value - Value to check
+   * @param {number} min - Lowest allowed
+   * @param {number} max - Highest allowed
+   * @param {number} fallback - Used if value isn't a number
+   * @returns {number} Whole number in range
+   */
+  static clamp(value, min, max, fallback) {
+    const number = Math.round(Number(value));
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+  }
+
+  /**
+   * Keep an amount of each resource type, none below the minimum
+   * @param {Object} amounts - Amounts by resource type
+   * @param {Object} defaults - Default amounts by resource type
+   * @param {number} min - Lowest allowed amount
+   * @returns {Object} Amounts for every resource type
+   */
+  static normalizeAmounts(amounts = {}, defaults, min) {
+    const result = {};
+    for (const resource in defaults) {
+      result[resource] = MatchSettings.clamp(
+        amounts[resource],
+        min,
+        1000000,
+        defaults[resource]
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Store the settings for the game page
+   * @param {Object} settings - Match settings
+   */
+  static saveSession(settings) {
+    sessionStorage.setItem(
+      MatchSettings.SESSION_KEY,
+      JSON.stringify(MatchSettings.normalize(settings))
+    );
+  }
+
+  /**
+   * Get the stored settings
+   * @returns {Object|null} Match settings, or null if there are none
+   */
+  static loadSession() {
+    try {
+      const data = sessionStorage.getItem(MatchSettings.SESSION_KEY);
+      return data ? MatchSettings.normalize(JSON.parse(data)) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Forget the stored settings
+   */
+  static clearSession() {
+    sessionStorage.removeItem(MatchSettings.SESSION_KEY);
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MatchSettings;
+} else {
+  window.MatchSettings = MatchSettings;
+}
@@ -0,0 +1,225 @@
+/**
+ * Empires of Eternity - Match Setup
+ * Lets the host choose which victory conditions are in play, their goals
+ * and the starting age and resources, then starts the match
+ */
+
+class MatchSetup {
+  /**
+   * Initialize the match setup screen
+   */
+  constructor() {
+    // Civilization picked on the previous screen
+    const urlParams = new URLSearchParams(window.location.search);
+    this.civilization = (urlParams.get("civ") || "solari").toLowerCase();
+
+    // Number inputs by resource type
+    this.goalInputs = {};
+    this.resourceInputs = {};
+
+    // DOM elements
+    this.elements = {
+      civilization: document.getElementById("setup-civilization"),
+      domination: document.getElementById("victory-domination"),
+      wonder: document.getElementById("victory-wonder"),
+      wonderTime: document.getElementById("wonder-time"),
+      economic: document.getElementById("victory-economic"),
+      economicGoals: document.getElementById("economic-goals"),
+      score: document.getElementById("victory-score"),
+      timeLimit: document.getElementById("time-limit"),
+      naval: document.getElementById("naval-map"),
+      startingAge: document.getElementById("starting-age"),
+      startingResources: document.getElementById("starting-resources"),
+      resetButton: document.getElementById("reset-button"),
+      startButton: document.getElementById("start-button"),
+      errorMessage: document.getElementById("error-message"),
+    };
+
+    this.init();
+  }
+
+  /**
+   * Build the inputs and set up event handlers
+   */
+  init() {
+    const civ = CONFIG.CIVILIZATIONS[this.civilization.toUpperCase()];
+    this.elements.civilization.textContent = `Playing as ${
+      civ ? civ.name : this.civilization
+    }`;
+
+    CONFIG.AGES.NAMES.forEach((name, age) => {
+      const option = document.createElement("option");
+      option.value = age;
+      option.textContent = name;
+      this.elements.startingAge.appendChild(option);
+    });
+
+    this.goalInputs = this.createResourceInputs(
+      this.elements.economicGoals,
+      "goal"
+    );
+    this.resourceInputs = this.createResourceInputs(
+      this.elements.startingResources,
+      "start"
+    );
+
+    // A condition's own settings only matter while it's in play
+    for (const condition of ["wonder", "economic", "score"]) {
+      this.elements[condition].addEventListener("change", () =>
+        this.updateDetails()
+      );
+    }
+
+    this.elements.resetButton.addEventListener("click", () => {
+      MatchSettings.clearSession();
+      this.showSettings(MatchSettings.getDefaults());
+    });
+    this.elements.startButton.addEventListener("click", () =>
+      this.startMatch()
+    );
+
+    // Offer the last match's settings again
+    this.showSettings(
+      MatchSettings.loadSession() || MatchSettings.getDefaults()
+    );
+  }
+
+  /**
+   * Add a labelled number input for each resource type
+   * @param {HTMLElement} container - Element to add them to
+   * @param {string} prefix - Prefix for the input IDs
+   * @returns {Object} Inputs by resource type
+   */
+  createResourceInputs(container, prefix) {
+    const inputs = {};
+
+    for (const resource of CONFIG.RESOURCES.TYPES) {
+      const row = document.createElement("div");
+
+      const label = document.createElement("label");
+      label.htmlFor = `${prefix}-${resource}`;
+      label.textContent = resource;
+      row.appendChild(label);
+
+      const input = document.createElement("input");
+      input.id = `${prefix}-${resource}`;
+      input.type = "number";
+      input.min = "0";
+      input.step = "50";
+      row.appendChild(input);
+
+      container.appendChild(row);
+      inputs[resource] = input;
+    }
+
+    return inputs;
+  }
+
+  /**
+   * Fill the form from a set of settings
+   * @param {Object} settings - Match settings
+   */
+  showSettings(settings) {
+    const victory = settings.victory;
+
+    this.elements.domination.checked = victory.domination;
+    this.elements.wonder.checked = victory.wonder;
+    this.elements.economic.checked = victory.economic;
+    this.elements.score.checked = victory.score;
+    this.elements.wonderTime.value = Math.round(victory.wonderTime / 60);
+    this.elements.timeLimit.value = Math.round(victory.timeLimit / 60);
+    this.elements.naval.checked = settings.naval;
+    this.elements.startingAge.value = settings.startingAge;
+
+    for (const resource in this.goalInputs) {
+      this.goalInputs[resource].value = victory.economicGoals[resource];
+    }
+    for (const resource in this.resourceInputs) {
+      this.resourceInputs[resource].value =
+        settings.startingResources[resource];
+    }
+
+    this.updateDetails();
+  }
+
+  /**
+   * Enable each condition's settings only while the condition is ticked
+   */
+  updateDetails() {
+    this.elements.wonderTime.disabled = !this.elements.wonder.checked;
+    this.elements.timeLimit.disabled = !this.elements.score.checked;
+    for (const resource in this.goalInputs) {
+      this.goalInputs[resource].disabled = !this.elements.economic.checked;
+    }
+  }
+
+  /**
+   * Read the settings from the form
+   * @returns {Object} Match settings
+   */
+  readSettings() {
+    const readAmounts = (inputs) => {
+      const amounts = {};
+      for (const resource in inputs) {
+        amounts[resource] = parseInt(inputs[resource].value, 10);
+      }
+      return amounts;
+    };
+
+    return MatchSettings.normalize({
+      victory: {
+        domination: this.elements.domination.checked,
+        wonder: this.elements.wonder.checked,
+        economic: this.elements.economic.checked,
+        score: this.elements.score.checked,
+        wonderTime: parseFloat(this.elements.wonderTime.value) * 60,
+        economicGoals: readAmounts(this.goalInputs),
+        timeLimit: parseFloat(this.elements.timeLimit.value) * 60,
+      },
+      naval: this.elements.naval.checked,
+      startingAge: parseInt(this.elements.startingAge.value, 10),
+      startingResources: readAmounts(this.resourceInputs),
+    });
+  }
+
+  /**
+   * Store the settings and open the game
+   */
+  startMatch() {
+    const settings = this.readSettings();
+    const victory = settings.victory;
+
+    // Without any condition the match could never end
+    if (
+      !victory.domination &&
+      !victory.wonder &&
+      !victory.economic &&
+      !victory.score
+    ) {
+      this.showError("Choose at least one victory condition.");
+      return;
+    }
+
+    MatchSettings.saveSession(settings);
+    window.location.href = `game.html?civ=${this.civilization}&setup=1`;
+  }
+
+  /**
+   * Display an error message
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    this.elements.errorMessage.textContent = message;
+    this.elements.errorMessage.style.display = "block";
+
+    // Auto-hide after 5 seconds
+    setTimeout(() => {
+      this.elements.errorMessage.style.display = "none";
+    }, 5000);
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener("DOMContentLoaded", () => {
+  window.matchSetup = new MatchSetup();
+});
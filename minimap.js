@@ -123,6 +123,11 @@ export class Minimap {
       this.renderBaseMap();
     });
 
+    // Redraw the terrain in the new season's colours
+    this.game.events.on("seasonChanged", () => {
+      this.renderBaseMap();
+    });
+
     // Entity events for minimap updates
     this.game.events.on("entityCreated", () => {
       this.needsFullUpdate = true;
@@ -197,6 +202,11 @@ export class Minimap {
     baseCtx.fillStyle = "#000";
     baseCtx.fillRect(0, 0, this.size, this.size);
 
+    // Seasonal colouring, with frozen water drawn as ice
+    const seasons = this.game.getSystem && this.game.getSystem("seasons");
+    const seasonTint = seasons ? seasons.getTint() : null;
+    const iceColor = seasons ? seasons.getIceColor() : null;
+
     // Render terrain
     for (let y = 0; y < mapHeight; y += config.TILE_SIZE) {
       for (let x = 0; x < mapWidth; x += config.TILE_SIZE) {
@@ -209,6 +219,19 @@ export class Minimap {
 
         baseCtx.fillStyle = color;
         baseCtx.fillRect(miniX, miniY, miniSize, miniSize);
+
+        const frozen =
+          iceColor &&
+          this.game.map.isFrozen &&
+          this.game.map.isFrozen(
+            Math.floor(x / config.TILE_SIZE),
+            Math.floor(y / config.TILE_SIZE)
+          );
+        const overlay = frozen ? iceColor : seasonTint;
+        if (overlay) {
+          baseCtx.fillStyle = overlay;
+          baseCtx.fillRect(miniX, miniY, miniSize, miniSize);
+        }
       }
     }
 
@@ -14,6 +14,36 @@ if [ -f "game.js" ]; then
     echo "Moved game.js to js/core/"
 fi
 
+if [ -f "save-system.js" ]; then
+    mv -f save-system.js js/core/
+    echo "Moved save-system.js to js/core/"
+fi
+
+if [ -f "command-log.js" ]; then
+    mv -f command-log.js js/core/
+    echo "Moved command-log.js to js/core/"
+fi
+
+if [ -f "network-client.js" ]; then
+    mv -f network-client.js js/core/
+    echo "Moved network-client.js to js/core/"
+fi
+
+if [ -f "match-settings.js" ]; then
+    mv -f match-settings.js js/core/
+    echo "Moved match-settings.js to js/core/"
+fi
+
+if [ -f "random.js" ]; then
+    mv -f random.js js/core/
+    echo "Moved random.js to js/core/"
+fi
+
+if [ -f "hotkeys.js" ]; then
+    mv -f hotkeys.js js/core/
+    echo "Moved hotkeys.js to js/core/"
+fi
+
 if [ -f "input.js" ]; then
     mv -f input.js js/core/
     echo "Moved input.js to js/core/"
@@ -50,6 +80,16 @@ if [ -f "pathfinding.js" ]; then
     echo "Moved pathfinding.js to js/map/"
 fi
 
+if [ -f "flow-field.js" ]; then
+    mv -f flow-field.js js/map/
+    echo "Moved flow-field.js to js/map/"
+fi
+
+if [ -f "path-cache.js" ]; then
+    mv -f path-cache.js js/map/
+    echo "Moved path-cache.js to js/map/"
+fi
+
 # Entity files
 if [ -f "entity.js" ]; then
     mv -f entity.js js/entities/
@@ -147,6 +187,56 @@ if [ -f "victory.js" ]; then
     echo "Moved victory.js to js/mechanics/"
 fi
 
+if [ -f "diplomacy.js" ]; then
+    mv -f diplomacy.js js/mechanics/
+    echo "Moved diplomacy.js to js/mechanics/"
+fi
+
+if [ -f "market.js" ]; then
+    mv -f market.js js/mechanics/
+    echo "Moved market.js to js/mechanics/"
+fi
+
+if [ -f "naval.js" ]; then
+    mv -f naval.js js/mechanics/
+    echo "Moved naval.js to js/mechanics/"
+fi
+
+if [ -f "garrison.js" ]; then
+    mv -f garrison.js js/mechanics/
+    echo "Moved garrison.js to js/mechanics/"
+fi
+
+if [ -f "support.js" ]; then
+    mv -f support.js js/mechanics/
+    echo "Moved support.js to js/mechanics/"
+fi
+
+if [ -f "season.js" ]; then
+    mv -f season.js js/mechanics/
+    echo "Moved season.js to js/mechanics/"
+fi
+
+if [ -f "time-of-day.js" ]; then
+    mv -f time-of-day.js js/mechanics/
+    echo "Moved time-of-day.js to js/mechanics/"
+fi
+
+if [ -f "score.js" ]; then
+    mv -f score.js js/mechanics/
+    echo "Moved score.js to js/mechanics/"
+fi
+
+if [ -f "statistics.js" ]; then
+    mv -f statistics.js js/mechanics/
+    echo "Moved statistics.js to js/mechanics/"
+fi
+
+if [ -f "triggers.js" ]; then
+    mv -f triggers.js js/mechanics/
+    echo "Moved triggers.js to js/mechanics/"
+fi
+
 # Civilization files
 if [ -f "civilization.js" ]; then
     mv -f civilization.js js/civilizations/
@@ -204,6 +294,41 @@ if [ -f "alerts-display.js" ]; then
     echo "Moved alerts-display.js to js/ui/"
 fi
 
+if [ -f "replay-viewer.js" ]; then
+    mv -f replay-viewer.js js/ui/
+    echo "Moved replay-viewer.js to js/ui/"
+fi
+
+if [ -f "diplomacy-panel.js" ]; then
+    mv -f diplomacy-panel.js js/ui/
+    echo "Moved diplomacy-panel.js to js/ui/"
+fi
+
+if [ -f "objectives-panel.js" ]; then
+    mv -f objectives-panel.js js/ui/
+    echo "Moved objectives-panel.js to js/ui/"
+fi
+
+if [ -f "scoreboard-panel.js" ]; then
+    mv -f scoreboard-panel.js js/ui/
+    echo "Moved scoreboard-panel.js to js/ui/"
+fi
+
+if [ -f "post-game-panel.js" ]; then
+    mv -f post-game-panel.js js/ui/
+    echo "Moved post-game-panel.js to js/ui/"
+fi
+
+if [ -f "hotkey-settings-panel.js" ]; then
+    mv -f hotkey-settings-panel.js js/ui/
+    echo "Moved hotkey-settings-panel.js to js/ui/"
+fi
+
+if [ -f "map-editor.js" ]; then
+    mv -f map-editor.js js/ui/
+    echo "Moved map-editor.js to js/ui/"
+fi
+
 # AI files
 if [ -f "ai-behaviors.js" ]; then
     mv -f ai-behaviors.js js/ai/
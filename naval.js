@@ -0,0 +1,608 @@
+/**
+ * Empires of Eternity - Naval System
+ * Docks on shorelines, fishing boats that bring in food from fishing spots,
+ * transport ships that ferry land units across water, and warships
+ */
+
+class NavalSystem {
+  /**
+   * Create a new naval system
+   * @param {Game} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Docks
+    this.dockCost = { wood: 150 };
+    this.dockSize = 2; // tiles
+
+    // Ships trained at docks (stats are in CONFIG.STATS.SHIPS)
+    this.shipTypes = {
+      fishing_boat: { cost: { wood: 60 }, time: 20000 },
+      transport: { cost: { wood: 125 }, time: 30000 },
+      warship: { cost: { wood: 150, gold: 75 }, time: 35000 },
+    };
+
+    // Damage multiplier for warships attacking other ships
+    this.warshipBonus = 1.5;
+
+    // How close ships must get to fish, docks and boarding units (tiles)
+    this.fishingDistance = 1.5;
+    this.dockDistance = 2.5;
+    this.boardingDistance = 1.5;
+
+    // Fishing spot each boat is working, by boat ID {x, y}
+    this.fishing = {};
+
+    // Units carried by each transport, by transport ID
+    this.cargo = {};
+
+    // Units walking to a transport, by unit ID -> transport ID
+    this.boarding = {};
+
+    // Where each transport is taking its cargo, by transport ID {x, y}
+    this.landings = {};
+
+    // Ships are managed a few times per second, not every tick
+    this.updateInterval = 500;
+    this.updateTimer = 0;
+
+    Utils.log("NavalSystem created");
+  }
+
+  /**
+   * Initialize the naval system
+   */
+  init() {
+    this.fishing = {};
+    this.cargo = {};
+    this.boarding = {};
+    this.landings = {};
+
+    Utils.log("NavalSystem initialized");
+    return this;
+  }
+
+  /**
+   * Update fishing boats and transports
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    this.updateTimer += deltaTime;
+    if (this.updateTimer < this.updateInterval) return;
+
+    const elapsed = this.updateTimer / 1000;
+    this.updateTimer = 0;
+
+    this.updateFishingBoats(elapsed);
+    this.updateTransports();
+  }
+
+  /**
+   * Get a player's docks
+   * @param {string} owner - Civilization key
+   * @param {boolean} constructedOnly - Skip docks still being built
+   * @returns {Array} Docks
+   */
+  getDocks(owner, constructedOnly = true) {
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager) return [];
+
+    return entityManager
+      .getEntitiesByType("building")
+      .filter(
+        (building) =>
+          building.active &&
+          building.buildingType === "dock" &&
+          building.owner === owner &&
+          (building.constructed || !constructedOnly)
+      );
+  }
+
+  /**
+   * Get a player's ships
+   * @param {string} owner - Civilization key
+   * @param {string} shipType - Only ships of this unit type (all ships if omitted)
+   * @returns {Array} Ships
+   */
+  getShips(owner, shipType = null) {
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager) return [];
+
+    return entityManager
+      .getEntitiesByOwner(owner)
+      .filter(
+        (entity) =>
+          entity.active &&
+          entity.naval &&
+          (!shipType || entity.unitType === shipType)
+      );
+  }
+
+  /**
+   * Find a shoreline spot for a dock near a position
+   * @param {number} x - Search center X
+   * @param {number} y - Search center Y
+   * @param {number} radius - Search radius in tiles
+   * @returns {Object|null} Dock position {x, y}
+   */
+  findDockSite(x, y, radius = 15) {
+    const map = this.game.getSystem("map");
+    const entityManager = this.game.getSystem("entityManager");
+    if (!map || !entityManager) return null;
+
+    const centerX = Math.floor(x);
+    const centerY = Math.floor(y);
+
+    // Nearest rings first
+    for (let r = 1; r <= radius; r++) {
+      for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue;
+
+          const siteX = centerX + dx;
+          const siteY = centerY + dy;
+          if (this.canPlaceDock(siteX, siteY)) {
+            return { x: siteX, y: siteY };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a dock can be placed at a position
+   * @param {number} x - Dock X
+   * @param {number} y - Dock Y
+   * @returns {boolean} True if the spot is open shoreline
+   */
+  canPlaceDock(x, y) {
+    const map = this.game.getSystem("map");
+    const entityManager = this.game.getSystem("entityManager");
+    if (!map || !entityManager) return false;
+
+    return (
+      map.isShoreline(x, y, this.dockSize, this.dockSize) &&
+      entityManager.isAreaClear(x, y, this.dockSize, this.dockSize)
+    );
+  }
+
+  /**
+   * Lay down a dock foundation on a shoreline and send villagers to build it
+   * @param {number} playerId - Player building the dock
+   * @param {number} x - Dock X
+   * @param {number} y - Dock Y
+   * @param {Array} builders - Villagers to build it
+   * @returns {Building|null} The dock, or null if it couldn't be placed
+   */
+  placeDock(playerId, x, y, builders = []) {
+    const entityManager = this.game.getSystem("entityManager");
+    const resourceManager = this.game.getSystem("resourceManager");
+    const owner = this.game.getOwnerKey(playerId);
+    if (!entityManager || !resourceManager || owner === null) return null;
+
+    if (!this.canPlaceDock(x, y)) {
+      Utils.log(`Can't place a dock at (${x}, ${y}): not open shoreline`);
+      return null;
+    }
+
+    if (!resourceManager.canAffordResources(this.dockCost, owner)) {
+      return null;
+    }
+    resourceManager.deductResources(this.dockCost, owner);
+
+    const stats =
+      (window.CONFIG && CONFIG.STATS && CONFIG.STATS.BUILDINGS.DOCK) || {};
+    const dock = entityManager.createBuilding({
+      buildingType: "dock",
+      x: x,
+      y: y,
+      owner: owner,
+      width: this.dockSize,
+      height: this.dockSize,
+      maxHp: stats.hp || 300,
+      dp: stats.dp || 12,
+      constructed: false,
+    });
+
+    entityManager.executeBuild(
+      builders.filter((unit) => unit.owner === owner),
+      dock
+    );
+
+    return dock;
+  }
+
+  /**
+   * Start training a ship at a dock
+   * @param {Building} dock - Dock building
+   * @param {string} shipType - fishing_boat, transport or warship
+   * @returns {boolean} True if queued
+   */
+  trainShip(dock, shipType) {
+    const ship = this.shipTypes[shipType];
+    if (
+      !ship ||
+      !dock ||
+      !dock.active ||
+      dock.buildingType !== "dock" ||
+      !dock.constructed
+    ) {
+      return false;
+    }
+
+    return dock.queueProduction({
+      type: shipType,
+      category: "unit",
+      unitType: shipType,
+      naval: true,
+      cost: { ...ship.cost },
+      time: ship.time,
+    });
+  }
+
+  /**
+   * Send fishing boats between their fishing spots and the nearest dock
+   * @param {number} elapsed - Seconds since the last update
+   */
+  updateFishingBoats(elapsed) {
+    const entityManager = this.game.getSystem("entityManager");
+    const resourceManager = this.game.getSystem("resourceManager");
+    const map = this.game.getSystem("map");
+    if (!entityManager || !resourceManager || !map) return;
+
+    const seen = new Set();
+
+    for (const boat of entityManager.getEntitiesByType("unit")) {
+      if (!boat.active || boat.unitType !== "fishing_boat") continue;
+      seen.add(boat.id);
+
+      // Boats under way are left alone until they arrive
+      if (boat.state === "moving") continue;
+
+      const dock = this.getNearestDock(boat);
+      const spot = this.getFishingSpot(boat, dock);
+      const full = boat.carryingAmount >= boat.carryCapacity;
+
+      if (full || (!spot && boat.carryingAmount > 0)) {
+        if (!dock) continue;
+
+        const center = dock.getTileCenter();
+        if (Utils.distance(boat.x, boat.y, center.x, center.y) <= this.dockDistance) {
+          resourceManager.gatherResource("food", boat.carryingAmount, boat.owner);
+          this.game.emit("fishDelivered", {
+            boat: boat,
+            dock: dock,
+            amount: boat.carryingAmount,
+          });
+
+          boat.carryingAmount = 0;
+          boat.carryingResource = null;
+        } else {
+          boat.moveTo(center.x, center.y);
+        }
+        continue;
+      }
+
+      if (!spot) {
+        boat.state = "idle";
+        continue;
+      }
+
+      if (Utils.distance(boat.x, boat.y, spot.x, spot.y) > this.fishingDistance) {
+        boat.moveTo(spot.x, spot.y);
+        continue;
+      }
+
+      const gathered = map.gatherResource(
+        spot.x,
+        spot.y,
+        Math.min(boat.gatherRate * elapsed, boat.carryCapacity - boat.carryingAmount)
+      );
+      boat.carryingResource = "food";
+      boat.carryingAmount += gathered;
+      boat.state = "fishing";
+    }
+
+    // Forget boats that sank
+    for (const id in this.fishing) {
+      if (!seen.has(id)) {
+        delete this.fishing[id];
+      }
+    }
+  }
+
+  /**
+   * Get a ship's nearest finished dock
+   * @param {Unit} ship - Ship
+   * @returns {Building|null} Dock
+   */
+  getNearestDock(ship) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const dock of this.getDocks(ship.owner)) {
+      const center = dock.getTileCenter();
+      const distance = Utils.distance(ship.x, ship.y, center.x, center.y);
+      if (distance < nearestDistance) {
+        nearest = dock;
+        nearestDistance = distance;
+      }
+    }
+
+    return nearest;
+  }
+
+  /**
+   * Get the fishing spot a boat is working, picking the closest one to its
+   * dock by water when the old spot runs out
+   * @param {Unit} boat - Fishing boat
+   * @param {Building} dock - Boat's nearest dock
+   * @returns {Object|null} Fish resource node
+   */
+  getFishingSpot(boat, dock) {
+    const map = this.game.getSystem("map");
+    const current = this.fishing[boat.id];
+    const resource = current && map.getResourceAt(current.x, current.y);
+    if (resource && !resource.depleted && resource.amount > 0) {
+      return resource;
+    }
+
+    delete this.fishing[boat.id];
+
+    // Measure by water from the dock so boats don't pick fish in another lake
+    const origin = dock ? dock.getTileCenter() : { x: boat.x, y: boat.y };
+    const water = map.findNearestPassableTile(
+      Math.floor(origin.x),
+      Math.floor(origin.y),
+      5,
+      true
+    );
+    const field = water && map.getFlowField(water.x, water.y, true);
+    if (!field) return null;
+
+    let best = null;
+    let bestCost = Infinity;
+    for (const fish of map.getResourcesByType("fish")) {
+      if (fish.depleted || fish.amount <= 0) continue;
+
+      const cost = field.getCost(fish.x, fish.y);
+      if (cost !== -1 && cost < bestCost) {
+        best = fish;
+        bestCost = cost;
+      }
+    }
+
+    if (best) {
+      this.fishing[boat.id] = { x: best.x, y: best.y };
+    }
+    return best;
+  }
+
+  /**
+   * Send land units to board a transport
+   * @param {Unit} transport - Transport ship
+   * @param {Array} units - Land units to carry
+   */
+  loadUnits(transport, units) {
+    if (!transport || !transport.active || transport.unitType !== "transport") {
+      return;
+    }
+
+    for (const unit of units) {
+      if (
+        !unit.active ||
+        unit.naval ||
+        unit.transportId ||
+        unit.owner !== transport.owner
+      ) {
+        continue;
+      }
+
+      this.boarding[unit.id] = transport.id;
+      unit.moveTo(transport.x, transport.y);
+    }
+  }
+
+  /**
+   * Sail transports to a shore and put their cargo ashore there
+   * @param {Array} transports - Transport ships
+   * @param {number} x - Landing X (on land)
+   * @param {number} y - Landing Y (on land)
+   */
+  unloadUnits(transports, x, y) {
+    for (const transport of transports) {
+      if (!transport.active || transport.unitType !== "transport") continue;
+
+      this.landings[transport.id] = { x: x, y: y };
+      transport.moveTo(x, y);
+    }
+  }
+
+  /**
+   * Get the damage multiplier for an attack: warships are built to sink
+   * other ships
+   * @param {Entity} attacker - Attacking entity
+   * @param {Entity} target - Entity being attacked
+   * @returns {number} Damage multiplier
+   */
+  getDamageMultiplier(attacker, target) {
+    return attacker.unitType === "warship" && target.naval
+      ? this.warshipBonus
+      : 1;
+  }
+
+  /**
+   * Get the number of units a transport can carry
+   * @param {Unit} transport - Transport ship
+   * @returns {number} Capacity
+   */
+  getCapacity(transport) {
+    const ships = (window.CONFIG && CONFIG.STATS && CONFIG.STATS.SHIPS) || {};
+    const stats = ships[transport.unitType.toUpperCase()] || {};
+    return stats.cargoCapacity || 0;
+  }
+
+  /**
+   * Board waiting units, carry cargo along, and land it on arrival
+   */
+  updateTransports() {
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager) return;
+
+    // Units reaching their transport climb aboard
+    for (const unitId in this.boarding) {
+      const unit = entityManager.getEntityById(unitId);
+      const transport = entityManager.getEntityById(this.boarding[unitId]);
+
+      if (!unit || !unit.active || !transport || !transport.active) {
+        delete this.boarding[unitId];
+        continue;
+      }
+
+      const cargo = this.cargo[transport.id] || (this.cargo[transport.id] = []);
+      if (cargo.length >= this.getCapacity(transport)) {
+        delete this.boarding[unitId];
+        continue;
+      }
+
+      if (Utils.distance(unit.x, unit.y, transport.x, transport.y) <= this.boardingDistance) {
+        delete this.boarding[unitId];
+        this.embark(unit, transport);
+      } else if (unit.state === "idle") {
+        // The transport moved; follow it
+        unit.moveTo(transport.x, transport.y);
+      }
+    }
+
+    for (const transportId in this.cargo) {
+      const transport = entityManager.getEntityById(transportId);
+      const cargo = this.cargo[transportId]
+        .map((id) => entityManager.getEntityById(id))
+        .filter((unit) => unit && unit.active);
+
+      // Everyone aboard goes down with the ship
+      if (!transport || !transport.active) {
+        for (const unit of cargo) {
+          unit.die(transport);
+        }
+        delete this.cargo[transportId];
+        delete this.landings[transportId];
+        continue;
+      }
+
+      // Cargo rides along with the ship
+      for (const unit of cargo) {
+        unit.x = transport.x;
+        unit.y = transport.y;
+      }
+
+      const landing = this.landings[transportId];
+      if (landing && transport.state !== "moving") {
+        this.disembark(transport, cargo, landing);
+        delete this.landings[transportId];
+      }
+    }
+  }
+
+  /**
+   * Put a unit aboard a transport
+   * @param {Unit} unit - Land unit
+   * @param {Unit} transport - Transport ship
+   */
+  embark(unit, transport) {
+    unit.stopMoving();
+    if (unit.stopAttacking) unit.stopAttacking();
+
+    unit.transportId = transport.id;
+    unit.visible = false;
+    unit.x = transport.x;
+    unit.y = transport.y;
+
+    this.cargo[transport.id].push(unit.id);
+
+    this.game.emit("unitEmbarked", { unit: unit, transport: transport });
+  }
+
+  /**
+   * Put a transport's cargo ashore on the land nearest the ship, then walk
+   * it on to where the landing was ordered
+   * @param {Unit} transport - Transport ship
+   * @param {Array} cargo - Units aboard
+   * @param {Object} landing - Ordered landing point {x, y}
+   */
+  disembark(transport, cargo, landing) {
+    const map = this.game.getSystem("map");
+    const shore = map.findNearestPassableTile(
+      Math.floor(transport.x),
+      Math.floor(transport.y),
+      3
+    );
+    if (!shore) {
+      Utils.log(`Transport ${transport.id} found no shore to land on`);
+      return;
+    }
+
+    for (const unit of cargo) {
+      unit.transportId = null;
+      unit.visible = true;
+      unit.x = shore.x;
+      unit.y = shore.y;
+      unit.moveTo(landing.x, landing.y);
+    }
+
+    this.cargo[transport.id] = [];
+
+    this.game.emit("unitsLanded", {
+      transport: transport,
+      units: cargo,
+      x: shore.x,
+      y: shore.y,
+    });
+  }
+
+  /**
+   * Get serializable naval state
+   * @returns {Object} Serialized naval state
+   */
+  serialize() {
+    return {
+      fishing: JSON.parse(JSON.stringify(this.fishing)),
+      cargo: JSON.parse(JSON.stringify(this.cargo)),
+      boarding: { ...this.boarding },
+      landings: JSON.parse(JSON.stringify(this.landings)),
+    };
+  }
+
+  /**
+   * Restore naval state from serialized data
+   * @param {Object} data - Serialized naval state
+   */
+  deserialize(data) {
+    this.fishing = JSON.parse(JSON.stringify(data.fishing || {}));
+    this.cargo = JSON.parse(JSON.stringify(data.cargo || {}));
+    this.boarding = { ...data.boarding };
+    this.landings = JSON.parse(JSON.stringify(data.landings || {}));
+    this.updateTimer = 0;
+
+    // Carried units were saved hidden; point them back at their ship
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager) return;
+
+    for (const transportId in this.cargo) {
+      for (const unitId of this.cargo[transportId]) {
+        const unit = entityManager.getEntityById(unitId);
+        if (unit) unit.transportId = transportId;
+      }
+    }
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = NavalSystem;
+} else {
+  window.NavalSystem = NavalSystem;
+}
@@ -0,0 +1,376 @@
+/**
+ * Empires of Eternity - Network Client
+ * Lockstep multiplayer over WebSocket: local commands are sent to the relay
+ * server and every client runs the same ordered commands on the same turn
+ */
+
+class NetworkClient {
+  /**
+   * Create a new network client
+   * @param {GameEngine} game - Game instance
+   * @param {Object} session - Match session from the lobby
+   */
+  constructor(game, session) {
+    this.game = game;
+    this.session = session;
+
+    // Lockstep timing
+    this.TURN_TICKS = 4; // Simulation ticks per turn (200ms)
+    this.INPUT_DELAY = 2; // Turns between issuing a command and running it
+    this.HASH_INTERVAL = 25; // Turns between state hash checks
+    this.RECONNECT_DELAY = 2000; // ms between reconnect attempts
+
+    // Connection
+    this.socket = null;
+    this.connected = false;
+    this.closed = false;
+
+    // Commands for each turn received from the relay
+    this.turns = {};
+    this.lastTurnReceived = -1;
+
+    // Local commands not yet sent, and sent turns not yet confirmed
+    this.pendingCommands = [];
+    this.submitted = {};
+
+    // Players currently disconnected from the relay
+    this.disconnectedPlayers = new Set();
+
+    this.desynced = false;
+
+    this.onBeforeTick = this.onBeforeTick.bind(this);
+
+    Utils.log("NetworkClient created");
+  }
+
+  /**
+   * Session storage key for the match session
+   */
+  static get SESSION_KEY() {
+    return "eoe_multiplayer";
+  }
+
+  /**
+   * Store the match session so the game page (and reloads) can rejoin
+   * @param {Object} session - {url, room, token, playerId, settings, players}
+   */
+  static saveSession(session) {
+    sessionStorage.setItem(NetworkClient.SESSION_KEY, JSON.stringify(session));
+  }
+
+  /**
+   * Read the stored match session
+   * @returns {Object|null} Session, or null if there is none
+   */
+  static loadSession() {
+    try {
+      const data = sessionStorage.getItem(NetworkClient.SESSION_KEY);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Forget the stored match session
+   */
+  static clearSession() {
+    sessionStorage.removeItem(NetworkClient.SESSION_KEY);
+  }
+
+  /**
+   * True while the match is networked
+   */
+  get active() {
+    return !this.closed;
+  }
+
+  /**
+   * Initialize the client and connect to the relay
+   */
+  init() {
+    this.game.on("beforeTick", this.onBeforeTick);
+
+    // The first turns have nothing in them yet
+    for (let turn = 0; turn < this.INPUT_DELAY; turn++) {
+      this.submitTurn(turn, []);
+    }
+
+    this.connect();
+
+    Utils.log("NetworkClient initialized");
+    return this;
+  }
+
+  /**
+   * Open the connection and rejoin the match
+   */
+  connect() {
+    if (this.closed) return;
+
+    this.socket = new WebSocket(this.session.url);
+
+    this.socket.onopen = () => {
+      this.connected = true;
+      this.send({
+        type: "rejoin",
+        room: this.session.room,
+        token: this.session.token,
+        fromTurn: this.lastTurnReceived + 1,
+      });
+    };
+
+    this.socket.onmessage = (event) => {
+      this.handleMessage(JSON.parse(event.data));
+    };
+
+    this.socket.onclose = () => {
+      this.connected = false;
+      if (!this.closed) {
+        Utils.log("Lost connection to relay, reconnecting...", "warning");
+        setTimeout(() => this.connect(), this.RECONNECT_DELAY);
+      }
+    };
+  }
+
+  /**
+   * Send a message to the relay
+   * @param {Object} message - Message
+   */
+  send(message) {
+    if (this.connected && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Handle a message from the relay
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case "resume":
+        message.turns.forEach((commands, index) => {
+          this.receiveTurn(message.fromTurn + index, commands);
+        });
+
+        // Anything sent while disconnected never arrived
+        for (const turn in this.submitted) {
+          this.send({
+            type: "commands",
+            turn: Number(turn),
+            commands: this.submitted[turn],
+          });
+        }
+        break;
+
+      case "turn":
+        this.receiveTurn(message.turn, message.commands);
+        break;
+
+      case "desync":
+        this.handleDesync(message);
+        break;
+
+      case "playerDisconnected":
+        this.disconnectedPlayers.add(message.playerId);
+        this.notify(`${this.getPlayerName(message.playerId)} disconnected`);
+        this.game.emit("playerDisconnected", { playerId: message.playerId });
+        break;
+
+      case "playerReconnected":
+        if (message.playerId === this.session.playerId) break;
+        this.disconnectedPlayers.delete(message.playerId);
+        this.notify(`${this.getPlayerName(message.playerId)} reconnected`);
+        this.game.emit("playerReconnected", { playerId: message.playerId });
+        break;
+
+      case "playerDropped":
+        this.notify(`${this.getPlayerName(message.playerId)} left the match`);
+        this.game.emit("playerDropped", { playerId: message.playerId });
+        break;
+
+      case "error":
+        Utils.error(`Relay: ${message.message}`);
+        this.close();
+        break;
+    }
+  }
+
+  /**
+   * Store the commands for a finalized turn
+   * @param {number} turn - Turn number
+   * @param {Array} commands - Ordered commands for the turn
+   */
+  receiveTurn(turn, commands) {
+    if (turn <= this.lastTurnReceived) return;
+
+    this.turns[turn] = commands;
+    this.lastTurnReceived = turn;
+    delete this.submitted[turn];
+  }
+
+  /**
+   * Send our commands for a turn
+   * @param {number} turn - Turn number
+   * @param {Array} commands - Commands
+   */
+  submitTurn(turn, commands) {
+    this.submitted[turn] = commands;
+    this.send({ type: "commands", turn: turn, commands: commands });
+  }
+
+  /**
+   * Hold a local command until the next turn is sent
+   * @param {Object} command - Command from EntityManager.queueCommand
+   */
+  submitCommand(command) {
+    command.playerId = this.session.playerId;
+    this.pendingCommands.push(command);
+  }
+
+  /**
+   * Check whether the simulation may run a tick
+   * @param {number} tick - Tick about to run
+   * @returns {boolean} False while waiting for the turn from the relay
+   */
+  isTickReady(tick) {
+    if (tick % this.TURN_TICKS !== 0) return true;
+    return this.turns[tick / this.TURN_TICKS] !== undefined;
+  }
+
+  /**
+   * Check whether we are far behind the relay (e.g. after a reconnect)
+   * @returns {boolean} True if the simulation should fast-forward
+   */
+  isCatchingUp() {
+    const currentTurn = Math.floor(this.game.tick / this.TURN_TICKS);
+    return this.lastTurnReceived - currentTurn > this.INPUT_DELAY + 2;
+  }
+
+  /**
+   * Run the turn's commands and send ours at each turn boundary
+   * @param {Object} data - Tick event data {tick}
+   */
+  onBeforeTick(data) {
+    if (data.tick % this.TURN_TICKS !== 0) return;
+
+    const turn = data.tick / this.TURN_TICKS;
+
+    // Hash before the turn's commands run so every client hashes the same state
+    if (turn % this.HASH_INTERVAL === 0) {
+      this.send({ type: "hash", turn: turn, hash: this.computeStateHash() });
+    }
+
+    const entityManager = this.game.getSystem("entityManager");
+    for (const command of this.turns[turn] || []) {
+      entityManager.commandQueue.push(Utils.deepClone(command));
+    }
+    delete this.turns[turn];
+
+    // While catching up, those turns are already decided; keep our commands
+    const submitTurn = turn + this.INPUT_DELAY;
+    if (submitTurn <= this.lastTurnReceived) return;
+
+    this.submitTurn(submitTurn, this.pendingCommands);
+    this.pendingCommands = [];
+  }
+
+  /**
+   * Hash the simulation state for desync detection
+   * @returns {string} FNV-1a hash as hex
+   */
+  computeStateHash() {
+    const entityManager = this.game.getSystem("entityManager");
+    // IDs look like "entity_12"; order them by their number
+    const idNumber = (entity) =>
+      parseInt(String(entity.id).replace("entity_", ""), 10);
+    const entities = Array.from(entityManager.entities.values()).sort(
+      (a, b) => idNumber(a) - idNumber(b)
+    );
+
+    const parts = [this.game.tick, this.game.random.getState().state];
+    for (const entity of entities) {
+      parts.push(
+        entity.id,
+        entity.type,
+        entity.owner,
+        Math.round(entity.x * 100),
+        Math.round(entity.y * 100),
+        Math.round(entity.hp || 0)
+      );
+    }
+
+    const text = parts.join("|");
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Report that clients no longer agree on the match state
+   * @param {Object} message - Desync message {turn, hashes}
+   */
+  handleDesync(message) {
+    if (this.desynced) return;
+    this.desynced = true;
+
+    console.error(`Desync detected at turn ${message.turn}`, message.hashes);
+    this.notify("Game out of sync! Results may differ between players.");
+    this.game.emit("desync", { turn: message.turn, hashes: message.hashes });
+  }
+
+  /**
+   * Show a message to the player
+   * @param {string} message - Message text
+   */
+  notify(message) {
+    const alertSystem = this.game.getSystem("alertSystem");
+    if (alertSystem) {
+      alertSystem.addAlert(message, "warning");
+      return;
+    }
+
+    const uiManager = this.game.getSystem("uiManager");
+    if (uiManager) {
+      uiManager.addAlert(message, "warning");
+    }
+    Utils.log(message, "warning");
+  }
+
+  /**
+   * Get a player's display name
+   * @param {number} playerId - Player ID
+   * @returns {string} Player name
+   */
+  getPlayerName(playerId) {
+    const player = this.game.players.find((p) => p.id === playerId);
+    return player ? player.name : `Player ${playerId + 1}`;
+  }
+
+  /**
+   * Leave the match
+   */
+  close() {
+    this.closed = true;
+    if (this.socket) this.socket.close();
+  }
+
+  /**
+   * Clean up when the game stops
+   */
+  cleanup() {
+    this.close();
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = NetworkClient;
+} else {
+  window.NetworkClient = NetworkClient;
+}
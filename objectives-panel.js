@@ -0,0 +1,162 @@
+/**
+ * Empires of Eternity - Objectives Panel
+ * Lists the local player's scenario objectives and whether each one is
+ * still active, completed or failed
+ */
+
+class ObjectivesPanel {
+  /**
+   * Create a new objectives panel
+   * @param {GameEngine} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Panel element
+    this.container = null;
+    this.visible = false;
+
+    // Marks shown in front of each objective by status
+    this.statusMarks = {
+      active: "○",
+      completed: "✔",
+      failed: "✘",
+    };
+
+    this.refresh = this.refresh.bind(this);
+    this.onObjectivesChanged = this.onObjectivesChanged.bind(this);
+
+    Utils.log("ObjectivesPanel created");
+  }
+
+  /**
+   * Initialize the objectives panel
+   */
+  init() {
+    this.game.on("objectivesChanged", this.onObjectivesChanged);
+    this.game.on("gameLoaded", this.onObjectivesChanged);
+
+    Utils.log("ObjectivesPanel initialized");
+    return this;
+  }
+
+  /**
+   * Show the panel whenever the objectives change
+   */
+  onObjectivesChanged() {
+    if (this.getObjectives().length > 0) {
+      this.show();
+    } else {
+      this.hide();
+    }
+  }
+
+  /**
+   * Get the objectives for the local player
+   * @returns {Array} Objectives
+   */
+  getObjectives() {
+    const triggers = this.game.getSystem("triggers");
+    return triggers ? triggers.getObjectivesFor(this.game.currentPlayer) : [];
+  }
+
+  /**
+   * Show or hide the panel
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Show the panel
+   */
+  show() {
+    if (!this.container) this.createPanel();
+
+    this.visible = true;
+    this.container.style.display = "block";
+    this.refresh();
+  }
+
+  /**
+   * Hide the panel
+   */
+  hide() {
+    this.visible = false;
+    if (this.container) this.container.style.display = "none";
+  }
+
+  /**
+   * Create the panel element
+   */
+  createPanel() {
+    this.container = document.createElement("div");
+    this.container.className = "objectives-panel";
+    this.container.style.position = "absolute";
+    this.container.style.top = "60px";
+    this.container.style.left = "10px";
+    this.container.style.width = "280px";
+    this.container.style.padding = "10px";
+    this.container.style.background = "rgba(0, 0, 0, 0.7)";
+    this.container.style.color = "#fff";
+    this.container.style.zIndex = "150";
+    this.container.style.display = "none";
+
+    const parent = document.getElementById("game-container") || document.body;
+    parent.appendChild(this.container);
+  }
+
+  /**
+   * Rebuild the panel contents from the current objectives
+   */
+  refresh() {
+    if (!this.visible || !this.container) return;
+
+    this.container.innerHTML = "";
+
+    const title = document.createElement("h3");
+    title.textContent = "Objectives";
+    title.style.margin = "0 0 8px 0";
+    this.container.appendChild(title);
+
+    const objectives = this.getObjectives();
+    if (objectives.length === 0) {
+      const none = document.createElement("div");
+      none.textContent = "No objectives.";
+      this.container.appendChild(none);
+    }
+
+    for (const objective of objectives) {
+      const row = document.createElement("div");
+      row.style.marginBottom = "4px";
+      row.textContent = `${this.statusMarks[objective.status] || ""} ${
+        objective.text
+      }`;
+
+      if (objective.status === "completed") {
+        row.style.color = "#8f8";
+        row.style.textDecoration = "line-through";
+      } else if (objective.status === "failed") {
+        row.style.color = "#f88";
+      }
+
+      this.container.appendChild(row);
+    }
+
+    const close = document.createElement("button");
+    close.textContent = "Close (F3)";
+    close.onclick = () => this.hide();
+    this.container.appendChild(close);
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ObjectivesPanel;
+} else {
+  window.ObjectivesPanel = ObjectivesPanel;
+}
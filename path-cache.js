@@ -0,0 +1,559 @@
+/**
+ * Empires of Eternity - Hierarchical Path Cache
+ * HPA*-style abstraction of the map grid: the map is split into clusters
+ * linked by entrances on their shared borders, long paths are searched on
+ * that small graph, and a change to the map only rebuilds the clusters it
+ * touches and drops the cached paths that cross them
+ */
+
+class HierarchicalPathCache {
+  /**
+   * Create a path cache for a map
+   * @param {Map} map - Game map
+   * @param {number} clusterSize - Cluster width and height in tiles
+   * @param {boolean} naval - True to cache ship paths over water
+   */
+  constructor(map, clusterSize = 10, naval = false) {
+    this.map = map;
+    this.clusterSize = clusterSize;
+    this.naval = naval;
+    this.columns = Math.ceil(map.width / clusterSize);
+    this.rows = Math.ceil(map.height / clusterSize);
+
+    // Same 8 directions as the map's A*
+    this.directions = [
+      { x: 0, y: -1 },
+      { x: 1, y: -1 },
+      { x: 1, y: 0 },
+      { x: 1, y: 1 },
+      { x: 0, y: 1 },
+      { x: -1, y: 1 },
+      { x: -1, y: 0 },
+      { x: -1, y: -1 },
+    ];
+
+    // Abstract graph nodes by ID {id, x, y, cluster, partner, edges}
+    this.nodes = {};
+    this.nextNodeId = 0;
+
+    // Entrance node IDs by cluster, and by border ("a|b")
+    this.clusterNodes = [];
+    this.borderNodes = {};
+
+    // Finished paths {path, clusters} by "startX,startY>endX,endY"
+    this.paths = {};
+    this.pathOrder = [];
+    this.maxPaths = 256;
+
+    // Entrances longer than this get a node at each end, not one mid-way
+    this.longEntrance = 6;
+
+    this.stats = { hits: 0, misses: 0, clustersRebuilt: 0 };
+
+    this.build();
+  }
+
+  /**
+   * Build the whole abstract graph
+   */
+  build() {
+    this.nodes = {};
+    this.borderNodes = {};
+    this.clusterNodes = [];
+    for (let i = 0; i < this.columns * this.rows; i++) {
+      this.clusterNodes.push([]);
+    }
+
+    for (let cy = 0; cy < this.rows; cy++) {
+      for (let cx = 0; cx < this.columns; cx++) {
+        if (cx + 1 < this.columns) this.buildBorder(cx, cy, cx + 1, cy);
+        if (cy + 1 < this.rows) this.buildBorder(cx, cy, cx, cy + 1);
+      }
+    }
+
+    for (let cluster = 0; cluster < this.clusterNodes.length; cluster++) {
+      this.buildClusterEdges(cluster);
+    }
+
+    this.clearPaths();
+  }
+
+  /**
+   * Get the cluster index for a tile
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @returns {number} Cluster index
+   */
+  getCluster(x, y) {
+    return (
+      Math.floor(y / this.clusterSize) * this.columns +
+      Math.floor(x / this.clusterSize)
+    );
+  }
+
+  /**
+   * Get the tile bounds of a cluster
+   * @param {number} cluster - Cluster index
+   * @returns {Object} Bounds {x, y, right, bottom} (right/bottom exclusive)
+   */
+  getClusterBounds(cluster) {
+    const x = (cluster % this.columns) * this.clusterSize;
+    const y = Math.floor(cluster / this.columns) * this.clusterSize;
+    return {
+      x: x,
+      y: y,
+      right: Math.min(x + this.clusterSize, this.map.width),
+      bottom: Math.min(y + this.clusterSize, this.map.height),
+    };
+  }
+
+  /**
+   * Check whether a tile can be walked on (or sailed, for a naval cache)
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @returns {boolean} True if passable
+   */
+  isPassable(x, y) {
+    return this.map.isPassable(x, y, this.naval);
+  }
+
+  /**
+   * Find the entrances on the border between two neighbouring clusters and
+   * add a linked pair of nodes for each
+   * @param {number} ax - First cluster column
+   * @param {number} ay - First cluster row
+   * @param {number} bx - Second cluster column (right of or below the first)
+   * @param {number} by - Second cluster row
+   */
+  buildBorder(ax, ay, bx, by) {
+    const a = ay * this.columns + ax;
+    const b = by * this.columns + bx;
+    const key = `${a}|${b}`;
+    const bounds = this.getClusterBounds(a);
+    const vertical = bx !== ax;
+
+    // Walk along the border tile by tile, collecting runs where both sides are open
+    const length = vertical
+      ? bounds.bottom - bounds.y
+      : bounds.right - bounds.x;
+    const pairs = [];
+    let runStart = -1;
+
+    for (let i = 0; i <= length; i++) {
+      let open = false;
+      if (i < length) {
+        const x = vertical ? bounds.right - 1 : bounds.x + i;
+        const y = vertical ? bounds.y + i : bounds.bottom - 1;
+        open = vertical
+          ? this.isPassable(x, y) && this.isPassable(x + 1, y)
+          : this.isPassable(x, y) && this.isPassable(x, y + 1);
+      }
+
+      if (open && runStart === -1) {
+        runStart = i;
+      } else if (!open && runStart !== -1) {
+        const runEnd = i - 1;
+        if (runEnd - runStart + 1 >= this.longEntrance) {
+          pairs.push(runStart, runEnd);
+        } else {
+          pairs.push(Math.floor((runStart + runEnd) / 2));
+        }
+        runStart = -1;
+      }
+    }
+
+    this.borderNodes[key] = [];
+    for (const i of pairs) {
+      const x = vertical ? bounds.right - 1 : bounds.x + i;
+      const y = vertical ? bounds.y + i : bounds.bottom - 1;
+      const inA = this.addNode(x, y, a);
+      const inB = this.addNode(vertical ? x + 1 : x, vertical ? y : y + 1, b);
+      inA.partner = inB.id;
+      inB.partner = inA.id;
+      this.borderNodes[key].push(inA.id, inB.id);
+    }
+  }
+
+  /**
+   * Remove a border's entrance nodes
+   * @param {string} key - Border key "a|b"
+   */
+  removeBorder(key) {
+    for (const id of this.borderNodes[key] || []) {
+      const node = this.nodes[id];
+      const list = this.clusterNodes[node.cluster];
+      list.splice(list.indexOf(id), 1);
+      delete this.nodes[id];
+    }
+    delete this.borderNodes[key];
+  }
+
+  /**
+   * Add an entrance node
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @param {number} cluster - Cluster index
+   * @returns {Object} Node
+   */
+  addNode(x, y, cluster) {
+    const node = {
+      id: this.nextNodeId++,
+      x: x,
+      y: y,
+      cluster: cluster,
+      partner: null,
+      edges: {},
+    };
+    this.nodes[node.id] = node;
+    this.clusterNodes[cluster].push(node.id);
+    return node;
+  }
+
+  /**
+   * Connect every entrance of a cluster to the others it can reach inside
+   * the cluster
+   * @param {number} cluster - Cluster index
+   */
+  buildClusterEdges(cluster) {
+    const ids = this.clusterNodes[cluster];
+
+    for (const id of ids) {
+      const node = this.nodes[id];
+      const costs = this.searchCluster(node.x, node.y, cluster);
+
+      node.edges = {};
+      for (const otherId of ids) {
+        if (otherId === id) continue;
+
+        const other = this.nodes[otherId];
+        const cost = costs[`${other.x},${other.y}`];
+        if (cost !== undefined) node.edges[otherId] = cost;
+      }
+    }
+
+    this.stats.clustersRebuilt++;
+  }
+
+  /**
+   * Breadth-first search inside one cluster
+   * @param {number} startX - Start tile X
+   * @param {number} startY - Start tile Y
+   * @param {number} cluster - Cluster to stay inside
+   * @param {Object} goal - Stop early at this tile {x, y} (optional)
+   * @returns {Object} Steps to each reached tile by "x,y", plus the parent
+   *   links under "parents" when a goal is given
+   */
+  searchCluster(startX, startY, cluster, goal = null) {
+    const bounds = this.getClusterBounds(cluster);
+    const costs = { [`${startX},${startY}`]: 0 };
+    const parents = {};
+    const queue = [{ x: startX, y: startY }];
+
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      const currentKey = `${current.x},${current.y}`;
+      if (goal && current.x === goal.x && current.y === goal.y) break;
+
+      for (const dir of this.directions) {
+        const nx = current.x + dir.x;
+        const ny = current.y + dir.y;
+        if (
+          nx < bounds.x ||
+          ny < bounds.y ||
+          nx >= bounds.right ||
+          ny >= bounds.bottom ||
+          !this.isPassable(nx, ny)
+        ) {
+          continue;
+        }
+
+        const key = `${nx},${ny}`;
+        if (costs[key] !== undefined) continue;
+
+        costs[key] = costs[currentKey] + 1;
+        parents[key] = current;
+        queue.push({ x: nx, y: ny });
+      }
+    }
+
+    if (goal) costs.parents = parents;
+    return costs;
+  }
+
+  /**
+   * Get the tile path between two tiles of the same cluster
+   * @param {Object} from - Start tile {x, y}
+   * @param {Object} to - End tile {x, y}
+   * @param {number} cluster - Cluster index
+   * @returns {Array|null} Tiles from start to end
+   */
+  getLocalPath(from, to, cluster) {
+    const result = this.searchCluster(from.x, from.y, cluster, to);
+    if (result[`${to.x},${to.y}`] === undefined) return null;
+
+    const path = [];
+    let current = { x: to.x, y: to.y };
+    while (current) {
+      path.unshift({ x: current.x, y: current.y });
+      current = result.parents[`${current.x},${current.y}`];
+    }
+    return path;
+  }
+
+  /**
+   * Find a path, using the cache when possible
+   * @param {number} startX - Start tile X
+   * @param {number} startY - Start tile Y
+   * @param {number} endX - End tile X (must be passable)
+   * @param {number} endY - End tile Y (must be passable)
+   * @returns {Array|null} Tiles from start to end (same shape as Map.findPath)
+   */
+  findPath(startX, startY, endX, endY) {
+    const key = `${startX},${startY}>${endX},${endY}`;
+    if (this.paths[key]) {
+      this.stats.hits++;
+      return this.paths[key].path.map((point) => ({ ...point }));
+    }
+    this.stats.misses++;
+
+    const path = this.searchPath(startX, startY, endX, endY);
+    if (path) {
+      this.paths[key] = {
+        path: path,
+        clusters: new Set(path.map((point) => this.getCluster(point.x, point.y))),
+      };
+      this.pathOrder.push(key);
+      if (this.pathOrder.length > this.maxPaths) {
+        delete this.paths[this.pathOrder.shift()];
+      }
+    }
+
+    return path ? path.map((point) => ({ ...point })) : null;
+  }
+
+  /**
+   * Search the abstract graph and refine the result into tiles
+   * @param {number} startX - Start tile X
+   * @param {number} startY - Start tile Y
+   * @param {number} endX - End tile X
+   * @param {number} endY - End tile Y
+   * @returns {Array|null} Tiles from start to end
+   */
+  searchPath(startX, startY, endX, endY) {
+    const start = { x: startX, y: startY };
+    const end = { x: endX, y: endY };
+    const startCluster = this.getCluster(startX, startY);
+    const endCluster = this.getCluster(endX, endY);
+
+    // Short trips inside one cluster don't need the abstract graph
+    if (startCluster === endCluster) {
+      const local = this.getLocalPath(start, end, startCluster);
+      if (local) return local;
+    }
+
+    // Temporarily hook the start and end tiles into the graph
+    const startCosts = this.searchCluster(startX, startY, startCluster);
+    const endCosts = this.searchCluster(endX, endY, endCluster);
+
+    const heuristic = (node) =>
+      Math.max(Math.abs(node.x - endX), Math.abs(node.y - endY));
+
+    const open = [];
+    const g = {};
+    const parent = {};
+    const closed = new Set();
+
+    for (const id of this.clusterNodes[startCluster]) {
+      const node = this.nodes[id];
+      const cost = startCosts[`${node.x},${node.y}`];
+      if (cost === undefined) continue;
+
+      g[id] = cost;
+      parent[id] = "start";
+      open.push({ id: id, f: cost + heuristic(node) });
+    }
+
+    let goalCost = Infinity;
+    let goalParent = null;
+
+    while (open.length > 0) {
+      // The abstract graph is small; a linear scan beats a heap here
+      let bestIndex = 0;
+      for (let i = 1; i < open.length; i++) {
+        if (open[i].f < open[bestIndex].f) bestIndex = i;
+      }
+      const { id, f } = open.splice(bestIndex, 1)[0];
+      if (f >= goalCost) break;
+      if (closed.has(id)) continue;
+      closed.add(id);
+
+      const node = this.nodes[id];
+
+      // Reaching the end cluster may finish the path
+      if (node.cluster === endCluster) {
+        const cost = endCosts[`${node.x},${node.y}`];
+        if (cost !== undefined && g[id] + cost < goalCost) {
+          goalCost = g[id] + cost;
+          goalParent = id;
+        }
+      }
+
+      const neighbors = Object.entries(node.edges).map(([otherId, cost]) => [
+        Number(otherId),
+        cost,
+      ]);
+      if (node.partner !== null) neighbors.push([node.partner, 1]);
+
+      for (const [otherId, cost] of neighbors) {
+        if (closed.has(otherId)) continue;
+
+        const tentative = g[id] + cost;
+        if (g[otherId] === undefined || tentative < g[otherId]) {
+          g[otherId] = tentative;
+          parent[otherId] = id;
+          open.push({
+            id: otherId,
+            f: tentative + heuristic(this.nodes[otherId]),
+          });
+        }
+      }
+    }
+
+    if (goalParent === null) return null;
+
+    // Walk back through the abstract nodes, then fill in the tiles
+    const waypoints = [end];
+    for (let id = goalParent; id !== "start"; id = parent[id]) {
+      waypoints.unshift(this.nodes[id]);
+    }
+    waypoints.unshift(start);
+
+    const path = [{ x: startX, y: startY }];
+    for (let i = 1; i < waypoints.length; i++) {
+      const from = waypoints[i - 1];
+      const to = waypoints[i];
+      const cluster = this.getCluster(to.x, to.y);
+
+      // Crossing a border is a single step
+      if (this.getCluster(from.x, from.y) !== cluster) {
+        path.push({ x: to.x, y: to.y });
+        continue;
+      }
+
+      const segment = this.getLocalPath(from, to, cluster);
+      if (!segment) return null;
+      for (let j = 1; j < segment.length; j++) path.push(segment[j]);
+    }
+
+    return path;
+  }
+
+  /**
+   * Rebuild the clusters touched by a change to the map and forget the
+   * cached paths that cross them
+   * @param {number} x - Changed area X
+   * @param {number} y - Changed area Y
+   * @param {number} width - Changed area width
+   * @param {number} height - Changed area height
+   * @returns {Array} Rebuilt cluster indices
+   */
+  invalidateArea(x, y, width = 1, height = 1) {
+    // A tile on a cluster edge also changes the neighbour's entrances
+    const left = Math.max(0, Math.floor((x - 1) / this.clusterSize));
+    const top = Math.max(0, Math.floor((y - 1) / this.clusterSize));
+    const right = Math.min(
+      this.columns - 1,
+      Math.floor((x + width) / this.clusterSize)
+    );
+    const bottom = Math.min(
+      this.rows - 1,
+      Math.floor((y + height) / this.clusterSize)
+    );
+
+    const changed = [];
+    for (let cy = top; cy <= bottom; cy++) {
+      for (let cx = left; cx <= right; cx++) {
+        changed.push(cy * this.columns + cx);
+      }
+    }
+
+    // Rebuild every border of the changed clusters
+    const rebuild = new Set(changed);
+    for (let cy = top; cy <= bottom; cy++) {
+      for (let cx = left; cx <= right; cx++) {
+        const borders = [
+          [cx - 1, cy, cx, cy],
+          [cx, cy, cx + 1, cy],
+          [cx, cy - 1, cx, cy],
+          [cx, cy, cx, cy + 1],
+        ];
+
+        for (const [ax, ay, bx, by] of borders) {
+          if (ax < 0 || ay < 0 || bx >= this.columns || by >= this.rows) {
+            continue;
+          }
+
+          const a = ay * this.columns + ax;
+          const b = by * this.columns + bx;
+          if (this.borderNodes[`${a}|${b}`] === undefined) continue;
+
+          this.removeBorder(`${a}|${b}`);
+          this.buildBorder(ax, ay, bx, by);
+          rebuild.add(a);
+          rebuild.add(b);
+        }
+      }
+    }
+
+    // Neighbours got new entrance nodes, so their edges are rebuilt too
+    for (const cluster of rebuild) {
+      this.buildClusterEdges(cluster);
+    }
+
+    // Only paths through the changed clusters can have been affected
+    const changedSet = new Set(changed);
+    this.pathOrder = this.pathOrder.filter((key) => {
+      for (const cluster of this.paths[key].clusters) {
+        if (changedSet.has(cluster)) {
+          delete this.paths[key];
+          return false;
+        }
+      }
+      return true;
+    });
+
+    return changed;
+  }
+
+  /**
+   * Forget every cached path
+   */
+  clearPaths() {
+    this.paths = {};
+    this.pathOrder = [];
+  }
+
+  /**
+   * Get path cache statistics
+   * @returns {Object} Cache stats
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      clusters: this.clusterNodes.length,
+      entrances: Object.keys(this.nodes).length,
+      cacheHits: this.stats.hits,
+      cacheMisses: this.stats.misses,
+      cacheHitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      activeCacheEntries: this.pathOrder.length,
+      clustersRebuilt: this.stats.clustersRebuilt,
+    };
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HierarchicalPathCache;
+} else {
+  window.HierarchicalPathCache = HierarchicalPathCache;
+}
@@ -0,0 +1,623 @@
+/**
+ * Empires of Eternity - Post-Game Panel
+ * The report shown at the end of a match: a summary of every player, charts
+ * of resources, actions, units and buildings for one player, a timeline of
+ * their ages and research, and an export of the whole report to JSON
+ */
+
+class PostGamePanel {
+  /**
+   * Create a new post-game panel
+   * @param {GameEngine} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Panel element
+    this.container = null;
+    this.visible = false;
+
+    // Outcome line and the player whose charts are shown
+    this.headline = "";
+    this.playerId = 0;
+
+    // Chart size in pixels
+    this.chartWidth = 420;
+    this.chartHeight = 170;
+
+    // Line colours by resource type, and for the other charts' series
+    this.resourceColors = {
+      food: "#ef5350",
+      wood: "#8d6e63",
+      gold: "#ffd54f",
+      stone: "#b0bec5",
+      iron: "#64b5f6",
+    };
+    this.seriesColors = ["#81c784", "#ef5350", "#4fc3f7"];
+
+    Utils.log("PostGamePanel created");
+  }
+
+  /**
+   * Initialize the post-game panel
+   */
+  init() {
+    Utils.log("PostGamePanel initialized");
+    return this;
+  }
+
+  /**
+   * Nothing to animate; the report is drawn once when shown
+   */
+  update() {}
+
+  /**
+   * Get the statistics system
+   * @returns {StatisticsSystem|null} Statistics system
+   */
+  getStatistics() {
+    return this.game.getSystem("statistics");
+  }
+
+  /**
+   * Show the report
+   * @param {number} playerId - Player whose charts are shown first
+   * @param {string} headline - Outcome shown at the top
+   */
+  show(playerId = this.game.currentPlayer, headline = this.headline) {
+    if (!this.getStatistics()) return;
+    if (!this.container) this.createPanel();
+
+    this.playerId = playerId || 0;
+    this.headline = headline || "Match Report";
+    this.visible = true;
+    this.container.style.display = "block";
+    this.refresh();
+  }
+
+  /**
+   * Hide the report
+   */
+  hide() {
+    this.visible = false;
+    if (this.container) this.container.style.display = "none";
+  }
+
+  /**
+   * Create the panel element
+   */
+  createPanel() {
+    this.container = document.createElement("div");
+    this.container.className = "post-game-panel";
+    this.container.style.position = "absolute";
+    this.container.style.top = "5%";
+    this.container.style.left = "50%";
+    this.container.style.transform = "translateX(-50%)";
+    this.container.style.width = "900px";
+    this.container.style.maxWidth = "95%";
+    this.container.style.maxHeight = "90%";
+    this.container.style.overflowY = "auto";
+    this.container.style.padding = "16px";
+    this.container.style.background = "rgba(0, 0, 0, 0.9)";
+    this.container.style.color = "#fff";
+    this.container.style.zIndex = "200";
+    this.container.style.display = "none";
+
+    const parent = document.getElementById("game-container") || document.body;
+    parent.appendChild(this.container);
+  }
+
+  /**
+   * Rebuild the report from the statistics
+   */
+  refresh() {
+    if (!this.visible || !this.container) return;
+
+    const statistics = this.getStatistics();
+    const report = statistics.createReport();
+    const player =
+      report.players.find((entry) => entry.playerId === this.playerId) ||
+      report.players[0];
+    this.container.innerHTML = "";
+
+    const title = document.createElement("h2");
+    title.textContent = this.headline;
+    title.style.margin = "0 0 4px 0";
+    this.container.appendChild(title);
+
+    const length = document.createElement("div");
+    length.textContent = `Match length ${Utils.formatTime(
+      report.gameTime / 1000
+    )}`;
+    length.style.color = "#aaa";
+    length.style.marginBottom = "10px";
+    this.container.appendChild(length);
+
+    this.container.appendChild(this.createSummary(report.players));
+    if (!player) return;
+
+    this.container.appendChild(this.createPlayerPicker(report.players));
+
+    const charts = document.createElement("div");
+    charts.style.display = "flex";
+    charts.style.flexWrap = "wrap";
+    charts.style.gap = "12px";
+    this.container.appendChild(charts);
+
+    const resourceTypes = CONFIG.RESOURCES.TYPES;
+    charts.appendChild(
+      this.createChart("Resources gathered", (canvas) =>
+        this.drawLineChart(
+          canvas,
+          this.getResourceSeries(report.timeline, "collected", resourceTypes)
+        )
+      )
+    );
+    charts.appendChild(
+      this.createChart("Resources spent", (canvas) =>
+        this.drawLineChart(
+          canvas,
+          this.getResourceSeries(report.timeline, "spent", resourceTypes)
+        )
+      )
+    );
+    charts.appendChild(
+      this.createChart("Units by type", (canvas) =>
+        this.drawBarChart(canvas, player.units, ["trained", "lost", "killed"])
+      )
+    );
+    charts.appendChild(
+      this.createChart("Buildings by type", (canvas) =>
+        this.drawBarChart(canvas, player.buildings, [
+          "built",
+          "lost",
+          "destroyed",
+        ])
+      )
+    );
+    charts.appendChild(
+      this.createChart("Actions per minute", (canvas) =>
+        this.drawLineChart(canvas, this.getApmSeries(report.timeline))
+      )
+    );
+
+    this.container.appendChild(this.createTimeline(player));
+    this.container.appendChild(this.createButtons());
+  }
+
+  /**
+   * Create the table comparing every player
+   * @param {Array} players - Player reports
+   * @returns {HTMLElement} Table element
+   */
+  createSummary(players) {
+    const table = document.createElement("table");
+    table.style.width = "100%";
+    table.style.borderCollapse = "collapse";
+    table.style.fontSize = "13px";
+    table.style.marginBottom = "12px";
+
+    const count = (counts) =>
+      Object.values(counts).reduce((sum, amount) => sum + amount, 0);
+    const columns = [
+      ["Player", (p) => p.name],
+      ["Score", (p) => (p.score ? p.score.total : "-")],
+      ["Trained", (p) => count(p.units.trained)],
+      ["Lost", (p) => count(p.units.lost)],
+      ["Killed", (p) => count(p.units.killed)],
+      ["Built", (p) => count(p.buildings.built)],
+      ["Razed", (p) => count(p.buildings.destroyed)],
+      ["Techs", (p) => p.techs.length],
+      ["Idle villagers", (p) => Utils.formatTime(p.idleVillagerTime / 1000)],
+      ["APM", (p) => p.apm],
+    ];
+
+    const header = document.createElement("tr");
+    for (const [label] of columns) {
+      const cell = document.createElement("th");
+      cell.textContent = label;
+      cell.style.textAlign = label === "Player" ? "left" : "right";
+      cell.style.borderBottom = "1px solid #666";
+      header.appendChild(cell);
+    }
+    table.appendChild(header);
+
+    for (const player of players) {
+      const row = document.createElement("tr");
+      if (player.playerId === this.game.currentPlayer) {
+        row.style.fontWeight = "bold";
+      }
+
+      for (const [label, getValue] of columns) {
+        const cell = document.createElement("td");
+        cell.textContent = getValue(player);
+        cell.style.textAlign = label === "Player" ? "left" : "right";
+        row.appendChild(cell);
+      }
+
+      table.appendChild(row);
+    }
+
+    return table;
+  }
+
+  /**
+   * Create the dropdown that picks whose charts are shown
+   * @param {Array} players - Player reports
+   * @returns {HTMLElement} Picker element
+   */
+  createPlayerPicker(players) {
+    const row = document.createElement("div");
+    row.style.marginBottom = "8px";
+
+    const label = document.createElement("label");
+    label.textContent = "Charts for ";
+    row.appendChild(label);
+
+    const select = document.createElement("select");
+    for (const player of players) {
+      const option = document.createElement("option");
+      option.value = player.playerId;
+      option.textContent = player.name;
+      option.selected = player.playerId === this.playerId;
+      select.appendChild(option);
+    }
+    select.onchange = () => {
+      this.playerId = parseInt(select.value, 10);
+      this.refresh();
+    };
+    label.appendChild(select);
+
+    return row;
+  }
+
+  /**
+   * Create a titled canvas and draw a chart on it
+   * @param {string} title - Chart title
+   * @param {Function} draw - Draws the chart, given the canvas
+   * @returns {HTMLElement} Chart element
+   */
+  createChart(title, draw) {
+    const wrapper = document.createElement("div");
+
+    const heading = document.createElement("h4");
+    heading.textContent = title;
+    heading.style.margin = "4px 0";
+    wrapper.appendChild(heading);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = this.chartWidth;
+    canvas.height = this.chartHeight;
+    canvas.style.display = "block";
+    wrapper.appendChild(canvas);
+
+    draw(canvas);
+    return wrapper;
+  }
+
+  /**
+   * Get one line per resource type from the timeline
+   * @param {Array} timeline - Samples {time, players}
+   * @param {string} kind - "collected" or "spent"
+   * @param {Array} resourceTypes - Resource types to chart
+   * @returns {Array} Series {label, color, points: [{time, value}]}
+   */
+  getResourceSeries(timeline, kind, resourceTypes) {
+    return resourceTypes.map((resource) => ({
+      label: resource,
+      color: this.resourceColors[resource] || "#fff",
+      points: timeline.map((sample) => {
+        const totals = sample.players[this.playerId];
+        return {
+          time: sample.time,
+          value: totals ? totals[kind][resource] || 0 : 0,
+        };
+      }),
+    }));
+  }
+
+  /**
+   * Get the actions per minute between each pair of samples
+   * @param {Array} timeline - Samples {time, players}
+   * @returns {Array} Series {label, color, points: [{time, value}]}
+   */
+  getApmSeries(timeline) {
+    const points = [];
+    for (let i = 1; i < timeline.length; i++) {
+      const previous = timeline[i - 1];
+      const sample = timeline[i];
+      const minutes = (sample.time - previous.time) / 60000;
+      const before = previous.players[this.playerId];
+      const after = sample.players[this.playerId];
+      if (!before || !after || minutes <= 0) continue;
+
+      points.push({
+        time: sample.time,
+        value: Math.round((after.actions - before.actions) / minutes),
+      });
+    }
+
+    return [{ label: "APM", color: this.seriesColors[2], points: points }];
+  }
+
+  /**
+   * Draw lines over match time with a legend
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Array} series - Series {label, color, points: [{time, value}]}
+   */
+  drawLineChart(canvas, series) {
+    const ctx = canvas.getContext("2d");
+    const area = this.drawFrame(ctx, canvas);
+
+    if (!series.some((line) => line.points.length >= 2)) {
+      this.drawNotice(ctx, area, "Not enough of the match was played");
+      return;
+    }
+
+    const points = series.flatMap((line) => line.points);
+
+    const endTime = Math.max(1, ...points.map((point) => point.time));
+    const maxValue = Math.max(1, ...points.map((point) => point.value));
+    this.drawScale(ctx, area, maxValue);
+
+    ctx.textAlign = "right";
+    ctx.fillText(
+      Utils.formatTime(endTime / 1000),
+      area.left + area.width,
+      area.bottom + 14
+    );
+    ctx.textAlign = "left";
+    ctx.fillText("00:00", area.left, area.bottom + 14);
+
+    ctx.lineWidth = 2;
+    for (const line of series) {
+      ctx.strokeStyle = line.color;
+      ctx.beginPath();
+      line.points.forEach((point, index) => {
+        const x = area.left + (point.time / endTime) * area.width;
+        const y = area.bottom - (point.value / maxValue) * area.height;
+        if (index === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+    }
+
+    this.drawLegend(ctx, area, series);
+  }
+
+  /**
+   * Draw a group of bars for each type with a legend
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Object} counts - Counts by type for each series
+   * @param {Array} seriesNames - Keys of counts to draw, in order
+   */
+  drawBarChart(canvas, counts, seriesNames) {
+    const ctx = canvas.getContext("2d");
+    const area = this.drawFrame(ctx, canvas);
+
+    const types = [
+      ...new Set(seriesNames.flatMap((name) => Object.keys(counts[name]))),
+    ].sort();
+    if (types.length === 0) {
+      this.drawNotice(ctx, area, "None this match");
+      return;
+    }
+
+    let maxValue = 1;
+    for (const name of seriesNames) {
+      for (const type of types) {
+        maxValue = Math.max(maxValue, counts[name][type] || 0);
+      }
+    }
+    this.drawScale(ctx, area, maxValue);
+
+    const groupWidth = area.width / types.length;
+    const barWidth = Math.max(2, (groupWidth - 6) / seriesNames.length);
+
+    types.forEach((type, group) => {
+      const groupLeft = area.left + group * groupWidth + 3;
+
+      seriesNames.forEach((name, index) => {
+        const value = counts[name][type] || 0;
+        const height = (value / maxValue) * area.height;
+        ctx.fillStyle = this.seriesColors[index % this.seriesColors.length];
+        ctx.fillRect(
+          groupLeft + index * barWidth,
+          area.bottom - height,
+          barWidth - 1,
+          height
+        );
+      });
+
+      // Type names only while there's room for them
+      if (groupWidth >= 40) {
+        ctx.fillStyle = "#aaa";
+        ctx.textAlign = "center";
+        ctx.fillText(
+          type.slice(0, 10),
+          groupLeft + groupWidth / 2 - 3,
+          area.bottom + 14
+        );
+      }
+    });
+
+    this.drawLegend(
+      ctx,
+      area,
+      seriesNames.map((name, index) => ({
+        label: name,
+        color: this.seriesColors[index % this.seriesColors.length],
+      }))
+    );
+  }
+
+  /**
+   * Clear the canvas and draw the chart background and axes
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {HTMLCanvasElement} canvas - Canvas being drawn on
+   * @returns {Object} Plot area {left, bottom, width, height}
+   */
+  drawFrame(ctx, canvas) {
+    const area = {
+      left: 44,
+      bottom: canvas.height - 20,
+      width: canvas.width - 54,
+      height: canvas.height - 50,
+    };
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.05)";
+    ctx.fillRect(area.left, area.bottom - area.height, area.width, area.height);
+
+    ctx.strokeStyle = "#888";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(area.left, area.bottom - area.height);
+    ctx.lineTo(area.left, area.bottom);
+    ctx.lineTo(area.left + area.width, area.bottom);
+    ctx.stroke();
+
+    ctx.font = "11px Arial";
+    return area;
+  }
+
+  /**
+   * Label the top and bottom of the value axis
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} area - Plot area
+   * @param {number} maxValue - Value at the top of the axis
+   */
+  drawScale(ctx, area, maxValue) {
+    ctx.fillStyle = "#aaa";
+    ctx.textAlign = "right";
+    ctx.fillText(
+      String(Math.round(maxValue)),
+      area.left - 4,
+      area.bottom - area.height + 8
+    );
+    ctx.fillText("0", area.left - 4, area.bottom);
+  }
+
+  /**
+   * Write a message where a chart has nothing to show
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} area - Plot area
+   * @param {string} message - Message to show
+   */
+  drawNotice(ctx, area, message) {
+    ctx.fillStyle = "#aaa";
+    ctx.textAlign = "left";
+    ctx.fillText(message, area.left + 10, area.bottom - area.height / 2);
+  }
+
+  /**
+   * Draw a colour key above the plot area
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} area - Plot area
+   * @param {Array} series - Entries {label, color}
+   */
+  drawLegend(ctx, area, series) {
+    let x = area.left;
+    const y = area.bottom - area.height - 12;
+
+    ctx.textAlign = "left";
+    for (const entry of series) {
+      ctx.fillStyle = entry.color;
+      ctx.fillRect(x, y - 8, 10, 10);
+      ctx.fillStyle = "#ddd";
+      ctx.fillText(entry.label, x + 14, y + 1);
+      x += 22 + ctx.measureText(entry.label).width;
+    }
+  }
+
+  /**
+   * Create the list of age-ups and research in the order they happened
+   * @param {Object} player - Player report
+   * @returns {HTMLElement} Timeline element
+   */
+  createTimeline(player) {
+    const wrapper = document.createElement("div");
+    wrapper.style.marginTop = "12px";
+
+    const heading = document.createElement("h4");
+    heading.textContent = "Timeline";
+    heading.style.margin = "4px 0";
+    wrapper.appendChild(heading);
+
+    const events = [];
+    for (const age in player.ageTimes) {
+      // The starting age isn't an advance
+      if (player.ageTimes[age] === 0) continue;
+
+      events.push({
+        time: player.ageTimes[age],
+        text: `Reached the ${CONFIG.AGES.NAMES[age] || `age ${age}`}`,
+        color: "#ffd54f",
+      });
+    }
+    for (const tech of player.techs) {
+      events.push({
+        time: tech.time,
+        text: `Researched ${tech.name}`,
+        color: "#ddd",
+      });
+    }
+    events.sort((a, b) => a.time - b.time);
+
+    if (events.length === 0) {
+      const empty = document.createElement("div");
+      empty.textContent = "No ages reached or technologies researched";
+      empty.style.color = "#aaa";
+      wrapper.appendChild(empty);
+      return wrapper;
+    }
+
+    const list = document.createElement("ul");
+    list.style.margin = "0";
+    list.style.paddingLeft = "20px";
+    list.style.fontSize = "13px";
+    for (const event of events) {
+      const item = document.createElement("li");
+      item.textContent = `${Utils.formatTime(event.time / 1000)}  ${
+        event.text
+      }`;
+      item.style.color = event.color;
+      list.appendChild(item);
+    }
+    wrapper.appendChild(list);
+
+    return wrapper;
+  }
+
+  /**
+   * Create the export and close buttons
+   * @returns {HTMLElement} Button row
+   */
+  createButtons() {
+    const row = document.createElement("div");
+    row.style.marginTop = "12px";
+
+    const exportButton = document.createElement("button");
+    exportButton.textContent = "Export JSON";
+    exportButton.onclick = () => this.getStatistics().exportToFile();
+    row.appendChild(exportButton);
+
+    const close = document.createElement("button");
+    close.textContent = "Close";
+    close.style.marginLeft = "8px";
+    close.onclick = () => this.hide();
+    row.appendChild(close);
+
+    return row;
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PostGamePanel;
+} else {
+  window.PostGamePanel = PostGamePanel;
+}
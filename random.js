@@ -0,0 +1,80 @@
+/**
+ * Empires of Eternity - Seeded Random
+ * Deterministic random number generator for the simulation, so matches
+ * can be replayed from a seed and a command log
+ */
+
+class SeededRandom {
+  /**
+   * Create a new seeded random number generator
+   * @param {number} seed - Initial seed
+   */
+  constructor(seed = 0) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reset the generator to a seed
+   * @param {number} seed - New seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Get a random number between 0 (inclusive) and 1 (exclusive)
+   * @returns {number} Random number (mulberry32)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a random integer between min and max (inclusive)
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number} Random integer
+   */
+  nextInt(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Get a random float between min and max
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number} Random float
+   */
+  nextFloat(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  /**
+   * Get the generator state for saving
+   * @returns {Object} Generator state
+   */
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Restore the generator state
+   * @param {Object} data - Generator state from getState()
+   */
+  setState(data) {
+    this.seed = data.seed >>> 0;
+    this.state = data.state | 0;
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SeededRandom;
+} else {
+  window.SeededRandom = SeededRandom;
+}
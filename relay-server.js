@@ -0,0 +1,347 @@
+// Lockstep relay server for local multiplayer matches
+//
+// Usage: node relay-server.js [--port 8080]
+//
+// Players join a room from the lobby, the host picks the map size and seed,
+// and once the match starts every player's commands are collected per turn
+// and broadcast to everyone in the same order. The server never simulates the
+// game; it only orders commands, compares state hashes and remembers turn
+// history so dropped players can reconnect and catch up.
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+// Civilizations a player can pick (several players may pick the same one)
+const CIVILIZATIONS = ['solari', 'lunari'];
+const MAX_PLAYERS = 4;
+const RECONNECT_TIMEOUT = 30000; // ms to wait for a dropped player before moving on
+
+const rooms = {};
+
+/**
+ * Get a room by name, creating it if needed
+ * @param {string} name - Room name
+ * @returns {Object} Room
+ */
+function getRoom(name) {
+    if (!rooms[name]) {
+        rooms[name] = {
+            name: name,
+            hostId: null,
+            settings: { mapSize: 64, seed: Math.floor(Math.random() * 1000000) },
+            players: [],
+            started: false,
+            turns: [], // Finalized commands for each turn
+            submissions: {}, // turn -> { playerId: commands }
+            hashes: {} // turn -> { playerId: hash }
+        };
+    }
+    return rooms[name];
+}
+
+/**
+ * Send a message to one player
+ * @param {Object} player - Player
+ * @param {Object} message - Message
+ */
+function send(player, message) {
+    if (player.socket && player.socket.readyState === WebSocket.OPEN) {
+        player.socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Send a message to everyone in a room
+ * @param {Object} room - Room
+ * @param {Object} message - Message
+ */
+function broadcast(room, message) {
+    for (const player of room.players) {
+        send(player, message);
+    }
+}
+
+/**
+ * Public view of the players in a room
+ * @param {Object} room - Room
+ * @returns {Array} Player summaries
+ */
+function playerList(room) {
+    return room.players.map(player => ({
+        id: player.id,
+        name: player.name,
+        civilization: player.civilization,
+        ready: player.ready,
+        connected: player.connected
+    }));
+}
+
+/**
+ * Tell everyone in a room about the current lobby state
+ * @param {Object} room - Room
+ */
+function broadcastLobby(room) {
+    for (const player of room.players) {
+        send(player, {
+            type: 'lobby',
+            room: room.name,
+            playerId: player.id,
+            hostId: room.hostId,
+            settings: room.settings,
+            players: playerList(room),
+            started: room.started
+        });
+    }
+}
+
+/**
+ * Finalize and broadcast every turn that all active players have submitted
+ * @param {Object} room - Room
+ */
+function flushTurns(room) {
+    for (;;) {
+        const turn = room.turns.length;
+        const submissions = room.submissions[turn] || {};
+        const waitingFor = room.players.filter(player => !player.dropped && !(player.id in submissions));
+
+        if (waitingFor.length > 0) return;
+
+        // Order by player so every client executes commands identically
+        const commands = [];
+        for (const player of room.players) {
+            for (const command of submissions[player.id] || []) {
+                commands.push({ ...command, playerId: player.id });
+            }
+        }
+
+        room.turns.push(commands);
+        delete room.submissions[turn];
+        broadcast(room, { type: 'turn', turn: turn, commands: commands });
+    }
+}
+
+/**
+ * Compare state hashes once every active player has reported a turn
+ * @param {Object} room - Room
+ * @param {number} turn - Turn the hashes were taken at
+ */
+function checkHashes(room, turn) {
+    const hashes = room.hashes[turn];
+    const active = room.players.filter(player => !player.dropped);
+
+    if (!active.every(player => player.id in hashes)) return;
+
+    const distinct = new Set(Object.values(hashes));
+    if (distinct.size > 1) {
+        console.warn(`Desync in room ${room.name} at turn ${turn}`, hashes);
+        broadcast(room, { type: 'desync', turn: turn, hashes: hashes });
+    }
+
+    delete room.hashes[turn];
+}
+
+/**
+ * Handle a player's connection dropping
+ * @param {Object} room - Room
+ * @param {Object} player - Player
+ */
+function handleDisconnect(room, player) {
+    player.connected = false;
+    player.socket = null;
+
+    if (!room.started) {
+        // Leaving the lobby frees the slot; re-number so player IDs stay contiguous
+        const wasHost = room.hostId === player.id;
+        room.players = room.players.filter(p => p !== player);
+        if (room.players.length === 0) {
+            delete rooms[room.name];
+            return;
+        }
+        const host = wasHost ? room.players[0] : room.players.find(p => p.id === room.hostId);
+        room.players.forEach((p, index) => { p.id = index; });
+        room.hostId = host.id;
+        broadcastLobby(room);
+        return;
+    }
+
+    broadcast(room, { type: 'playerDisconnected', playerId: player.id });
+
+    // Keep the match going without them if they don't come back
+    player.dropTimer = setTimeout(() => {
+        player.dropped = true;
+        broadcast(room, { type: 'playerDropped', playerId: player.id });
+        flushTurns(room);
+    }, RECONNECT_TIMEOUT);
+}
+
+/**
+ * Handle a message from a client
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} session - Room and player bound to this socket
+ * @param {Object} message - Parsed message
+ */
+function handleMessage(socket, session, message) {
+    const { room, player } = session;
+
+    switch (message.type) {
+        case 'join': {
+            const joined = getRoom(message.room || 'default');
+
+            if (joined.started) {
+                send({ socket }, { type: 'error', message: 'Match already started' });
+                return;
+            }
+            if (joined.players.length >= MAX_PLAYERS) {
+                send({ socket }, { type: 'error', message: 'Room is full' });
+                return;
+            }
+
+            const civilization = CIVILIZATIONS.includes(message.civilization)
+                ? message.civilization
+                : CIVILIZATIONS[0];
+
+            const newPlayer = {
+                id: joined.players.length,
+                token: crypto.randomBytes(16).toString('hex'),
+                name: message.name || `Player ${joined.players.length + 1}`,
+                civilization: civilization,
+                ready: false,
+                connected: true,
+                dropped: false,
+                dropTimer: null,
+                socket: socket
+            };
+
+            joined.players.push(newPlayer);
+            if (joined.hostId === null) joined.hostId = newPlayer.id;
+
+            session.room = joined;
+            session.player = newPlayer;
+
+            send(newPlayer, { type: 'joined', playerId: newPlayer.id, token: newPlayer.token });
+            broadcastLobby(joined);
+            break;
+        }
+
+        case 'rejoin': {
+            const rejoined = rooms[message.room];
+            const existing = rejoined && rejoined.players.find(p => p.token === message.token);
+
+            if (!existing) {
+                send({ socket }, { type: 'error', message: 'Unknown room or player' });
+                return;
+            }
+
+            clearTimeout(existing.dropTimer);
+            if (existing.socket && existing.socket !== socket) existing.socket.close();
+            existing.socket = socket;
+            existing.connected = true;
+            existing.dropped = false;
+
+            session.room = rejoined;
+            session.player = existing;
+
+            send(existing, {
+                type: 'resume',
+                playerId: existing.id,
+                settings: rejoined.settings,
+                players: playerList(rejoined),
+                turns: rejoined.turns.slice(message.fromTurn || 0),
+                fromTurn: message.fromTurn || 0
+            });
+            broadcast(rejoined, { type: 'playerReconnected', playerId: existing.id });
+            break;
+        }
+
+        case 'update': {
+            if (!room || room.started) return;
+
+            if (message.civilization) {
+                if (!CIVILIZATIONS.includes(message.civilization)) {
+                    send(player, { type: 'error', message: 'Unknown civilization' });
+                } else {
+                    player.civilization = message.civilization;
+                }
+            }
+            if (message.name) player.name = message.name;
+            if (message.ready !== undefined) player.ready = !!message.ready;
+
+            // Only the host may change match settings
+            if (message.settings && player.id === room.hostId) {
+                room.settings = { ...room.settings, ...message.settings };
+            }
+
+            broadcastLobby(room);
+            break;
+        }
+
+        case 'start': {
+            if (!room || room.started || player.id !== room.hostId) return;
+
+            if (room.players.length < 2 || !room.players.every(p => p.ready)) {
+                send(player, { type: 'error', message: 'All players must be ready' });
+                return;
+            }
+
+            room.started = true;
+            for (const p of room.players) {
+                send(p, {
+                    type: 'start',
+                    playerId: p.id,
+                    settings: room.settings,
+                    players: playerList(room)
+                });
+            }
+            break;
+        }
+
+        case 'commands': {
+            if (!room || !room.started) return;
+
+            // Turns already finalized can't be changed
+            if (message.turn < room.turns.length) return;
+
+            if (!room.submissions[message.turn]) room.submissions[message.turn] = {};
+            room.submissions[message.turn][player.id] = message.commands || [];
+            flushTurns(room);
+            break;
+        }
+
+        case 'hash': {
+            if (!room || !room.started) return;
+
+            if (!room.hashes[message.turn]) room.hashes[message.turn] = {};
+            room.hashes[message.turn][player.id] = message.hash;
+            checkHashes(room, message.turn);
+            break;
+        }
+    }
+}
+
+function main() {
+    const portIndex = process.argv.indexOf('--port');
+    const port = portIndex !== -1 ? parseInt(process.argv[portIndex + 1], 10) : 8080;
+
+    const server = new WebSocket.Server({ port: port });
+
+    server.on('connection', socket => {
+        const session = { room: null, player: null };
+
+        socket.on('message', data => {
+            try {
+                handleMessage(socket, session, JSON.parse(data));
+            } catch (error) {
+                console.error('Bad message:', error.message);
+            }
+        });
+
+        socket.on('close', () => {
+            if (session.room && session.player && session.player.socket === socket) {
+                handleDisconnect(session.room, session.player);
+            }
+        });
+    });
+
+    console.log(`Empires of Eternity relay listening on ws://localhost:${port}`);
+}
+
+main();
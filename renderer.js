@@ -261,6 +261,17 @@ class Renderer {
           { r: 80, g: 80, b: 90, a: 0.4 } // Gray tint for mountains
         );
 
+        // Water reuses the plains texture under a heavy blue tint
+        this.assets.terrainTiles.shallowWater = await this.createTerrainTile(
+          { x: 0, y: 0, width: 256, height: 256 },
+          { r: 80, g: 170, b: 210, a: 0.6 } // Light blue tint for shallows
+        );
+
+        this.assets.terrainTiles.water = await this.createTerrainTile(
+          { x: 0, y: 0, width: 256, height: 256 },
+          { r: 30, g: 90, b: 160, a: 0.8 } // Deep blue tint for water
+        );
+
         Utils.log("All terrain tiles created successfully");
         resolve();
       } catch (error) {
@@ -626,13 +637,25 @@ class Renderer {
    * Create placeholder terrain assets
    */
   createPlaceholderTerrainAssets() {
-    const terrainTypes = ["plains", "forest", "desert", "hills", "mountains"];
+    const terrainTypes = [
+      "plains",
+      "forest",
+      "desert",
+      "hills",
+      "mountains",
+      "road",
+      "shallowWater",
+      "water",
+    ];
     const colors = {
       plains: "#8FB36D",
       forest: "#2D6A4F",
       desert: "#F2CC8F",
       hills: "#A68C69",
       mountains: "#6F6F6F",
+      road: "#B89B72",
+      shallowWater: "#6FB7D6",
+      water: "#2E6F9E",
     };
 
     terrainTypes.forEach((type) => {
@@ -667,13 +690,14 @@ class Renderer {
    * Create placeholder resource assets
    */
   createPlaceholderResourceAssets() {
-    const resourceTypes = ["wood", "food", "gold", "stone", "iron"];
+    const resourceTypes = ["wood", "food", "gold", "stone", "iron", "fish"];
     const colors = {
       wood: "#8B4513",
       food: "#32CD32",
       gold: "#FFD700",
       stone: "#C0C0C0",
       iron: "#708090",
+      fish: "#87CEEB",
     };
 
     resourceTypes.forEach((type) => {
@@ -1022,8 +1046,10 @@ class Renderer {
     this.clear();
     this.renderMap();
     this.renderEntities();
-    this.renderUI();
+
+    // Lighting goes under the UI so night doesn't dim selections and labels
     this.renderEffects();
+    this.renderUI();
     
     // Debug info if enabled
     if (this.debugMode) {
@@ -1067,6 +1093,11 @@ class Renderer {
     const visibleEndX = Math.min(map.width - 1, endX);
     const visibleEndY = Math.min(map.height - 1, endY);
 
+    // Seasonal colouring, with frozen water drawn as ice
+    const seasons = this.game.getSystem("seasons");
+    const seasonTint = seasons ? seasons.getTint() : null;
+    const iceColor = seasons ? seasons.getIceColor() : null;
+
     // Render visible terrain tiles
     for (let y = visibleStartY; y <= visibleEndY; y++) {
       for (let x = visibleStartX; x <= visibleEndX; x++) {
@@ -1099,6 +1130,13 @@ class Renderer {
           );
         }
 
+        const overlay =
+          iceColor && map.isFrozen(x, y) ? iceColor : seasonTint;
+        if (overlay) {
+          this.ctx.fillStyle = overlay;
+          this.ctx.fillRect(x * tileSize, y * tileSize, tileSize, tileSize);
+        }
+
         // Apply fog of war effect for explored but not visible tiles
         if (!map.isVisible(x, y)) {
           this.ctx.fillStyle = "rgba(0, 0, 0, 0.5)";
@@ -1172,11 +1210,8 @@ class Renderer {
     const entityManager = this.game.getSystem("entityManager");
     if (!entityManager) return;
 
-    // Get all entities
-    const entities = entityManager.entities || [];
-
     // Sort entities by layer for correct rendering order
-    const sortedEntities = [...entities].sort((a, b) => {
+    const sortedEntities = this.game.entities.sort((a, b) => {
       // First by type (buildings behind units)
       if (a.type === "building" && b.type !== "building") return -1;
       if (a.type !== "building" && b.type === "building") return 1;
@@ -1187,6 +1222,10 @@ class Renderer {
 
     // Render each entity
     for (const entity of sortedEntities) {
+      // Units aboard a transport are drawn as the ship, and garrisoned
+      // units are inside their building
+      if (entity.transportId || entity.garrisonId) continue;
+
       // Skip if not visible
       if (
         !this.isVisible(
@@ -1236,6 +1275,20 @@ class Renderer {
       // Render selection indicator if selected
       if (entity.selected) {
         this.renderSelectionIndicator(entity);
+
+        // A selected building shows where its units will rally
+        if (entity.rallyPoints && entity.rallyPoints.length > 0) {
+          this.renderRallyPoints(entity);
+        }
+
+        // A selected unit shows the orders it has queued up
+        if (
+          (entity.orders && entity.orders.length > 0) ||
+          entity.attackMove ||
+          entity.patrol
+        ) {
+          this.renderOrderQueue(entity);
+        }
       }
     }
   }
@@ -1324,6 +1377,11 @@ class Renderer {
       this.drawHealthBar(x, y, texture.width || 32, unit.hp, unit.maxHp);
     }
 
+    // Draw veterancy chevrons
+    if (unit.veterancy > 0) {
+      this.drawVeterancyChevrons(unit.veterancy, x, y);
+    }
+
     // Draw state indicator
     this.drawUnitStateIndicator(unit, x, y);
   }
@@ -1446,6 +1504,30 @@ class Renderer {
     this.ctx.stroke();
   }
 
+  /**
+   * Draw rank chevrons stacked at a unit's top-left corner
+   * @param {number} rank - Veterancy rank (one chevron per rank)
+   * @param {number} x - Unit X position in pixels
+   * @param {number} y - Unit Y position in pixels
+   */
+  drawVeterancyChevrons(rank, x, y) {
+    const width = 8;
+    const height = 3;
+
+    this.ctx.strokeStyle = "#ffd700"; // Gold
+    this.ctx.lineWidth = 2;
+
+    for (let i = 0; i < rank; i++) {
+      const chevronY = y + 4 + i * (height + 2);
+
+      this.ctx.beginPath();
+      this.ctx.moveTo(x + 2, chevronY);
+      this.ctx.lineTo(x + 2 + width / 2, chevronY + height);
+      this.ctx.lineTo(x + 2 + width, chevronY);
+      this.ctx.stroke();
+    }
+  }
+
   /**
    * Render a selection indicator for an entity
    * @param {Object} entity - Selected entity
@@ -1473,6 +1555,118 @@ class Renderer {
     }
   }
 
+  /**
+   * Render a building's rally route: a dashed line through each waypoint,
+   * with a flag planted at every one
+   * @param {Object} building - Selected building
+   */
+  renderRallyPoints(building) {
+    const tileSize = window.CONFIG?.MAP?.TILE_SIZE || 64;
+    const start = building.getCenter();
+    const points = building.rallyPoints.map((point) => {
+      const position = building.getRallyPosition(point);
+      return { x: position.x * tileSize, y: position.y * tileSize };
+    });
+
+    // Route
+    this.ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([4, 4]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(start.x, start.y);
+    for (const point of points) {
+      this.ctx.lineTo(point.x, point.y);
+    }
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    // Flags in the owner's civilization color
+    const civ = window.CONFIG?.CIVILIZATIONS?.[building.civilization];
+    const color = civ ? civ.color : "#ffffff";
+    for (const point of points) {
+      this.ctx.strokeStyle = "#333";
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      this.ctx.moveTo(point.x, point.y);
+      this.ctx.lineTo(point.x, point.y - 20);
+      this.ctx.stroke();
+
+      this.ctx.fillStyle = color;
+      this.ctx.beginPath();
+      this.ctx.moveTo(point.x, point.y - 20);
+      this.ctx.lineTo(point.x + 12, point.y - 16);
+      this.ctx.lineTo(point.x, point.y - 12);
+      this.ctx.closePath();
+      this.ctx.fill();
+    }
+  }
+
+  /**
+   * Render a unit's queued orders as a line from the unit through each
+   * order's spot, colored by what the unit will do there
+   * @param {Object} unit - Selected unit
+   */
+  renderOrderQueue(unit) {
+    const tileSize = window.CONFIG?.MAP?.TILE_SIZE || 64;
+    const colors = {
+      move: "#00ff00",
+      attack: "#ff3333",
+      attackMove: "#ff9933",
+      patrol: "#33ffff",
+      gather: "#ffd700",
+      build: "#3399ff",
+      repair: "#3399ff",
+      garrison: "#cc66ff",
+      follow: "#ffffff",
+    };
+
+    const drawLeg = (from, to, color) => {
+      this.ctx.strokeStyle = color;
+      this.ctx.beginPath();
+      this.ctx.moveTo(from.x * tileSize, from.y * tileSize);
+      this.ctx.lineTo(to.x * tileSize, to.y * tileSize);
+      this.ctx.stroke();
+
+      this.ctx.fillStyle = color;
+      this.ctx.beginPath();
+      this.ctx.arc(to.x * tileSize, to.y * tileSize, 3, 0, Math.PI * 2);
+      this.ctx.fill();
+    };
+
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([6, 4]);
+
+    // The current order first, then each queued one from where the last ends
+    let from = { x: unit.x, y: unit.y };
+    let current = colors.move;
+    if (unit.attackMove) current = colors.attackMove;
+    if (unit.patrol) current = colors.patrol;
+
+    if (unit.targetX !== null && unit.targetY !== null) {
+      const to = { x: unit.targetX, y: unit.targetY };
+      drawLeg(from, to, current);
+      from = to;
+    }
+
+    // A patrol goes round its waypoints for good
+    if (unit.patrol) {
+      const waypoints = unit.patrol.waypoints;
+      for (let i = 0; i < waypoints.length; i++) {
+        drawLeg(waypoints[i], waypoints[(i + 1) % waypoints.length], current);
+      }
+    }
+
+    for (const order of unit.orders) {
+      const to = unit.getOrderPosition(order);
+      if (!to) continue;
+
+      drawLeg(from, to, colors[order.type] || colors.move);
+      from = to;
+    }
+
+    this.ctx.setLineDash([]);
+  }
+
   /**
    * Render UI elements
    */
@@ -1544,8 +1738,11 @@ class Renderer {
       this.ctx.fillText(`Health: ${entity.health}/${entity.maxHealth}`, 20, this.canvas.height - 65);
     }
     
-    // Show action buttons
-    const actions = this.getEntityActions(entity);
+    // Show action buttons (the same list the input system hit-tests)
+    const input = this.game.getSystem('input');
+    const actions = input ? input.getEntityActions(entity) : this.getEntityActions(entity);
+    
+    const hotkeys = this.game.getSystem && this.game.getSystem('hotkeys');
     
     // Draw action buttons
     for (let i = 0; i < Math.min(actions.length, 4); i++) {
@@ -1560,6 +1757,14 @@ class Renderer {
       this.ctx.font = '12px Arial';
       this.ctx.textAlign = 'center';
       this.ctx.fillText(action.name, 50 + i * 70, this.canvas.height - 30);
+      
+      // Hotkey under the name
+      const hotkey = hotkeys ? hotkeys.getLabel(action.icon) : '';
+      if (hotkey) {
+        this.ctx.fillStyle = '#ff0';
+        this.ctx.font = '10px Arial';
+        this.ctx.fillText(hotkey, 50 + i * 70, this.canvas.height - 16);
+      }
       this.ctx.textAlign = 'left';
     }
   }
@@ -1611,15 +1816,21 @@ class Renderer {
    * Render day/night lighting effect
    */
   renderDayNightEffect() {
-    // Day/night cycle lighting effects
-    if (!this.game.dayNightCycle.isDay) {
-      // Night effect
+    const timeOfDay = this.game.getSystem("timeOfDay");
+    if (!timeOfDay) return;
+
+    const settings = window.CONFIG?.DAY_NIGHT || {};
+    const color = settings.NIGHT_COLOR || '20, 20, 50';
+    const darkness = (1 - timeOfDay.getLightLevel()) * (settings.MAX_DARKNESS || 0.6);
+
+    if (darkness > 0.05) {
+      // Darkness deepening towards midnight, heaviest at the screen edges
       const gradient = this.ctx.createRadialGradient(
         this.canvas.width / 2, this.canvas.height / 2, 100,
         this.canvas.width / 2, this.canvas.height / 2, this.canvas.width / 1.5
       );
-      gradient.addColorStop(0, 'rgba(20, 20, 50, 0)');
-      gradient.addColorStop(1, 'rgba(20, 20, 50, 0.7)');
+      gradient.addColorStop(0, `rgba(${color}, ${darkness * 0.5})`);
+      gradient.addColorStop(1, `rgba(${color}, ${darkness})`);
       
       this.ctx.fillStyle = gradient;
       this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
@@ -1647,7 +1858,8 @@ class Renderer {
     this.ctx.fillText(`Entities: ${this.game.entities.length}`, 20, 90);
     this.ctx.fillText(`Game Time: ${Math.floor(this.game.gameTime)}s`, 20, 110);
     this.ctx.fillText(`Viewport: ${Math.round(this.viewPort.x)},${Math.round(this.viewPort.y)}`, 20, 130);
-    this.ctx.fillText(`Day/Night: ${this.game.dayNightCycle.isDay ? 'Day' : 'Night'}`, 20, 150);
+    const timeOfDay = this.game.getSystem("timeOfDay");
+    this.ctx.fillText(`Day/Night: ${timeOfDay ? timeOfDay.phase : 'day'}`, 20, 150);
     this.ctx.fillText(`Memory: ${Math.round(performance.memory?.usedJSHeapSize / 1048576)}MB (of ${Math.round(performance.memory?.jsHeapSizeLimit / 1048576)}MB)`, 20, 170);
   }
 
@@ -0,0 +1,377 @@
+/**
+ * Empires of Eternity - Replay Viewer
+ * Plays back recorded matches from a command log with play/pause,
+ * speed, seeking and player perspective controls
+ */
+
+class ReplayViewer {
+  /**
+   * Create a new replay viewer
+   * @param {GameEngine} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Loaded replay document and its commands grouped by tick
+    this.replay = null;
+    this.commandsByTick = {};
+
+    // Available playback speeds
+    this.speeds = [0.5, 1, 2, 4, 8];
+
+    // Controls
+    this.container = null;
+    this.elements = {};
+
+    this.onBeforeTick = this.onBeforeTick.bind(this);
+    this.onTick = this.onTick.bind(this);
+
+    Utils.log("ReplayViewer created");
+  }
+
+  /**
+   * Initialize the replay viewer
+   */
+  init() {
+    this.game.on("beforeTick", this.onBeforeTick);
+    this.game.on("tick", this.onTick);
+
+    Utils.log("ReplayViewer initialized");
+    return this;
+  }
+
+  /**
+   * Ask the player for a replay file and start playing it
+   */
+  openFilePicker() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.onchange = () => {
+      if (input.files.length > 0) {
+        this.loadFromFile(input.files[0]);
+      }
+    };
+    input.click();
+  }
+
+  /**
+   * Load a replay from a JSON file
+   * @param {File} file - Replay file
+   * @returns {Promise<boolean>} Resolves true if loaded
+   */
+  loadFromFile(file) {
+    return file.text().then((text) => {
+      try {
+        return this.load(JSON.parse(text));
+      } catch (error) {
+        Utils.error(`Failed to open replay: ${error.message}`);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Start playing back a replay document
+   * @param {Object} replay - Replay document from CommandLog.createReplay()
+   * @returns {boolean} True if loaded
+   */
+  load(replay) {
+    const commandLog = this.game.getSystem("commandLog");
+
+    if (!replay || (commandLog && replay.format !== commandLog.FORMAT)) {
+      Utils.error("Not an Empires of Eternity replay file");
+      return false;
+    }
+
+    if (!replay.initialState) {
+      Utils.error("Replay has no starting state");
+      return false;
+    }
+
+    this.replay = replay;
+
+    // Group commands by tick for quick lookup during playback
+    this.commandsByTick = {};
+    for (const command of replay.commands) {
+      if (!this.commandsByTick[command.tick]) {
+        this.commandsByTick[command.tick] = [];
+      }
+      this.commandsByTick[command.tick].push(command);
+    }
+
+    // Stop recording and ignore live input while replaying
+    this.game.replaying = true;
+    if (commandLog) commandLog.recording = false;
+
+    this.createControls();
+    this.restart();
+    this.game.resume();
+
+    Utils.log(`Replay loaded (${replay.endTick} ticks)`);
+    return true;
+  }
+
+  /**
+   * Rewind to the start of the replay
+   */
+  restart() {
+    const saveSystem = this.game.getSystem("saveSystem");
+    saveSystem.restoreSnapshot(this.replay.initialState);
+
+    // The snapshot restores tick 0 and the seeded generator state
+    this.game.seed = this.replay.seed;
+
+    const entityManager = this.game.getSystem("entityManager");
+    if (entityManager) entityManager.commandQueue = [];
+
+    this.updateControls();
+  }
+
+  /**
+   * Feed recorded commands into the queue on the tick they ran
+   * @param {Object} data - Tick event data {tick}
+   */
+  onBeforeTick(data) {
+    if (!this.game.replaying || !this.replay) return;
+
+    const commands = this.commandsByTick[data.tick];
+    if (!commands) return;
+
+    const entityManager = this.game.getSystem("entityManager");
+    for (const command of commands) {
+      entityManager.commandQueue.push(Utils.deepClone(command));
+    }
+  }
+
+  /**
+   * Stop at the end of the replay and keep the controls current
+   * @param {Object} data - Tick event data {tick}
+   */
+  onTick(data) {
+    if (!this.game.replaying || !this.replay) return;
+
+    if (data.tick >= this.replay.endTick) {
+      this.pause();
+    }
+
+    this.updateControls();
+  }
+
+  /**
+   * Resume playback
+   */
+  play() {
+    if (this.game.tick >= this.replay.endTick) {
+      this.restart();
+    }
+    this.game.resume();
+    this.updateControls();
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    this.game.pause();
+    this.updateControls();
+  }
+
+  /**
+   * Set playback speed
+   * @param {number} speed - Speed multiplier
+   */
+  setSpeed(speed) {
+    this.game.gameSpeed = speed;
+    this.updateControls();
+  }
+
+  /**
+   * Jump to a tick, re-simulating from the start when going backwards
+   * @param {number} tick - Target tick
+   */
+  seek(tick) {
+    const target = Math.max(0, Math.min(tick, this.replay.endTick));
+    const wasRunning = this.game.running;
+
+    this.game.pause();
+
+    if (target < this.game.tick) {
+      this.restart();
+    }
+
+    // Fast-forward without rendering
+    while (this.game.tick < target) {
+      this.game.step();
+    }
+
+    this.game.render();
+    this.updateControls();
+
+    if (wasRunning && target < this.replay.endTick) {
+      this.game.resume();
+    }
+  }
+
+  /**
+   * Show the match from another player's point of view
+   * @param {number|null} playerId - Player ID, or null to reveal everything
+   */
+  setPerspective(playerId) {
+    const fogOfWar = this.game.getSystem("fogOfWar");
+    const player = this.replay.players.find((p) => p.id === playerId);
+
+    if (fogOfWar) {
+      if (player) {
+        fogOfWar.setPerspective(this.game.getOwnerKey(player.id));
+      } else {
+        fogOfWar.setPerspective(null);
+        fogOfWar.revealMap(fogOfWar.getPerspective());
+      }
+    }
+
+    if (player) {
+      this.game.currentPlayer = player.id;
+    }
+  }
+
+  /**
+   * Leave the replay and return control to the player
+   */
+  exit() {
+    const commandLog = this.game.getSystem("commandLog");
+
+    this.game.replaying = false;
+    this.game.gameSpeed = 1.0;
+    if (commandLog) commandLog.recording = true;
+
+    this.replay = null;
+    this.commandsByTick = {};
+
+    if (this.container) {
+      this.container.remove();
+      this.container = null;
+      this.elements = {};
+    }
+
+    this.game.pause();
+  }
+
+  /**
+   * Create the playback controls
+   */
+  createControls() {
+    if (this.container) this.container.remove();
+
+    this.container = document.createElement("div");
+    this.container.className = "replay-controls";
+    this.container.style.position = "absolute";
+    this.container.style.bottom = "10px";
+    this.container.style.left = "50%";
+    this.container.style.transform = "translateX(-50%)";
+    this.container.style.display = "flex";
+    this.container.style.alignItems = "center";
+    this.container.style.gap = "8px";
+    this.container.style.padding = "6px 10px";
+    this.container.style.background = "rgba(0, 0, 0, 0.7)";
+    this.container.style.color = "#fff";
+    this.container.style.zIndex = "200";
+
+    // Play / pause
+    const playButton = document.createElement("button");
+    playButton.onclick = () => (this.game.running ? this.pause() : this.play());
+    this.container.appendChild(playButton);
+
+    // Speed
+    const speedSelect = document.createElement("select");
+    for (const speed of this.speeds) {
+      const option = document.createElement("option");
+      option.value = speed;
+      option.textContent = `${speed}x`;
+      speedSelect.appendChild(option);
+    }
+    speedSelect.onchange = () => this.setSpeed(parseFloat(speedSelect.value));
+    this.container.appendChild(speedSelect);
+
+    // Timeline
+    const timeline = document.createElement("input");
+    timeline.type = "range";
+    timeline.min = 0;
+    timeline.max = this.replay.endTick;
+    timeline.style.width = "300px";
+    timeline.onchange = () => this.seek(parseInt(timeline.value, 10));
+    this.container.appendChild(timeline);
+
+    const timeLabel = document.createElement("span");
+    this.container.appendChild(timeLabel);
+
+    // Perspective
+    const perspectiveSelect = document.createElement("select");
+    const allOption = document.createElement("option");
+    allOption.value = "";
+    allOption.textContent = "Full map";
+    perspectiveSelect.appendChild(allOption);
+    for (const player of this.replay.players) {
+      const option = document.createElement("option");
+      option.value = player.id;
+      option.textContent = player.name || `Player ${player.id + 1}`;
+      perspectiveSelect.appendChild(option);
+    }
+    perspectiveSelect.onchange = () =>
+      this.setPerspective(
+        perspectiveSelect.value === ""
+          ? null
+          : parseInt(perspectiveSelect.value, 10)
+      );
+    this.container.appendChild(perspectiveSelect);
+
+    // Exit
+    const exitButton = document.createElement("button");
+    exitButton.textContent = "Exit Replay";
+    exitButton.onclick = () => this.exit();
+    this.container.appendChild(exitButton);
+
+    this.elements = { playButton, speedSelect, timeline, timeLabel };
+
+    const parent = document.getElementById("game-container") || document.body;
+    parent.appendChild(this.container);
+  }
+
+  /**
+   * Refresh the controls to match the playback state
+   */
+  updateControls() {
+    if (!this.container || !this.replay) return;
+
+    const { playButton, speedSelect, timeline, timeLabel } = this.elements;
+
+    playButton.textContent = this.game.running ? "Pause" : "Play";
+    speedSelect.value = this.game.gameSpeed;
+    timeline.value = this.game.tick;
+    timeLabel.textContent = `${this.formatTicks(
+      this.game.tick
+    )} / ${this.formatTicks(this.replay.endTick)}`;
+  }
+
+  /**
+   * Format a tick count as match time
+   * @param {number} ticks - Number of ticks
+   * @returns {string} Time as mm:ss
+   */
+  formatTicks(ticks) {
+    const tickLength = this.replay.tickLength || this.game.TICK_LENGTH;
+    const seconds = Math.floor((ticks * tickLength) / 1000);
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${mins.toString().padStart(2, "0")}:${secs
+      .toString()
+      .padStart(2, "0")}`;
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ReplayViewer;
+} else {
+  window.ReplayViewer = ReplayViewer;
+}
@@ -58,7 +58,7 @@ export class Resource extends Entity {
 
     // Track depletion status
     this.depleted = false;
-    this.regrowthTimer = null;
+    this.regrowthTimer = null; // Game time (ms) at which the tree regrows
 
     // Determine if this resource is part of a larger cluster
     this.cluster = null;
@@ -252,15 +252,14 @@ export class Resource extends Entity {
 
   /**
    * Start a regrowth timer for wood resources
+   * Timed in game time so regrowth is deterministic
    */
   startRegrowthTimer() {
     const regrowthTime =
       config.TREE_REGROWTH_TIME_MS +
-      Math.random() * config.TREE_REGROWTH_VARIANCE_MS;
+      this.game.random.next() * config.TREE_REGROWTH_VARIANCE_MS;
 
-    this.regrowthTimer = setTimeout(() => {
-      this.regrow();
-    }, regrowthTime);
+    this.regrowthTimer = this.game.gameTime + regrowthTime;
   }
 
   /**
@@ -328,7 +327,14 @@ export class Resource extends Entity {
   update(deltaTime) {
     super.update(deltaTime);
 
-    // Additional resource-specific update logic can go here
+    // Regrow depleted trees once their timer is up
+    if (
+      this.regrowthTimer !== null &&
+      this.game.gameTime >= this.regrowthTimer
+    ) {
+      this.regrowthTimer = null;
+      this.regrow();
+    }
   }
 
   /**
@@ -338,10 +344,7 @@ export class Resource extends Entity {
     super.cleanup();
 
     // Clear regrowth timer if active
-    if (this.regrowthTimer) {
-      clearTimeout(this.regrowthTimer);
-      this.regrowthTimer = null;
-    }
+    this.regrowthTimer = null;
 
     // Release all gathering spots
     this.gatherers.clear();
@@ -11,29 +11,11 @@ class ResourceManager {
   constructor(game) {
     this.game = game;
 
-    // Resource storage for each civilization
-    this.resources = {
-      SOLARI: { ...CONFIG.RESOURCES.STARTING },
-      LUNARI: { ...CONFIG.RESOURCES.STARTING },
-    };
+    // Resource storage, rates (per second) and alerts for each player
+    this.createPlayerTables(CONFIG.RESOURCES.STARTING);
 
-    // Resource rates (per second)
-    this.rates = {
-      SOLARI: {
-        income: { wood: 0, food: 0, gold: 0, stone: 0, iron: 0 },
-        expense: { wood: 0, food: 0, gold: 0, stone: 0, iron: 0 },
-      },
-      LUNARI: {
-        income: { wood: 0, food: 0, gold: 0, stone: 0, iron: 0 },
-        expense: { wood: 0, food: 0, gold: 0, stone: 0, iron: 0 },
-      },
-    };
-
-    // Resource alerts
-    this.alerts = {
-      SOLARI: new Set(),
-      LUNARI: new Set(),
-    };
+    // Running totals of what each player has gathered and paid
+    this.totals = this.createTotals();
 
     // Building and unit costs
     this.costs = this.initializeCosts();
@@ -315,34 +297,95 @@ class ResourceManager {
 
   /**
    * Initialize the resource manager
+   * @param {Object} options - Resource options
+   * @param {Object} options.startingResources - Amounts every player
+   *   starts with (defaults to CONFIG.RESOURCES.STARTING)
    */
-  init() {
-    // Reset resources to starting values
-    this.resources = {
-      SOLARI: { ...CONFIG.RESOURCES.STARTING },
-      LUNARI: { ...CONFIG.RESOURCES.STARTING },
-    };
+  init(options = {}) {
+    // Reset resources, rates and alerts to starting values
+    const starting = options.startingResources || CONFIG.RESOURCES.STARTING;
+    this.createPlayerTables(starting);
 
-    // Reset rates
-    this.rates = {
-      SOLARI: {
-        income: { wood: 0, food: 0, gold: 0, stone: 0, iron: 0 },
-        expense: { wood: 0, food: 0, gold: 0, stone: 0, iron: 0 },
-      },
-      LUNARI: {
+    // Reset totals
+    this.totals = this.createTotals();
+
+    Utils.log("ResourceManager initialized");
+    return this;
+  }
+
+  /**
+   * Get the owner keys of every player in the match
+   * @returns {Array} Owner keys
+   */
+  getOwners() {
+    return (this.game.players || []).map((player) =>
+      this.game.getOwnerKey(player.id)
+    );
+  }
+
+  /**
+   * Give each player a stockpile, zeroed rates and no alerts
+   * @param {Object} starting - Resources each player starts with
+   */
+  createPlayerTables(starting) {
+    this.resources = {};
+    this.rates = {};
+    this.alerts = {};
+
+    for (const owner of this.getOwners()) {
+      this.resources[owner] = { ...starting };
+      this.rates[owner] = {
         income: { wood: 0, food: 0, gold: 0, stone: 0, iron: 0 },
         expense: { wood: 0, food: 0, gold: 0, stone: 0, iron: 0 },
-      },
-    };
+      };
+      this.alerts[owner] = new Set();
+    }
+  }
 
-    // Reset alerts
-    this.alerts = {
-      SOLARI: new Set(),
-      LUNARI: new Set(),
-    };
+  /**
+   * Create empty collected and spent totals for each player
+   * @returns {Object} Totals {collected, spent} by player
+   */
+  createTotals() {
+    const totals = {};
+    for (const owner of this.getOwners()) {
+      totals[owner] = { collected: {}, spent: {} };
+      for (const resource of CONFIG.RESOURCES.TYPES) {
+        totals[owner].collected[resource] = 0;
+        totals[owner].spent[resource] = 0;
+      }
+    }
+    return totals;
+  }
 
-    Utils.log("ResourceManager initialized");
-    return this;
+  /**
+   * Get how much of each resource a player has gathered and paid out
+   * since the match began
+   * @param {number} owner - Owner key (defaults to the local player)
+   * @returns {Object} Totals {collected, spent}
+   */
+  getTotals(owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
+    }
+
+    const totals = this.totals[owner] || { collected: {}, spent: {} };
+    return { collected: { ...totals.collected }, spent: { ...totals.spent } };
+  }
+
+  /**
+   * Add to a player's running total
+   * @param {number} owner - Owner key
+   * @param {string} kind - "collected" or "spent"
+   * @param {string} resource - Resource type
+   * @param {number} amount - Amount
+   */
+  addToTotal(owner, kind, resource, amount) {
+    if (!this.totals[owner] || amount <= 0) return;
+
+    const totals = this.totals[owner][kind];
+    totals[resource] =
+      Math.round(((totals[resource] || 0) + amount) * 100) / 100;
   }
 
   /**
@@ -350,50 +393,50 @@ class ResourceManager {
    * @param {number} deltaTime - Time elapsed since last update (seconds)
    */
   update(deltaTime) {
-    // Update resources for each civilization
-    for (const civ of ["SOLARI", "LUNARI"]) {
+    // Update resources for each player
+    for (const owner of this.getOwners()) {
       // Apply income rates
-      for (const resource in this.rates[civ].income) {
-        const amount = this.rates[civ].income[resource] * deltaTime;
-        this.addResource(resource, amount, civ);
+      for (const resource in this.rates[owner].income) {
+        const amount = this.rates[owner].income[resource] * deltaTime;
+        this.addResource(resource, amount, owner);
       }
 
       // Apply expense rates
-      for (const resource in this.rates[civ].expense) {
-        const amount = this.rates[civ].expense[resource] * deltaTime;
-        this.deductResource(resource, amount, civ);
+      for (const resource in this.rates[owner].expense) {
+        const amount = this.rates[owner].expense[resource] * deltaTime;
+        this.deductResource(resource, amount, owner);
       }
 
       // Update alert status
-      this.updateAlerts(civ);
+      this.updateAlerts(owner);
     }
   }
 
   /**
    * Update resource alerts
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    */
-  updateAlerts(civ) {
+  updateAlerts(owner) {
     // Check for low resources
     for (const resource of CONFIG.RESOURCES.TYPES) {
-      const amount = this.resources[civ][resource] || 0;
+      const amount = this.resources[owner][resource] || 0;
       const alertKey = `low_${resource}`;
 
       // Check if amount is low (below 50)
       if (amount < 50) {
-        if (!this.alerts[civ].has(alertKey)) {
+        if (!this.alerts[owner].has(alertKey)) {
           // Add alert
-          this.alerts[civ].add(alertKey);
+          this.alerts[owner].add(alertKey);
 
           // Send alert notification
           const alertSystem = this.game.getSystem("alertSystem");
           if (alertSystem) {
-            alertSystem.addAlert(`Low ${resource}!`, "resource", civ);
+            alertSystem.addAlert(`Low ${resource}!`, "resource", owner);
           }
         }
       } else {
         // Remove alert if it exists
-        this.alerts[civ].delete(alertKey);
+        this.alerts[owner].delete(alertKey);
       }
     }
 
@@ -402,140 +445,157 @@ class ResourceManager {
   }
 
   /**
-   * Get current resources for a civilization
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * Get current resources for a player
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {Object} Resource amounts
    */
-  getResources(civ = null) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  getResources(owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
-    return { ...this.resources[civ] };
+    return { ...this.resources[owner] };
   }
 
   /**
    * Get a specific resource amount
    * @param {string} resource - Resource type
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {number} Resource amount
    */
-  getResource(resource, civ = null) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  getResource(resource, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
-    return this.resources[civ][resource] || 0;
+    return this.resources[owner][resource] || 0;
   }
 
   /**
-   * Add resources to a civilization
+   * Add resources to a player
    * @param {Object} resources - Resources to add {wood: 100, food: 50, etc.}
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    */
-  addResources(resources, civ = null) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  addResources(resources, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
     for (const resource in resources) {
-      this.addResource(resource, resources[resource], civ);
+      this.addResource(resource, resources[resource], owner);
     }
   }
 
   /**
-   * Add a resource amount to a civilization
+   * Add a resource amount to a player
    * @param {string} resource - Resource type
    * @param {number} amount - Amount to add
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    */
-  addResource(resource, amount, civ = null) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  addResource(resource, amount, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
     // Initialize if needed
-    if (!this.resources[civ][resource]) {
-      this.resources[civ][resource] = 0;
+    if (!this.resources[owner][resource]) {
+      this.resources[owner][resource] = 0;
     }
 
     // Add resource
-    this.resources[civ][resource] += amount;
+    this.resources[owner][resource] += amount;
 
     // Round to 2 decimal places to avoid floating-point issues
-    this.resources[civ][resource] =
-      Math.round(this.resources[civ][resource] * 100) / 100;
+    this.resources[owner][resource] =
+      Math.round(this.resources[owner][resource] * 100) / 100;
   }
 
   /**
-   * Deduct resources from a civilization
+   * Add a gathered resource amount to a player, counting it towards
+   * the collected total (refunds, trade and tribute use addResource)
+   * @param {string} resource - Resource type
+   * @param {number} amount - Amount gathered
+   * @param {number} owner - Owner key (defaults to the local player)
+   */
+  gatherResource(resource, amount, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
+    }
+
+    this.addResource(resource, amount, owner);
+    this.addToTotal(owner, "collected", resource, amount);
+  }
+
+  /**
+   * Deduct resources from a player
    * @param {Object} resources - Resources to deduct {wood: 100, food: 50, etc.}
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {boolean} True if successfully deducted
    */
-  deductResources(resources, civ = null) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  deductResources(resources, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
     // Check if enough resources
-    if (!this.canAffordResources(resources, civ)) {
+    if (!this.canAffordResources(resources, owner)) {
       return false;
     }
 
     // Deduct resources
     for (const resource in resources) {
-      this.deductResource(resource, resources[resource], civ);
+      this.deductResource(resource, resources[resource], owner);
     }
 
     return true;
   }
 
   /**
-   * Deduct a resource amount from a civilization
+   * Deduct a resource amount from a player
    * @param {string} resource - Resource type
    * @param {number} amount - Amount to deduct
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {boolean} True if successfully deducted
    */
-  deductResource(resource, amount, civ = null) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  deductResource(resource, amount, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
     // Initialize if needed
-    if (!this.resources[civ][resource]) {
-      this.resources[civ][resource] = 0;
+    if (!this.resources[owner][resource]) {
+      this.resources[owner][resource] = 0;
     }
 
     // Check if enough resource
-    if (this.resources[civ][resource] < amount) {
+    if (this.resources[owner][resource] < amount) {
       return false;
     }
 
     // Deduct resource
-    this.resources[civ][resource] -= amount;
+    this.resources[owner][resource] -= amount;
+    this.addToTotal(owner, "spent", resource, amount);
 
     // Round to 2 decimal places to avoid floating-point issues
-    this.resources[civ][resource] =
-      Math.round(this.resources[civ][resource] * 100) / 100;
+    this.resources[owner][resource] =
+      Math.round(this.resources[owner][resource] * 100) / 100;
 
     return true;
   }
 
   /**
-   * Check if a civilization can afford resources
+   * Check if a player can afford resources
    * @param {Object} resources - Resources to check {wood: 100, food: 50, etc.}
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {boolean} True if can afford
    */
-  canAffordResources(resources, civ = null) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  canAffordResources(resources, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
     for (const resource in resources) {
-      const currentAmount = this.resources[civ][resource] || 0;
+      const currentAmount = this.resources[owner][resource] || 0;
 
       if (currentAmount < resources[resource]) {
         return false;
@@ -549,12 +609,12 @@ class ResourceManager {
    * Get building cost
    * @param {string} buildingType - Building type
    * @param {number} age - Age level (0-4)
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {Object} Cost in resources
    */
-  getBuildingCost(buildingType, age, civ = null) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  getBuildingCost(buildingType, age, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
     // Get base cost
@@ -568,7 +628,7 @@ class ResourceManager {
 
     // Apply civilization bonuses
     if (
-      civ === "SOLARI" &&
+      this.game.getCivilization(owner) === "SOLARI" &&
       CONFIG.CIVILIZATIONS.SOLARI.uniquePerks.buildingDiscount
     ) {
       // Apply Solari building wood discount
@@ -586,35 +646,35 @@ class ResourceManager {
    * Check if can afford a building
    * @param {string} buildingType - Building type
    * @param {number} age - Age level (0-4)
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {boolean} True if can afford
    */
-  canAffordBuilding(buildingType, age, civ = null) {
-    const cost = this.getBuildingCost(buildingType, age, civ);
-    return this.canAffordResources(cost, civ);
+  canAffordBuilding(buildingType, age, owner = null) {
+    const cost = this.getBuildingCost(buildingType, age, owner);
+    return this.canAffordResources(cost, owner);
   }
 
   /**
    * Deduct cost for a building
    * @param {string} buildingType - Building type
    * @param {number} age - Age level (0-4)
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {boolean} True if successfully deducted
    */
-  deductBuildingCost(buildingType, age, civ = null) {
-    const cost = this.getBuildingCost(buildingType, age, civ);
-    return this.deductResources(cost, civ);
+  deductBuildingCost(buildingType, age, owner = null) {
+    const cost = this.getBuildingCost(buildingType, age, owner);
+    return this.deductResources(cost, owner);
   }
 
   /**
    * Get wall segment cost
    * @param {number} age - Age level (0-4)
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {Object} Cost in resources
    */
-  getWallSegmentCost(age, civ = null) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  getWallSegmentCost(age, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
     // Get base cost
@@ -622,7 +682,7 @@ class ResourceManager {
 
     // Apply civilization bonuses
     if (
-      civ === "SOLARI" &&
+      this.game.getCivilization(owner) === "SOLARI" &&
       CONFIG.CIVILIZATIONS.SOLARI.uniquePerks.buildingDiscount
     ) {
       // Apply Solari building wood discount
@@ -639,12 +699,12 @@ class ResourceManager {
   /**
    * Get gate cost
    * @param {number} age - Age level (0-4)
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {Object} Cost in resources
    */
-  getGateCost(age, civ = null) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  getGateCost(age, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
     // Get base cost
@@ -652,7 +712,7 @@ class ResourceManager {
 
     // Apply civilization bonuses
     if (
-      civ === "SOLARI" &&
+      this.game.getCivilization(owner) === "SOLARI" &&
       CONFIG.CIVILIZATIONS.SOLARI.uniquePerks.buildingDiscount
     ) {
       // Apply Solari building wood discount
@@ -670,12 +730,12 @@ class ResourceManager {
    * Get unit cost
    * @param {string} unitType - Unit type
    * @param {number} age - Age level (0-4)
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {Object} Cost in resources
    */
-  getUnitCost(unitType, age, civ = null) {
-    if (!civ) {
-      civ = this.game.state.selectedCivilization;
+  getUnitCost(unitType, age, owner = null) {
+    if (owner === null) {
+      owner = this.game.getOwnerKey(this.game.currentPlayer);
     }
 
     // Get base cost
@@ -692,36 +752,34 @@ class ResourceManager {
    * Check if can afford a unit
    * @param {string} unitType - Unit type
    * @param {number} age - Age level (0-4)
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {boolean} True if can afford
    */
-  canAffordUnit(unitType, age, civ = null) {
-    const cost = this.getUnitCost(unitType, age, civ);
-    return this.canAffordResources(cost, civ);
+  canAffordUnit(unitType, age, owner = null) {
+    const cost = this.getUnitCost(unitType, age, owner);
+    return this.canAffordResources(cost, owner);
   }
 
   /**
    * Deduct cost for a unit
    * @param {string} unitType - Unit type
    * @param {number} age - Age level (0-4)
-   * @param {string} civ - Civilization key (defaults to player civilization)
+   * @param {number} owner - Owner key (defaults to the local player)
    * @returns {boolean} True if successfully deducted
    */
-  deductUnitCost(unitType, age, civ = null) {
-    const cost = this.getUnitCost(unitType, age, civ);
-    return this.deductResources(cost, civ);
+  deductUnitCost(unitType, age, owner = null) {
+    const cost = this.getUnitCost(unitType, age, owner);
+    return this.deductResources(cost, owner);
   }
 
   /**
    * Reset resources to starting values
-   * @param {string} civ - Civilization key (defaults to both)
+   * @param {number} owner - Owner key (defaults to every player)
    */
-  resetResources(civ = null) {
-    if (civ) {
-      this.resources[civ] = { ...CONFIG.RESOURCES.STARTING };
-    } else {
-      this.resources.SOLARI = { ...CONFIG.RESOURCES.STARTING };
-      this.resources.LUNARI = { ...CONFIG.RESOURCES.STARTING };
+  resetResources(owner = null) {
+    const owners = owner !== null ? [owner] : this.getOwners();
+    for (const owner of owners) {
+      this.resources[owner] = { ...CONFIG.RESOURCES.STARTING };
     }
   }
 
@@ -729,65 +787,65 @@ class ResourceManager {
    * Set resource income rate
    * @param {string} resource - Resource type
    * @param {number} rate - Income rate per second
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    */
-  setIncomeRate(resource, rate, civ) {
-    if (!this.rates[civ].income[resource]) {
-      this.rates[civ].income[resource] = 0;
+  setIncomeRate(resource, rate, owner) {
+    if (!this.rates[owner].income[resource]) {
+      this.rates[owner].income[resource] = 0;
     }
 
-    this.rates[civ].income[resource] = rate;
+    this.rates[owner].income[resource] = rate;
   }
 
   /**
    * Add to resource income rate
    * @param {string} resource - Resource type
    * @param {number} rate - Income rate to add
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    */
-  addIncomeRate(resource, rate, civ) {
-    if (!this.rates[civ].income[resource]) {
-      this.rates[civ].income[resource] = 0;
+  addIncomeRate(resource, rate, owner) {
+    if (!this.rates[owner].income[resource]) {
+      this.rates[owner].income[resource] = 0;
     }
 
-    this.rates[civ].income[resource] += rate;
+    this.rates[owner].income[resource] += rate;
   }
 
   /**
    * Set resource expense rate
    * @param {string} resource - Resource type
    * @param {number} rate - Expense rate per second
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    */
-  setExpenseRate(resource, rate, civ) {
-    if (!this.rates[civ].expense[resource]) {
-      this.rates[civ].expense[resource] = 0;
+  setExpenseRate(resource, rate, owner) {
+    if (!this.rates[owner].expense[resource]) {
+      this.rates[owner].expense[resource] = 0;
     }
 
-    this.rates[civ].expense[resource] = rate;
+    this.rates[owner].expense[resource] = rate;
   }
 
   /**
    * Add to resource expense rate
    * @param {string} resource - Resource type
    * @param {number} rate - Expense rate to add
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    */
-  addExpenseRate(resource, rate, civ) {
-    if (!this.rates[civ].expense[resource]) {
-      this.rates[civ].expense[resource] = 0;
+  addExpenseRate(resource, rate, owner) {
+    if (!this.rates[owner].expense[resource]) {
+      this.rates[owner].expense[resource] = 0;
     }
 
-    this.rates[civ].expense[resource] += rate;
+    this.rates[owner].expense[resource] += rate;
   }
 
   /**
-   * Check if a civilization meets requirements for age advancement
+   * Check if a player meets requirements for age advancement
    * @param {number} targetAge - Target age level (0-4)
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    * @returns {boolean} True if requirements are met
    */
-  canAdvanceAge(targetAge, civ) {
+  canAdvanceAge(targetAge, owner) {
     // Check if target age is valid
     if (targetAge < 1 || targetAge >= CONFIG.AGES.NAMES.length) {
       return false;
@@ -797,16 +855,16 @@ class ResourceManager {
     const requirements = CONFIG.AGES.REQUIREMENTS[targetAge];
 
     // Check if resources meet requirements
-    return this.canAffordResources(requirements, civ);
+    return this.canAffordResources(requirements, owner);
   }
 
   /**
    * Get list of missing resources for age advancement
    * @param {number} targetAge - Target age level (0-4)
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    * @returns {Object} Missing resources {resource: amount}
    */
-  getMissingResourcesForAge(targetAge, civ) {
+  getMissingResourcesForAge(targetAge, owner) {
     // Check if target age is valid
     if (targetAge < 1 || targetAge >= CONFIG.AGES.NAMES.length) {
       return {};
@@ -819,7 +877,7 @@ class ResourceManager {
     // Check each resource
     for (const resource in requirements) {
       const required = requirements[resource];
-      const current = this.getResource(resource, civ);
+      const current = this.getResource(resource, owner);
 
       if (current < required) {
         missing[resource] = required - current;
@@ -828,6 +886,37 @@ class ResourceManager {
 
     return missing;
   }
+
+  /**
+   * Get serializable resource state
+   * @returns {Object} Serialized resource state
+   */
+  serialize() {
+    return {
+      resources: JSON.parse(JSON.stringify(this.resources)),
+      rates: JSON.parse(JSON.stringify(this.rates)),
+      totals: JSON.parse(JSON.stringify(this.totals)),
+    };
+  }
+
+  /**
+   * Restore resource state from serialized data
+   * @param {Object} data - Serialized resource state
+   */
+  deserialize(data) {
+    this.resources = JSON.parse(JSON.stringify(data.resources));
+    this.rates = JSON.parse(JSON.stringify(data.rates || this.rates));
+    this.totals = data.totals
+      ? JSON.parse(JSON.stringify(data.totals))
+      : this.createTotals();
+
+    // Alerts will be re-raised on the next update if still relevant
+    for (const owner in this.alerts) {
+      this.alerts[owner].clear();
+    }
+
+    Utils.log("Resources restored");
+  }
 }
 
 // Export for ES modules or make available globally
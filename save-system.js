@@ -0,0 +1,401 @@
+/**
+ * Empires of Eternity - Save System
+ * Saves and restores running matches to browser storage or JSON files
+ */
+
+class SaveSystem {
+  /**
+   * Create a new save system
+   * @param {GameEngine} game - Game instance
+   * @param {Object} options - Save options
+   */
+  constructor(game, options = {}) {
+    this.game = game;
+
+    // Save file format identifier and current version
+    this.FORMAT = "empires-of-eternity-save";
+    this.VERSION = 1;
+
+    // localStorage keys
+    this.storagePrefix = "eoe_save_";
+    this.indexKey = "eoe_save_index";
+
+    // Reserved slot names
+    this.AUTOSAVE_SLOT = "autosave";
+    this.QUICKSAVE_SLOT = "quicksave";
+
+    // Autosave settings
+    this.autosaveInterval =
+      options.autosaveInterval !== undefined
+        ? options.autosaveInterval
+        : 300000; // 5 minutes
+    this.autosaveTimer = null;
+
+    // Systems saved through their own serialize()/deserialize()
+    this.savedSystems = [
+      "fogOfWar",
+      "techManager",
+      "ageSystem",
+      "victorySystem",
+      "diplomacy",
+      "market",
+      "naval",
+      "garrison",
+      "support",
+      "seasons",
+      "timeOfDay",
+      "score",
+      "statistics",
+      "triggers",
+      "resourceManager",
+      "commandLog",
+    ];
+
+    // Upgrades from older save versions, keyed by the version they upgrade
+    this.migrations = {
+      // 1: (save) => { ...; save.version = 2; return save; },
+    };
+
+    this.onBeforeUnload = this.onBeforeUnload.bind(this);
+
+    Utils.log("SaveSystem created");
+  }
+
+  /**
+   * Initialize the save system and start autosaving
+   */
+  init() {
+    if (this.autosaveInterval > 0) {
+      this.autosaveTimer = setInterval(() => {
+        this.autosave();
+      }, this.autosaveInterval);
+    }
+
+    if (typeof window.addEventListener === "function") {
+      window.addEventListener("beforeunload", this.onBeforeUnload);
+    }
+
+    Utils.log("SaveSystem initialized");
+    return this;
+  }
+
+  /**
+   * Autosave when the page is closed mid-match
+   */
+  onBeforeUnload() {
+    this.autosave();
+  }
+
+  /**
+   * Save to the autosave slot if a match is in progress
+   * @returns {boolean} True if saved
+   */
+  autosave() {
+    const victorySystem = this.game.getSystem("victorySystem");
+    if (!this.game.initialized) return false;
+    if (victorySystem && victorySystem.gameEnded) return false;
+
+    return this.save(this.AUTOSAVE_SLOT, "Autosave");
+  }
+
+  /**
+   * Build a save document describing the whole match
+   * @param {string} name - Display name for the save
+   * @returns {Object} Save document
+   */
+  createSnapshot(name = "") {
+    const game = this.game;
+    const map = game.getSystem("map");
+    const entityManager = game.getSystem("entityManager");
+
+    const snapshot = {
+      format: this.FORMAT,
+      version: this.VERSION,
+      savedAt: Date.now(),
+      name: name,
+      game: {
+        gameTime: game.gameTime,
+        tick: game.tick || 0,
+        random: game.random ? game.random.getState() : null,
+        currentPlayer: game.currentPlayer,
+        players: Utils.deepClone(game.players),
+      },
+      map: map && map.serialize ? map.serialize() : null,
+      entities:
+        entityManager && entityManager.serialize
+          ? entityManager.serialize()
+          : null,
+      systems: {},
+      ai: [],
+    };
+
+    // Selected entities are UI state and not saved
+    if (game.state) {
+      const { selectedEntities, ...state } = game.state;
+      snapshot.game.state = Utils.deepClone(state);
+    }
+
+    for (const systemName of this.savedSystems) {
+      const system = game.getSystem(systemName);
+      if (system && typeof system.serialize === "function") {
+        snapshot.systems[systemName] = system.serialize();
+      }
+    }
+
+    for (const aiPlayer of game.aiPlayers || []) {
+      if (aiPlayer && aiPlayer.serialize) {
+        snapshot.ai.push(aiPlayer.serialize());
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Restore the match from a save document
+   * @param {Object} snapshot - Save document
+   * @returns {boolean} True if restored
+   */
+  restoreSnapshot(snapshot) {
+    const save = this.migrate(snapshot);
+    const game = this.game;
+    const wasRunning = game.running;
+
+    // Keep systems from updating against half-restored state
+    if (wasRunning) game.pause();
+
+    try {
+      // Map first: entities and pathfinding depend on it
+      const map = game.getSystem("map");
+      if (save.map && map && map.deserialize) {
+        map.deserialize(save.map);
+      }
+
+      const entityManager = game.getSystem("entityManager");
+      if (save.entities && entityManager && entityManager.deserialize) {
+        entityManager.deserialize(save.entities);
+      }
+
+      for (const name in save.systems) {
+        const system = game.getSystem(name);
+        if (!system) continue;
+
+        if (typeof system.deserialize === "function") {
+          system.deserialize(save.systems[name]);
+        } else if (typeof system.constructor.deserialize === "function") {
+          // Systems with a static factory are replaced outright
+          game.systemManager.register(
+            name,
+            system.constructor.deserialize(save.systems[name], game)
+          );
+        }
+      }
+
+      // AI last, once the entities its state refers to exist again
+      for (const aiData of save.ai || []) {
+        const aiPlayer = (game.aiPlayers || []).find(
+          (ai) => ai && ai.playerId === aiData.playerId
+        );
+        if (aiPlayer && aiPlayer.deserialize) {
+          aiPlayer.deserialize(aiData);
+        }
+      }
+
+      game.gameTime = save.game.gameTime || 0;
+      game.tick = save.game.tick || 0;
+      if (save.game.random && game.random) {
+        game.random.setState(save.game.random);
+      }
+      game.currentPlayer = save.game.currentPlayer || 0;
+      if (save.game.players) game.players = Utils.deepClone(save.game.players);
+      if (save.game.state && game.state) {
+        Object.assign(game.state, Utils.deepClone(save.game.state), {
+          selectedEntities: [],
+        });
+      }
+
+      if (game.emit) game.emit("gameLoaded", { name: save.name });
+
+      Utils.log(`Loaded save "${save.name || "unnamed"}"`);
+      return true;
+    } catch (error) {
+      Utils.error(`Failed to load save: ${error.message}`);
+      console.error(error);
+      return false;
+    } finally {
+      if (wasRunning) game.resume();
+    }
+  }
+
+  /**
+   * Validate a save document and upgrade it to the current version
+   * @param {Object} save - Save document
+   * @returns {Object} Save document at the current version
+   */
+  migrate(save) {
+    if (!save || save.format !== this.FORMAT) {
+      throw new Error("Not an Empires of Eternity save file");
+    }
+
+    if (save.version > this.VERSION) {
+      throw new Error(
+        `Save version ${save.version} is newer than supported (${this.VERSION})`
+      );
+    }
+
+    let migrated = save;
+    while (migrated.version < this.VERSION) {
+      const migration = this.migrations[migrated.version];
+      if (!migration) {
+        throw new Error(`No migration from save version ${migrated.version}`);
+      }
+      migrated = migration(migrated);
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Save the match to a localStorage slot
+   * @param {string} slot - Slot name
+   * @param {string} name - Display name for the save
+   * @returns {boolean} True if saved
+   */
+  save(slot, name = slot) {
+    try {
+      const snapshot = this.createSnapshot(name);
+      localStorage.setItem(this.storagePrefix + slot, JSON.stringify(snapshot));
+
+      const index = this.readIndex().filter((entry) => entry.slot !== slot);
+      index.push({
+        slot: slot,
+        name: name,
+        savedAt: snapshot.savedAt,
+        gameTime: snapshot.game.gameTime,
+      });
+      localStorage.setItem(this.indexKey, JSON.stringify(index));
+
+      Utils.log(`Game saved to slot "${slot}"`);
+      return true;
+    } catch (error) {
+      // Most likely the storage quota was exceeded
+      Utils.error(`Failed to save game: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Load the match from a localStorage slot
+   * @param {string} slot - Slot name
+   * @returns {boolean} True if loaded
+   */
+  load(slot) {
+    const json = localStorage.getItem(this.storagePrefix + slot);
+    if (!json) {
+      Utils.error(`No save found in slot "${slot}"`);
+      return false;
+    }
+
+    try {
+      return this.restoreSnapshot(JSON.parse(json));
+    } catch (error) {
+      Utils.error(`Failed to load save: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a slot holds a save
+   * @param {string} slot - Slot name
+   * @returns {boolean} True if a save exists
+   */
+  hasSave(slot) {
+    return localStorage.getItem(this.storagePrefix + slot) !== null;
+  }
+
+  /**
+   * List saves in localStorage, newest first
+   * @returns {Array} Save index entries {slot, name, savedAt, gameTime}
+   */
+  listSaves() {
+    return this.readIndex().sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Delete a saved slot
+   * @param {string} slot - Slot name
+   */
+  deleteSave(slot) {
+    localStorage.removeItem(this.storagePrefix + slot);
+    localStorage.setItem(
+      this.indexKey,
+      JSON.stringify(this.readIndex().filter((entry) => entry.slot !== slot))
+    );
+  }
+
+  /**
+   * Read the save index from localStorage
+   * @returns {Array} Save index entries
+   */
+  readIndex() {
+    try {
+      return JSON.parse(localStorage.getItem(this.indexKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Download the current match as a JSON file
+   * @param {string} filename - File name for the download
+   */
+  exportToFile(filename = "empires-of-eternity-save.json") {
+    const snapshot = this.createSnapshot(filename);
+    const blob = new Blob([JSON.stringify(snapshot)], {
+      type: "application/json",
+    });
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Load a match from a JSON file chosen by the player
+   * @param {File} file - Save file
+   * @returns {Promise<boolean>} Resolves true if loaded
+   */
+  importFromFile(file) {
+    return file.text().then((text) => {
+      try {
+        return this.restoreSnapshot(JSON.parse(text));
+      } catch (error) {
+        Utils.error(`Failed to import save: ${error.message}`);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Stop autosaving
+   */
+  cleanup() {
+    if (this.autosaveTimer) {
+      clearInterval(this.autosaveTimer);
+      this.autosaveTimer = null;
+    }
+
+    if (typeof window.removeEventListener === "function") {
+      window.removeEventListener("beforeunload", this.onBeforeUnload);
+    }
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SaveSystem;
+} else {
+  window.SaveSystem = SaveSystem;
+}
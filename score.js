@@ -0,0 +1,285 @@
+/**
+ * Empires of Eternity - Score System
+ * Scores each player in four categories, all counted as resource value
+ * over ten: military (enemy units and buildings destroyed), economy
+ * (resources collected), technology (research and ages) and society
+ * (buildings standing). Samples the totals over time for the end-of-game
+ * graph
+ */
+
+class ScoreSystem {
+  /**
+   * Create a new score system
+   * @param {Game} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Score categories, in the order the scoreboard shows them
+    this.categories = ["military", "economy", "technology", "society"];
+
+    // Resource value of the enemy entities each player has destroyed
+    this.destroyed = {};
+
+    // Totals at regular intervals [{time, totals: {playerId: total}}]
+    this.history = [];
+    this.sampleInterval = 10000; // ms between samples
+
+    // Match time as the score system has seen it (ms)
+    this.time = 0;
+    this.sinceSample = 0;
+
+    this.onEntityDeath = this.onEntityDeath.bind(this);
+    this.onGameOver = this.onGameOver.bind(this);
+
+    Utils.log("ScoreSystem created");
+  }
+
+  /**
+   * Initialize the score system
+   * @param {Object} options - Score options
+   * @param {number} options.sampleInterval - Seconds between graph samples
+   */
+  init(options = {}) {
+    this.sampleInterval = (options.sampleInterval || 10) * 1000;
+
+    this.destroyed = {};
+    for (const player of this.game.players) {
+      this.destroyed[player.id] = 0;
+    }
+
+    this.history = [];
+    this.time = 0;
+    this.sinceSample = 0;
+
+    if (typeof this.game.on === "function") {
+      this.game.on("entityDeath", this.onEntityDeath);
+      this.game.on("gameOver", this.onGameOver);
+    }
+
+    this.recordSample();
+
+    Utils.log("ScoreSystem initialized");
+    return this;
+  }
+
+  /**
+   * Advance the clock and sample the scores
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    // The graph ends where the match did
+    const victorySystem = this.game.getSystem("victorySystem");
+    if (victorySystem && victorySystem.gameEnded) return;
+
+    this.time += deltaTime;
+    this.sinceSample += deltaTime;
+    if (this.sinceSample < this.sampleInterval) return;
+
+    this.sinceSample -= this.sampleInterval;
+    this.recordSample();
+  }
+
+  /**
+   * Credit the killer's owner with the value of what they destroyed
+   * @param {Object} data - Death event data {entity, killer}
+   */
+  onEntityDeath(data) {
+    if (!data || !data.entity || !data.killer) return;
+
+    const killerId = this.game.getPlayerId(data.killer.owner);
+    const victimId = this.game.getPlayerId(data.entity.owner);
+    if (killerId === null || killerId === victimId) return;
+
+    this.destroyed[killerId] =
+      (this.destroyed[killerId] || 0) + this.getEntityValue(data.entity);
+  }
+
+  /**
+   * Close the graph with the final scores
+   */
+  onGameOver() {
+    this.recordSample();
+  }
+
+  /**
+   * Add up the amounts in a cost or stockpile
+   * @param {Object} resources - Amount of each resource
+   * @returns {number} Total amount
+   */
+  sumResources(resources) {
+    let total = 0;
+    for (const resource in resources || {}) {
+      total += resources[resource] || 0;
+    }
+    return total;
+  }
+
+  /**
+   * Get what a unit or building cost to make
+   * @param {Entity} entity - Unit or building
+   * @returns {number} Total resource cost
+   */
+  getEntityValue(entity) {
+    const resourceManager = this.game.getSystem("resourceManager");
+    if (!resourceManager || !resourceManager.getUnitCost) return 0;
+
+    const age = entity.ageLevel || 0;
+    let cost = {};
+    if (entity.type === "unit") {
+      cost = resourceManager.getUnitCost(entity.unitType, age, entity.owner);
+    } else if (entity.type === "wall") {
+      cost = resourceManager.getWallSegmentCost(age, entity.owner);
+    } else if (entity.type === "building") {
+      cost = resourceManager.getBuildingCost(
+        entity.buildingType,
+        age,
+        entity.owner
+      );
+    }
+
+    return this.sumResources(cost);
+  }
+
+  /**
+   * Get a player's score in each category
+   * @param {number} playerId - Player ID
+   * @returns {Object} Score {military, economy, technology, society, total}
+   */
+  getScore(playerId) {
+    const owner = this.game.getOwnerKey(playerId);
+    const score = {
+      military: (this.destroyed[playerId] || 0) / 10,
+      economy: 0,
+      technology: 0,
+      society: 0,
+    };
+
+    const resourceManager = this.game.getSystem("resourceManager");
+    if (owner !== null && resourceManager && resourceManager.getTotals) {
+      score.economy =
+        this.sumResources(resourceManager.getTotals(owner).collected) / 10;
+    }
+
+    score.technology = this.getTechnologyValue(playerId, owner) / 10;
+
+    const entityManager = this.game.getSystem("entityManager");
+    if (owner !== null && entityManager) {
+      for (const entity of entityManager.getEntitiesByOwner(owner)) {
+        if (
+          (entity.type === "building" || entity.type === "wall") &&
+          entity.constructed
+        ) {
+          score.society += this.getEntityValue(entity) / 10;
+        }
+      }
+    }
+
+    score.total = 0;
+    for (const category of this.categories) {
+      score[category] = Math.floor(score[category]);
+      score.total += score[category];
+    }
+    return score;
+  }
+
+  /**
+   * Get the resource value of a player's research and ages reached
+   * @param {number} playerId - Player ID
+   * @param {string} owner - Civilization key
+   * @returns {number} Total resource value
+   */
+  getTechnologyValue(playerId, owner) {
+    let value = 0;
+
+    const techManager = this.game.getSystem("techManager");
+    const researched =
+      techManager && techManager.researchedTech
+        ? techManager.researchedTech[owner]
+        : null;
+    for (const techId of researched || []) {
+      const tech = techManager.techDefinitions[techId];
+      if (tech) value += this.sumResources(tech.cost);
+    }
+
+    const ageSystem = this.game.getSystem("ageSystem");
+    const age = ageSystem ? ageSystem.getPlayerAge(playerId) || 0 : 0;
+    const requirements = CONFIG.AGES.REQUIREMENTS;
+    for (let i = 1; i <= age && i < requirements.length; i++) {
+      value += this.sumResources(requirements[i]);
+    }
+
+    return value;
+  }
+
+  /**
+   * Get every player's score, highest total first
+   * @returns {Array} Entries {playerId, name, score}
+   */
+  getStandings() {
+    return this.game.players
+      .map((player) => ({
+        playerId: player.id,
+        name: player.name || `Player ${player.id + 1}`,
+        score: this.getScore(player.id),
+      }))
+      .sort((a, b) => b.score.total - a.score.total);
+  }
+
+  /**
+   * Add the current totals to the history
+   */
+  recordSample() {
+    const totals = {};
+    for (const player of this.game.players) {
+      totals[player.id] = this.getScore(player.id).total;
+    }
+
+    // Replace rather than repeat a sample taken at the same moment
+    const last = this.history[this.history.length - 1];
+    if (last && last.time === this.time) {
+      last.totals = totals;
+    } else {
+      this.history.push({ time: this.time, totals: totals });
+    }
+  }
+
+  /**
+   * Get the sampled totals
+   * @returns {Array} Samples {time, totals: {playerId: total}}
+   */
+  getHistory() {
+    return this.history;
+  }
+
+  /**
+   * Get serializable score state
+   * @returns {Object} Serialized score state
+   */
+  serialize() {
+    return {
+      destroyed: { ...this.destroyed },
+      history: JSON.parse(JSON.stringify(this.history)),
+      time: this.time,
+      sinceSample: this.sinceSample,
+    };
+  }
+
+  /**
+   * Restore score state from serialized data
+   * @param {Object} data - Serialized score state
+   */
+  deserialize(data) {
+    this.destroyed = { ...(data.destroyed || {}) };
+    this.history = JSON.parse(JSON.stringify(data.history || []));
+    this.time = data.time || 0;
+    this.sinceSample = data.sinceSample || 0;
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ScoreSystem;
+} else {
+  window.ScoreSystem = ScoreSystem;
+}
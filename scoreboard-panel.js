@@ -0,0 +1,342 @@
+/**
+ * Empires of Eternity - Scoreboard Panel
+ * Live scores for every player by category, and at the end of the match a
+ * graph of each player's score over time
+ */
+
+class ScoreboardPanel {
+  /**
+   * Create a new scoreboard panel
+   * @param {GameEngine} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Panel element
+    this.container = null;
+    this.visible = false;
+
+    // Set once the match is over; the panel then shows the graph
+    this.final = false;
+
+    // Live scores are redrawn this often while the panel is open (ms)
+    this.refreshInterval = 1000;
+    this.sinceRefresh = 0;
+
+    // Line and name colours by player order
+    this.colors = ["#4fc3f7", "#ef5350", "#81c784", "#ffb74d"];
+
+    this.refresh = this.refresh.bind(this);
+    this.onGameOver = this.onGameOver.bind(this);
+    this.onPlayerDefeated = this.onPlayerDefeated.bind(this);
+
+    Utils.log("ScoreboardPanel created");
+  }
+
+  /**
+   * Initialize the scoreboard panel
+   */
+  init() {
+    this.game.on("gameOver", this.onGameOver);
+    this.game.on("playerDefeated", this.onPlayerDefeated);
+    this.game.on("gameLoaded", this.refresh);
+
+    Utils.log("ScoreboardPanel initialized");
+    return this;
+  }
+
+  /**
+   * Keep the live scores current while the panel is open
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    if (!this.visible || this.final) return;
+
+    this.sinceRefresh += deltaTime;
+    if (this.sinceRefresh < this.refreshInterval) return;
+
+    this.sinceRefresh = 0;
+    this.refresh();
+  }
+
+  /**
+   * Show the final scores when the match ends
+   */
+  onGameOver() {
+    this.showFinal();
+  }
+
+  /**
+   * Show the final scores to a player knocked out of a match that goes on
+   * @param {Object} data - Defeat event data {playerId}
+   */
+  onPlayerDefeated(data) {
+    if (data && data.playerId === this.game.currentPlayer) this.showFinal();
+  }
+
+  /**
+   * Get the score system
+   * @returns {ScoreSystem|null} Score system
+   */
+  getScoreSystem() {
+    return this.game.getSystem("score");
+  }
+
+  /**
+   * Show or hide the panel
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Show the panel
+   */
+  show() {
+    if (!this.getScoreSystem()) return;
+    if (!this.container) this.createPanel();
+
+    this.visible = true;
+    this.sinceRefresh = 0;
+    this.container.style.display = "block";
+    this.refresh();
+  }
+
+  /**
+   * Hide the panel
+   */
+  hide() {
+    this.visible = false;
+    if (this.container) this.container.style.display = "none";
+  }
+
+  /**
+   * Show the final scores and the score graph in the middle of the screen
+   */
+  showFinal() {
+    this.final = true;
+    this.show();
+    if (!this.container) return;
+
+    this.container.style.top = "50%";
+    this.container.style.right = "auto";
+    this.container.style.left = "50%";
+    this.container.style.transform = "translate(-50%, -50%)";
+  }
+
+  /**
+   * Create the panel element
+   */
+  createPanel() {
+    this.container = document.createElement("div");
+    this.container.className = "scoreboard-panel";
+    this.container.style.position = "absolute";
+    this.container.style.top = "60px";
+    this.container.style.right = "10px";
+    this.container.style.width = "400px";
+    this.container.style.padding = "10px";
+    this.container.style.background = "rgba(0, 0, 0, 0.8)";
+    this.container.style.color = "#fff";
+    this.container.style.zIndex = "150";
+    this.container.style.display = "none";
+
+    const parent = document.getElementById("game-container") || document.body;
+    parent.appendChild(this.container);
+  }
+
+  /**
+   * Get the colour for a player's name and graph line
+   * @param {number} playerId - Player ID
+   * @returns {string} CSS colour
+   */
+  getPlayerColor(playerId) {
+    const index = this.game.players.findIndex((p) => p.id === playerId);
+    return this.colors[Math.max(0, index) % this.colors.length];
+  }
+
+  /**
+   * Rebuild the panel contents from the current scores
+   */
+  refresh() {
+    if (!this.visible || !this.container) return;
+
+    const scoreSystem = this.getScoreSystem();
+    this.container.innerHTML = "";
+
+    const title = document.createElement("h3");
+    title.textContent = this.final ? "Final Score" : "Scoreboard";
+    title.style.margin = "0 0 8px 0";
+    this.container.appendChild(title);
+
+    // Time left before the highest score wins
+    const victorySystem = this.game.getSystem("victorySystem");
+    const timeLeft =
+      victorySystem && victorySystem.getTimeRemaining
+        ? victorySystem.getTimeRemaining()
+        : null;
+    if (timeLeft !== null && !this.final) {
+      const countdown = document.createElement("div");
+      countdown.textContent = `Highest score wins in ${Utils.formatTime(
+        timeLeft / 1000
+      )}`;
+      countdown.style.color = "#ff8";
+      countdown.style.marginBottom = "8px";
+      this.container.appendChild(countdown);
+    }
+
+    this.container.appendChild(this.createTable(scoreSystem));
+
+    if (this.final) {
+      const canvas = document.createElement("canvas");
+      canvas.width = 380;
+      canvas.height = 180;
+      canvas.style.display = "block";
+      canvas.style.marginTop = "10px";
+      this.container.appendChild(canvas);
+      this.drawGraph(canvas, scoreSystem.getHistory());
+    }
+
+    const close = document.createElement("button");
+    const hotkeys = this.game.getSystem("hotkeys");
+    close.textContent = hotkeys
+      ? `Close (${hotkeys.getLabel("scoreboard")})`
+      : "Close";
+    close.style.marginTop = "10px";
+    close.onclick = () => this.hide();
+    this.container.appendChild(close);
+
+    // The full report can be reopened once it's been closed
+    const postGame = this.game.getSystem("postGame");
+    if (this.final && postGame) {
+      const report = document.createElement("button");
+      report.textContent = "Match Report";
+      report.style.marginLeft = "8px";
+      report.onclick = () => postGame.show();
+      this.container.appendChild(report);
+    }
+  }
+
+  /**
+   * Create the table of scores by category, leader first
+   * @param {ScoreSystem} scoreSystem - Score system
+   * @returns {HTMLElement} Table element
+   */
+  createTable(scoreSystem) {
+    const table = document.createElement("table");
+    table.style.width = "100%";
+    table.style.borderCollapse = "collapse";
+    table.style.fontSize = "13px";
+
+    const columns = ["Player", ...scoreSystem.categories, "total"];
+    const header = document.createElement("tr");
+    for (const column of columns) {
+      const cell = document.createElement("th");
+      cell.textContent = column.charAt(0).toUpperCase() + column.slice(1);
+      cell.style.textAlign = column === "Player" ? "left" : "right";
+      cell.style.borderBottom = "1px solid #666";
+      header.appendChild(cell);
+    }
+    table.appendChild(header);
+
+    for (const entry of scoreSystem.getStandings()) {
+      const row = document.createElement("tr");
+      if (entry.playerId === this.game.currentPlayer) {
+        row.style.fontWeight = "bold";
+      }
+
+      const name = document.createElement("td");
+      name.textContent = entry.name;
+      name.style.color = this.getPlayerColor(entry.playerId);
+      row.appendChild(name);
+
+      for (const category of [...scoreSystem.categories, "total"]) {
+        const cell = document.createElement("td");
+        cell.textContent = entry.score[category];
+        cell.style.textAlign = "right";
+        row.appendChild(cell);
+      }
+
+      table.appendChild(row);
+    }
+
+    return table;
+  }
+
+  /**
+   * Draw each player's total score over the match
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Array} history - Samples {time, totals: {playerId: total}}
+   */
+  drawGraph(canvas, history) {
+    const ctx = canvas.getContext("2d");
+    const left = 40;
+    const bottom = canvas.height - 20;
+    const width = canvas.width - left - 10;
+    const height = bottom - 10;
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.05)";
+    ctx.fillRect(left, 10, width, height);
+
+    if (history.length < 2) {
+      ctx.fillStyle = "#aaa";
+      ctx.font = "12px Arial";
+      ctx.fillText("Not enough of the match was played", left + 10, 40);
+      return;
+    }
+
+    const endTime = history[history.length - 1].time || 1;
+    let maxScore = 1;
+    for (const sample of history) {
+      for (const id in sample.totals) {
+        maxScore = Math.max(maxScore, sample.totals[id]);
+      }
+    }
+
+    // Axes and their end labels
+    ctx.strokeStyle = "#888";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, 10);
+    ctx.lineTo(left, bottom);
+    ctx.lineTo(left + width, bottom);
+    ctx.stroke();
+
+    ctx.fillStyle = "#aaa";
+    ctx.font = "11px Arial";
+    ctx.textAlign = "right";
+    ctx.fillText(String(maxScore), left - 4, 18);
+    ctx.fillText("0", left - 4, bottom);
+    ctx.fillText(Utils.formatTime(endTime / 1000), left + width, bottom + 14);
+    ctx.textAlign = "left";
+    ctx.fillText("00:00", left, bottom + 14);
+
+    // One line per player
+    ctx.lineWidth = 2;
+    for (const player of this.game.players) {
+      ctx.strokeStyle = this.getPlayerColor(player.id);
+      ctx.beginPath();
+      history.forEach((sample, index) => {
+        const x = left + (sample.time / endTime) * width;
+        const total = sample.totals[player.id] || 0;
+        const y = bottom - (total / maxScore) * height;
+        if (index === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+    }
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ScoreboardPanel;
+} else {
+  window.ScoreboardPanel = ScoreboardPanel;
+}
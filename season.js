@@ -0,0 +1,234 @@
+/**
+ * Empires of Eternity - Season System
+ * Turns the seasons on a clock. Each season changes how fast villagers
+ * gather and how the land looks, and winter freezes water over
+ */
+
+class SeasonSystem {
+  /**
+   * Create a new season system
+   * @param {Game} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Settings from CONFIG.SEASONS, which a match can override
+    this.enabled = true;
+    this.length = 240000; // ms per season
+    this.order = ["spring", "summer", "autumn", "winter"];
+    this.effects = {};
+    this.iceColor = null;
+
+    // Current season and how long it has lasted (ms)
+    this.season = null;
+    this.elapsed = 0;
+
+    Utils.log("SeasonSystem created");
+  }
+
+  /**
+   * Initialize the season system
+   * @param {Object} options - Season options
+   * @param {boolean} options.enabled - False to keep the map in one season
+   * @param {number} options.length - Seconds per season
+   * @param {string} options.start - Season the match starts in
+   */
+  init(options = {}) {
+    const settings = (window.CONFIG && CONFIG.SEASONS) || {};
+
+    this.enabled =
+      options.enabled !== undefined
+        ? options.enabled
+        : settings.ENABLED !== false;
+    this.length = (options.length || settings.LENGTH || 240) * 1000;
+    this.order = settings.ORDER || this.order;
+    this.effects = settings.EFFECTS || {};
+    this.iceColor = settings.ICE_COLOR || null;
+
+    this.elapsed = 0;
+    this.season = null;
+    if (this.enabled) {
+      this.setSeason(options.start || settings.START || this.order[0], false);
+    }
+
+    Utils.log("SeasonSystem initialized");
+    return this;
+  }
+
+  /**
+   * Advance the season clock
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    if (!this.enabled || !this.season) return;
+
+    this.elapsed += deltaTime;
+    if (this.elapsed < this.length) return;
+
+    this.elapsed -= this.length;
+    const index = this.order.indexOf(this.season);
+    this.setSeason(this.order[(index + 1) % this.order.length], true);
+  }
+
+  /**
+   * Change the season, freezing or thawing the water as it requires
+   * @param {string} season - Season name
+   * @param {boolean} announce - Whether to tell the player
+   */
+  setSeason(season, announce = true) {
+    if (!this.effects[season]) return;
+
+    const previous = this.season;
+    this.season = season;
+
+    const map = this.game.getSystem("map");
+    const wasFrozen = !!(map && map.frozen);
+    const frozen = !!this.effects[season].freezeWater;
+    if (map && map.setFrozen && frozen !== wasFrozen) {
+      map.setFrozen(frozen);
+      if (!frozen) this.rescueStranded(map);
+    }
+
+    if (announce) {
+      let message = `${this.effects[season].name || season} has come`;
+      if (frozen && !wasFrozen) message += ": the water has frozen over";
+      if (!frozen && wasFrozen) message += ": the ice has thawed";
+
+      const alertSystem = this.game.getSystem("alertSystem");
+      if (alertSystem) {
+        alertSystem.addAlert(message, "info");
+      } else {
+        Utils.log(message);
+      }
+    }
+
+    if (typeof this.game.emit !== "function") return;
+    this.game.emit("seasonChanged", {
+      season: season,
+      previous: previous,
+      frozen: frozen,
+      thawed: wasFrozen && !frozen,
+    });
+  }
+
+  /**
+   * Put land units caught on the ice by a thaw back on the nearest shore
+   * @param {Map} map - Map
+   */
+  rescueStranded(map) {
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager) return;
+
+    for (const entity of entityManager.getEntitiesByType("unit")) {
+      if (
+        !entity.active ||
+        entity.naval ||
+        entity.transportId ||
+        entity.garrisonId ||
+        map.isPassable(Math.floor(entity.x), Math.floor(entity.y))
+      ) {
+        continue;
+      }
+
+      const shore = map.findNearestPassableTile(
+        Math.floor(entity.x),
+        Math.floor(entity.y),
+        10
+      );
+      if (!shore) continue;
+
+      entity.x = shore.x;
+      entity.y = shore.y;
+      if (entity.updateSpritePosition) entity.updateSpritePosition();
+    }
+  }
+
+  /**
+   * Get the current season
+   * @returns {string|null} Season name, or null with seasons off
+   */
+  getSeason() {
+    return this.season;
+  }
+
+  /**
+   * Get the time left in the current season
+   * @returns {number} Milliseconds until the next season
+   */
+  getTimeLeft() {
+    return Math.max(0, this.length - this.elapsed);
+  }
+
+  /**
+   * Get the current season's effects
+   * @returns {Object} Effects {name, gather, tint, freezeWater}
+   */
+  getEffects() {
+    return (this.season && this.effects[this.season]) || {};
+  }
+
+  /**
+   * Get the season's multiplier for a gathering rate
+   * @param {string} resourceType - Resource type
+   * @returns {number} Multiplier (1 = no change)
+   */
+  getGatherMultiplier(resourceType) {
+    const gather = this.getEffects().gather || {};
+    return gather[resourceType] !== undefined ? gather[resourceType] : 1;
+  }
+
+  /**
+   * Get the colour washed over land tiles this season
+   * @returns {string|null} CSS colour
+   */
+  getTint() {
+    return this.getEffects().tint || null;
+  }
+
+  /**
+   * Get the colour drawn over frozen water
+   * @returns {string|null} CSS colour
+   */
+  getIceColor() {
+    return this.iceColor;
+  }
+
+  /**
+   * Check whether the water is frozen
+   * @returns {boolean} True in a freezing season
+   */
+  isWaterFrozen() {
+    const map = this.game.getSystem("map");
+    return !!(map && map.frozen);
+  }
+
+  /**
+   * Get serializable season state
+   * @returns {Object} Serialized season state
+   */
+  serialize() {
+    return {
+      enabled: this.enabled,
+      season: this.season,
+      elapsed: this.elapsed,
+    };
+  }
+
+  /**
+   * Restore season state from serialized data
+   * @param {Object} data - Serialized season state
+   */
+  deserialize(data) {
+    this.enabled = data.enabled !== false;
+    this.elapsed = data.elapsed || 0;
+    this.season = null;
+    if (data.season) this.setSeason(data.season, false);
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SeasonSystem;
+} else {
+  window.SeasonSystem = SeasonSystem;
+}
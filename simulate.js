@@ -0,0 +1,232 @@
+// Run headless AI-vs-AI matches under Node and report the results
+//
+// Usage:
+//   node simulate.js [--games 100] [--seed 1234] [--map-size 64]
+//                    [--p1 solari:rushStrategy] [--p2 lunari:boomBuildOrder]
+//                    [--difficulty medium] [--max-minutes 60] [--out results.json]
+//                    [--map scenario.json] [--naval]
+//
+// Each player is "<civilization>[:<strategy>[+<strategy>...]]", where strategies
+// are AIBehaviors names such as rushStrategy, boomBuildOrder or fastCastle.
+// With --map, the map editor scenario sets the map and each player's civilization.
+// --naval generates a map with lakes and seas.
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// The game scripts were written for the browser and reach for `window`;
+// in Node the global object plays that role
+global.window = global;
+
+// Classic scripts, in dependency order (same order as game.html)
+const classicScripts = [
+    ['CONFIG', 'js/config.js'],
+    ['Utils', 'js/core/utils.js'],
+    ['SeededRandom', 'js/core/random.js'],
+    ['SaveSystem', 'js/core/save-system.js'],
+    ['CommandLog', 'js/core/command-log.js'],
+    ['FogOfWar', 'js/map/fog-of-war.js'],
+    ['FlowField', 'js/map/flow-field.js'],
+    ['HierarchicalPathCache', 'js/map/path-cache.js'],
+    ['Entity', 'js/entities/entity.js'],
+    ['Unit', 'js/entities/unit.js'],
+    ['Building', 'js/entities/building.js'],
+    ['Wall', 'js/entities/wall.js'],
+    ['EntityManager', 'js/entities/entity-manager.js'],
+    ['ResourceManager', 'js/mechanics/resources.js'],
+    ['TechManager', 'js/mechanics/tech-tree.js'],
+    ['AlertSystem', 'js/mechanics/alerts.js'],
+    ['DiplomacySystem', 'js/mechanics/diplomacy.js'],
+    ['MarketSystem', 'js/mechanics/market.js'],
+    ['NavalSystem', 'js/mechanics/naval.js'],
+    ['GarrisonSystem', 'js/mechanics/garrison.js'],
+    ['SupportSystem', 'js/mechanics/support.js'],
+    ['SeasonSystem', 'js/mechanics/season.js'],
+    ['TimeOfDaySystem', 'js/mechanics/time-of-day.js'],
+    ['ScoreSystem', 'js/mechanics/score.js'],
+    ['StatisticsSystem', 'js/mechanics/statistics.js'],
+    ['TriggerSystem', 'js/mechanics/triggers.js'],
+];
+
+// ES module scripts and the class each one exports
+const moduleScripts = [
+    ['AgeSystem', 'js/mechanics/age-advancement.js'],
+    ['VictorySystem', 'js/mechanics/victory.js'],
+    ['AIBehaviors', 'js/ai/ai-behaviors.js'],
+    ['AIDifficulty', 'js/ai/difficulty.js'],
+    ['AIPlayer', 'js/ai/ai-player.js'],
+];
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+    const options = {
+        games: 1,
+        seed: null,
+        mapSize: null,
+        players: ['solari', 'lunari'],
+        difficulty: 'medium',
+        maxMinutes: 60,
+        out: null,
+        scenario: null,
+        naval: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+
+        switch (arg) {
+            case '--games': options.games = parseInt(value, 10); i++; break;
+            case '--seed': options.seed = parseInt(value, 10); i++; break;
+            case '--map-size': options.mapSize = parseInt(value, 10); i++; break;
+            case '--p1': options.players[0] = value; i++; break;
+            case '--p2': options.players[1] = value; i++; break;
+            case '--difficulty': options.difficulty = value; i++; break;
+            case '--max-minutes': options.maxMinutes = parseFloat(value); i++; break;
+            case '--out': options.out = value; i++; break;
+            case '--map': options.scenario = JSON.parse(fs.readFileSync(value, 'utf8')); i++; break;
+            case '--naval': options.naval = true; break;
+            case '--verbose': options.verbose = true; break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Load the game scripts into the global scope
+ * @throws {Error} If a script fails to load or doesn't define its class;
+ *   the engine would otherwise quietly skip the system it belongs to
+ */
+async function loadGameScripts() {
+    for (const [name, file] of classicScripts) {
+        const exported = require(path.join(__dirname, file));
+        if (exported && !window[name]) {
+            window[name] = exported;
+        }
+    }
+
+    // Map is loaded separately: its class name clashes with the built-in Map
+    const GameMap = require(path.join(__dirname, 'js/map/map.js'));
+
+    for (const [name, file] of moduleScripts) {
+        const module = await import(pathToFileURL(path.join(__dirname, file)));
+        window[name] = module[name];
+    }
+
+    const { GameEngine } = require(path.join(__dirname, 'js/game-engine.js'));
+
+    const missing = [...classicScripts, ...moduleScripts]
+        .filter(([name]) => !window[name])
+        .map(([name, file]) => `${name} (${file})`);
+    if (missing.length > 0) {
+        throw new Error(`Game scripts did not define: ${missing.join(', ')}`);
+    }
+
+    return { GameEngine, GameMap };
+}
+
+/**
+ * Play one match to the end
+ * @param {Object} options - Run options
+ * @param {number} seed - Match seed
+ * @param {Object} classes - GameEngine and Map classes
+ * @returns {Promise<Object>} Match results
+ */
+async function runMatch(options, seed, { GameEngine, GameMap }) {
+    const engine = new GameEngine({ headless: true, seed: seed });
+
+    // Buildings and units reach the running game through window.gameInstance,
+    // as they do in the browser (game.html sets it)
+    window.gameInstance = engine;
+
+    engine.players = options.players.map((spec, id) => {
+        const [civilization, strategies] = spec.split(':');
+        return {
+            id: id,
+            civilization: civilization,
+            isHuman: false,
+            name: `AI ${id + 1}`,
+            difficulty: options.difficulty,
+            strategies: strategies ? strategies.split('+') : []
+        };
+    });
+
+    await engine.init({
+        seed: seed,
+        mapClass: GameMap,
+        mapSize: options.mapSize || undefined,
+        scenario: options.scenario || undefined,
+        match: { naval: options.naval },
+        aiDifficulty: options.difficulty
+    });
+
+    return engine.runHeadless({ maxGameTime: options.maxMinutes * 60000 });
+}
+
+/**
+ * Summarize win rates across matches
+ * @param {Array} results - Match results
+ * @returns {Object} Summary
+ */
+function summarize(results) {
+    const wins = {};
+    let timeouts = 0;
+
+    for (const result of results) {
+        if (result.winner === null || result.winner === undefined) {
+            timeouts++;
+            continue;
+        }
+        const winner = result.players[result.winner];
+        const key = [winner.civilization, ...winner.strategies].join(':');
+        wins[key] = (wins[key] || 0) + 1;
+    }
+
+    return { games: results.length, wins: wins, timeouts: timeouts };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // The engine logs a lot; keep the output to results unless asked.
+    // Warnings and errors still show, and a system that throws ends the run
+    const log = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+
+    const classes = await loadGameScripts();
+    const baseSeed = options.seed !== null ? options.seed : Math.floor(Math.random() * 1000000);
+    const results = [];
+
+    for (let i = 0; i < options.games; i++) {
+        const seed = baseSeed + i;
+        const result = await runMatch(options, seed, classes);
+        results.push(result);
+
+        log(`Game ${i + 1}/${options.games} (seed ${seed}): ` +
+            (result.timedOut ? 'time limit reached' : `player ${result.winner + 1} won by ${result.victoryType}`) +
+            ` after ${Math.round(result.gameTime / 1000)}s`);
+    }
+
+    const summary = summarize(results);
+    log(JSON.stringify(summary, null, 2));
+
+    if (options.out) {
+        fs.writeFileSync(options.out, JSON.stringify({ summary: summary, results: results }, null, 2));
+        log(`Results written to ${options.out}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
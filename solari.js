@@ -497,9 +497,7 @@ export class SolariCivilization extends Civilization {
     super.init();
 
     // Register time-of-day event listener
-    if (this.game.weatherSystem) {
-      this.game.on("timeChanged", this.onTimeOfDayChanged.bind(this));
-    }
+    this.watchTimeOfDay(this.onTimeOfDayChanged.bind(this));
 
     // Apply initial day/night bonuses
     this.updateDayNightBonuses();
@@ -517,13 +515,14 @@ export class SolariCivilization extends Civilization {
    * Update bonuses based on day/night cycle
    */
   updateDayNightBonuses() {
-    // Skip if weather system is not available
-    if (!this.game.weatherSystem) {
+    // Skip if there is no day/night cycle
+    const timeOfDay = this.getTimeOfDaySystem();
+    if (!timeOfDay) {
       return;
     }
 
     // Get current time information
-    const timeInfo = this.game.weatherSystem.getTimeOfDay();
+    const timeInfo = timeOfDay.getTimeOfDay();
 
     // Skip if time hasn't changed
     if (this.dayTimeCache.lastUpdate === this.game.gameTime) {
@@ -673,7 +672,7 @@ export class SolariCivilization extends Civilization {
     // Check if player deposited gold
     if (data.playerId === this.playerId && data.resource === "gold") {
       // Bonus gold nuggets chance (5%)
-      if (Math.random() < 0.05) {
+      if (this.game.random.next() < 0.05) {
         const bonusAmount = Math.floor(data.amount * 0.15); // 15% bonus
 
         // Add bonus gold
@@ -724,11 +723,9 @@ export class SolariCivilization extends Civilization {
     // Handle Solar Shrine
     if (building.buildingType === "solariShrine") {
       // Update initial aura state based on time of day
-      if (this.game.weatherSystem) {
-        const timeInfo = this.game.weatherSystem.getTimeOfDay();
-        if (building.aura) {
-          building.aura.active = timeInfo.isDay;
-        }
+      const timeOfDay = this.getTimeOfDaySystem();
+      if (timeOfDay && building.aura) {
+        building.aura.active = timeOfDay.isDay();
       }
     }
   }
@@ -817,9 +814,9 @@ export class SolariCivilization extends Civilization {
       shrine.abilities.push("radiance_aura");
 
       // Set initial state based on time of day
-      if (this.game.weatherSystem) {
-        const timeInfo = this.game.weatherSystem.getTimeOfDay();
-        shrine.abilityActive = timeInfo.isDay;
+      const timeOfDay = this.getTimeOfDaySystem();
+      if (timeOfDay) {
+        shrine.abilityActive = timeOfDay.isDay();
       } else {
         shrine.abilityActive = true;
       }
@@ -0,0 +1,491 @@
+/**
+ * Empires of Eternity - Statistics System
+ * Keeps the record for the post-game report: resources gathered and spent
+ * over time, units and buildings made and lost, research and age-up times,
+ * idle villager time and actions per minute
+ */
+
+class StatisticsSystem {
+  /**
+   * Create a new statistics system
+   * @param {Game} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Report file format identifier and current version
+    this.FORMAT = "empires-of-eternity-stats";
+    this.VERSION = 1;
+
+    // Counters for each player by ID
+    this.players = {};
+
+    // Resource totals and action counts at regular intervals
+    // [{time, players: {playerId: {collected, spent, actions}}}]
+    this.timeline = [];
+    this.sampleInterval = 10000; // ms between samples
+
+    // Idle villagers and ages are checked this often (ms)
+    this.checkInterval = 1000;
+
+    // Match time as the statistics system has seen it (ms)
+    this.time = 0;
+    this.sinceSample = 0;
+    this.sinceCheck = 0;
+
+    // Commands already counted from the command log
+    this.commandIndex = 0;
+
+    this.onEntityDeath = this.onEntityDeath.bind(this);
+    this.onUnitTrained = this.onUnitTrained.bind(this);
+    this.onBuildingComplete = this.onBuildingComplete.bind(this);
+    this.onTechnologyResearched = this.onTechnologyResearched.bind(this);
+    this.onGameOver = this.onGameOver.bind(this);
+
+    Utils.log("StatisticsSystem created");
+  }
+
+  /**
+   * Initialize the statistics system
+   * @param {Object} options - Statistics options
+   * @param {number} options.sampleInterval - Seconds between timeline samples
+   */
+  init(options = {}) {
+    this.sampleInterval = (options.sampleInterval || 10) * 1000;
+
+    this.players = {};
+    for (const player of this.game.players) {
+      this.players[player.id] = this.createPlayerStats();
+    }
+
+    this.timeline = [];
+    this.time = 0;
+    this.sinceSample = 0;
+    this.sinceCheck = 0;
+    this.commandIndex = 0;
+
+    if (typeof this.game.on === "function") {
+      this.game.on("entityDeath", this.onEntityDeath);
+      this.game.on("unitTrained", this.onUnitTrained);
+      this.game.on("buildingConstructionComplete", this.onBuildingComplete);
+      this.game.on("technologyResearched", this.onTechnologyResearched);
+      this.game.on("gameOver", this.onGameOver);
+    }
+
+    this.checkAges();
+    this.recordSample();
+
+    Utils.log("StatisticsSystem initialized");
+    return this;
+  }
+
+  /**
+   * Create empty counters for a player
+   * @returns {Object} Player statistics
+   */
+  createPlayerStats() {
+    return {
+      // Counts by unit type
+      units: { trained: {}, lost: {}, killed: {} },
+      // Counts by building type; destroyed means enemy buildings
+      buildings: { built: {}, lost: {}, destroyed: {} },
+      // Research in the order it finished [{id, name, time}]
+      techs: [],
+      // Time each age was reached (ms), by age index
+      ageTimes: {},
+      // Villager-milliseconds spent idle
+      idleVillagerTime: 0,
+      // Commands issued
+      actions: 0,
+    };
+  }
+
+  /**
+   * Advance the clock, count actions and idle villagers and sample totals
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    // The report covers the match and nothing after it
+    const victorySystem = this.game.getSystem("victorySystem");
+    if (victorySystem && victorySystem.gameEnded) return;
+
+    this.time += deltaTime;
+    this.countActions();
+
+    this.sinceCheck += deltaTime;
+    if (this.sinceCheck >= this.checkInterval) {
+      this.addIdleTime(this.sinceCheck);
+      this.checkAges();
+      this.sinceCheck = 0;
+    }
+
+    this.sinceSample += deltaTime;
+    if (this.sinceSample >= this.sampleInterval) {
+      this.sinceSample -= this.sampleInterval;
+      this.recordSample();
+    }
+  }
+
+  /**
+   * Count units and buildings lost, killed and destroyed
+   * @param {Object} data - Death event data {entity, killer}
+   */
+  onEntityDeath(data) {
+    if (!data || !data.entity) return;
+
+    const entity = data.entity;
+    const isBuilding = entity.type === "building" || entity.type === "wall";
+    const label = this.getEntityLabel(entity);
+
+    const victim = this.getStats(this.game.getPlayerId(entity.owner));
+    if (victim) {
+      this.increment(
+        isBuilding ? victim.buildings.lost : victim.units.lost,
+        label
+      );
+    }
+
+    if (!data.killer || data.killer.owner === entity.owner) return;
+
+    const killer = this.getStats(this.game.getPlayerId(data.killer.owner));
+    if (killer) {
+      this.increment(
+        isBuilding ? killer.buildings.destroyed : killer.units.killed,
+        label
+      );
+    }
+  }
+
+  /**
+   * Count a unit finished by a building
+   * @param {Object} data - Production event data {entity, product}
+   */
+  onUnitTrained(data) {
+    if (!data || !data.product) return;
+
+    const stats = this.getStats(this.game.getPlayerId(data.product.owner));
+    if (stats) this.increment(stats.units.trained, data.product.unitType);
+  }
+
+  /**
+   * Count a finished building
+   * @param {Object} data - Construction event data {building, playerId}
+   */
+  onBuildingComplete(data) {
+    if (!data || !data.building) return;
+
+    const stats = this.getStats(this.game.getPlayerId(data.building.owner));
+    if (stats) {
+      this.increment(
+        stats.buildings.built,
+        this.getEntityLabel(data.building)
+      );
+    }
+  }
+
+  /**
+   * Note when a technology finished
+   * @param {Object} data - Research event data {playerId, technologyId}
+   */
+  onTechnologyResearched(data) {
+    if (!data || !data.technologyId) return;
+
+    // Buildings report their owner rather than the player ID
+    const playerId =
+      typeof data.playerId === "number"
+        ? data.playerId
+        : this.game.getPlayerId(data.playerId);
+    const stats = this.getStats(playerId);
+    if (!stats) return;
+
+    stats.techs.push({
+      id: data.technologyId,
+      name: this.getTechName(data.technologyId),
+      time: this.time,
+    });
+  }
+
+  /**
+   * Close the timeline with the final totals
+   */
+  onGameOver() {
+    this.countActions();
+    this.checkAges();
+    this.recordSample();
+  }
+
+  /**
+   * Check whether a player is controlled by a person
+   * @param {number} playerId - Player ID
+   * @returns {boolean} True for human players
+   */
+  isHumanPlayer(playerId) {
+    const player = (this.game.players || []).find((p) => p.id === playerId);
+    return !!(player && player.isHuman);
+  }
+
+  /**
+   * Get a player's counters
+   * @param {number|null} playerId - Player ID
+   * @returns {Object|null} Player statistics
+   */
+  getStats(playerId) {
+    if (playerId === null || playerId === undefined) return null;
+
+    if (!this.players[playerId]) {
+      this.players[playerId] = this.createPlayerStats();
+    }
+    return this.players[playerId];
+  }
+
+  /**
+   * Get the type a unit or building is counted under
+   * @param {Entity} entity - Unit or building
+   * @returns {string} Unit or building type
+   */
+  getEntityLabel(entity) {
+    return entity.unitType || entity.buildingType || entity.type || "unknown";
+  }
+
+  /**
+   * Get a technology's display name
+   * @param {string} techId - Technology ID
+   * @returns {string} Technology name
+   */
+  getTechName(techId) {
+    const techManager = this.game.getSystem("techManager");
+    const tech =
+      techManager && techManager.techDefinitions
+        ? techManager.techDefinitions[techId]
+        : null;
+    return tech && tech.name ? tech.name : techId;
+  }
+
+  /**
+   * Add one to a count by type
+   * @param {Object} counts - Counts by type
+   * @param {string} type - Type to count
+   */
+  increment(counts, type) {
+    const key = type || "unknown";
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  /**
+   * Count the commands human players issued since the last update
+   */
+  countActions() {
+    const commandLog = this.game.getSystem("commandLog");
+    if (!commandLog || !commandLog.recording) return;
+
+    const commands = commandLog.commands;
+
+    // The log was cleared, so start again from its beginning
+    if (commands.length < this.commandIndex) this.commandIndex = 0;
+
+    for (let i = this.commandIndex; i < commands.length; i++) {
+      const command = commands[i];
+
+      // Orders the AI gives its own units aren't anyone's actions
+      if (command.source === "ai" || !this.isHumanPlayer(command.playerId)) {
+        continue;
+      }
+
+      const stats = this.getStats(command.playerId);
+      if (stats) stats.actions++;
+    }
+    this.commandIndex = commands.length;
+  }
+
+  /**
+   * Add the time each player's villagers stood idle
+   * @param {number} elapsed - Time since the last check in milliseconds
+   */
+  addIdleTime(elapsed) {
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager) return;
+
+    for (const player of this.game.players) {
+      const owner = this.game.getOwnerKey(player.id);
+      if (owner === null) continue;
+
+      const idle = entityManager.getEntitiesByOwner(owner).filter(
+        (entity) =>
+          (entity.type === "villager" || entity.unitType === "villager") &&
+          entity.active !== false &&
+          !entity.garrisonId &&
+          (!entity.state || entity.state === "idle")
+      );
+
+      this.getStats(player.id).idleVillagerTime += idle.length * elapsed;
+    }
+  }
+
+  /**
+   * Note the time each player first reached their current age
+   */
+  checkAges() {
+    const ageSystem = this.game.getSystem("ageSystem");
+    if (!ageSystem) return;
+
+    for (const player of this.game.players) {
+      const age = ageSystem.getPlayerAge(player.id) || 0;
+      const stats = this.getStats(player.id);
+      if (stats.ageTimes[age] === undefined) {
+        stats.ageTimes[age] = this.time;
+      }
+    }
+  }
+
+  /**
+   * Add the current resource totals and action counts to the timeline
+   */
+  recordSample() {
+    const resourceManager = this.game.getSystem("resourceManager");
+    const players = {};
+
+    for (const player of this.game.players) {
+      const owner = this.game.getOwnerKey(player.id);
+      const totals =
+        owner !== null && resourceManager && resourceManager.getTotals
+          ? resourceManager.getTotals(owner)
+          : { collected: {}, spent: {} };
+
+      players[player.id] = {
+        collected: { ...totals.collected },
+        spent: { ...totals.spent },
+        actions: this.getStats(player.id).actions,
+      };
+    }
+
+    // Replace rather than repeat a sample taken at the same moment
+    const last = this.timeline[this.timeline.length - 1];
+    if (last && last.time === this.time) {
+      last.players = players;
+    } else {
+      this.timeline.push({ time: this.time, players: players });
+    }
+  }
+
+  /**
+   * Get a player's actions per minute over the match
+   * @param {number} playerId - Player ID
+   * @returns {number} Actions per minute
+   */
+  getApm(playerId) {
+    const stats = this.players[playerId];
+    if (!stats || this.time <= 0) return 0;
+
+    return Math.round(stats.actions / (this.time / 60000));
+  }
+
+  /**
+   * Get the full statistics for one player
+   * @param {number} playerId - Player ID
+   * @returns {Object} Player report
+   */
+  getPlayerReport(playerId) {
+    const player = this.game.players.find((p) => p.id === playerId) || {};
+    const stats = this.getStats(playerId);
+    const owner = this.game.getOwnerKey(playerId);
+
+    const resourceManager = this.game.getSystem("resourceManager");
+    const totals =
+      owner !== null && resourceManager && resourceManager.getTotals
+        ? resourceManager.getTotals(owner)
+        : { collected: {}, spent: {} };
+
+    const scoreSystem = this.game.getSystem("score");
+    const combatSystem = this.game.getSystem("combatSystem");
+
+    return {
+      playerId: playerId,
+      name: player.name || `Player ${playerId + 1}`,
+      civilization: player.civilization || null,
+      score: scoreSystem ? scoreSystem.getScore(playerId) : null,
+      resources: {
+        collected: { ...totals.collected },
+        spent: { ...totals.spent },
+      },
+      units: JSON.parse(JSON.stringify(stats.units)),
+      buildings: JSON.parse(JSON.stringify(stats.buildings)),
+      techs: stats.techs.map((tech) => ({ ...tech })),
+      ageTimes: { ...stats.ageTimes },
+      idleVillagerTime: stats.idleVillagerTime,
+      actions: stats.actions,
+      apm: this.getApm(playerId),
+      combat:
+        combatSystem && combatSystem.getPlayerCombatStats
+          ? combatSystem.getPlayerCombatStats(playerId) || null
+          : null,
+    };
+  }
+
+  /**
+   * Build the report document for the match so far
+   * @returns {Object} Report document
+   */
+  createReport() {
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      recordedAt: Date.now(),
+      seed: this.game.seed,
+      gameTime: this.time,
+      players: this.game.players.map((player) =>
+        this.getPlayerReport(player.id)
+      ),
+      timeline: JSON.parse(JSON.stringify(this.timeline)),
+    };
+  }
+
+  /**
+   * Download the report as a JSON file
+   * @param {string} filename - File name for the download
+   */
+  exportToFile(filename = "empires-of-eternity-stats.json") {
+    const blob = new Blob([JSON.stringify(this.createReport(), null, 2)], {
+      type: "application/json",
+    });
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Get serializable statistics state
+   * @returns {Object} Serialized statistics state
+   */
+  serialize() {
+    return {
+      players: JSON.parse(JSON.stringify(this.players)),
+      timeline: JSON.parse(JSON.stringify(this.timeline)),
+      time: this.time,
+      sinceSample: this.sinceSample,
+      commandIndex: this.commandIndex,
+    };
+  }
+
+  /**
+   * Restore statistics state from serialized data
+   * @param {Object} data - Serialized statistics state
+   */
+  deserialize(data) {
+    this.players = JSON.parse(JSON.stringify(data.players || {}));
+    this.timeline = JSON.parse(JSON.stringify(data.timeline || []));
+    this.time = data.time || 0;
+    this.sinceSample = data.sinceSample || 0;
+    this.sinceCheck = 0;
+    this.commandIndex = data.commandIndex || 0;
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = StatisticsSystem;
+} else {
+  window.StatisticsSystem = StatisticsSystem;
+}
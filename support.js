@@ -0,0 +1,375 @@
+/**
+ * Empires of Eternity - Support System
+ * Temple-trained healers that mend nearby friendly units and channel
+ * conversions on enemy units, and the healing aura around temples
+ */
+
+class SupportSystem {
+  /**
+   * Create a new support system
+   * @param {Game} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Healers trained at temples (stats are in CONFIG.STATS.SUPPORT)
+    this.healerCost = { gold: 100 };
+    this.healerTrainTime = 25000; // ms
+
+    // Mana and cooldowns for each healer, by unit ID
+    // {mana, healCooldown, convertCooldown} with cooldowns in seconds
+    this.casters = {};
+
+    // Conversions being channelled, by healer ID {targetId, progress}
+    this.channels = {};
+
+    // Healers are managed a few times per second, not every tick
+    this.updateInterval = 500;
+    this.updateTimer = 0;
+
+    Utils.log("SupportSystem created");
+  }
+
+  /**
+   * Initialize the support system
+   */
+  init() {
+    this.casters = {};
+    this.channels = {};
+
+    Utils.log("SupportSystem initialized");
+    return this;
+  }
+
+  /**
+   * Update healers, conversions and temple auras
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    this.updateTimer += deltaTime;
+    if (this.updateTimer < this.updateInterval) return;
+
+    const elapsed = this.updateTimer / 1000;
+    this.updateTimer = 0;
+
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager) return;
+
+    this.updateHealers(entityManager, elapsed);
+    this.updateTempleAuras(entityManager, elapsed);
+  }
+
+  /**
+   * Get a support unit type's stats
+   * @param {string} unitType - Unit type
+   * @returns {Object|null} Stats from CONFIG.STATS.SUPPORT
+   */
+  getStats(unitType) {
+    const support = (window.CONFIG && CONFIG.STATS && CONFIG.STATS.SUPPORT) || {};
+    return (unitType && support[unitType.toUpperCase()]) || null;
+  }
+
+  /**
+   * Get a healer's mana and cooldowns, starting it at full mana
+   * @param {Unit} healer - Healer
+   * @returns {Object|null} State {mana, healCooldown, convertCooldown}
+   */
+  getCasterState(healer) {
+    const stats = this.getStats(healer.unitType);
+    if (!stats) return null;
+
+    if (!this.casters[healer.id]) {
+      this.casters[healer.id] = {
+        mana: stats.maxMana,
+        healCooldown: 0,
+        convertCooldown: 0,
+      };
+    }
+    return this.casters[healer.id];
+  }
+
+  /**
+   * Get a healer's conversion in progress
+   * @param {Unit} healer - Healer
+   * @returns {Object|null} Channel {targetId, progress} with progress 0-1
+   */
+  getChannel(healer) {
+    const channel = this.channels[healer.id];
+    const stats = this.getStats(healer.unitType);
+    if (!channel || !stats) return null;
+
+    return {
+      targetId: channel.targetId,
+      progress: Math.min(1, channel.progress / stats.convertTime),
+    };
+  }
+
+  /**
+   * Start training a healer at a temple
+   * @param {Building} temple - Temple building
+   * @returns {boolean} True if queued
+   */
+  trainHealer(temple) {
+    if (
+      !temple ||
+      !temple.active ||
+      temple.buildingType !== "temple" ||
+      !temple.constructed
+    ) {
+      return false;
+    }
+
+    return temple.queueProduction({
+      type: "healer",
+      category: "unit",
+      unitType: "healer",
+      cost: { ...this.healerCost },
+      time: this.healerTrainTime,
+    });
+  }
+
+  /**
+   * Check whether two owners are on the same side
+   * @param {string} a - Owner key
+   * @param {string} b - Owner key
+   * @returns {boolean} True if the same owner or allied
+   */
+  isFriendly(a, b) {
+    if (a === b) return true;
+
+    const diplomacy = this.game.getSystem("diplomacy");
+    return !!(diplomacy && diplomacy.areAllied(a, b));
+  }
+
+  /**
+   * Check whether a healer could convert a target
+   * @param {Unit} healer - Healer
+   * @param {Entity} target - Target unit
+   * @returns {boolean} True if the target can be converted
+   */
+  canConvert(healer, target) {
+    const stats = this.getStats(healer.unitType);
+    const state = stats && this.getCasterState(healer);
+    if (!state || !target || !target.active) return false;
+
+    const diplomacy = this.game.getSystem("diplomacy");
+    return (
+      (target.type === "unit" || target.type === "villager") &&
+      !target.isHero &&
+      !target.naval &&
+      !target.transportId &&
+      !target.garrisonId &&
+      target.owner !== healer.owner &&
+      (!diplomacy || diplomacy.areEnemies(healer.owner, target.owner)) &&
+      state.mana >= stats.convertCost &&
+      state.convertCooldown <= 0
+    );
+  }
+
+  /**
+   * Order healers to channel a conversion on an enemy unit; each walks into
+   * range first and must stand still while channelling
+   * @param {Array} healers - Healers
+   * @param {Entity} target - Enemy unit
+   */
+  convert(healers, target) {
+    for (const healer of healers) {
+      if (!this.canConvert(healer, target)) continue;
+
+      this.channels[healer.id] = { targetId: target.id, progress: 0 };
+      healer.moveTo(target.x, target.y);
+    }
+  }
+
+  /**
+   * Cancel conversions being channelled by some units
+   * @param {Array} units - Units given a new order
+   */
+  cancelChannels(units) {
+    for (const unit of units) {
+      delete this.channels[unit.id];
+    }
+  }
+
+  /**
+   * Regenerate mana, advance conversions and heal nearby friendly units
+   * @param {EntityManager} entityManager - Entity manager
+   * @param {number} elapsed - Seconds since the last update
+   */
+  updateHealers(entityManager, elapsed) {
+    const seen = new Set();
+
+    for (const healer of entityManager.getEntitiesByType("unit")) {
+      const stats = this.getStats(healer.unitType);
+      if (!stats || !healer.active) continue;
+      seen.add(String(healer.id));
+
+      const state = this.getCasterState(healer);
+      state.mana = Math.min(stats.maxMana, state.mana + stats.manaRegen * elapsed);
+      state.healCooldown = Math.max(0, state.healCooldown - elapsed);
+      state.convertCooldown = Math.max(0, state.convertCooldown - elapsed);
+
+      // Healers indoors or aboard a ship only rest
+      if (healer.garrisonId || healer.transportId) continue;
+
+      if (this.channels[healer.id]) {
+        this.updateChannel(healer, stats, state, entityManager, elapsed);
+      } else if (state.healCooldown <= 0 && healer.state !== "moving") {
+        this.healNearby(healer, stats, state, entityManager);
+      }
+    }
+
+    // Forget healers that died
+    for (const id in this.casters) {
+      if (!seen.has(id)) delete this.casters[id];
+    }
+    for (const id in this.channels) {
+      if (!seen.has(id)) delete this.channels[id];
+    }
+  }
+
+  /**
+   * Advance a healer's conversion, flipping the target when it completes
+   * @param {Unit} healer - Healer
+   * @param {Object} stats - Healer stats
+   * @param {Object} state - Healer mana and cooldowns
+   * @param {EntityManager} entityManager - Entity manager
+   * @param {number} elapsed - Seconds since the last update
+   */
+  updateChannel(healer, stats, state, entityManager, elapsed) {
+    const channel = this.channels[healer.id];
+    const target = entityManager.getEntityById(channel.targetId);
+
+    if (!target || !target.active || target.owner === healer.owner) {
+      delete this.channels[healer.id];
+      return;
+    }
+
+    const distance = Utils.distance(healer.x, healer.y, target.x, target.y);
+    if (distance > stats.convertRange) {
+      // The target walked off; the channel starts over once back in range
+      channel.progress = 0;
+      if (healer.state !== "moving") healer.moveTo(target.x, target.y);
+      return;
+    }
+
+    if (healer.state === "moving") healer.stopMoving();
+
+    channel.progress += elapsed;
+    if (channel.progress < stats.convertTime) return;
+
+    delete this.channels[healer.id];
+
+    const previousOwner = target.owner;
+    if (entityManager.convertEntity(target, healer.owner)) {
+      state.mana -= stats.convertCost;
+      state.convertCooldown = stats.convertCooldown;
+
+      this.game.emit("unitConverted", {
+        healer: healer,
+        unit: target,
+        previousOwner: previousOwner,
+      });
+    }
+  }
+
+  /**
+   * Heal the most wounded friendly unit in range
+   * @param {Unit} healer - Healer
+   * @param {Object} stats - Healer stats
+   * @param {Object} state - Healer mana and cooldowns
+   * @param {EntityManager} entityManager - Entity manager
+   */
+  healNearby(healer, stats, state, entityManager) {
+    let patient = null;
+    for (const entity of entityManager.getEntitiesInRadius(
+      healer.x,
+      healer.y,
+      stats.healRange
+    )) {
+      if (
+        !entity.active ||
+        (entity.type !== "unit" && entity.type !== "villager") ||
+        entity.hp >= entity.maxHp ||
+        !this.isFriendly(healer.owner, entity.owner)
+      ) {
+        continue;
+      }
+
+      if (!patient || entity.hp / entity.maxHp < patient.hp / patient.maxHp) {
+        patient = entity;
+      }
+    }
+    if (!patient) return;
+
+    patient.hp = Math.min(patient.maxHp, patient.hp + stats.healAmount);
+    state.healCooldown = stats.healCooldown;
+
+    this.game.emit("unitHealed", {
+      healer: healer,
+      unit: patient,
+      amount: stats.healAmount,
+    });
+  }
+
+  /**
+   * Mend friendly units standing near a finished temple
+   * @param {EntityManager} entityManager - Entity manager
+   * @param {number} elapsed - Seconds since the last update
+   */
+  updateTempleAuras(entityManager, elapsed) {
+    const buildings = (window.CONFIG && CONFIG.STATS && CONFIG.STATS.BUILDINGS) || {};
+    const aura = buildings.TEMPLE && buildings.TEMPLE.healAura;
+    if (!aura) return;
+
+    for (const temple of entityManager.getEntitiesByType("building")) {
+      if (!temple.active || !temple.constructed || temple.buildingType !== "temple") {
+        continue;
+      }
+
+      const center = temple.getTileCenter();
+      for (const entity of entityManager.getEntitiesInRadius(
+        center.x,
+        center.y,
+        aura.radius
+      )) {
+        if (
+          entity.active &&
+          (entity.type === "unit" || entity.type === "villager") &&
+          entity.hp < entity.maxHp &&
+          this.isFriendly(temple.owner, entity.owner)
+        ) {
+          entity.hp = Math.min(entity.maxHp, entity.hp + aura.rate * elapsed);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get serializable support state
+   * @returns {Object} Serialized support state
+   */
+  serialize() {
+    return {
+      casters: JSON.parse(JSON.stringify(this.casters)),
+      channels: JSON.parse(JSON.stringify(this.channels)),
+    };
+  }
+
+  /**
+   * Restore support state from serialized data
+   * @param {Object} data - Serialized support state
+   */
+  deserialize(data) {
+    this.casters = JSON.parse(JSON.stringify(data.casters || {}));
+    this.channels = JSON.parse(JSON.stringify(data.channels || {}));
+    this.updateTimer = 0;
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SupportSystem;
+} else {
+  window.SupportSystem = SupportSystem;
+}
@@ -18,6 +18,9 @@ export class TechPanel {
     this.uiManager = uiManager;
     this.game = game;
     this.visible = false;
+
+    // Grid items in hotkey order
+    this.gridItems = [];
     this.selectedBuilding = null;
     this.techCategories = ["military", "economy", "utility"];
     this.activeCategory = "military";
@@ -248,6 +251,7 @@ export class TechPanel {
   populateTechnologies() {
     // Clear existing content
     this.techGrid.innerHTML = "";
+    this.gridItems = [];
 
     if (!this.selectedBuilding) {
       return;
@@ -329,6 +333,20 @@ export class TechPanel {
       techItem.appendChild(icon);
       techItem.appendChild(name);
 
+      // Grid hotkey in the corner
+      const hotkeys = this.getHotkeys();
+      const keyLabel =
+        hotkeys && hotkeys.getLabel(`grid${this.gridItems.length}`);
+      if (keyLabel) {
+        const hotkey = document.createElement("div");
+        hotkey.className = "grid-hotkey";
+        hotkey.textContent = keyLabel;
+        hotkey.style.alignSelf = "flex-end";
+        hotkey.style.fontSize = "10px";
+        hotkey.style.color = "#ff0";
+        techItem.insertBefore(hotkey, icon);
+      }
+
       // Add event listeners
       techItem.addEventListener("click", () => {
         if (meetsRequirements) {
@@ -354,6 +372,7 @@ export class TechPanel {
       });
 
       this.techGrid.appendChild(techItem);
+      this.gridItems.push(techItem);
     });
 
     // If no technologies available, show message
@@ -863,6 +882,27 @@ export class TechPanel {
     }
   }
 
+  /**
+   * Get the key bindings
+   * @returns {HotkeyBindings|null} Bindings
+   */
+  getHotkeys() {
+    return this.game.getSystem ? this.game.getSystem("hotkeys") : null;
+  }
+
+  /**
+   * Pick the technology in a grid slot, as if it was clicked
+   * @param {number} index - Grid slot
+   * @returns {boolean} True if the slot holds a technology
+   */
+  activateGridSlot(index) {
+    const item = this.gridItems[index];
+    if (!item) return false;
+
+    item.click();
+    return true;
+  }
+
   /**
    * Register event listeners
    */
@@ -919,9 +959,25 @@ export class TechPanel {
       }
     });
 
-    // Listen for keyboard shortcut (T key)
+    // Listen for keyboard shortcuts: the research key toggles the panel, and
+    // while it's open the grid keys pick a technology
     document.addEventListener("keydown", (e) => {
-      if (e.key === "t" || e.key === "T") {
+      // Already used by another grid
+      if (e.defaultPrevented) return;
+
+      const hotkeys = this.getHotkeys();
+      const slot = this.visible && hotkeys ? hotkeys.getGridSlot(e) : -1;
+
+      if (slot !== -1) {
+        e.preventDefault();
+        this.activateGridSlot(slot);
+      } else if (this.visible && e.key === "Escape") {
+        this.hide();
+      } else if (
+        hotkeys
+          ? hotkeys.matches(e, "research")
+          : e.key === "t" || e.key === "T"
+      ) {
         if (this.selectedBuilding && this.selectedBuilding.canResearch) {
           if (this.visible) {
             this.hide();
@@ -940,6 +996,10 @@ export class TechPanel {
     this.container.style.display = "block";
     this.visible = true;
 
+    // Take the grid keys while open
+    const hotkeys = this.getHotkeys();
+    if (hotkeys) hotkeys.setActiveGrid(this);
+
     // Update UI state
     this.uiManager.setActiveMenu("tech");
 
@@ -954,6 +1014,9 @@ export class TechPanel {
     this.container.style.display = "none";
     this.visible = false;
 
+    const hotkeys = this.getHotkeys();
+    if (hotkeys) hotkeys.clearActiveGrid(this);
+
     // Update UI state
     this.uiManager.clearActiveMenu();
 
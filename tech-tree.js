@@ -11,20 +11,14 @@ class TechManager {
   constructor(game) {
     this.game = game;
 
-    // Technology research state for each civilization
-    this.researchedTech = {
-      SOLARI: new Set(),
-      LUNARI: new Set(),
-    };
+    // Technology research state for each player, created by init
+    this.researchedTech = {};
 
     // Technology definitions
     this.techDefinitions = this.initializeTechDefinitions();
 
     // Active technology effects
-    this.activeEffects = {
-      SOLARI: {},
-      LUNARI: {},
-    };
+    this.activeEffects = {};
 
     Utils.log("TechManager created");
   }
@@ -287,39 +281,38 @@ class TechManager {
    * Initialize the technology manager
    */
   init() {
-    // Reset research state
-    this.researchedTech = {
-      SOLARI: new Set(),
-      LUNARI: new Set(),
-    };
-
-    // Reset active effects
-    this.activeEffects = {
-      SOLARI: {},
-      LUNARI: {},
-    };
+    // Reset research state and active effects
+    this.researchedTech = {};
+    this.activeEffects = {};
+    for (const player of this.game.players || []) {
+      const owner = this.game.getOwnerKey(player.id);
+      this.researchedTech[owner] = new Set();
+      this.activeEffects[owner] = {};
+    }
 
     Utils.log("TechManager initialized");
     return this;
   }
 
   /**
-   * Get available technologies for a civilization
-   * @param {string} civ - Civilization key
+   * Get available technologies for a player
+   * @param {number} owner - Owner key
    * @param {number} age - Current age
    * @returns {Array} Array of available technologies
    */
-  getAvailableTechs(civ, age) {
+  getAvailableTechs(owner, age) {
     const available = [];
 
+    const civilization = this.game.getCivilization(owner);
+
     // Iterate through all technologies
     for (const techId in this.techDefinitions) {
       const tech = this.techDefinitions[techId];
 
       // Check if tech belongs to civilization and age
-      if (tech.civilization === civ && tech.age <= age) {
+      if (tech.civilization === civilization && tech.age <= age) {
         // Check if not already researched
-        if (!this.researchedTech[civ].has(techId)) {
+        if (!this.researchedTech[owner].has(techId)) {
           available.push(tech);
         }
       }
@@ -331,12 +324,12 @@ class TechManager {
   /**
    * Get technologies available at a specific building
    * @param {string} buildingType - Building type
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    * @param {number} age - Current age
    * @returns {Array} Array of available technologies
    */
-  getBuildingTechs(buildingType, civ, age) {
-    return this.getAvailableTechs(civ, age).filter(
+  getBuildingTechs(buildingType, owner, age) {
+    return this.getAvailableTechs(owner, age).filter(
       (tech) => tech.building === buildingType
     );
   }
@@ -344,10 +337,10 @@ class TechManager {
   /**
    * Start researching a technology
    * @param {string} techId - Technology ID
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    * @returns {boolean} True if research started successfully
    */
-  startResearch(techId, civ) {
+  startResearch(techId, owner) {
     // Get tech definition
     const tech = this.techDefinitions[techId];
 
@@ -357,7 +350,7 @@ class TechManager {
     }
 
     // Check if already researched
-    if (this.researchedTech[civ].has(techId)) {
+    if (this.researchedTech[owner].has(techId)) {
       Utils.log(`Tech already researched: ${techId}`);
       return false;
     }
@@ -369,13 +362,13 @@ class TechManager {
       return false;
     }
 
-    if (!resourceManager.canAffordResources(tech.cost, civ)) {
+    if (!resourceManager.canAffordResources(tech.cost, owner)) {
       Utils.log(`Cannot afford tech ${techId}`);
       return false;
     }
 
     // Deduct resources
-    resourceManager.deductResources(tech.cost, civ);
+    resourceManager.deductResources(tech.cost, owner);
 
     // Find research building
     const entityManager = this.game.getSystem("entityManager");
@@ -384,7 +377,10 @@ class TechManager {
       return false;
     }
 
-    const buildings = entityManager.getEntitiesByTypeAndOwner("building", civ);
+    const buildings = entityManager.getEntitiesByTypeAndOwner(
+      "building",
+      owner
+    );
     const researchBuilding = buildings.find(
       (b) => b.buildingType === tech.building && b.constructed
     );
@@ -430,9 +426,9 @@ class TechManager {
   /**
    * Complete research of a technology
    * @param {string} techId - Technology ID
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    */
-  completeResearch(techId, civ) {
+  completeResearch(techId, owner) {
     // Get tech definition
     const tech = this.techDefinitions[techId];
 
@@ -442,15 +438,19 @@ class TechManager {
     }
 
     // Add to researched techs
-    this.researchedTech[civ].add(techId);
+    this.researchedTech[owner].add(techId);
 
     // Apply effects
-    this.applyTechnology(techId, civ);
+    this.applyTechnology(techId, owner);
 
     // Trigger research complete event
     const alertSystem = this.game.getSystem("alertSystem");
     if (alertSystem) {
-      alertSystem.addAlert(`Research complete: ${tech.name}`, "research", civ);
+      alertSystem.addAlert(
+        `Research complete: ${tech.name}`,
+        "research",
+        owner
+      );
     }
 
     Utils.log(`Completed research of ${tech.name}`);
@@ -459,9 +459,9 @@ class TechManager {
   /**
    * Apply technology effects
    * @param {string} techId - Technology ID
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    */
-  applyTechnology(techId, civ) {
+  applyTechnology(techId, owner) {
     // Get tech definition
     const tech = this.techDefinitions[techId];
 
@@ -472,16 +472,16 @@ class TechManager {
 
     // Apply each effect
     for (const effect of tech.effects) {
-      this.applyEffect(effect, civ);
+      this.applyEffect(effect, owner);
     }
   }
 
   /**
    * Apply a technology effect
    * @param {Object} effect - Effect definition
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    */
-  applyEffect(effect, civ) {
+  applyEffect(effect, owner) {
     const entityManager = this.game.getSystem("entityManager");
     if (!entityManager) return;
 
@@ -490,41 +490,41 @@ class TechManager {
         // Apply to all villagers
         const villagers = entityManager.getEntitiesByTypeAndOwner(
           "villager",
-          civ
+          owner
         );
         for (const villager of villagers) {
           villager.gatherRate *= 1 + effect.bonus;
         }
 
         // Store effect for future villagers
-        if (!this.activeEffects[civ]["villager_gather_speed"]) {
-          this.activeEffects[civ]["villager_gather_speed"] = 0;
+        if (!this.activeEffects[owner]["villager_gather_speed"]) {
+          this.activeEffects[owner]["villager_gather_speed"] = 0;
         }
-        this.activeEffects[civ]["villager_gather_speed"] += effect.bonus;
+        this.activeEffects[owner]["villager_gather_speed"] += effect.bonus;
         break;
 
       case "villager_movement_speed":
         // Apply to all villagers
         const villagers2 = entityManager.getEntitiesByTypeAndOwner(
           "villager",
-          civ
+          owner
         );
         for (const villager of villagers2) {
           villager.speed *= 1 + effect.bonus;
         }
 
         // Store effect for future villagers
-        if (!this.activeEffects[civ]["villager_movement_speed"]) {
-          this.activeEffects[civ]["villager_movement_speed"] = 0;
+        if (!this.activeEffects[owner]["villager_movement_speed"]) {
+          this.activeEffects[owner]["villager_movement_speed"] = 0;
         }
-        this.activeEffects[civ]["villager_movement_speed"] += effect.bonus;
+        this.activeEffects[owner]["villager_movement_speed"] += effect.bonus;
         break;
 
       case "building_hp":
         // Apply to all buildings
         const buildings = entityManager.getEntitiesByTypeAndOwner(
           "building",
-          civ
+          owner
         );
         for (const building of buildings) {
           // Add HP bonus
@@ -537,15 +537,15 @@ class TechManager {
         }
 
         // Store effect for future buildings
-        if (!this.activeEffects[civ]["building_hp"]) {
-          this.activeEffects[civ]["building_hp"] = 0;
+        if (!this.activeEffects[owner]["building_hp"]) {
+          this.activeEffects[owner]["building_hp"] = 0;
         }
-        this.activeEffects[civ]["building_hp"] += effect.bonus;
+        this.activeEffects[owner]["building_hp"] += effect.bonus;
         break;
 
       case "unit_attack":
         // Apply to specific unit type
-        const units = entityManager.getEntitiesByTypeAndOwner("unit", civ);
+        const units = entityManager.getEntitiesByTypeAndOwner("unit", owner);
         for (const unit of units) {
           if (unit.unitType === effect.unitType) {
             unit.ar += effect.bonus;
@@ -554,17 +554,17 @@ class TechManager {
 
         // Store effect for future units
         const effectKey = `unit_attack_${effect.unitType}`;
-        if (!this.activeEffects[civ][effectKey]) {
-          this.activeEffects[civ][effectKey] = 0;
+        if (!this.activeEffects[owner][effectKey]) {
+          this.activeEffects[owner][effectKey] = 0;
         }
-        this.activeEffects[civ][effectKey] += effect.bonus;
+        this.activeEffects[owner][effectKey] += effect.bonus;
         break;
 
       case "building_resource_generation":
         // Apply to specific building type
         const buildings2 = entityManager.getEntitiesByTypeAndOwner(
           "building",
-          civ
+          owner
         );
         for (const building of buildings2) {
           if (building.buildingType === effect.buildingType) {
@@ -583,15 +583,15 @@ class TechManager {
 
         // Store effect for future buildings
         const effectKey2 = `building_resource_${effect.buildingType}_${effect.resource}`;
-        if (!this.activeEffects[civ][effectKey2]) {
-          this.activeEffects[civ][effectKey2] = 0;
+        if (!this.activeEffects[owner][effectKey2]) {
+          this.activeEffects[owner][effectKey2] = 0;
         }
-        this.activeEffects[civ][effectKey2] += effect.bonus;
+        this.activeEffects[owner][effectKey2] += effect.bonus;
         break;
 
       case "wall_hp":
         // Apply to all walls
-        const walls = entityManager.getEntitiesByTypeAndOwner("wall", civ);
+        const walls = entityManager.getEntitiesByTypeAndOwner("wall", owner);
         for (const wall of walls) {
           // Add HP bonus
           wall.maxHp += effect.bonus;
@@ -603,16 +603,16 @@ class TechManager {
         }
 
         // Store effect for future walls
-        if (!this.activeEffects[civ]["wall_hp"]) {
-          this.activeEffects[civ]["wall_hp"] = 0;
+        if (!this.activeEffects[owner]["wall_hp"]) {
+          this.activeEffects[owner]["wall_hp"] = 0;
         }
-        this.activeEffects[civ]["wall_hp"] += effect.bonus;
+        this.activeEffects[owner]["wall_hp"] += effect.bonus;
         break;
 
       case "unlock_unit":
         // Just store the unlock effect
         const effectKey3 = `unlock_unit_${effect.unitType}`;
-        this.activeEffects[civ][effectKey3] = true;
+        this.activeEffects[owner][effectKey3] = true;
         break;
     }
   }
@@ -622,10 +622,9 @@ class TechManager {
    * @param {Entity} entity - Entity to apply effects to
    */
   applyEffectsToEntity(entity) {
-    if (!entity || !entity.owner) return;
+    if (!entity || !this.activeEffects[entity.owner]) return;
 
-    const civ = entity.owner;
-    const effects = this.activeEffects[civ];
+    const effects = this.activeEffects[entity.owner];
 
     // Apply effects based on entity type
     if (entity.type === "villager") {
@@ -688,53 +687,85 @@ class TechManager {
   /**
    * Check if a unit type is unlocked
    * @param {string} unitType - Unit type
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    * @param {number} age - Current age
    * @returns {boolean} True if unit is unlocked
    */
-  isUnitUnlocked(unitType, civ, age) {
+  isUnitUnlocked(unitType, owner, age) {
     // Check if unlocked by tech
     const unlockKey = `unlock_unit_${unitType}`;
-    if (this.activeEffects[civ][unlockKey]) {
+    if (this.activeEffects[owner] && this.activeEffects[owner][unlockKey]) {
       return true;
     }
 
-    // Otherwise, unit is unlocked based on age and civ
+    // Otherwise, unit is unlocked based on age and civilization
     // This is a simplified check - in reality, would check unit definitions
     return true;
   }
 
   /**
-   * Get the total number of technologies researched by a civilization
-   * @param {string} civ - Civilization key
+   * Get the total number of technologies researched by a player
+   * @param {number} owner - Owner key
    * @returns {number} Number of researched technologies
    */
-  getResearchedCount(civ) {
-    return this.researchedTech[civ].size;
+  getResearchedCount(owner) {
+    return this.researchedTech[owner].size;
   }
 
   /**
-   * Get the total number of technologies available to a civilization
-   * @param {string} civ - Civilization key
+   * Get the total number of technologies available to a player
+   * @param {number} owner - Owner key
    * @returns {number} Number of available technologies
    */
-  getTotalTechCount(civ) {
+  getTotalTechCount(owner) {
     return Object.values(this.techDefinitions).filter(
-      (tech) => tech.civilization === civ
+      (tech) => tech.civilization === this.game.getCivilization(owner)
     ).length;
   }
 
   /**
    * Check if all technologies have been researched
-   * @param {string} civ - Civilization key
+   * @param {number} owner - Owner key
    * @returns {boolean} True if all technologies are researched
    */
-  hasAllTech(civ) {
-    const totalCount = this.getTotalTechCount(civ);
-    const researchedCount = this.getResearchedCount(civ);
+  hasAllTech(owner) {
+    const totalCount = this.getTotalTechCount(owner);
+    const researchedCount = this.getResearchedCount(owner);
 
     return researchedCount >= totalCount;
   }
+
+  /**
+   * Get serializable research state
+   * @returns {Object} Serialized tech state
+   */
+  serialize() {
+    const researchedTech = {};
+
+    for (const owner in this.researchedTech) {
+      researchedTech[owner] = Array.from(this.researchedTech[owner]);
+    }
+
+    return {
+      researchedTech,
+      activeEffects: JSON.parse(JSON.stringify(this.activeEffects)),
+    };
+  }
+
+  /**
+   * Restore research state from serialized data
+   * @param {Object} data - Serialized tech state
+   */
+  deserialize(data) {
+    for (const owner in data.researchedTech) {
+      this.researchedTech[owner] = new Set(data.researchedTech[owner]);
+    }
+
+    // Effects are already baked into saved entity stats, so don't re-apply
+    this.activeEffects = JSON.parse(JSON.stringify(data.activeEffects || {}));
+
+    Utils.log("TechManager restored");
+  }
 }
 
 // Export for ES modules or make available globally
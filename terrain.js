@@ -357,6 +357,13 @@ export class TerrainSystem {
 
     // Apply season effects
     this.applySeasonEffects(this.currentSeason);
+
+    // Follow the season clock; it already tells the player
+    if (this.game.events) {
+      this.game.events.on("seasonChanged", (data) => {
+        this.changeSeason(data.season, false);
+      });
+    }
   }
 
   /**
@@ -583,14 +590,9 @@ export class TerrainSystem {
       return false;
     }
 
-    // Change terrain type
+    // Change terrain type (the map rebuilds only the path clusters around it)
     this.map.setTerrainType(x, y, newTerrainType);
 
-    // Update pathfinding if available
-    if (this.game.pathfinding) {
-      this.game.pathfinding.clearCache();
-    }
-
     return true;
   }
 
@@ -810,8 +812,9 @@ export class TerrainSystem {
   /**
    * Change the current season
    * @param {string} season - New season name ('spring', 'summer', 'autumn', 'winter')
+   * @param {boolean} announce - Whether to alert the player
    */
-  changeSeason(season) {
+  changeSeason(season, announce = true) {
     if (!this.seasonEffects[season]) {
       console.error(`Invalid season: ${season}`);
       return;
@@ -829,7 +832,7 @@ export class TerrainSystem {
     console.log(`Season changed from ${oldSeason} to ${season}`);
 
     // Notify about season change
-    if (this.game.alertSystem) {
+    if (announce && this.game.alertSystem) {
       this.game.alertSystem.addAlert({
         type: "season_change",
         message: `The season has changed to ${season}`,
@@ -838,7 +841,7 @@ export class TerrainSystem {
     }
 
     // Play season change sound
-    if (this.game.audioSystem) {
+    if (announce && this.game.audioSystem) {
       this.game.audioSystem.playSound(`season_${season}`);
     }
 
@@ -1054,7 +1057,7 @@ export class TerrainSystem {
     }
 
     // Random selection based on weights
-    let random = Math.random() * totalWeight;
+    let random = this.game.random.next() * totalWeight;
     for (const reward of rewards) {
       random -= reward.weight;
       if (random <= 0) {
@@ -1160,4 +1163,25 @@ export class TerrainSystem {
     const terrain = this.getTerrainData(terrainType);
     return terrain.appearanceVariants || 1;
   }
+
+  /**
+   * Serialize terrain system state for saving
+   * @returns {Object} Serialized data
+   */
+  serialize() {
+    return {
+      currentSeason: this.currentSeason,
+    };
+  }
+
+  /**
+   * Deserialize data to restore terrain system state
+   * @param {Object} data - Serialized data
+   */
+  deserialize(data) {
+    if (data.currentSeason && this.seasonEffects[data.currentSeason]) {
+      this.currentSeason = data.currentSeason;
+      this.applySeasonEffects(this.currentSeason);
+    }
+  }
 }
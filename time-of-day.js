@@ -0,0 +1,207 @@
+/**
+ * Empires of Eternity - Time of Day
+ * The one clock for day and night. Civilization bonuses, lighting, sight
+ * and ambient sound all read it or listen for its dawn/noon/dusk/midnight
+ * events
+ */
+
+class TimeOfDaySystem {
+  /**
+   * Create a new time of day system
+   * @param {Game} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Settings from CONFIG.DAY_NIGHT, which a match can override
+    this.enabled = true;
+    this.length = 300000; // ms per full day
+    this.nightSight = 0.6;
+
+    // Time of day from 0 to 1 (0 = dawn, 0.25 = noon, 0.5 = dusk,
+    // 0.75 = midnight) and how many dawns have passed
+    this.time = 0;
+    this.day = 0;
+
+    // Phase the clock is in, named for the event that began it
+    this.phases = ["dawn", "noon", "dusk", "midnight"];
+    this.phase = "dawn";
+
+    // Listeners by event name, for hosts without an event bus of their own
+    this.eventListeners = {};
+
+    Utils.log("TimeOfDaySystem created");
+  }
+
+  /**
+   * Initialize the time of day system
+   * @param {Object} options - Day/night options
+   * @param {boolean} options.enabled - False for endless daylight
+   * @param {number} options.length - Seconds per full day
+   * @param {number} options.start - Time of day at the start (0-1)
+   */
+  init(options = {}) {
+    const settings = (window.CONFIG && CONFIG.DAY_NIGHT) || {};
+
+    this.enabled =
+      options.enabled !== undefined
+        ? options.enabled
+        : settings.ENABLED !== false;
+    this.length = (options.length || settings.LENGTH || 300) * 1000;
+    this.nightSight =
+      settings.NIGHT_SIGHT !== undefined ? settings.NIGHT_SIGHT : 0.6;
+
+    // With the cycle off the clock stays at noon
+    const start =
+      options.start !== undefined ? options.start : settings.START || 0;
+    this.time = this.enabled ? start % 1 : 0.25;
+    this.day = 0;
+    this.phase = this.getPhase();
+
+    Utils.log("TimeOfDaySystem initialized");
+    return this;
+  }
+
+  /**
+   * Advance the clock, announcing each new phase
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    if (!this.enabled) return;
+
+    this.time += deltaTime / this.length;
+    if (this.time >= 1) this.time %= 1;
+
+    const phase = this.getPhase();
+    if (phase === this.phase) return;
+
+    this.phase = phase;
+    if (phase === "dawn") this.day++;
+    this.emit(phase, this.getTimeOfDay());
+  }
+
+  /**
+   * Get the phase for the current time
+   * @returns {string} "dawn", "noon", "dusk" or "midnight"
+   */
+  getPhase() {
+    return this.phases[Math.floor(this.time * 4) % 4];
+  }
+
+  /**
+   * Check whether it's day (dawn until dusk)
+   * @returns {boolean} True by day
+   */
+  isDay() {
+    return this.time < 0.5;
+  }
+
+  /**
+   * Check whether it's night (dusk until dawn)
+   * @returns {boolean} True by night
+   */
+  isNight() {
+    return !this.isDay();
+  }
+
+  /**
+   * Get how bright it is, rising and falling smoothly over the day
+   * @returns {number} 1 at noon, 0.5 at dawn and dusk, 0 at midnight
+   */
+  getLightLevel() {
+    return (1 + Math.cos(2 * Math.PI * (this.time - 0.25))) / 2;
+  }
+
+  /**
+   * Get the share of their daytime sight that units keep now
+   * @returns {number} Multiplier, NIGHT_SIGHT at midnight and 1 at noon
+   */
+  getSightMultiplier() {
+    return this.nightSight + (1 - this.nightSight) * this.getLightLevel();
+  }
+
+  /**
+   * Get everything about the current time
+   * @returns {Object} Time info {time, phase, isDay, lightLevel, day}
+   */
+  getTimeOfDay() {
+    return {
+      time: this.time,
+      phase: this.phase,
+      isDay: this.isDay(),
+      lightLevel: this.getLightLevel(),
+      day: this.day,
+    };
+  }
+
+  /**
+   * Listen for a phase of the day
+   * @param {string} event - "dawn", "noon", "dusk" or "midnight"
+   * @param {Function} callback - Called with the time info
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+  }
+
+  /**
+   * Stop listening for a phase of the day
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback passed to on()
+   */
+  off(event, callback) {
+    if (!this.eventListeners[event]) return;
+
+    this.eventListeners[event] = this.eventListeners[event].filter(
+      (listener) => listener !== callback
+    );
+  }
+
+  /**
+   * Tell this system's listeners and the game's about a phase
+   * @param {string} event - Event name
+   * @param {Object} data - Time info
+   */
+  emit(event, data) {
+    for (const callback of this.eventListeners[event] || []) {
+      callback(data);
+    }
+
+    if (typeof this.game.emit === "function") this.game.emit(event, data);
+  }
+
+  /**
+   * Get serializable time of day state
+   * @returns {Object} Serialized time of day state
+   */
+  serialize() {
+    return {
+      enabled: this.enabled,
+      time: this.time,
+      day: this.day,
+    };
+  }
+
+  /**
+   * Restore time of day state from serialized data
+   * @param {Object} data - Serialized time of day state
+   */
+  deserialize(data) {
+    this.enabled = data.enabled !== false;
+    this.time = data.time || 0;
+    this.day = data.day || 0;
+    this.phase = this.getPhase();
+
+    // Listeners resync their bonuses to the loaded time
+    this.emit(this.phase, this.getTimeOfDay());
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TimeOfDaySystem;
+} else {
+  window.TimeOfDaySystem = TimeOfDaySystem;
+}
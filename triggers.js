@@ -0,0 +1,436 @@
+/**
+ * Empires of Eternity - Trigger System
+ * Evaluates scripted scenario triggers (conditions and effects) every tick
+ * and tracks mission objectives for campaigns and tutorials
+ */
+
+class TriggerSystem {
+  /**
+   * Create a new trigger system
+   * @param {Game} game - Game instance
+   */
+  constructor(game) {
+    this.game = game;
+
+    // Triggers from the scenario {id, conditions, effects, repeat, interval}
+    this.triggers = [];
+
+    // IDs of triggers that have fired, with the game time they fired
+    this.fired = {};
+
+    // Objectives shown to players {id, text, player, status}
+    this.objectives = [];
+
+    // Buildings present at the start, for "buildingDestroyed" conditions
+    this.trackedBuildings = null;
+
+    Utils.log("TriggerSystem created");
+  }
+
+  /**
+   * Initialize the trigger system
+   * @param {Object} scenario - Scenario data with triggers and objectives
+   */
+  init(scenario = {}) {
+    this.triggers = (scenario.triggers || []).map((trigger, index) => ({
+      id: trigger.id || `trigger_${index}`,
+      conditions: trigger.conditions || [],
+      effects: trigger.effects || [],
+      repeat: !!trigger.repeat,
+      interval: trigger.interval || 0, // Seconds between repeats
+    }));
+
+    this.objectives = (scenario.objectives || []).map((objective) => ({
+      id: objective.id,
+      text: objective.text,
+      player: objective.player !== undefined ? objective.player : null,
+      status: "active",
+    }));
+
+    this.fired = {};
+    this.trackedBuildings = null;
+
+    Utils.log(
+      `TriggerSystem initialized (${this.triggers.length} triggers, ${this.objectives.length} objectives)`
+    );
+    return this;
+  }
+
+  /**
+   * Evaluate triggers
+   * @param {number} deltaTime - Time elapsed since last update in milliseconds
+   */
+  update(deltaTime) {
+    if (this.triggers.length === 0) return;
+
+    const victorySystem = this.game.getSystem("victorySystem");
+    if (victorySystem && victorySystem.isGameOver && victorySystem.isGameOver()) {
+      return;
+    }
+
+    // Snapshot the starting buildings on the first tick
+    if (!this.trackedBuildings) {
+      this.trackBuildings();
+    }
+
+    for (const trigger of this.triggers) {
+      const lastFired = this.fired[trigger.id];
+
+      if (lastFired !== undefined) {
+        if (!trigger.repeat) continue;
+        if (this.game.gameTime - lastFired < trigger.interval * 1000) continue;
+      }
+
+      if (trigger.conditions.every((condition) => this.checkCondition(condition))) {
+        this.fired[trigger.id] = this.game.gameTime;
+
+        for (const effect of trigger.effects) {
+          this.applyEffect(effect);
+        }
+
+        this.game.emit("triggerFired", { trigger: trigger.id });
+      }
+    }
+  }
+
+  /**
+   * Remember every building on the map at the start of the match
+   */
+  trackBuildings() {
+    const entityManager = this.game.getSystem("entityManager");
+    if (!entityManager) return;
+
+    this.trackedBuildings = entityManager
+      .getEntitiesByType("building")
+      .filter((building) => building.active)
+      .map((building) => ({
+        id: building.id,
+        owner: building.owner,
+        buildingType: building.buildingType,
+        x: building.x,
+        y: building.y,
+      }));
+  }
+
+  /**
+   * Check whether a position lies in a rectangular area
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} area - Area {x, y, width, height}
+   * @returns {boolean} True if inside
+   */
+  isInArea(x, y, area) {
+    return (
+      x >= area.x &&
+      y >= area.y &&
+      x < area.x + area.width &&
+      y < area.y + area.height
+    );
+  }
+
+  /**
+   * Check a single trigger condition
+   * @param {Object} condition - Condition {type, ...}
+   * @returns {boolean} True if met
+   */
+  checkCondition(condition) {
+    const entityManager = this.game.getSystem("entityManager");
+    const owner = this.game.getOwnerKey(condition.player);
+
+    switch (condition.type) {
+      case "enterArea": {
+        if (!entityManager || owner === null) return false;
+
+        const units = entityManager
+          .getEntitiesByOwner(owner)
+          .filter(
+            (entity) =>
+              entity.active &&
+              (entity.type === "unit" || entity.type === "villager") &&
+              (!condition.unitType || entity.unitType === condition.unitType) &&
+              this.isInArea(entity.x, entity.y, condition.area)
+          );
+
+        return units.length >= (condition.count || 1);
+      }
+
+      case "buildingDestroyed": {
+        if (!entityManager || !this.trackedBuildings) return false;
+
+        const destroyed = this.trackedBuildings.filter((tracked) => {
+          if (owner !== null && tracked.owner !== owner) return false;
+          if (
+            condition.buildingType &&
+            tracked.buildingType !== condition.buildingType
+          ) {
+            return false;
+          }
+          if (
+            condition.area &&
+            !this.isInArea(tracked.x, tracked.y, condition.area)
+          ) {
+            return false;
+          }
+
+          const building = entityManager.getEntityById(tracked.id);
+          return !building || !building.active;
+        });
+
+        return destroyed.length >= (condition.count || 1);
+      }
+
+      case "timeElapsed":
+        return this.game.gameTime >= condition.seconds * 1000;
+
+      case "resources": {
+        const resourceManager = this.game.getSystem("resourceManager");
+        if (!resourceManager || owner === null) return false;
+
+        return (
+          resourceManager.getResource(condition.resource, owner) >=
+          condition.amount
+        );
+      }
+
+      case "age": {
+        const ageSystem = this.game.getSystem("ageSystem");
+        return (
+          !!ageSystem && ageSystem.getPlayerAge(condition.player) >= condition.age
+        );
+      }
+
+      case "tech": {
+        const techManager = this.game.getSystem("techManager");
+        return (
+          !!techManager &&
+          owner !== null &&
+          !!techManager.researchedTech[owner] &&
+          techManager.researchedTech[owner].has(condition.tech)
+        );
+      }
+
+      case "triggerFired":
+        return this.fired[condition.trigger] !== undefined;
+
+      case "objective": {
+        const objective = this.getObjective(condition.objective);
+        return !!objective && objective.status === (condition.status || "completed");
+      }
+
+      default:
+        Utils.log(`Unknown trigger condition: ${condition.type}`, "warning");
+        return false;
+    }
+  }
+
+  /**
+   * Apply a single trigger effect
+   * @param {Object} effect - Effect {type, ...}
+   */
+  applyEffect(effect) {
+    const owner = this.game.getOwnerKey(effect.player);
+
+    switch (effect.type) {
+      case "spawnUnits": {
+        const entityManager = this.game.getSystem("entityManager");
+        if (!entityManager) return;
+
+        // Spread the units out in rows around the spawn point
+        const count = effect.count || 1;
+        const perRow = Math.ceil(Math.sqrt(count));
+        const placements = [];
+        for (let i = 0; i < count; i++) {
+          placements.push({
+            type: effect.unitType === "villager" ? "villager" : "unit",
+            unitType: effect.unitType,
+            x: effect.x + (i % perRow),
+            y: effect.y + Math.floor(i / perRow),
+            player: effect.player,
+          });
+        }
+
+        entityManager.createScenarioEntities(placements);
+        break;
+      }
+
+      case "grantResources": {
+        const resourceManager = this.game.getSystem("resourceManager");
+        if (resourceManager && owner) {
+          resourceManager.addResources(effect.resources, owner);
+        }
+        break;
+      }
+
+      case "alert":
+        this.showAlert(effect.message, effect.player);
+        break;
+
+      case "revealArea": {
+        const fogOfWar = this.game.getSystem("fogOfWar");
+        if (fogOfWar && owner) {
+          fogOfWar.revealArea(effect.x, effect.y, effect.radius, owner);
+        }
+
+        // The map's own fog is what the local player sees
+        const map = this.game.getSystem("map");
+        if (map && effect.player === this.game.currentPlayer) {
+          map.updateVisibilityForPosition(effect.x, effect.y, effect.radius);
+        }
+        break;
+      }
+
+      case "diplomacy": {
+        const diplomacy = this.game.getSystem("diplomacy");
+        if (diplomacy) {
+          diplomacy.setStance(effect.players[0], effect.players[1], effect.stance);
+        }
+        break;
+      }
+
+      case "victory": {
+        const victorySystem = this.game.getSystem("victorySystem");
+        if (victorySystem && victorySystem.declareVictory) {
+          victorySystem.declareVictory(effect.player, "scenario");
+        }
+        break;
+      }
+
+      case "defeat": {
+        const victorySystem = this.game.getSystem("victorySystem");
+        if (victorySystem && victorySystem.declareDefeat) {
+          victorySystem.declareDefeat(effect.player, "scenario");
+        }
+        break;
+      }
+
+      case "completeObjective":
+        this.setObjectiveStatus(effect.objective, "completed");
+        break;
+
+      case "failObjective":
+        this.setObjectiveStatus(effect.objective, "failed");
+        break;
+
+      case "addObjective":
+        if (!this.getObjective(effect.objective)) {
+          this.objectives.push({
+            id: effect.objective,
+            text: effect.text,
+            player: effect.player !== undefined ? effect.player : null,
+            status: "active",
+          });
+          this.game.emit("objectivesChanged", { objective: effect.objective });
+        }
+        break;
+
+      default:
+        Utils.log(`Unknown trigger effect: ${effect.type}`, "warning");
+    }
+  }
+
+  /**
+   * Show a scenario message to one player, or everyone
+   * @param {string} message - Message text
+   * @param {number} playerId - Player ID (undefined for all players)
+   */
+  showAlert(message, playerId) {
+    if (playerId !== undefined && playerId !== this.game.currentPlayer) return;
+
+    const alertSystem = this.game.getSystem("alertSystem");
+    if (alertSystem) {
+      alertSystem.addAlert(
+        message,
+        "info",
+        this.game.getOwnerKey(this.game.currentPlayer)
+      );
+      return;
+    }
+
+    const uiManager = this.game.getSystem("uiManager");
+    if (uiManager && uiManager.displayMessage) {
+      uiManager.displayMessage(message);
+    }
+    Utils.log(message);
+  }
+
+  /**
+   * Get an objective by ID
+   * @param {string} id - Objective ID
+   * @returns {Object|null} Objective
+   */
+  getObjective(id) {
+    return this.objectives.find((objective) => objective.id === id) || null;
+  }
+
+  /**
+   * Get the objectives a player should see
+   * @param {number} playerId - Player ID
+   * @returns {Array} Objectives
+   */
+  getObjectivesFor(playerId) {
+    return this.objectives.filter(
+      (objective) => objective.player === null || objective.player === playerId
+    );
+  }
+
+  /**
+   * Mark an objective completed or failed
+   * @param {string} id - Objective ID
+   * @param {string} status - New status
+   */
+  setObjectiveStatus(id, status) {
+    const objective = this.getObjective(id);
+    if (!objective || objective.status === status) return;
+
+    objective.status = status;
+
+    if (objective.player === null || objective.player === this.game.currentPlayer) {
+      this.showAlert(
+        `Objective ${status === "completed" ? "complete" : "failed"}: ${
+          objective.text
+        }`
+      );
+    }
+
+    this.game.emit("objectivesChanged", { objective: id, status: status });
+  }
+
+  /**
+   * Get serializable trigger state
+   * @returns {Object} Serialized trigger state
+   */
+  serialize() {
+    return {
+      triggers: JSON.parse(JSON.stringify(this.triggers)),
+      fired: { ...this.fired },
+      objectives: this.objectives.map((objective) => ({ ...objective })),
+      trackedBuildings: this.trackedBuildings
+        ? this.trackedBuildings.map((building) => ({ ...building }))
+        : null,
+    };
+  }
+
+  /**
+   * Restore trigger state from serialized data
+   * @param {Object} data - Serialized trigger state
+   */
+  deserialize(data) {
+    this.triggers = JSON.parse(JSON.stringify(data.triggers || []));
+    this.fired = { ...data.fired };
+    this.objectives = (data.objectives || []).map((objective) => ({
+      ...objective,
+    }));
+    this.trackedBuildings = data.trackedBuildings
+      ? data.trackedBuildings.map((building) => ({ ...building }))
+      : null;
+
+    this.game.emit("objectivesChanged", {});
+  }
+}
+
+// Export for ES modules or make available globally
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TriggerSystem;
+} else {
+  window.TriggerSystem = TriggerSystem;
+}
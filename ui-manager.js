@@ -31,6 +31,7 @@ class UIManager {
       tooltipTarget: null,
       buildingPlacement: null,
       menuOpen: false,
+      panelBuilding: null,
     };
 
     // UI DOM elements
@@ -322,6 +323,14 @@ class UIManager {
         this.resize();
       }, 100)
     );
+
+    // Market prices change with every trade
+    this.game.on("marketTrade", () => {
+      const building = this.state.panelBuilding;
+      if (building && building.active) {
+        this.showBuildingPanel(building);
+      }
+    });
   }
 
   /**
@@ -1295,6 +1304,32 @@ class UIManager {
         });
       }
 
+      // Garrisoned units
+      if (building.garrisonedUnits && building.garrisonedUnits.length > 0) {
+        actions.push({
+          id: "ungarrison",
+          name: `Ungarrison (${building.garrisonedUnits.length})`,
+          icon: "🚪",
+          onClick: (entities) => {
+            this.executeCommand("ungarrison", entities);
+          },
+        });
+      }
+
+      // Town bell
+      const garrison = this.game.getSystem("garrison");
+      if (building.buildingType === "town_center" && garrison) {
+        const ringing = garrison.isBellRinging(building);
+        actions.push({
+          id: "townBell",
+          name: ringing ? "All Clear" : "Ring Town Bell",
+          icon: "🔔",
+          onClick: (entities) => {
+            this.executeCommand("townBell", entities);
+          },
+        });
+      }
+
       // Gates
       if (building.wallType === "gate") {
         actions.push({
@@ -1339,6 +1374,16 @@ class UIManager {
           entityManager.setFormation(entities, data.formation);
         }
         break;
+
+      case "ungarrison":
+        entityManager.ungarrisonUnits(entities);
+        break;
+
+      case "townBell":
+        if (entities.length === 1) {
+          entityManager.ringTownBell(entities[0].id);
+        }
+        break;
     }
   }
 
@@ -1352,6 +1397,7 @@ class UIManager {
 
     // Show panel
     this.showSidePanel(true);
+    this.state.panelBuilding = building;
 
     // Create header
     const header = document.createElement("div");
@@ -1703,9 +1749,234 @@ class UIManager {
       }
     }
 
+    // Trading for markets
+    if (
+      building.buildingType === "market" ||
+      building.buildingType === "trade_post"
+    ) {
+      this.addMarketSection(content, building);
+    }
+
+    // Ships for docks
+    if (building.buildingType === "dock") {
+      this.addDockSection(content, building);
+    }
+
+    // Healers for temples
+    if (building.buildingType === "temple") {
+      this.addTempleSection(content, building);
+    }
+
     this.domElements.sidePanel.appendChild(content);
   }
 
+  /**
+   * Add resource trading and caravan controls to a market panel
+   * @param {HTMLElement} content - Panel content element
+   * @param {Entity} building - Market building
+   */
+  addMarketSection(content, building) {
+    const market = this.game.getSystem("market");
+    const entityManager = this.game.getSystem("entityManager");
+    if (!market || !entityManager) return;
+
+    const tradeTitle = document.createElement("div");
+    this.applyStyles(tradeTitle, {
+      marginBottom: "10px",
+      color: this.styles.fontColor,
+      fontSize: "14px",
+      fontWeight: "bold",
+    });
+    tradeTitle.textContent = "Trade (gold per 100)";
+    content.appendChild(tradeTitle);
+
+    const tradeList = document.createElement("div");
+    this.applyStyles(tradeList, {
+      display: "flex",
+      flexDirection: "column",
+      gap: "5px",
+      marginBottom: "10px",
+    });
+
+    const createButton = (label, onClick) => {
+      const button = document.createElement("div");
+      this.applyStyles(button, {
+        padding: "3px 8px",
+        backgroundColor: this.styles.buttonColor,
+        borderRadius: "4px",
+        color: this.styles.fontColor,
+        cursor: "pointer",
+        fontSize: "12px",
+      });
+      button.textContent = label;
+      button.addEventListener("click", onClick);
+      return button;
+    };
+
+    for (const resource of market.tradeableResources) {
+      const row = document.createElement("div");
+      this.applyStyles(row, {
+        display: "flex",
+        alignItems: "center",
+        gap: "5px",
+        padding: "5px",
+        backgroundColor: "rgba(255, 255, 255, 0.1)",
+        borderRadius: "4px",
+      });
+
+      const name = document.createElement("div");
+      this.applyStyles(name, {
+        flex: "1",
+        color: this.styles.resourceColors[resource] || this.styles.fontColor,
+      });
+      name.textContent = resource;
+      row.appendChild(name);
+
+      // Buying spends enough gold for 100 units
+      row.appendChild(
+        createButton(`Buy ${market.getBuyPrice(resource)}`, () =>
+          entityManager.tradeResources(
+            "gold",
+            resource,
+            market.getBuyPrice(resource)
+          )
+        )
+      );
+      row.appendChild(
+        createButton(`Sell ${market.getSellPrice(resource)}`, () =>
+          entityManager.tradeResources(resource, "gold", 100)
+        )
+      );
+
+      tradeList.appendChild(row);
+    }
+
+    content.appendChild(tradeList);
+
+    // Caravans
+    const cost = Object.entries(market.caravanCost)
+      .map(([resource, amount]) => `${amount} ${resource}`)
+      .join(", ");
+    const caravanButton = createButton(`Train Caravan (${cost})`, () => {
+      entityManager.trainCaravan(building.id);
+    });
+    content.appendChild(caravanButton);
+
+    const caravanNote = document.createElement("div");
+    this.applyStyles(caravanNote, {
+      marginTop: "5px",
+      color: this.styles.fontColor,
+      fontSize: "12px",
+      fontStyle: "italic",
+    });
+    caravanNote.textContent =
+      "Caravans earn gold travelling to your other markets or allied markets; longer routes pay more.";
+    content.appendChild(caravanNote);
+  }
+
+  /**
+   * Add ship training controls to a dock panel
+   * @param {HTMLElement} content - Panel content element
+   * @param {Entity} building - Dock building
+   */
+  addDockSection(content, building) {
+    const naval = this.game.getSystem("naval");
+    const entityManager = this.game.getSystem("entityManager");
+    if (!naval || !entityManager) return;
+
+    const shipTitle = document.createElement("div");
+    this.applyStyles(shipTitle, {
+      marginBottom: "10px",
+      color: this.styles.fontColor,
+      fontSize: "14px",
+      fontWeight: "bold",
+    });
+    shipTitle.textContent = "Ships";
+    content.appendChild(shipTitle);
+
+    const shipList = document.createElement("div");
+    this.applyStyles(shipList, {
+      display: "flex",
+      flexDirection: "column",
+      gap: "5px",
+      marginBottom: "10px",
+    });
+
+    for (const [shipType, ship] of Object.entries(naval.shipTypes)) {
+      const cost = Object.entries(ship.cost)
+        .map(([resource, amount]) => `${amount} ${resource}`)
+        .join(", ");
+
+      const button = document.createElement("div");
+      this.applyStyles(button, {
+        padding: "3px 8px",
+        backgroundColor: this.styles.buttonColor,
+        borderRadius: "4px",
+        color: this.styles.fontColor,
+        cursor: "pointer",
+        fontSize: "12px",
+      });
+      button.textContent = `Train ${shipType.replace(/_/g, " ")} (${cost})`;
+      button.addEventListener("click", () => {
+        entityManager.trainShip(building.id, shipType);
+      });
+      shipList.appendChild(button);
+    }
+
+    content.appendChild(shipList);
+
+    const shipNote = document.createElement("div");
+    this.applyStyles(shipNote, {
+      color: this.styles.fontColor,
+      fontSize: "12px",
+      fontStyle: "italic",
+    });
+    shipNote.textContent =
+      "Fishing boats bring fish back here; transports carry land units across water; warships fight on the water.";
+    content.appendChild(shipNote);
+  }
+
+  /**
+   * Add healer training controls to a temple panel
+   * @param {HTMLElement} content - Panel content element
+   * @param {Entity} building - Temple building
+   */
+  addTempleSection(content, building) {
+    const support = this.game.getSystem("support");
+    const entityManager = this.game.getSystem("entityManager");
+    if (!support || !entityManager) return;
+
+    const cost = Object.entries(support.healerCost)
+      .map(([resource, amount]) => `${amount} ${resource}`)
+      .join(", ");
+
+    const button = document.createElement("div");
+    this.applyStyles(button, {
+      padding: "3px 8px",
+      marginBottom: "10px",
+      backgroundColor: this.styles.buttonColor,
+      borderRadius: "4px",
+      color: this.styles.fontColor,
+      cursor: "pointer",
+      fontSize: "12px",
+    });
+    button.textContent = `Train Healer (${cost})`;
+    button.addEventListener("click", () => {
+      entityManager.trainHealer(building.id);
+    });
+    content.appendChild(button);
+
+    const healerNote = document.createElement("div");
+    this.applyStyles(healerNote, {
+      color: this.styles.fontColor,
+      fontSize: "12px",
+      fontStyle: "italic",
+    });
+    healerNote.textContent =
+      "Healers mend wounded units nearby and can spend their mana converting enemy units. Units near the temple heal slowly.";
+    content.appendChild(healerNote);
+  }
+
   /**
    * Open the building menu
    * @param {Array} entities - Selected entities (villagers)
@@ -1746,6 +2017,10 @@ class UIManager {
     this.applyStyles(this.domElements.sidePanel, {
       visibility: show ? "visible" : "hidden",
     });
+
+    if (!show) {
+      this.state.panelBuilding = null;
+    }
   }
 
   /**
@@ -1942,6 +2217,8 @@ class UIManager {
         return "#A68C69"; // Brown
       case "mountains":
         return "#6F6F6F"; // Gray
+      case "road":
+        return "#B89B72"; // Packed earth
       default:
         return "#000000"; // Black for unknown
     }
@@ -255,6 +255,61 @@ export class UnitPanel {
           xpStat.textContent = `XP: ${unit.xp}/${unit.xpForNextLevel}`;
           this.selectionStats.appendChild(xpStat);
         }
+
+        // Rank and XP (veteran military units)
+        const rank = unit.getVeterancyRank && unit.getVeterancyRank();
+        if (rank && unit.isMilitary()) {
+          const ranks = config.STATS.VETERANCY.RANKS;
+          const next = ranks[unit.veterancy + 1];
+
+          const rankStat = document.createElement("div");
+          rankStat.textContent = `Rank: ${rank.name}`;
+          rankStat.style.color = "#FFD700";
+          this.selectionStats.appendChild(rankStat);
+
+          const xpStat = document.createElement("div");
+          xpStat.textContent = next
+            ? `XP: ${Math.floor(unit.experience)}/${next.xp}`
+            : `XP: ${Math.floor(unit.experience)}`;
+          this.selectionStats.appendChild(xpStat);
+        }
+
+        // Mana and cooldowns (healers)
+        const support = this.game.getSystem && this.game.getSystem("support");
+        const caster = support && support.getCasterState(unit);
+        if (caster) {
+          const stats = support.getStats(unit.unitType);
+
+          const manaStat = document.createElement("div");
+          manaStat.textContent = `Mana: ${Math.floor(caster.mana)}/${stats.maxMana}`;
+          manaStat.style.color = "#88BBFF";
+          this.selectionStats.appendChild(manaStat);
+
+          const healStat = document.createElement("div");
+          healStat.textContent =
+            caster.healCooldown > 0
+              ? `Heal: ${caster.healCooldown.toFixed(1)}s`
+              : "Heal: ready";
+          this.selectionStats.appendChild(healStat);
+
+          const channel = support.getChannel(unit);
+          const convertStat = document.createElement("div");
+          if (channel) {
+            convertStat.textContent = `Converting: ${Math.floor(
+              channel.progress * 100
+            )}%`;
+          } else if (caster.convertCooldown > 0) {
+            convertStat.textContent = `Convert: ${Math.ceil(
+              caster.convertCooldown
+            )}s`;
+          } else {
+            convertStat.textContent =
+              caster.mana >= stats.convertCost
+                ? "Convert: ready"
+                : `Convert: needs ${stats.convertCost} mana`;
+          }
+          this.selectionStats.appendChild(convertStat);
+        }
       } else {
         // Multiple units of the same type
         this.selectionName.textContent = `${Utils.formatUnitName(
@@ -396,37 +451,53 @@ export class UnitPanel {
         () => this.issueCommand("setFormation", { formation: "scattered" })
       );
 
-      // Stance buttons
-      this.addActionButton(
-        "stance-aggressive",
-        "Aggressive",
-        "Attack enemies on sight",
-        () => this.issueCommand("setStance", { stance: "aggressive" })
-      );
-
-      this.addActionButton(
-        "stance-defensive",
-        "Defensive",
-        "Attack when attacked",
-        () => this.issueCommand("setStance", { stance: "defensive" })
-      );
+    }
 
+    // Combat orders and stances for military units
+    if (militaryUnits.length > 0) {
       this.addActionButton(
-        "stance-passive",
-        "Passive",
-        "Never attack automatically",
-        () => this.issueCommand("setStance", { stance: "passive" })
+        "attack-move",
+        "Atk-Move",
+        this.withHotkey("Move, fighting enemies on the way", "attackMove"),
+        () => this.game.input.startAttackMoveCommand()
       );
-    }
 
-    // Add patrol action for military units
-    if (militaryUnits.length > 0) {
       this.addActionButton(
         "patrol",
         "Patrol",
-        "Patrol between two points",
+        this.withHotkey(
+          "Patrol between points, fighting on the way (Shift adds points)",
+          "patrol"
+        ),
         () => this.game.input.startPatrolCommand()
       );
+
+      this.addActionButton(
+        "hold-position",
+        "Hold",
+        this.withHotkey("Stay put, fighting only in range", "holdPosition"),
+        () => this.issueCommand("hold")
+      );
+
+      const stances = {
+        aggressive: ["Aggressive", "Chase any enemy in sight"],
+        defensive: ["Defensive", "Chase enemies a short way, then return"],
+        standGround: ["Stand", "Fight only enemies in range"],
+        noAttack: ["No Attack", "Never fight unless ordered"],
+      };
+      for (const stance in stances) {
+        const [label, tooltip] = stances[stance];
+        const actionId = `stance${stance[0].toUpperCase()}${stance.slice(1)}`;
+        const current = militaryUnits.every((unit) => unit.stance === stance);
+
+        this.addActionButton(
+          `stance-${stance}`,
+          label,
+          this.withHotkey(tooltip, actionId),
+          () => this.issueCommand("stance", { stance: stance }),
+          current ? "#88FF88" : "#FFFFFF"
+        );
+      }
     }
 
     // Hero abilities (if a single hero is selected)
@@ -455,10 +526,42 @@ export class UnitPanel {
       }
     }
 
+    // Conversion (if only healers are selected)
+    const support = this.game.getSystem && this.game.getSystem("support");
+    const allHealers =
+      support && units.every((unit) => support.getCasterState(unit));
+    if (allHealers) {
+      const stats = support.getStats(units[0].unitType);
+      const caster = support.getCasterState(units[0]);
+      const isReady =
+        caster.convertCooldown <= 0 && caster.mana >= stats.convertCost;
+
+      this.addActionButton(
+        "convert",
+        "Convert",
+        `Channel for ${stats.convertTime}s to win an enemy unit over (${stats.convertCost} mana)`,
+        () => this.game.input.startConvertCommand(),
+        isReady ? "#FFFFFF" : "#888888",
+        (caster.convertCooldown / stats.convertCooldown) * 100
+      );
+    }
+
     // Group assignment buttons
     this.addGroupButtons();
   }
 
+  /**
+   * Add an action's hotkey to a button tooltip
+   * @param {string} tooltip - Button tooltip
+   * @param {string} actionId - Hotkey action ID
+   * @returns {string} Tooltip with the key, if one is bound
+   */
+  withHotkey(tooltip, actionId) {
+    const hotkeys = this.game.getSystem && this.game.getSystem("hotkeys");
+    const label = hotkeys ? hotkeys.getLabel(actionId) : "";
+    return label ? `${tooltip} (${label})` : tooltip;
+  }
+
   /**
    * Add action button to panel
    * @param {string} icon - Button icon name
@@ -577,15 +680,17 @@ export class UnitPanel {
       groupButton.style.cursor = "pointer";
       groupButton.style.fontWeight = "bold";
 
-      // Highlight if units are already in this group
-      const groupIndex = i - 1; // Convert to 0-based
+      // Highlight if units are already in this group (numbered like the
+      // digit keys, so Ctrl+1 and button 1 are the same group)
+      const groupIndex = i;
+      groupButton.title = `Assign to group ${i} (Ctrl+${i})`;
       if (this.selectedUnits.some((unit) => unit.group === groupIndex)) {
         groupButton.style.backgroundColor = "rgba(100, 150, 255, 0.6)";
       }
 
       // Add event listeners
       groupButton.addEventListener("click", () => {
-        this.issueCommand("assignGroup", { group: groupIndex });
+        this.game.input.assignControlGroup(groupIndex, this.selectedUnits);
 
         // Update button appearance
         groupButtons.querySelectorAll(".group-button").forEach((button) => {
@@ -629,7 +734,11 @@ export class UnitPanel {
     const entityIds = this.selectedUnits.map((unit) => unit.id);
 
     // Issue command through entity manager
-    this.game.entityManager.executeCommand(command, entityIds, params);
+    this.game.entityManager.queueCommand({
+      type: command,
+      entityIds: entityIds,
+      ...params,
+    });
 
     // Play command sound
     switch (command) {
@@ -644,8 +753,10 @@ export class UnitPanel {
       case "setFormation":
         this.game.audio.playSound("unit_formation");
         break;
-      case "setStance":
+      case "stance":
         this.game.audio.playSound("unit_stance");
+        // Update button appearance on next frame
+        setTimeout(() => this.updateActionButtons(), 50);
         break;
       case "useAbility":
         this.game.audio.playSound("hero_ability");
@@ -976,6 +1087,61 @@ export class UnitPanel {
           xpStat.textContent = `XP: ${unit.xp}/${unit.xpForNextLevel}`;
           this.selectionStats.appendChild(xpStat);
         }
+
+        // Rank and XP (veteran military units)
+        const rank = unit.getVeterancyRank && unit.getVeterancyRank();
+        if (rank && unit.isMilitary()) {
+          const ranks = config.STATS.VETERANCY.RANKS;
+          const next = ranks[unit.veterancy + 1];
+
+          const rankStat = document.createElement("div");
+          rankStat.textContent = `Rank: ${rank.name}`;
+          rankStat.style.color = "#FFD700";
+          this.selectionStats.appendChild(rankStat);
+
+          const xpStat = document.createElement("div");
+          xpStat.textContent = next
+            ? `XP: ${Math.floor(unit.experience)}/${next.xp}`
+            : `XP: ${Math.floor(unit.experience)}`;
+          this.selectionStats.appendChild(xpStat);
+        }
+
+        // Mana and cooldowns (healers)
+        const support = this.game.getSystem && this.game.getSystem("support");
+        const caster = support && support.getCasterState(unit);
+        if (caster) {
+          const stats = support.getStats(unit.unitType);
+
+          const manaStat = document.createElement("div");
+          manaStat.textContent = `Mana: ${Math.floor(caster.mana)}/${stats.maxMana}`;
+          manaStat.style.color = "#88BBFF";
+          this.selectionStats.appendChild(manaStat);
+
+          const healStat = document.createElement("div");
+          healStat.textContent =
+            caster.healCooldown > 0
+              ? `Heal: ${caster.healCooldown.toFixed(1)}s`
+              : "Heal: ready";
+          this.selectionStats.appendChild(healStat);
+
+          const channel = support.getChannel(unit);
+          const convertStat = document.createElement("div");
+          if (channel) {
+            convertStat.textContent = `Converting: ${Math.floor(
+              channel.progress * 100
+            )}%`;
+          } else if (caster.convertCooldown > 0) {
+            convertStat.textContent = `Convert: ${Math.ceil(
+              caster.convertCooldown
+            )}s`;
+          } else {
+            convertStat.textContent =
+              caster.mana >= stats.convertCost
+                ? "Convert: ready"
+                : `Convert: needs ${stats.convertCost} mana`;
+          }
+          this.selectionStats.appendChild(convertStat);
+        }
       } else {
         // Multiple units of the same type
         this.selectionName.textContent = `${Utils.formatUnitName(
@@ -1117,37 +1283,53 @@ export class UnitPanel {
         () => this.issueCommand("setFormation", { formation: "scattered" })
       );
 
-      // Stance buttons
-      this.addActionButton(
-        "stance-aggressive",
-        "Aggressive",
-        "Attack enemies on sight",
-        () => this.issueCommand("setStance", { stance: "aggressive" })
-      );
-
-      this.addActionButton(
-        "stance-defensive",
-        "Defensive",
-        "Attack when attacked",
-        () => this.issueCommand("setStance", { stance: "defensive" })
-      );
+    }
 
+    // Combat orders and stances for military units
+    if (militaryUnits.length > 0) {
       this.addActionButton(
-        "stance-passive",
-        "Passive",
-        "Never attack automatically",
-        () => this.issueCommand("setStance", { stance: "passive" })
+        "attack-move",
+        "Atk-Move",
+        this.withHotkey("Move, fighting enemies on the way", "attackMove"),
+        () => this.game.input.startAttackMoveCommand()
       );
-    }
 
-    // Add patrol action for military units
-    if (militaryUnits.length > 0) {
       this.addActionButton(
         "patrol",
         "Patrol",
-        "Patrol between two points",
+        this.withHotkey(
+          "Patrol between points, fighting on the way (Shift adds points)",
+          "patrol"
+        ),
         () => this.game.input.startPatrolCommand()
       );
+
+      this.addActionButton(
+        "hold-position",
+        "Hold",
+        this.withHotkey("Stay put, fighting only in range", "holdPosition"),
+        () => this.issueCommand("hold")
+      );
+
+      const stances = {
+        aggressive: ["Aggressive", "Chase any enemy in sight"],
+        defensive: ["Defensive", "Chase enemies a short way, then return"],
+        standGround: ["Stand", "Fight only enemies in range"],
+        noAttack: ["No Attack", "Never fight unless ordered"],
+      };
+      for (const stance in stances) {
+        const [label, tooltip] = stances[stance];
+        const actionId = `stance${stance[0].toUpperCase()}${stance.slice(1)}`;
+        const current = militaryUnits.every((unit) => unit.stance === stance);
+
+        this.addActionButton(
+          `stance-${stance}`,
+          label,
+          this.withHotkey(tooltip, actionId),
+          () => this.issueCommand("stance", { stance: stance }),
+          current ? "#88FF88" : "#FFFFFF"
+        );
+      }
     }
 
     // Hero abilities (if a single hero is selected)
@@ -1176,10 +1358,42 @@ export class UnitPanel {
       }
     }
 
+    // Conversion (if only healers are selected)
+    const support = this.game.getSystem && this.game.getSystem("support");
+    const allHealers =
+      support && units.every((unit) => support.getCasterState(unit));
+    if (allHealers) {
+      const stats = support.getStats(units[0].unitType);
+      const caster = support.getCasterState(units[0]);
+      const isReady =
+        caster.convertCooldown <= 0 && caster.mana >= stats.convertCost;
+
+      this.addActionButton(
+        "convert",
+        "Convert",
+        `Channel for ${stats.convertTime}s to win an enemy unit over (${stats.convertCost} mana)`,
+        () => this.game.input.startConvertCommand(),
+        isReady ? "#FFFFFF" : "#888888",
+        (caster.convertCooldown / stats.convertCooldown) * 100
+      );
+    }
+
     // Group assignment buttons
     this.addGroupButtons();
   }
 
+  /**
+   * Add an action's hotkey to a button tooltip
+   * @param {string} tooltip - Button tooltip
+   * @param {string} actionId - Hotkey action ID
+   * @returns {string} Tooltip with the key, if one is bound
+   */
+  withHotkey(tooltip, actionId) {
+    const hotkeys = this.game.getSystem && this.game.getSystem("hotkeys");
+    const label = hotkeys ? hotkeys.getLabel(actionId) : "";
+    return label ? `${tooltip} (${label})` : tooltip;
+  }
+
   /**
    * Add action button to panel
    * @param {string} icon - Button icon name
@@ -1298,15 +1512,17 @@ export class UnitPanel {
       groupButton.style.cursor = "pointer";
       groupButton.style.fontWeight = "bold";
 
-      // Highlight if units are already in this group
-      const groupIndex = i - 1; // Convert to 0-based
+      // Highlight if units are already in this group (numbered like the
+      // digit keys, so Ctrl+1 and button 1 are the same group)
+      const groupIndex = i;
+      groupButton.title = `Assign to group ${i} (Ctrl+${i})`;
       if (this.selectedUnits.some((unit) => unit.group === groupIndex)) {
         groupButton.style.backgroundColor = "rgba(100, 150, 255, 0.6)";
       }
 
       // Add event listeners
       groupButton.addEventListener("click", () => {
-        this.issueCommand("assignGroup", { group: groupIndex });
+        this.game.input.assignControlGroup(groupIndex, this.selectedUnits);
 
         // Update button appearance
         groupButtons.querySelectorAll(".group-button").forEach((button) => {
@@ -1350,7 +1566,11 @@ export class UnitPanel {
     const entityIds = this.selectedUnits.map((unit) => unit.id);
 
     // Issue command through entity manager
-    this.game.entityManager.executeCommand(command, entityIds, params);
+    this.game.entityManager.queueCommand({
+      type: command,
+      entityIds: entityIds,
+      ...params,
+    });
 
     // Play command sound
     switch (command) {
@@ -1365,8 +1585,10 @@ export class UnitPanel {
       case "setFormation":
         this.game.audio.playSound("unit_formation");
         break;
-      case "setStance":
+      case "stance":
         this.game.audio.playSound("unit_stance");
+        // Update button appearance on next frame
+        setTimeout(() => this.updateActionButtons(), 50);
         break;
       case "useAbility":
         this.game.audio.playSound("hero_ability");
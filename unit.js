@@ -48,9 +48,37 @@ class Unit extends Entity {
     this.counterAttack =
       params.counterAttack !== undefined ? params.counterAttack : true;
 
+    // Stance toward enemies the unit wasn't told to fight (see
+    // CONFIG.STATS.STANCES); holding position pins it in place until the
+    // next command whatever the stance
+    this.stance = params.stance || CONFIG.STATS.STANCES.DEFAULT;
+    this.holdingPosition = params.holdingPosition || false;
+
+    // Standing combat orders that fight whatever they meet on the way: an
+    // attack-move destination {x, y} and a patrol route {waypoints, index}
+    this.attackMove = params.attackMove || null;
+    this.patrol = params.patrol || null;
+
+    // Where the unit stood when it went after an enemy on its own, so it can
+    // come back; null when it isn't fighting on its own account
+    this.engagedFrom = params.engagedFrom || null;
+    this.scanTimer = 0;
+
     // Status effects
     this.statusEffects = [];
 
+    // Veterancy (military units only). Saved stats already include the
+    // rank bonus, so a restored unit keeps them without reapplying it
+    this.experience = params.experience || 0;
+    this.veterancy = params.veterancy || 0; // Index into CONFIG.STATS.VETERANCY.RANKS
+    this.listeners.rankUp = [];
+
+    // Orders carried out one after another whenever the unit falls idle:
+    // shift-queued commands or a rally route. Each is shaped like an
+    // EntityManager command without its entityIds, plus "follow"
+    this.orders = params.orders || [];
+    this.followDistance = 2; // tiles
+
     // Apply civilization bonuses
     this.applyCivilizationBonuses();
 
@@ -62,7 +90,7 @@ class Unit extends Entity {
    */
   applyCivilizationBonuses() {
     // Get civilization config
-    const civConfig = CONFIG.CIVILIZATIONS[this.owner];
+    const civConfig = CONFIG.CIVILIZATIONS[this.civilization];
     if (!civConfig) return;
 
     // Apply civilization bonuses
@@ -95,6 +123,24 @@ class Unit extends Entity {
     // Update unit state
     super.update(deltaTime);
 
+    if (!this.garrisonId && !this.transportId) {
+      this.updateCombatOrders(deltaTime);
+    }
+
+    // Carry on with the next order once the last one is done
+    if (
+      this.orders.length > 0 &&
+      this.state === "idle" &&
+      !this.currentJob.type &&
+      !this.attackMove &&
+      !this.patrol &&
+      !this.engagedFrom &&
+      !this.garrisonId &&
+      !this.transportId
+    ) {
+      this.startNextOrder();
+    }
+
     // Update current job
     if (this.currentJob.type) {
       this.currentJob.time += deltaTime;
@@ -126,12 +172,19 @@ class Unit extends Entity {
       return;
     }
 
-    // Check if we're at the target
+    // On the way back with a full load
+    if (this.currentJob.returning) {
+      if (this.state !== "moving") this.returnResources();
+      return;
+    }
+
+    // Check if we're at the target (or next to it, mines can sit on
+    // mountains we can't walk onto)
     const distance = Utils.distance(this.x, this.y, target.x, target.y);
 
-    if (distance > 1) {
+    if (distance > 1.5) {
       // Move to target
-      this.moveTo(target.x, target.y);
+      if (this.state !== "moving") this.moveTo(target.x, target.y);
       return;
     }
 
@@ -147,13 +200,17 @@ class Unit extends Entity {
       return;
     }
 
-    // Gather resources
-    const amountToGather = this.gatherRate * deltaTime;
-
     // Get map for resource manipulation
     const game = window.gameInstance;
     const map = game ? game.getSystem("map") : null;
 
+    // Gather resources, faster or slower with the season
+    const seasons = game ? game.getSystem("seasons") : null;
+    const amountToGather =
+      this.gatherRate *
+      deltaTime *
+      (seasons ? seasons.getGatherMultiplier(target.resourceType) : 1);
+
     if (map) {
       const gathered = map.gatherResource(target.x, target.y, amountToGather);
 
@@ -254,7 +311,7 @@ class Unit extends Entity {
     let nearestDistance = Infinity;
 
     for (const building of dropOffBuildings) {
-      const center = building.getCenter();
+      const center = building.getTileCenter();
       const distance = Utils.distance(this.x, this.y, center.x, center.y);
 
       if (distance < nearestDistance) {
@@ -266,7 +323,7 @@ class Unit extends Entity {
     if (!nearest) return;
 
     // Move to drop-off building
-    const center = nearest.getCenter();
+    const center = nearest.getTileCenter();
 
     // Check if we're at the drop-off point
     const dropOffDistance = Utils.distance(this.x, this.y, center.x, center.y);
@@ -275,9 +332,9 @@ class Unit extends Entity {
       // We've reached the drop-off point, deliver resources
       this.deliverResources(nearest);
     } else {
-      // Move to drop-off point
+      // Move to drop-off point; the gather job checks again once we stop
       this.moveTo(center.x, center.y);
-      this.state = "returning";
+      this.currentJob.returning = true;
     }
   }
 
@@ -297,7 +354,11 @@ class Unit extends Entity {
 
     if (!resourceManager) return;
 
-    resourceManager.addResource(this.carryingResource, this.carryingAmount);
+    resourceManager.gatherResource(
+      this.carryingResource,
+      this.carryingAmount,
+      this.owner
+    );
 
     // Trigger deliver event
     this.triggerEvent("deliver", {
@@ -331,7 +392,7 @@ class Unit extends Entity {
       case "wood":
         return ["lumber_mill", "town_center"];
       case "food":
-        return ["granary", "storehouse", "town_center"];
+        return ["granary", "storehouse", "dock", "town_center"];
       case "gold":
         return ["market", "trade_post", "town_center"];
       case "stone":
@@ -363,16 +424,12 @@ class Unit extends Entity {
     }
 
     // Check if we're at the target
-    const distance = Utils.distance(
-      this.x,
-      this.y,
-      target.getCenter().x,
-      target.getCenter().y
-    );
+    const center = target.getTileCenter();
+    const distance = Utils.distance(this.x, this.y, center.x, center.y);
 
     if (distance > 1.5) {
       // Move to target
-      this.moveTo(target.getCenter().x, target.getCenter().y);
+      this.moveTo(center.x, center.y);
       return;
     }
 
@@ -414,16 +471,12 @@ class Unit extends Entity {
     }
 
     // Check if we're at the target
-    const distance = Utils.distance(
-      this.x,
-      this.y,
-      target.getCenter().x,
-      target.getCenter().y
-    );
+    const center = target.getTileCenter();
+    const distance = Utils.distance(this.x, this.y, center.x, center.y);
 
     if (distance > 1.5) {
       // Move to target
-      this.moveTo(target.getCenter().x, target.getCenter().y);
+      this.moveTo(center.x, center.y);
       return;
     }
 
@@ -654,6 +707,9 @@ class Unit extends Entity {
     // Check target type
     if (!target || !target.active || target.type !== "resource") return false;
 
+    // Fish are caught by fishing boats, not gathered on foot
+    if (target.resourceType === "fish") return false;
+
     // Check if resource is depleted
     if (target.depleted || target.amount <= 0) return false;
 
@@ -696,7 +752,7 @@ class Unit extends Entity {
     };
 
     // Move to building
-    const center = building.getCenter();
+    const center = building.getTileCenter();
     this.moveTo(center.x, center.y);
 
     Utils.log(`Unit ${this.id} constructing building ${building.id}`);
@@ -752,7 +808,7 @@ class Unit extends Entity {
     };
 
     // Move to structure
-    const center = structure.getCenter();
+    const center = structure.getTileCenter();
     this.moveTo(center.x, center.y);
 
     Utils.log(`Unit ${this.id} repairing structure ${structure.id}`);
@@ -796,6 +852,375 @@ class Unit extends Entity {
     }
   }
 
+  /**
+   * Start the order at the front of the queue. Follow orders stay at the
+   * front until the unit is told something else or the target dies.
+   */
+  startNextOrder() {
+    const order = this.orders[0];
+    const game = window.gameInstance;
+    const entityManager = game ? game.getSystem("entityManager") : null;
+    if (!entityManager) return;
+
+    if (order.type === "follow") {
+      const target = entityManager.getEntityById(order.targetId);
+      if (!target || !target.active) {
+        this.orders.shift();
+      } else if (
+        Utils.distance(this.x, this.y, target.x, target.y) > this.followDistance
+      ) {
+        this.moveTo(target.x, target.y);
+      }
+      return;
+    }
+
+    this.orders.shift();
+
+    // A resource that ran out is swapped for the nearest one of its kind
+    if (order.type === "gather" && order.resourceType) {
+      const resource = entityManager.getEntityById(order.resourceId);
+      if (!resource || !resource.active) {
+        this.findNearestResource(order.resourceType);
+        return;
+      }
+    }
+
+    // Waypoints on a unit head for where it is now
+    if (order.type === "move" && order.targetId) {
+      const target = entityManager.getEntityById(order.targetId);
+      if (target && target.active) {
+        this.moveTo(target.x, target.y);
+        return;
+      }
+    }
+
+    entityManager.applyOrder([this], order);
+  }
+
+  /**
+   * Add an order to the end of the queue; it starts once the unit is idle
+   * @param {Object} order - Order {type, ...command fields}
+   */
+  queueOrder(order) {
+    // Extra patrol points extend the route; a patrol never ends, so they
+    // would wait behind it forever
+    if (order.type === "patrol") {
+      const last = this.orders[this.orders.length - 1];
+      const point = { x: order.x, y: order.y };
+
+      if (last && last.type === "patrol") {
+        last.waypoints = (last.waypoints || [{ x: last.x, y: last.y }]).concat(
+          point
+        );
+        return;
+      }
+      if (!last && this.patrol) {
+        this.patrol.waypoints.push(point);
+        return;
+      }
+    }
+
+    this.orders.push(order);
+  }
+
+  /**
+   * Get where an order takes the unit, for drawing the queue
+   * @param {Object} order - Queued order
+   * @returns {Object|null} Tile position {x, y}
+   */
+  getOrderPosition(order) {
+    const game = window.gameInstance;
+    const entityManager = game ? game.getSystem("entityManager") : null;
+    const targetId =
+      order.targetId ||
+      order.resourceId ||
+      order.buildingId ||
+      order.structureId ||
+      order.transportId;
+    const target =
+      targetId && entityManager ? entityManager.getEntityById(targetId) : null;
+
+    if (target && target.active) {
+      return target.type === "building"
+        ? target.getTileCenter()
+        : { x: target.x, y: target.y };
+    }
+    if (order.x !== undefined && order.y !== undefined) {
+      return { x: order.x, y: order.y };
+    }
+    return null;
+  }
+
+  /**
+   * Drop any queued orders, along with the standing combat orders and the
+   * last attack target, ready for a new command
+   */
+  clearOrders() {
+    this.orders = [];
+    this.attackMove = null;
+    this.patrol = null;
+    this.holdingPosition = false;
+    this.engagedFrom = null;
+    this.attackTarget = null;
+  }
+
+  /**
+   * Move somewhere, fighting any enemies met on the way
+   * @param {number} x - Target X coordinate
+   * @param {number} y - Target Y coordinate
+   */
+  setAttackMove(x, y) {
+    this.attackMove = { x: x, y: y };
+    this.patrol = null;
+  }
+
+  /**
+   * Walk a loop from where the unit stands through some waypoints and back,
+   * fighting any enemies met on the way
+   * @param {Array} waypoints - Waypoints {x, y}
+   */
+  startPatrol(waypoints) {
+    if (waypoints.length === 0) return;
+
+    this.attackMove = null;
+    this.patrol = {
+      waypoints: [{ x: this.x, y: this.y }, ...waypoints],
+      index: 1,
+    };
+    this.moveTo(waypoints[0].x, waypoints[0].y);
+  }
+
+  /**
+   * Stop and stay put until the next command, fighting only what's in range
+   */
+  holdPosition() {
+    this.stopMoving();
+    this.stopAttacking();
+    this.holdingPosition = true;
+  }
+
+  /**
+   * Set the unit's stance
+   * @param {string} stance - aggressive, defensive, standGround or noAttack
+   */
+  setStance(stance) {
+    this.stance = stance;
+
+    // A fight the unit picked itself may not suit the new stance
+    if (this.engagedFrom) this.disengage();
+  }
+
+  /**
+   * Check whether the unit fights enemies it wasn't ordered to attack
+   * @returns {boolean} True for armed soldiers not told to hold fire
+   */
+  canAutoAttack() {
+    return (
+      this.type === "unit" &&
+      this.ar > 0 &&
+      this.counterAttack &&
+      this.stance !== "noAttack"
+    );
+  }
+
+  /**
+   * Check whether the unit may leave its spot to go after an enemy
+   * @returns {boolean} True unless standing its ground
+   */
+  canChase() {
+    return !this.holdingPosition && this.stance !== "standGround";
+  }
+
+  /**
+   * Check whether an entity is an enemy worth fighting unprompted
+   * @param {Entity} target - Entity
+   * @returns {boolean} True for a hostile unit or building
+   */
+  isEnemy(target) {
+    if (
+      !target ||
+      target.owner === null ||
+      !["unit", "villager", "building"].includes(target.type) ||
+      !this.canAttack(target)
+    ) {
+      return false;
+    }
+
+    const game = window.gameInstance;
+    const diplomacy = game ? game.getSystem("diplomacy") : null;
+    return !diplomacy || diplomacy.areEnemies(this.owner, target.owner);
+  }
+
+  /**
+   * Find the enemy the unit would go after on its own: units before
+   * buildings, nearest first, within sight or within reach if it can't chase
+   * @returns {Entity|null} Enemy
+   */
+  findAutoTarget() {
+    const game = window.gameInstance;
+    const entityManager = game ? game.getSystem("entityManager") : null;
+    if (!entityManager) return null;
+
+    let range = this.attackRange;
+    if (this.canChase()) {
+      const fogOfWar = game.getSystem("fogOfWar");
+      const sight = fogOfWar
+        ? fogOfWar.getViewRange(this)
+        : this.lineOfSight || 4;
+      range = Math.max(range, sight);
+    }
+
+    let best = null;
+    let bestScore = Infinity;
+    for (const entity of entityManager.getEntitiesInRadius(
+      this.x,
+      this.y,
+      range
+    )) {
+      if (!this.isEnemy(entity) || !this.canSeeTarget(entity)) continue;
+
+      const score =
+        Utils.distance(this.x, this.y, entity.x, entity.y) +
+        (entity.type === "building" ? range : 0);
+      if (score < bestScore) {
+        best = entity;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Go after an enemy on the unit's own account
+   * @param {Entity} target - Enemy
+   */
+  engage(target) {
+    if (!this.engagedFrom) this.engagedFrom = { x: this.x, y: this.y };
+    this.attack(target);
+  }
+
+  /**
+   * Give up a fight the unit picked itself and get back to what it was doing:
+   * its attack-move or patrol, or the spot it left unless it's aggressive
+   */
+  disengage() {
+    const from = this.engagedFrom;
+    this.engagedFrom = null;
+
+    this.stopMoving();
+    this.stopAttacking();
+    this.attackTarget = null;
+
+    if (this.attackMove) {
+      this.moveTo(this.attackMove.x, this.attackMove.y);
+    } else if (this.patrol) {
+      const waypoint = this.patrol.waypoints[this.patrol.index];
+      this.moveTo(waypoint.x, waypoint.y);
+    } else if (
+      from &&
+      this.stance !== "aggressive" &&
+      Utils.distance(this.x, this.y, from.x, from.y) > 1
+    ) {
+      this.moveTo(from.x, from.y);
+    }
+  }
+
+  /**
+   * Run the unit's fights, attack-move and patrol, and look for enemies to
+   * engage while it's idle or on a combat route
+   * @param {number} deltaTime - Time elapsed since last update (seconds)
+   */
+  updateCombatOrders(deltaTime) {
+    const target = this.attackTarget;
+
+    if (this.engagedFrom) {
+      const leash = CONFIG.STATS.STANCES.DEFENSIVE_LEASH;
+      const from = this.engagedFrom;
+
+      if (
+        !target ||
+        !target.active ||
+        !this.canAttack(target) ||
+        (!this.canChase() &&
+          Utils.distance(this.x, this.y, target.x, target.y) >
+            this.attackRange) ||
+        (this.stance === "defensive" &&
+          !this.attackMove &&
+          !this.patrol &&
+          Utils.distance(this.x, this.y, from.x, from.y) > leash)
+      ) {
+        this.disengage();
+      } else if (this.state === "idle") {
+        // The walk towards the target ended where it used to be
+        this.attack(target);
+      }
+      return;
+    }
+
+    // Keep after a target the unit was ordered to attack
+    if (target && this.state === "idle") {
+      if (target.active && this.canAttack(target)) {
+        this.attack(target);
+        return;
+      }
+      this.attackTarget = null;
+    }
+
+    // Look for enemies every so often rather than every frame
+    this.scanTimer += deltaTime;
+    if (
+      this.scanTimer >= CONFIG.STATS.STANCES.SCAN_INTERVAL &&
+      (this.state === "idle" || this.attackMove || this.patrol) &&
+      !this.currentJob.type
+    ) {
+      this.scanTimer = 0;
+
+      if (this.canAutoAttack()) {
+        const enemy = this.findAutoTarget();
+        if (enemy) {
+          this.engage(enemy);
+          return;
+        }
+      }
+    }
+
+    if (this.state !== "idle") return;
+
+    if (this.attackMove) {
+      // Arrived
+      this.attackMove = null;
+    } else if (this.patrol) {
+      const patrol = this.patrol;
+      patrol.index = (patrol.index + 1) % patrol.waypoints.length;
+
+      const waypoint = patrol.waypoints[patrol.index];
+      this.moveTo(waypoint.x, waypoint.y);
+
+      // Give up on a route that can't be walked
+      if (!this.path) this.patrol = null;
+    }
+  }
+
+  /**
+   * Fight the current target, except that a unit standing its ground drops
+   * a target it picked itself once it moves out of reach
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateAttack(deltaTime) {
+    const target = this.attackTarget;
+    if (
+      this.engagedFrom &&
+      !this.canChase() &&
+      target &&
+      Utils.distance(this.x, this.y, target.x, target.y) > this.attackRange
+    ) {
+      this.disengage();
+      return;
+    }
+
+    super.updateAttack(deltaTime);
+  }
+
   /**
    * Set the unit's formation
    * @param {string} formationType - Type of formation
@@ -818,8 +1243,17 @@ class Unit extends Entity {
    * @param {number} centerY - Y coordinate of formation center
    * @param {number} directionX - X direction vector
    * @param {number} directionY - Y direction vector
+   * @param {FlowField} field - Shared flow field for large formations (optional)
+   * @param {Array} group - Units moving in the formation (optional)
    */
-  moveToFormation(centerX, centerY, directionX, directionY) {
+  moveToFormation(
+    centerX,
+    centerY,
+    directionX,
+    directionY,
+    field = null,
+    group = null
+  ) {
     if (!this.formation || this.formationIndex < 0) return;
 
     // Calculate formation position
@@ -857,7 +1291,93 @@ class Unit extends Entity {
     }
 
     // Move to formation position
-    this.moveTo(formationX, formationY);
+    if (field) {
+      this.moveAlongFlowField(field, formationX, formationY, group);
+    } else {
+      this.moveTo(formationX, formationY);
+    }
+  }
+
+  /**
+   * Check whether this unit earns veterancy
+   * @returns {boolean} True for fighting units other than villagers and heroes
+   */
+  isMilitary() {
+    return (
+      this.type === "unit" &&
+      this.unitType !== "villager" &&
+      !this.isHero &&
+      this.ar > 0
+    );
+  }
+
+  /**
+   * Get the unit's current veterancy rank
+   * @returns {Object|null} Rank {name, xp, bonus}
+   */
+  getVeterancyRank() {
+    const veterancy = CONFIG.STATS.VETERANCY;
+    return veterancy ? veterancy.RANKS[this.veterancy] || null : null;
+  }
+
+  /**
+   * Add experience, ranking up through the veterancy tiers
+   * @param {number} amount - Experience gained
+   * @returns {boolean} True if the unit ranked up
+   */
+  gainExperience(amount) {
+    const veterancy = CONFIG.STATS.VETERANCY;
+    if (!veterancy || !this.isMilitary() || amount <= 0) return false;
+
+    this.experience += amount;
+
+    const ranks = veterancy.RANKS;
+    let rank = this.veterancy;
+    while (rank + 1 < ranks.length && this.experience >= ranks[rank + 1].xp) {
+      rank++;
+    }
+    if (rank === this.veterancy) return false;
+
+    // Bonuses are over trained stats, so scale by the ratio between tiers
+    const scale = (1 + ranks[rank].bonus) / (1 + ranks[this.veterancy].bonus);
+    const hpGain = Math.round(this.maxHp * scale) - this.maxHp;
+
+    this.maxHp += hpGain;
+    this.hp += hpGain;
+    this.ar = Math.round(this.ar * scale);
+    this.dp = Math.round(this.dp * scale);
+    this.veterancy = rank;
+
+    Utils.log(`${this.unitType} unit of ${this.owner} ranked up to ${ranks[rank].name}`);
+
+    this.triggerEvent("rankUp", {
+      entity: this,
+      rank: rank,
+      name: ranks[rank].name,
+    });
+
+    return true;
+  }
+
+  /**
+   * Attack the current target, earning experience for damage dealt and kills
+   */
+  performAttack() {
+    const target = this.attackTarget;
+    const hpBefore = target && target.active ? target.hp : 0;
+
+    super.performAttack();
+
+    const veterancy = CONFIG.STATS.VETERANCY;
+    if (!target || !veterancy || !this.isMilitary()) return;
+
+    const dealt = Math.max(0, hpBefore - Math.max(0, target.hp));
+    let experience = dealt * veterancy.XP_PER_DAMAGE;
+    if (hpBefore > 0 && !target.active) {
+      experience += veterancy.XP_PER_KILL;
+    }
+
+    this.gainExperience(experience);
   }
 
   /**
@@ -876,14 +1396,19 @@ class Unit extends Entity {
       attacker &&
       attacker.active &&
       attacker !== this.attackTarget &&
-      attacker.owner !== this.owner
+      this.canAttack(attacker)
     ) {
-      // Counter-attack if not a villager, or if a villager with no current job
-      if (
-        this.type !== "villager" ||
-        (this.type === "villager" && !this.currentJob.type)
+      // Villagers only fight back when they have nothing else to do;
+      // soldiers fight back as their stance allows
+      if (this.type === "villager") {
+        if (!this.currentJob.type) this.attack(attacker);
+      } else if (
+        this.canAutoAttack() &&
+        (this.canChase() ||
+          Utils.distance(this.x, this.y, attacker.x, attacker.y) <=
+            this.attackRange)
       ) {
-        this.attack(attacker);
+        this.engage(attacker);
       }
     }
   }
@@ -930,10 +1455,62 @@ class Unit extends Entity {
     data.formationIndex = this.formationIndex;
     data.formationOffset = { ...this.formationOffset };
     data.counterAttack = this.counterAttack;
+    data.stance = this.stance;
+    data.holdingPosition = this.holdingPosition;
+    data.attackMove = this.attackMove ? { ...this.attackMove } : null;
+    data.patrol = this.patrol
+      ? {
+          waypoints: this.patrol.waypoints.map((point) => ({ ...point })),
+          index: this.patrol.index,
+        }
+      : null;
+    data.engagedFrom = this.engagedFrom ? { ...this.engagedFrom } : null;
+    data.experience = this.experience;
+    data.veterancy = this.veterancy;
+    data.orders = this.orders.map((order) => ({ ...order }));
+    data.currentJob = {
+      type: this.currentJob.type,
+      targetId: this.currentJob.target ? this.currentJob.target.id : null,
+      time: this.currentJob.time,
+      returning: !!this.currentJob.returning,
+    };
+    data.statusEffects = this.statusEffects.map((effect) => ({
+      ...effect,
+      source: effect.source && effect.source.id ? effect.source.id : null,
+    }));
 
     return data;
   }
 
+  /**
+   * Re-link the current job target after a saved game is restored
+   * @param {Object} data - Serialized unit data
+   * @param {EntityManager} entityManager - Entity manager holding the restored entities
+   */
+  resolveReferences(data, entityManager) {
+    super.resolveReferences(data, entityManager);
+
+    if (data.currentJob && data.currentJob.type) {
+      this.currentJob = {
+        type: data.currentJob.type,
+        target: data.currentJob.targetId
+          ? entityManager.getEntityById(data.currentJob.targetId)
+          : null,
+        time: data.currentJob.time || 0,
+        returning: !!data.currentJob.returning,
+      };
+    }
+
+    // Stats were saved with effect impacts already applied, so only the
+    // bookkeeping is restored here
+    if (data.statusEffects) {
+      this.statusEffects = data.statusEffects.map((effect) => ({
+        ...effect,
+        source: effect.source ? entityManager.getEntityById(effect.source) : null,
+      }));
+    }
+  }
+
   /**
    * Create a unit from serialized data
    * @param {Object} data - Serialized unit data
@@ -49,6 +49,18 @@ export class VictorySystem {
         icon: "victory_economic",
         checkCondition: this.checkEconomicVictory.bind(this),
       },
+      score: {
+        name: "Score Victory",
+        description: "Have the highest score when the time limit runs out.",
+        icon: "victory_score",
+        checkCondition: this.checkScoreVictory.bind(this),
+      },
+      scenario: {
+        name: "Scenario Victory",
+        description: "Complete the scenario's objectives.",
+        icon: "victory_scenario",
+        checkCondition: this.checkScenarioVictory.bind(this),
+      },
     };
 
     // Victory progress tracking
@@ -57,15 +69,25 @@ export class VictorySystem {
     // Wonder victory timeouts
     this.wonderVictoryTimers = {};
 
-    // Victory thresholds
+    // Which victory conditions this match is played with
+    this.enabledConditions = {
+      domination: true,
+      wonder: true,
+      economic: true,
+      score: false,
+      scenario: true,
+    };
+
+    // Victory thresholds (set from the match settings in init)
     this.WONDER_VICTORY_TIME = 600000; // 10 minutes
     this.ECONOMIC_VICTORY_RESOURCES = {
       food: 10000,
       wood: 10000,
       gold: 10000,
-      stone: 8000,
+      stone: 5000,
       iron: 5000,
     };
+    this.TIME_LIMIT = 3600000; // 1 hour, for score victory
 
     // Defeat conditions
     this.defeatConditions = {
@@ -79,21 +101,31 @@ export class VictorySystem {
         description: "You have surrendered the game.",
         icon: "defeat_surrender",
       },
+      scenario: {
+        name: "Mission Failed",
+        description: "You have failed the scenario's objectives.",
+        icon: "defeat_scenario",
+      },
     };
 
-    // Default display
+    // Default display (a plain stand-in when running headless)
     this.displayElement =
-      document.getElementById("messages") || document.createElement("div");
+      typeof document !== "undefined"
+        ? document.getElementById("messages") || document.createElement("div")
+        : { textContent: "", style: {} };
 
     console.log("Victory system constructed");
   }
 
   /**
    * Initialize the victory system
+   * @param {Object} settings - Victory settings from the match setup screen
    */
-  init() {
+  init(settings = {}) {
     console.log("Victory system initializing");
 
+    this.applySettings(settings);
+
     // Set up number of players and opponents
     const numPlayers = this.game.players?.length || 2; // Default to 2 if not specified
 
@@ -138,6 +170,70 @@ export class VictorySystem {
     console.log("Victory system initialized");
   }
 
+  /**
+   * Apply a match's victory settings; anything left out keeps the
+   * CONFIG.VICTORY default
+   * @param {Object} settings - Victory settings
+   * @param {boolean} settings.domination - Win by defeating every enemy
+   * @param {boolean} settings.wonder - Win by keeping a Wonder standing
+   * @param {boolean} settings.economic - Win by stockpiling resources
+   * @param {boolean} settings.score - Highest score wins at the time limit
+   * @param {number} settings.wonderTime - Seconds a Wonder must stand
+   * @param {Object} settings.economicGoals - Amount needed of each resource
+   * @param {number} settings.timeLimit - Seconds until the score victory
+   */
+  applySettings(settings = {}) {
+    const defaults =
+      (typeof window !== "undefined" && window.CONFIG?.VICTORY) || {};
+    const pick = (value, fallback) => (value !== undefined ? value : fallback);
+
+    this.enabledConditions = {
+      domination: pick(
+        settings.domination,
+        defaults.DOMINATION?.ENABLED !== false
+      ),
+      wonder: pick(settings.wonder, defaults.WONDER?.ENABLED !== false),
+      economic: pick(settings.economic, defaults.ECONOMIC?.ENABLED !== false),
+      score: pick(settings.score, !!defaults.SCORE?.ENABLED),
+      scenario: true,
+    };
+
+    this.WONDER_VICTORY_TIME =
+      pick(settings.wonderTime, defaults.WONDER?.COUNTDOWN || 600) * 1000;
+    this.ECONOMIC_VICTORY_RESOURCES = {
+      ...(settings.economicGoals ||
+        defaults.ECONOMIC?.RESOURCE_GOAL ||
+        this.ECONOMIC_VICTORY_RESOURCES),
+    };
+    this.TIME_LIMIT =
+      pick(settings.timeLimit, defaults.SCORE?.TIME_LIMIT || 3600) * 1000;
+  }
+
+  /**
+   * Get the match's victory settings in the form applySettings takes
+   * @returns {Object} Victory settings
+   */
+  getSettings() {
+    return {
+      domination: this.enabledConditions.domination,
+      wonder: this.enabledConditions.wonder,
+      economic: this.enabledConditions.economic,
+      score: this.enabledConditions.score,
+      wonderTime: this.WONDER_VICTORY_TIME / 1000,
+      economicGoals: { ...this.ECONOMIC_VICTORY_RESOURCES },
+      timeLimit: this.TIME_LIMIT / 1000,
+    };
+  }
+
+  /**
+   * Check whether a victory condition is in play this match
+   * @param {string} condition - Condition name
+   * @returns {boolean} True if the condition can be won
+   */
+  isConditionEnabled(condition) {
+    return !!this.enabledConditions[condition];
+  }
+
   /**
    * Update victory conditions
    * @param {number} deltaTime - Time elapsed since last update in milliseconds
@@ -182,8 +278,10 @@ export class VictorySystem {
         continue;
       }
 
-      // Check each victory condition
+      // Check each victory condition this match is played with
       for (const condition in this.victoryConditions) {
+        if (!this.isConditionEnabled(condition)) continue;
+
         const progress =
           this.victoryConditions[condition].checkCondition(playerId);
         this.victoryProgress[playerId][condition] = progress;
@@ -224,11 +322,16 @@ export class VictorySystem {
     // Count active opponents
     let totalOpponents = 0;
     let defeatedOpponents = 0;
+    const allies = this.getVictoryAllies(playerId);
 
     for (const id in this.playerState) {
       const pid = parseInt(id, 10);
-      // Skip self and inactive players
-      if (pid === playerId || !this.playerState[pid].active) {
+      // Skip self, allies and inactive players
+      if (
+        pid === playerId ||
+        allies.includes(pid) ||
+        !this.playerState[pid].active
+      ) {
         continue;
       }
 
@@ -300,11 +403,7 @@ export class VictorySystem {
       };
 
       // Announce wonder construction
-      this.displayMessage(
-        `Player ${
-          playerId + 1
-        } has built a Wonder! They will win in 10 minutes if it's not destroyed.`
-      );
+      this.announceWonder(playerId);
     }
 
     // Calculate progress
@@ -332,20 +431,43 @@ export class VictorySystem {
 
     // Announce progress milestones
     if (progress % 25 === 0 && progress > 0 && progress < 100) {
-      const timeLeft = Math.ceil(
-        (this.WONDER_VICTORY_TIME - elapsedTime) / 60000
+      const timeLeft = this.formatMinutes(
+        this.WONDER_VICTORY_TIME - elapsedTime
       );
 
       this.displayMessage(
         `Player ${
           playerId + 1
-        }'s Wonder victory at ${progress}%! ${timeLeft} minutes remaining.`
+        }'s Wonder victory at ${progress}%! ${timeLeft} remaining.`
       );
     }
 
     return progress;
   }
 
+  /**
+   * Announce a finished Wonder and how long it must stand
+   * @param {number} playerId - ID of the Wonder's owner
+   */
+  announceWonder(playerId) {
+    const countdown = this.formatMinutes(this.WONDER_VICTORY_TIME);
+    this.displayMessage(
+      `Player ${
+        playerId + 1
+      } has built a Wonder! They will win in ${countdown} if it's not destroyed.`
+    );
+  }
+
+  /**
+   * Format a duration in whole minutes, rounding up
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Such as "1 minute" or "10 minutes"
+   */
+  formatMinutes(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    return minutes === 1 ? "1 minute" : `${minutes} minutes`;
+  }
+
   /**
    * Check for economic victory (accumulate vast wealth)
    * @param {number} playerId - ID of the player
@@ -357,19 +479,14 @@ export class VictorySystem {
       return 0;
     }
 
-    // Skip if resource manager is not available
-    if (!this.game.resourceManager) {
-      return 0;
-    }
-
     // Get player resources
+    const stockpile = this.getPlayerResources(playerId);
     const resources = {};
     let totalProgress = 0;
     let resourceCount = 0;
 
     for (const resource in this.ECONOMIC_VICTORY_RESOURCES) {
-      resources[resource] =
-        this.game.resourceManager.getResource?.(playerId, resource) || 0;
+      resources[resource] = stockpile[resource] || 0;
 
       // Calculate progress for this resource
       const targetAmount = this.ECONOMIC_VICTORY_RESOURCES[resource];
@@ -395,12 +512,109 @@ export class VictorySystem {
     return 100;
   }
 
+  /**
+   * Check for score victory (highest score when time runs out)
+   * @param {number} playerId - ID of the player
+   * @returns {number} Victory progress percentage (0-100)
+   */
+  checkScoreVictory(playerId) {
+    // Must be after startup grace period
+    if (!this.gameStarted) {
+      return 0;
+    }
+
+    const progress = Math.min(
+      100,
+      Math.floor((this.game.gameTime / this.TIME_LIMIT) * 100)
+    );
+    if (progress < 100) {
+      return progress;
+    }
+
+    // Time is up; only the leader completes the victory
+    return this.getScoreLeader() === playerId ? 100 : 99;
+  }
+
+  /**
+   * Get the time left before the score victory is decided
+   * @returns {number|null} Milliseconds left, or null without a time limit
+   */
+  getTimeRemaining() {
+    if (!this.isConditionEnabled("score")) {
+      return null;
+    }
+
+    return Math.max(0, this.TIME_LIMIT - (this.game.gameTime || 0));
+  }
+
+  /**
+   * Get the player still in the game with the highest score
+   * @returns {number|null} Player ID (the lowest ID wins a tie)
+   */
+  getScoreLeader() {
+    let leader = null;
+    let bestScore = -1;
+
+    for (const id in this.playerState) {
+      const playerId = parseInt(id, 10);
+      if (
+        !this.playerState[playerId].active ||
+        this.playerState[playerId].defeated
+      ) {
+        continue;
+      }
+
+      const score = this.getPlayerScore(playerId);
+      if (score > bestScore) {
+        bestScore = score;
+        leader = playerId;
+      }
+    }
+
+    return leader;
+  }
+
+  /**
+   * Get a player's total score from the score system
+   * @param {number} playerId - ID of the player
+   * @returns {number} Score (0 without a score system)
+   */
+  getPlayerScore(playerId) {
+    const scoreSystem = this.game.getSystem?.("score");
+    return scoreSystem ? scoreSystem.getScore(playerId).total : 0;
+  }
+
+  /**
+   * Get a player's stockpiled resources
+   * @param {number} playerId - ID of the player
+   * @returns {Object} Amount of each resource
+   */
+  getPlayerResources(playerId) {
+    const resourceManager = this.game.getSystem?.("resourceManager");
+    const owner = this.game.getOwnerKey(playerId);
+    if (!resourceManager || !resourceManager.resources || owner === null) {
+      return {};
+    }
+
+    return resourceManager.resources[owner] || {};
+  }
+
+  /**
+   * Check for scenario victory. Scenario triggers declare it directly, so
+   * there is no progress to measure here.
+   * @param {number} playerId - ID of the player
+   * @returns {number} Victory progress percentage (always 0)
+   */
+  checkScenarioVictory(playerId) {
+    return 0;
+  }
+
   /**
    * Check if there's only one player left
    */
   checkLastManStanding() {
-    // Skip during grace period
-    if (!this.gameStarted) {
+    // Skip during grace period, or if conquest can't win this match
+    if (!this.gameStarted || !this.isConditionEnabled("domination")) {
       return;
     }
 
@@ -421,7 +635,30 @@ export class VictorySystem {
     if (activePlayers.length === 1) {
       const playerId = activePlayers[0];
       this.declareVictory(playerId, "domination");
+      return;
+    }
+
+    // If everyone left is allied, they win together
+    if (activePlayers.length > 1) {
+      const allies = this.getVictoryAllies(activePlayers[0]);
+      if (activePlayers.slice(1).every((id) => allies.includes(id))) {
+        this.declareVictory(activePlayers[0], "domination");
+      }
+    }
+  }
+
+  /**
+   * Get the allies that share a player's victory
+   * @param {number} playerId - ID of the player
+   * @returns {Array} Allied player IDs (empty without allied victory)
+   */
+  getVictoryAllies(playerId) {
+    const diplomacy = this.game.getSystem?.("diplomacy");
+    if (!diplomacy || !diplomacy.alliedVictory) {
+      return [];
     }
+
+    return diplomacy.getAllies(playerId);
   }
 
   /**
@@ -446,8 +683,10 @@ export class VictorySystem {
       }
 
       // Check if player still has buildings
-      const buildings =
-        this.game.entityManager.getEntitiesByType?.(playerId, "building") || [];
+      const buildings = this.game.entityManager.getEntitiesByTypeAndOwner(
+        "building",
+        this.game.getOwnerKey(playerId)
+      );
 
       if (buildings.length === 0) {
         this.declareDefeat(playerId, "eliminated");
@@ -474,12 +713,25 @@ export class VictorySystem {
       return;
     }
 
-    // Mark player as victorious
-    this.playerState[playerId].victorious = true;
+    // Allies still in the game share the victory
+    const winners = [playerId].concat(
+      this.getVictoryAllies(playerId).filter(
+        (id) =>
+          this.playerState[id] &&
+          this.playerState[id].active &&
+          !this.playerState[id].defeated
+      )
+    );
+
+    // Mark players as victorious
+    for (const winnerId of winners) {
+      this.playerState[winnerId].victorious = true;
+    }
 
     // Add to victories list
     this.victories.push({
       playerId: playerId,
+      winners: winners,
       type: victoryType,
       time: this.game.gameTime,
       victoryInfo: this.victoryConditions[victoryType],
@@ -491,7 +743,7 @@ export class VictorySystem {
     for (const id in this.playerState) {
       const i = parseInt(id, 10);
       if (
-        i !== playerId &&
+        !winners.includes(i) &&
         this.playerState[i].active &&
         !this.playerState[i].defeated
       ) {
@@ -504,8 +756,8 @@ export class VictorySystem {
 
     // Show victory message
     const currentPlayerId = this.game.currentPlayer || 0;
-    if (playerId === currentPlayerId) {
-      this.displayVictoryScreen(playerId, victoryType);
+    if (winners.includes(currentPlayerId)) {
+      this.displayVictoryScreen(currentPlayerId, victoryType);
     } else {
       this.displayDefeatScreen(currentPlayerId, "defeated_by_opponent");
     }
@@ -519,6 +771,7 @@ export class VictorySystem {
     if (this.game.emit) {
       this.game.emit("gameOver", {
         winner: playerId,
+        winners: winners,
         victoryType: victoryType,
       });
     }
@@ -580,15 +833,17 @@ export class VictorySystem {
 
     // Check if this is a critical building
     if (entity.type === "building" && entity.isCritical) {
-      const playerId = entity.owner;
+      const player = (this.game.players || []).find(
+        (p) => this.game.getOwnerKey(p.id) === entity.owner
+      );
 
       // Check if this was the last critical building
-      const criticalBuildings = (
-        this.game.entityManager.getEntitiesByType?.(playerId, "building") || []
-      ).filter((b) => b.isCritical);
+      const criticalBuildings = this.game.entityManager
+        .getEntitiesByTypeAndOwner("building", entity.owner)
+        .filter((b) => b.isCritical);
 
-      if (criticalBuildings.length === 0) {
-        this.declareDefeat(playerId, "eliminated");
+      if (player && criticalBuildings.length === 0) {
+        this.declareDefeat(player.id, "eliminated");
       }
     }
 
@@ -633,11 +888,7 @@ export class VictorySystem {
         };
 
         // Announce wonder construction
-        this.displayMessage(
-          `Player ${
-            playerId + 1
-          } has built a Wonder! They will win in 10 minutes if it's not destroyed.`
-        );
+        this.announceWonder(playerId);
       }
     }
   }
@@ -666,6 +917,8 @@ export class VictorySystem {
         true
       );
     }
+
+    this.showPostGameReport(playerId, this.victoryConditions[victoryType].name);
   }
 
   /**
@@ -690,6 +943,12 @@ export class VictorySystem {
       this.displayMessage("DEFEAT!", true);
     }
 
+    const defeatInfo = this.defeatConditions[defeatType];
+    this.showPostGameReport(
+      playerId,
+      defeatInfo ? `Defeat - ${defeatInfo.name}` : "Defeat"
+    );
+
     // Play defeat sound if audio system available
     if (this.game.audioSystem && this.game.audioSystem.playMusic) {
       this.game.audioSystem.playMusic("defeat_theme");
@@ -726,15 +985,24 @@ export class VictorySystem {
   }
 
   /**
-   * Collect basic game statistics
+   * Open the full post-game report, if the game has one
+   * @param {number} playerId - ID of the player the report is for
+   * @param {string} headline - Outcome shown at the top of the report
+   */
+  showPostGameReport(playerId, headline) {
+    const postGame = this.game.getSystem?.("postGame");
+    if (postGame) postGame.show(playerId, headline);
+  }
+
+  /**
+   * Collect game statistics, in full when the statistics system is running
    * @param {number} playerId - ID of the player
    * @returns {Object} Game statistics
    */
   collectGameStats(playerId) {
-    // Simplified stats object
-    return {
+    const stats = {
       gameTime: this.game.gameTime || 0,
-      score: 0,
+      score: this.getPlayerScore(playerId),
       resources: {
         collected: {},
         spent: {},
@@ -745,6 +1013,22 @@ export class VictorySystem {
         unitsKilled: 0,
       },
     };
+
+    const statistics = this.game.getSystem?.("statistics");
+    if (!statistics) return stats;
+
+    const report = statistics.getPlayerReport(playerId);
+    const count = (counts) =>
+      Object.values(counts).reduce((sum, amount) => sum + amount, 0);
+
+    stats.resources = report.resources;
+    stats.military = {
+      unitsCreated: count(report.units.trained),
+      unitsLost: count(report.units.lost),
+      unitsKilled: count(report.units.killed),
+    };
+    stats.report = report;
+    return stats;
   }
 
   /**
@@ -771,4 +1055,40 @@ export class VictorySystem {
   surrender(playerId) {
     this.declareDefeat(playerId, "surrender");
   }
+
+  /**
+   * Serialize victory state for saving
+   * @returns {Object} Serialized data
+   */
+  serialize() {
+    return {
+      playerState: JSON.parse(JSON.stringify(this.playerState)),
+      victoryProgress: JSON.parse(JSON.stringify(this.victoryProgress)),
+      wonderVictoryTimers: JSON.parse(JSON.stringify(this.wonderVictoryTimers)),
+      victories: this.victories.slice(),
+      defeats: this.defeats.slice(),
+      gameStarted: this.gameStarted,
+      gameEnded: this.gameEnded,
+      settings: this.getSettings(),
+    };
+  }
+
+  /**
+   * Deserialize data to restore victory state
+   * @param {Object} data - Serialized data
+   */
+  deserialize(data) {
+    this.playerState = JSON.parse(JSON.stringify(data.playerState || {}));
+    this.victoryProgress = JSON.parse(
+      JSON.stringify(data.victoryProgress || {})
+    );
+    this.wonderVictoryTimers = JSON.parse(
+      JSON.stringify(data.wonderVictoryTimers || {})
+    );
+    this.victories = (data.victories || []).slice();
+    this.defeats = (data.defeats || []).slice();
+    this.gameStarted = !!data.gameStarted;
+    this.gameEnded = !!data.gameEnded;
+    if (data.settings) this.applySettings(data.settings);
+  }
 }
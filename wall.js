@@ -46,20 +46,30 @@ class Wall extends Entity {
    */
   applyCivilizationBonuses() {
     // Get civilization config
-    const civConfig = CONFIG.CIVILIZATIONS[this.owner];
+    const civConfig = CONFIG.CIVILIZATIONS[this.civilization];
     if (!civConfig) return;
 
     // Apply civilization bonuses
-    if (this.owner === "SOLARI") {
+    if (this.civilization === "SOLARI") {
       // Example: Solari walls might have more HP
       this.maxHp += Math.floor(this.maxHp * 0.05); // 5% more HP for walls
       this.hp = this.maxHp; // If already constructed
-    } else if (this.owner === "LUNARI") {
+    } else if (this.civilization === "LUNARI") {
       // Example: Lunari walls might have more defense points
       this.dp += 2; // +2 defense points
     }
   }
 
+  /**
+   * Check whether the wall stops units pathing through its tile. Walls block
+   * everyone; gates only while closed.
+   * @returns {boolean} True if it blocks pathing
+   */
+  blocksMovement() {
+    if (this.breached) return false;
+    return !(this.wallType === "gate" && this.gateState === "open");
+  }
+
   /**
    * Check if a unit can pass through the wall
    * @param {Entity} unit - Unit to check
@@ -91,6 +101,11 @@ class Wall extends Entity {
     // Toggle state
     this.gateState = this.gateState === "closed" ? "open" : "closed";
 
+    // Open or close the tile for pathfinding
+    const game = window.gameInstance;
+    const entityManager = game ? game.getSystem("entityManager") : null;
+    if (entityManager) entityManager.updateBlocking(this);
+
     // Trigger gate toggle event
     this.triggerEvent("toggleGate", {
       entity: this,